@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
@@ -240,6 +241,25 @@ contract FairAirdrop is ReentrancyGuard {
      * @notice Claim 100% allocation by paying 1 USDC
      */
     function claimFullAllocation() external nonReentrant duringClaim {
+        _claimFull();
+    }
+
+    /**
+     * @notice Claim 100% allocation, paying the 1 USDC through an EIP-2612 permit
+     * @param deadline Permit deadline; the permit value is FULL_CLAIM_COST
+     * @dev Needs a stablecoin that implements EIP-2612 (USDC does). The permit is
+     *      tried and ignored on failure; the payment then relies on the existing allowance.
+     */
+    function claimFullAllocationWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        duringClaim
+    {
+        try IERC20Permit(address(usdcToken)).permit(msg.sender, address(this), FULL_CLAIM_COST, deadline, v, r, s) {} catch {}
+        _claimFull();
+    }
+
+    function _claimFull() private {
         require(!hasClaimed[msg.sender], "Already claimed");
         require(userDeposits[msg.sender] > 0, "No deposit");
         
@@ -12,6 +12,9 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/governance/utils/Votes.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
@@ -25,8 +28,10 @@ import "../interfaces/IAECToken.sol";
  * 1) Tax-free for peer-to-peer and excluded addresses.
  * 2) Normal tax for trades on official, whitelisted AMM pairs.
  * 3) A higher, "dissuasive" tax for trades on any other smart contract to protect the ecosystem while still capturing value.
- * @dev Implements OpenZeppelin's ERC20, Ownable, Burnable, and ReentrancyGuard for security and extensibility.
+ * @dev Implements OpenZeppelin's ERC20, Ownable, Burnable, Permit (EIP-2612) and ReentrancyGuard for security and extensibility.
  * All collected taxes ($AEC) are held within this contract, awaiting processing by the PerpetualEngine.
+ * Balances are checkpointed for governance (OpenZeppelin Votes, as in ERC20Votes), except those of
+ * protocol contracts excluded from votes, which count toward neither delegates nor the past total supply.
  * 
  * Security Features:
  * - Hardened against approval race conditions
@@ -35,7 +40,7 @@ import "../interfaces/IAECToken.sol";
  * - Comprehensive event logging for transparency
  * - Dust attack prevention for regular transfers
  */
-contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
+contract AECToken is ERC20, ERC20Burnable, ERC20Permit, Votes, Ownable, ReentrancyGuard, IAECToken {
     using SafeERC20 for IERC20;
 
     // ================================================================
@@ -78,6 +83,30 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     /// @notice Minimum transfer amount to prevent dust attacks (0.001 AEC).
     uint256 public constant MIN_TRANSFER_AMOUNT = 10**15; // 0.001 AEC
 
+    /// @notice Longest the launch guard can last (about an hour of 2-second blocks), so it always expires.
+    uint32 public constant MAX_LAUNCH_GUARD_BLOCKS = 1800;
+
+    /// @notice Lowest max transaction / max wallet the launch guard accepts (0.1% of supply).
+    uint16 public constant MIN_LAUNCH_LIMIT_BPS = 10;
+
+    /// @notice Public delay between an allowlist proposal and its execution.
+    uint256 public constant ALLOWLIST_DELAY = 7 days;
+
+    /// @notice How long a proposal stays executable after its delay before it lapses.
+    uint256 public constant ALLOWLIST_GRACE_PERIOD = 14 days;
+
+    /// @notice Length of a tax accounting epoch; epoch 0 starts at launchTimestamp.
+    uint256 public constant TAX_EPOCH_DURATION = 1 days;
+
+    /// @notice Most epochs getEpochTaxRange returns in one call.
+    uint256 public constant MAX_EPOCH_RANGE = 366;
+
+    /// @dev Gnosis Safe proxies answer masterCopy() with their singleton instead of delegating.
+    bytes4 private constant SAFE_MASTER_COPY_SELECTOR = 0xa619486e;
+
+    /// @dev Gas forwarded to a registered Safe proxy's masterCopy() probe.
+    uint256 private constant WALLET_PROBE_GAS = 10_000;
+
     // --- State Variables ---
     /**
      * @notice The timestamp when the contract was deployed.
@@ -97,6 +126,61 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      */
     mapping(address => bool) public automatedMarketMakerPairs;
 
+    /**
+     * @notice Post-launch tax rates of each official AMM pair (AEC/USDC, AEC/WETH, concentrated-liquidity pools...).
+     * @dev Pairs without a custom profile pay the normal rates. Every official pair pays the launch rates
+     * during the launch period.
+     */
+    mapping(address => PairTaxProfile) public pairTaxProfiles;
+
+    /// @dev Official AMM pairs in registration order, with 1-based positions for removal
+    address[] private _ammPairs;
+    mapping(address => uint256) private _ammPairPositions;
+
+    /**
+     * @notice Runtime codehashes of audited smart-wallet code (Safe, ERC-4337 accounts).
+     * @dev Any contract matching these rules is treated like an EOA by Gate 3, with no per-account
+     * setup, and the rules keep applying after ownership is renounced. See isRecognizedWallet.
+     */
+    mapping(bytes32 => WalletCode) public walletCodehashes;
+
+    /**
+     * @notice Mapping of addresses whose balances carry no voting power.
+     * @dev Protocol contracts (TokenDistributor, Endowment, engine, staking pools, this contract) hold
+     * supply that belongs to no voter. Their balances are left out of getPastTotalSupply too.
+     */
+    mapping(address => bool) public isExcludedFromVotes;
+
+    /**
+     * @notice Tax collected since launch, by source. Counts what was taxed, not what is still held:
+     * approveEngineForProcessing and the engine's pulls leave it untouched.
+     */
+    TaxTotals public totalTaxCollected;
+
+    /**
+     * @notice Tax collected during each epoch, by source.
+     * @dev Indexed by currentTaxEpoch(); epochs without taxed transfers stay zero.
+     */
+    mapping(uint256 => TaxTotals) public epochTaxCollected;
+
+    /**
+     * @dev Routes through official pairs, per holding contract. A buy leg is AEC an official pair paid
+     * out to the holder; a sell leg is AEC a wallet paid Gate 3 tax to hand it. A leg only counts for
+     * the tx.origin and block.number that opened it and never exceeds what actually arrived, so
+     * transactions from other senders or later blocks cannot borrow it. Legs are never handed on:
+     * a buy leg only pays out untaxed to wallets, a sell leg only settles at an official pair.
+     * See getRouteCredit.
+     */
+    mapping(address => RouteLeg) private _buyRoutes;
+    mapping(address => RouteLeg) private _sellRoutes;
+
+    /**
+     * @dev Gate 3 tax paid into sell legs in _heldRouteTaxBlock. Sweeps and engine approvals leave it
+     * in this contract so the legs' rebates are always payable; it lapses with the legs at the block's end.
+     */
+    uint128 private _heldRouteTaxBlock;
+    uint128 private _heldRouteTax;
+
     /**
      * @notice The official address of the PerpetualEngine contract.
      * @dev This address is authorized to withdraw collected taxes for protocol operations. Settable once by the owner.
@@ -108,6 +192,39 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      */
     bool private _perpetualEngineAddressInitialized;
 
+    /**
+     * @notice Push mode: official sells forward the collected tax to the PerpetualEngine once it
+     * reaches taxSweepThreshold, instead of waiting for approveEngineForProcessing and a pull.
+     */
+    bool public taxSweepEnabled;
+    uint256 public taxSweepThreshold;
+
+    /**
+     * @notice Tax pushed to the PerpetualEngine since launch.
+     * @dev The engine compares it with what it has already counted to pay the cycle caller on pushed tax.
+     */
+    uint256 public totalTaxSwept;
+
+    /**
+     * @notice Anti-bot limits for the first blocks of trading.
+     * @dev The clock starts when a tax-excluded sender (LiquidityDeployer) first moves AEC into an
+     * official pair, not at deployment, and stops by itself after durationBlocks.
+     */
+    LaunchGuard public launchGuard;
+
+    /**
+     * @notice Token-holder governance (AccountabilityDAO) allowed to propose tax exclusions and AMM pairs.
+     * @dev Set once before renounce. The only path to new protocol contracts or pairs afterwards, and
+     * every change waits ALLOWLIST_DELAY in public, during which the governor can veto it.
+     */
+    address public allowlistGovernor;
+
+    /// @notice Earliest execution time of each queued allowlist change (see getAllowlistChangeId), zero if none
+    mapping(bytes32 => uint256) public allowlistChangeEta;
+
+    /// @dev Block of each account's last official buy while the launch guard is active
+    mapping(address => uint256) private _launchGuardBuyBlock;
+
     /**
      * @notice The official primary AMM pair for this token (e.g., AEC/WETH).
      * @dev For informational purposes. Set once by the owner.
@@ -117,7 +234,7 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     // --- Modifiers ---
     /// @dev Restricts function to only be callable before ownership is renounced.
     modifier onlyBeforeRenounce() {
-        require(owner() != address(0), "AEC: Ownership already renounced");
+        _checkNotRenounced();
         _;
     }
 
@@ -131,13 +248,17 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     constructor(
         address initialOwner_,
         address tokenDistributorAddress_
-    ) ERC20("AetherCycle", "AEC") Ownable(initialOwner_) {
+    ) ERC20("AetherCycle", "AEC") ERC20Permit("AetherCycle") Ownable(initialOwner_) {
         require(initialOwner_ != address(0), "AEC: Initial owner cannot be zero");
         require(tokenDistributorAddress_ != address(0), "AEC: Distributor address cannot be zero");
         
         // Use standard 18 decimals - total supply: 888,888,888 AEC
         uint256 initialSupply = 888_888_888 * 10**18;
         launchTimestamp = block.timestamp;
+
+        // Excluded before the mint so the undistributed supply never counts as votes
+        _setVotesExclusion(address(this), true);
+        _setVotesExclusion(tokenDistributorAddress_, true);
         
         // Mint entire supply to TokenDistributor
         _mint(tokenDistributorAddress_, initialSupply);
@@ -152,6 +273,7 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     /**
      * @dev Core tax logic for the Tolerant Fortress system.
      * Applies: 1) no tax for excluded/EOA, 2) normal tax for official AMM, 3) high tax for other contracts.
+     * Hops of a route through an official pair in the same transaction are taxed once, at the pair.
      * 
      * SECURITY IMPROVEMENTS:
      * - Fixed minting/burning bypass issue
@@ -166,42 +288,89 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     function _update(address from, address to, uint256 amount) internal virtual override {
         // --- SPECIAL CASES: Minting, Burning, Zero Transfers ---
         if (amount == 0 || from == address(0) || to == address(0)) {
-            super._update(from, to, amount);
+            _moveTokens(from, to, amount);
             return;
         }
 
         // --- DUST ATTACK PREVENTION: Only for regular transfers ---
-        if (from != address(0) && to != address(0) && amount < MIN_TRANSFER_AMOUNT) {
+        if (amount < MIN_TRANSFER_AMOUNT) {
             revert("AEC: Transfer amount too small");
         }
 
+        (TransferGate gate, uint16 taxBps, bool isBuy) = _classifyTransfer(from, to, amount);
+
+        // --- LAUNCH GUARD: starts with the first protocol liquidity, expires on its own ---
+        LaunchGuard memory guard = launchGuard;
+        if (guard.startBlock == 0) {
+            if (guard.durationBlocks > 0 && automatedMarketMakerPairs[to] && isExcludedFromTax[from]) {
+                launchGuard.startBlock = uint64(block.number);
+                emit LaunchGuardStarted(to, block.number, block.number + guard.durationBlocks);
+            }
+        } else if (block.number < guard.startBlock + guard.durationBlocks) {
+            _enforceLaunchGuard(from, to, amount, gate, guard);
+        }
+
+        if (gate == TransferGate.Routed) {
+            _routeTransfer(from, to, amount, isBuy);
+        } else if (gate == TransferGate.OfficialAmm || gate == TransferGate.Unofficial) {
+            uint256 amountAfterTax = _applyTax(from, to, amount, taxBps, isBuy, gate == TransferGate.Unofficial);
+
+            // Routers and aggregators: open the leg a later hop of this route can use
+            if (gate == TransferGate.OfficialAmm) {
+                if (isBuy && _isContract(to)) _extendRouteLeg(_buyRoutes[to], amountAfterTax, address(0), 0);
+                if (!isBuy) _sweepTaxIfDue();
+            } else if (!isBuy) {
+                _extendRouteLeg(_sellRoutes[to], amountAfterTax, from, taxBps);
+                _heldRouteTax = uint128(_heldRouteTaxNow() + amount - amountAfterTax);
+                _heldRouteTaxBlock = uint128(block.number);
+            }
+        } else {
+            _moveTokens(from, to, amount);
+        }
+    }
+
+    /**
+     * @dev Picks the Tolerant Fortress gate for a transfer and its tax rate.
+     * Shared by _update and quoteTransfer so quotes cannot drift from what is charged.
+     * @param from The sender address.
+     * @param to The recipient address.
+     * @param amount The amount of tokens being transferred, checked against route legs.
+     * @return gate The gate the transfer passes through.
+     * @return taxBps The tax rate (in basis points), zero for untaxed gates.
+     * @return isBuy True if tokens leave the AMM pair or contract, false if they enter it.
+     */
+    function _classifyTransfer(address from, address to, uint256 amount) private view returns (TransferGate gate, uint16 taxBps, bool isBuy) {
         // --- GATE 1: The VIP List (Most gas-efficient check first) ---
         if (isExcludedFromTax[from] || isExcludedFromTax[to]) {
-            super._update(from, to, amount);
-            return;
+            return (TransferGate.Excluded, 0, false);
         }
 
         bool fromIsOfficialAmm = automatedMarketMakerPairs[from];
-        bool toIsOfficialAmm = automatedMarketMakerPairs[to];
 
         // --- GATE 2: Official Market Trade (The Main Highway) ---
-        if (fromIsOfficialAmm || toIsOfficialAmm) {
-            bool isBuy = fromIsOfficialAmm;
-            uint16 currentTaxBps = _getCurrentTaxRate(isBuy, false);
-            _applyTax(from, to, amount, currentTaxBps, isBuy);
-            return;
+        if (fromIsOfficialAmm || automatedMarketMakerPairs[to]) {
+            // A router selling what a wallet just paid Gate 3 tax on settles at the pair's rate instead
+            if (!fromIsOfficialAmm && _liveRouteAmount(_sellRoutes[from]) >= amount) {
+                return (TransferGate.Routed, 0, false);
+            }
+            address pair = fromIsOfficialAmm ? from : to;
+            return (TransferGate.OfficialAmm, _getPairTaxRate(pair, fromIsOfficialAmm), fromIsOfficialAmm);
         }
         
         // --- GATE 3: Unofficial Contract Interaction (The Back Roads with Tolls) ---
-        if (_isContract(from) || _isContract(to)) {
-            bool isBuy = _isContract(from);
-            uint16 currentTaxBps = _getCurrentTaxRate(isBuy, true);
-            _applyTax(from, to, amount, currentTaxBps, isBuy);
-            return;
+        // Recognized smart wallets walk the sidewalks like EOAs
+        bool fromIsContract = _isContract(from) && !isRecognizedWallet(from);
+        bool toIsContract = _isContract(to) && !isRecognizedWallet(to);
+        if (fromIsContract || toIsContract) {
+            // Routers pay out what an official pair paid them to the route's own recipient, a wallet
+            if (fromIsContract && !toIsContract && _liveRouteAmount(_buyRoutes[from]) >= amount) {
+                return (TransferGate.Routed, 0, true);
+            }
+            return (TransferGate.Unofficial, fromIsContract ? UNOFFICIAL_BUY_TAX_BPS : UNOFFICIAL_SELL_TAX_BPS, fromIsContract);
         }
 
         // --- FINAL GATE: Peer-to-Peer (The Sidewalks) ---
-        super._update(from, to, amount);
+        return (TransferGate.PeerToPeer, 0, false);
     }
 
     /**
@@ -212,25 +381,190 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      * @param amount The amount of tokens being transferred.
      * @param taxBps The tax rate (in basis points) to apply.
      * @param isBuy True if this is a buy, false if sell.
+     * @param isUnofficial True if the tax comes from Gate 3, for the revenue counters.
+     * @return amountAfterTax The amount `to` received.
      */
-    function _applyTax(address from, address to, uint256 amount, uint16 taxBps, bool isBuy) private {
+    function _applyTax(
+        address from,
+        address to,
+        uint256 amount,
+        uint16 taxBps,
+        bool isBuy,
+        bool isUnofficial
+    ) private returns (uint256 amountAfterTax) {
         // Calculate tax amount with proper precision
         uint256 taxAmount = (amount * taxBps) / BASIS_POINTS_DIVISOR;
         
         // Skip processing if tax amount is zero (saves gas)
         if (taxAmount == 0) {
-            super._update(from, to, amount);
-            return;
+            _moveTokens(from, to, amount);
+            return amount;
         }
         
-        uint256 amountAfterTax = amount - taxAmount;
+        amountAfterTax = amount - taxAmount;
 
         // Apply tax first, then transfer remainder
-        super._update(from, address(this), taxAmount);
+        _moveTokens(from, address(this), taxAmount);
+        _recordTax(taxAmount, isBuy, isUnofficial);
         emit TaxCollected(from, to, taxAmount, isBuy, taxBps);
         
         if (amountAfterTax > 0) {
-            super._update(from, to, amountAfterTax);
+            _moveTokens(from, to, amountAfterTax);
+        }
+    }
+
+    /**
+     * @dev Enforces the launch guard limits on a non-excluded transfer (see _launchGuardRevert) and
+     * records buys, official or routed, against the wallet behind them for the same-block sell rule.
+     */
+    function _enforceLaunchGuard(address from, address to, uint256 amount, TransferGate gate, LaunchGuard memory guard) private {
+        if (gate == TransferGate.Excluded) return;
+
+        string memory reason = _launchGuardRevert(from, to, amount, gate, guard);
+        require(bytes(reason).length == 0, reason);
+        bool isBuy = automatedMarketMakerPairs[from];
+        bool isSell = automatedMarketMakerPairs[to];
+        if (isBuy) {
+            _launchGuardBuyBlock[_launchGuardAccount(to)] = block.number;
+        } else if (gate == TransferGate.Routed && !isSell) {
+            _launchGuardBuyBlock[to] = block.number;
+        }
+    }
+
+    /**
+     * @dev Why the launch guard would revert a transfer, empty if it passes. Shared by _update and
+     * quoteTransfer. Official buys and sells stay under maxTxBps of supply, recipients other than
+     * pairs under maxWalletBps, and an account cannot sell on an official pair in the block it bought.
+     * Routed trades count against the wallet behind them, not the router: a router's sell against the
+     * payer of its sell leg, a buy against the wallet the router pays it out to and, while a contract
+     * holds it, tx.origin.
+     */
+    function _launchGuardRevert(address from, address to, uint256 amount, TransferGate gate, LaunchGuard memory guard) private view returns (string memory) {
+        uint256 supply = totalSupply();
+        bool isSell = automatedMarketMakerPairs[to];
+        if ((automatedMarketMakerPairs[from] || isSell) && amount > (supply * guard.maxTxBps) / BASIS_POINTS_DIVISOR) {
+            return "AEC: Launch guard max transaction";
+        }
+        if (isSell) {
+            address seller = gate == TransferGate.Routed ? _sellRoutes[from].payer : _launchGuardAccount(from);
+            if (_launchGuardBuyBlock[seller] == block.number) return "AEC: Launch guard same-block sell";
+        } else if (balanceOf(to) + amount > (supply * guard.maxWalletBps) / BASIS_POINTS_DIVISOR) {
+            return "AEC: Launch guard max wallet";
+        }
+        return "";
+    }
+
+    /// @dev Account a launch guard trade counts against: contracts other than recognized wallets trade for tx.origin
+    function _launchGuardAccount(address account) private view returns (address) {
+        return _isContract(account) && !isRecognizedWallet(account) ? tx.origin : account;
+    }
+
+    /**
+     * @dev Moves a routed hop untaxed, consuming the sender's leg. A sell reaching an official pair
+     * settles at that pair's rate: the Gate 3 tax the payer paid on entry is split into the pair's
+     * tax, recounted as an official sell, and a rebate of the rest. A buy ends at its wallet.
+     */
+    function _routeTransfer(address from, address to, uint256 amount, bool isBuy) private {
+        RouteLeg storage leg = isBuy ? _buyRoutes[from] : _sellRoutes[from];
+        leg.amount -= uint96(amount);
+        _moveTokens(from, to, amount);
+
+        if (isBuy) return;
+
+        (uint256 prepaidTax, uint256 officialTax) = _routeSettlement(leg, to, amount);
+        uint256 rebate = prepaidTax - officialTax;
+        _heldRouteTax = uint128(_heldRouteTaxNow() - prepaidTax);
+
+        TaxTotals storage epochTotals = epochTaxCollected[currentTaxEpoch()];
+        totalTaxCollected.unofficial -= prepaidTax;
+        epochTotals.unofficial -= prepaidTax;
+        _recordTax(officialTax, false, false);
+
+        if (rebate > 0) _moveTokens(address(this), leg.payer, rebate);
+        emit RouteTaxSettled(leg.payer, to, officialTax, rebate);
+    }
+
+    /**
+     * @dev Splits the Gate 3 tax the payer of a sell leg prepaid on `amount` of it into the tax of
+     * `pair` and a rebate of the rest. Shared by _routeTransfer and quoteTransfer.
+     * @return prepaidTax Tax the payer paid on the gross amount it handed over for this part of the leg.
+     * Rounding can put it a wei above what Gate 3 held, hence the cap.
+     * @return officialTax The part recounted as an official sell at the pair's rate.
+     */
+    function _routeSettlement(RouteLeg storage leg, address pair, uint256 amount) private view returns (uint256 prepaidTax, uint256 officialTax) {
+        uint256 grossAmount = (amount * BASIS_POINTS_DIVISOR) / (BASIS_POINTS_DIVISOR - leg.paidBps);
+        prepaidTax = _min(grossAmount - amount, _heldRouteTaxNow());
+        officialTax = _min((grossAmount * _getPairTaxRate(pair, false)) / BASIS_POINTS_DIVISOR, prepaidTax);
+    }
+
+    /**
+     * @dev Adds to a holder's leg for the current tx.origin and block, replacing a stale or another payer's leg.
+     */
+    function _extendRouteLeg(RouteLeg storage leg, uint256 amount, address payer, uint16 paidBps) private {
+        if (_liveRouteAmount(leg) > 0 && leg.payer == payer && leg.paidBps == paidBps) {
+            leg.amount += uint96(amount);
+        } else {
+            leg.origin = tx.origin;
+            leg.blockNumber = uint64(block.number);
+            leg.paidBps = paidBps;
+            leg.payer = payer;
+            leg.amount = uint96(amount);
+        }
+    }
+
+    /**
+     * @dev Tax held back for this block's sell legs, see _heldRouteTax.
+     */
+    function _heldRouteTaxNow() private view returns (uint256) {
+        return _heldRouteTaxBlock == block.number ? _heldRouteTax : 0;
+    }
+
+    /**
+     * @dev Collected tax free to leave for the engine: the balance less this block's held route tax.
+     */
+    function _processableTax() private view returns (uint256) {
+        return balanceOf(address(this)) - _heldRouteTaxNow();
+    }
+
+    function _min(uint256 a, uint256 b) private pure returns (uint256) {
+        return a < b ? a : b;
+    }
+
+    /**
+     * @dev AEC left on a leg if it was opened by the current tx.origin in the current block, zero otherwise.
+     */
+    function _liveRouteAmount(RouteLeg storage leg) private view returns (uint256) {
+        return leg.origin == tx.origin && leg.blockNumber == block.number ? leg.amount : 0;
+    }
+
+    /**
+     * @dev Moves balances and the voting units that follow them. Units of votes-excluded
+     * accounts are minted or burned instead, so they never reach a delegate.
+     */
+    function _moveTokens(address from, address to, uint256 amount) private {
+        super._update(from, to, amount);
+
+        address votesFrom = isExcludedFromVotes[from] ? address(0) : from;
+        address votesTo = isExcludedFromVotes[to] ? address(0) : to;
+        if (votesFrom != address(0) || votesTo != address(0)) {
+            _transferVotingUnits(votesFrom, votesTo, amount);
+        }
+    }
+
+    /**
+     * @dev Adds collected tax to the cumulative and current-epoch counters of its source.
+     */
+    function _recordTax(uint256 taxAmount, bool isBuy, bool isUnofficial) private {
+        TaxTotals storage epochTotals = epochTaxCollected[currentTaxEpoch()];
+        if (isUnofficial) {
+            totalTaxCollected.unofficial += taxAmount;
+            epochTotals.unofficial += taxAmount;
+        } else if (isBuy) {
+            totalTaxCollected.buy += taxAmount;
+            epochTotals.buy += taxAmount;
+        } else {
+            totalTaxCollected.sell += taxAmount;
+            epochTotals.sell += taxAmount;
         }
     }
 
@@ -247,39 +581,72 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     }
 
     /**
-     * @dev Get current tax rate based on context and time.
-     * @param isBuy Whether this is a buy transaction.
-     * @param isUnofficial Whether this involves unofficial contracts.
-     * @return uint16 The applicable tax rate in basis points.
+     * @notice Whether an account runs registered smart-wallet code, so Gate 3 treats it as peer-to-peer.
+     * @dev Three rules, all read from the account's code at transfer time:
+     * 1) its codehash is a registered Wallet;
+     * 2) it is an EIP-1167 minimal proxy whose implementation's codehash is a registered Wallet;
+     * 3) its codehash is a registered SafeProxy and masterCopy() returns a registered Wallet,
+     *    so a Safe that swaps its singleton for unregistered code is taxed again.
+     * @param account The address to check.
+     * @return bool True if the account is a recognized wallet.
      */
-    function _getCurrentTaxRate(bool isBuy, bool isUnofficial) private view returns (uint16) {
-        if (isUnofficial) {
-            return isBuy ? UNOFFICIAL_BUY_TAX_BPS : UNOFFICIAL_SELL_TAX_BPS;
+    function isRecognizedWallet(address account) public view returns (bool) {
+        bytes32 codehash = account.codehash;
+        WalletCode kind = walletCodehashes[codehash];
+        if (kind == WalletCode.Wallet) return true;
+
+        if (kind == WalletCode.SafeProxy) {
+            (bool ok, bytes memory data) = account.staticcall{gas: WALLET_PROBE_GAS}(
+                abi.encodeWithSelector(SAFE_MASTER_COPY_SELECTOR)
+            );
+            if (!ok || data.length != 32) return false;
+            address singleton = address(uint160(uint256(bytes32(data))));
+            return walletCodehashes[singleton.codehash] == WalletCode.Wallet;
         }
-        
-        // Check if we're in launch period (cached for gas optimization)
-        bool isLaunchPeriod = block.timestamp < launchTimestamp + LAUNCH_TAX_DURATION;
-        
-        if (isLaunchPeriod) {
-            return isBuy ? INITIAL_BUY_TAX_BPS : INITIAL_SELL_TAX_BPS;
-        } else {
-            return isBuy ? NORMAL_BUY_TAX_BPS : NORMAL_SELL_TAX_BPS;
+
+        if (account.code.length == 45) {
+            bytes memory code = account.code;
+            address implementation;
+            assembly {
+                // Runtime: 363d3d373d3d3d363d73 <20-byte implementation> 5af43d82803e903d91602b57fd5bf3
+                implementation := shr(96, mload(add(code, 42)))
+            }
+            bytes memory expected = abi.encodePacked(
+                hex"363d3d373d3d3d363d73", implementation, hex"5af43d82803e903d91602b57fd5bf3"
+            );
+            return codehash == keccak256(expected) && walletCodehashes[implementation.codehash] == WalletCode.Wallet;
         }
+        return false;
     }
 
     // --- PerpetualEngine Interaction ---
+    /**
+     * @dev Rate of a trade on an official pair: launch rates first, then the pair's profile or the normal rates.
+     */
+    function _getPairTaxRate(address pair, bool isBuy) private view returns (uint16) {
+        if (block.timestamp < launchTimestamp + LAUNCH_TAX_DURATION) {
+            return isBuy ? INITIAL_BUY_TAX_BPS : INITIAL_SELL_TAX_BPS;
+        }
+        PairTaxProfile memory profile = pairTaxProfiles[pair];
+        if (profile.isCustom) {
+            return isBuy ? profile.buyTaxBps : profile.sellTaxBps;
+        }
+        return isBuy ? NORMAL_BUY_TAX_BPS : NORMAL_SELL_TAX_BPS;
+    }
+
     /**
      * @notice Approves the PerpetualEngine to withdraw all collected taxes.
      * @dev This function can be called by anyone to trigger the tax processing cycle.
-     * It sets the PerpetualEngine's allowance to the total tax balance held by this contract.
+     * It sets the PerpetualEngine's allowance to the tax balance held by this contract, less the tax
+     * held back for this block's routed sells.
      * A minimum balance is required to prevent spamming.
      * 
      * SECURITY FIX: Removed dangerous approval reset pattern to prevent race conditions.
      */
     function approveEngineForProcessing() external nonReentrant {
-        require(perpetualEngineAddress != address(0), "AEC: PerpetualEngine address not set");
+        _checkEngineSet();
         
-        uint256 contractBalance = balanceOf(address(this));
+        uint256 contractBalance = _processableTax();
         require(contractBalance >= MIN_AEC_TO_TRIGGER_APPROVAL, "AEC: Not enough collected tax to process");
         
         // SECURITY FIX: Direct approval without reset to prevent race conditions
@@ -289,6 +656,25 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
         emit PerpetualEngineApproved(perpetualEngineAddress, contractBalance);
     }
 
+    /**
+     * @dev Push mode: forwards the collected balance to the engine once it reaches the threshold,
+     * except the tax held back for this block's routed sells.
+     * Only official sells call it, after the seller's tokens reached the pair and before the router
+     * calls swap(), so it never runs for tokens a pair is paying out mid-swap. Balances move directly,
+     * not through _update, so the sweep cannot tax itself or trigger another sweep.
+     */
+    function _sweepTaxIfDue() private {
+        if (!taxSweepEnabled) return;
+        uint256 collected = _processableTax();
+        if (collected < taxSweepThreshold) return;
+
+        // Any outstanding approval covers tokens that are about to leave
+        _approve(address(this), perpetualEngineAddress, 0);
+        totalTaxSwept += collected;
+        _moveTokens(address(this), perpetualEngineAddress, collected);
+        emit TaxSwept(perpetualEngineAddress, collected);
+    }
+
     // --- Initial Setup Functions (Owner Only, Before Renounce) ---
     /**
      * @notice (Owner Only) Sets the address of the PerpetualEngine contract.
@@ -304,8 +690,9 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
         perpetualEngineAddress = _engineAddress;
         _perpetualEngineAddressInitialized = true;
         
-        // Automatically exclude PerpetualEngine from tax
+        // Automatically exclude PerpetualEngine from tax and votes
         isExcludedFromTax[_engineAddress] = true;
+        _setVotesExclusion(_engineAddress, true);
         emit PerpetualEngineAddressSet(_engineAddress);
     }
 
@@ -317,10 +704,10 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      */
     function setPrimaryAmmPair(address pairAddress) external onlyOwner onlyBeforeRenounce {
         require(primaryAmmPair == address(0), "AEC: Primary AMM pair address already set");
-        require(pairAddress != address(0), "AEC: Pair address cannot be zero");
+        _checkPairAddress(pairAddress);
         
         primaryAmmPair = pairAddress;
-        automatedMarketMakerPairs[pairAddress] = true;
+        _setAmmPair(pairAddress, true);
         
         emit PrimaryPairSet(pairAddress);
     }
@@ -333,10 +720,9 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      * @param excluded The desired exemption status (true for excluded, false for not).
      */
     function setTaxExclusion(address account, bool excluded) external onlyOwner onlyBeforeRenounce {
-        require(account != address(0), "AEC: Account cannot be zero");
+        _checkAccount(account);
         
-        isExcludedFromTax[account] = excluded;
-        emit TaxExclusionSet(account, excluded);
+        _setTaxExclusion(account, excluded);
     }
 
     /**
@@ -347,12 +733,139 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      * @param isPair The status to set (true if it's an official pair, false to remove).
      */
     function setAmmPair(address pair, bool isPair) external onlyOwner onlyBeforeRenounce {
-        require(pair != address(0), "AEC: Pair address cannot be zero");
+        _checkPairAddress(pair);
         
-        automatedMarketMakerPairs[pair] = isPair;
+        _setAmmPair(pair, isPair);
         emit AmmPairSet(pair, isPair);
     }
 
+    /**
+     * @notice (Owner Only) Gives an official AMM pair its own post-launch tax rates.
+     * @dev Rates are capped at the launch rates, so no official pair ever costs more than launch trading.
+     * Removing the pair with setAmmPair also clears its profile. Can only be used before ownership is renounced.
+     * @param pair The official AMM pair.
+     * @param buyTaxBps Buy tax in basis points.
+     * @param sellTaxBps Sell tax in basis points.
+     */
+    function setAmmPairTaxProfile(address pair, uint16 buyTaxBps, uint16 sellTaxBps) external onlyOwner onlyBeforeRenounce {
+        _checkOfficialPair(pair);
+        require(buyTaxBps <= INITIAL_BUY_TAX_BPS && sellTaxBps <= INITIAL_SELL_TAX_BPS, "AEC: Pair tax above launch rates");
+
+        pairTaxProfiles[pair] = PairTaxProfile(buyTaxBps, sellTaxBps, true);
+        emit AmmPairTaxProfileSet(pair, buyTaxBps, sellTaxBps);
+    }
+
+    function _setTaxExclusion(address account, bool excluded) private {
+        isExcludedFromTax[account] = excluded;
+        emit TaxExclusionSet(account, excluded);
+    }
+
+    function _setAmmPair(address pair, bool isPair) private {
+        automatedMarketMakerPairs[pair] = isPair;
+        uint256 position = _ammPairPositions[pair];
+        if (isPair && position == 0) {
+            _ammPairs.push(pair);
+            _ammPairPositions[pair] = _ammPairs.length;
+        } else if (!isPair && position != 0) {
+            address last = _ammPairs[_ammPairs.length - 1];
+            _ammPairs[position - 1] = last;
+            _ammPairPositions[last] = position;
+            _ammPairs.pop();
+            delete _ammPairPositions[pair];
+            delete pairTaxProfiles[pair];
+        }
+    }
+
+    /**
+     * @notice (Owner Only) Excludes or includes an address's balance in voting power.
+     * @dev The current balance is removed from (or restored to) the account's delegate and the total.
+     * Can only be used before ownership is renounced.
+     * @param account The address to update.
+     * @param excluded The exclusion status to set.
+     */
+    function setVotesExclusion(address account, bool excluded) external onlyOwner onlyBeforeRenounce {
+        require(account != address(0), "AEC: Cannot set exclusion for zero address");
+        require(isExcludedFromVotes[account] != excluded, "AEC: Votes exclusion unchanged");
+        _setVotesExclusion(account, excluded);
+    }
+
+    /**
+     * @notice (Owner Only) Turns push-mode tax sweeping on or off.
+     * @dev The threshold is at least MIN_AEC_TO_TRIGGER_APPROVAL, so sells never pay for dust sweeps.
+     * approveEngineForProcessing keeps working in both modes. Can only be used before ownership is renounced.
+     * @param enabled True to push tax to the engine on official sells.
+     * @param threshold Collected balance that triggers a sweep.
+     */
+    function setTaxSweep(bool enabled, uint256 threshold) external onlyOwner onlyBeforeRenounce {
+        if (enabled) {
+            _checkEngineSet();
+            require(threshold >= MIN_AEC_TO_TRIGGER_APPROVAL, "AEC: Sweep threshold below minimum");
+        }
+        taxSweepEnabled = enabled;
+        taxSweepThreshold = threshold;
+        emit TaxSweepConfigured(enabled, threshold);
+    }
+
+    /**
+     * @notice (Owner Only) Configures the anti-bot launch guard.
+     * @dev Only before the guard starts: once protocol liquidity reaches an official pair the limits are
+     * fixed, and they lapse after at most MAX_LAUNCH_GUARD_BLOCKS. Can only be used before ownership is renounced.
+     * @param durationBlocks Blocks the guard lasts after the first liquidity; zero disables it.
+     * @param maxTxBps Max official buy or sell, in bps of total supply.
+     * @param maxWalletBps Max balance of a recipient, in bps of total supply.
+     */
+    function setLaunchGuard(uint32 durationBlocks, uint16 maxTxBps, uint16 maxWalletBps) external onlyOwner onlyBeforeRenounce {
+        require(launchGuard.startBlock == 0, "AEC: Launch guard already started");
+        require(durationBlocks <= MAX_LAUNCH_GUARD_BLOCKS, "AEC: Launch guard too long");
+        require(
+            maxTxBps >= MIN_LAUNCH_LIMIT_BPS && maxWalletBps >= maxTxBps && maxWalletBps <= BASIS_POINTS_DIVISOR,
+            "AEC: Invalid launch limits"
+        );
+
+        launchGuard = LaunchGuard(0, durationBlocks, maxTxBps, maxWalletBps);
+        emit LaunchGuardConfigured(durationBlocks, maxTxBps, maxWalletBps);
+    }
+
+    /**
+     * @notice (Owner Only) Sets the token-holder governance that can change the allowlists after renounce.
+     * @dev Settable once; can only be used before ownership is renounced.
+     * @param governor The AccountabilityDAO (or another token-holder voting contract).
+     */
+    function setAllowlistGovernor(address governor) external onlyOwner onlyBeforeRenounce {
+        require(allowlistGovernor == address(0), "AEC: Allowlist governor already set");
+        require(governor != address(0), "AEC: Governor cannot be zero");
+        allowlistGovernor = governor;
+        emit AllowlistGovernorSet(governor);
+    }
+
+    function _setVotesExclusion(address account, bool excluded) private {
+        isExcludedFromVotes[account] = excluded;
+        uint256 balance = balanceOf(account);
+        if (balance > 0) {
+            if (excluded) {
+                _transferVotingUnits(account, address(0), balance);
+            } else {
+                _transferVotingUnits(address(0), account, balance);
+            }
+        }
+        emit VotesExclusionSet(account, excluded);
+    }
+
+    /**
+     * @notice (Owner Only) Registers or removes a smart-wallet runtime codehash.
+     * @dev Registration covers every contract running that code, present and future, so only
+     * audited wallet implementations and proxies belong here. Can only be used before ownership is renounced;
+     * the registered rules keep applying afterwards.
+     * @param codehash The runtime codehash (EXTCODEHASH) of the wallet implementation or proxy.
+     * @param kind Wallet, SafeProxy, or None to remove.
+     */
+    function setWalletCodehash(bytes32 codehash, WalletCode kind) external onlyOwner onlyBeforeRenounce {
+        require(codehash != bytes32(0) && codehash != keccak256(""), "AEC: Codehash must be contract code");
+        
+        walletCodehashes[codehash] = kind;
+        emit WalletCodehashSet(codehash, kind);
+    }
+
     // --- Rescue & Ownership ---
     /**
      * @notice (Owner Only) Rescues foreign ERC20 tokens mistakenly sent to this contract.
@@ -382,15 +895,111 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
         renounceOwnership();
     }
 
+    // --- Allowlist Governance (Governor Only, Survives Renounce) ---
+    /**
+     * @notice (Governor Only) Queues a tax exclusion or AMM pair change behind the public delay.
+     * @dev A change that lapsed unexecuted past its grace period can be queued again.
+     * @param action Which allowlist to change.
+     * @param account The account or pair.
+     * @param status The value to set.
+     * @return changeId Id to veto the change with.
+     */
+    function proposeAllowlistChange(AllowlistAction action, address account, bool status) external returns (bytes32 changeId) {
+        _checkAllowlistGovernor();
+        _checkAccount(account);
+        changeId = getAllowlistChangeId(action, account, status);
+        uint256 queuedEta = allowlistChangeEta[changeId];
+        require(queuedEta == 0 || block.timestamp > queuedEta + ALLOWLIST_GRACE_PERIOD, "AEC: Change already queued");
+
+        uint256 eta = block.timestamp + ALLOWLIST_DELAY;
+        allowlistChangeEta[changeId] = eta;
+        emit AllowlistChangeProposed(changeId, action, account, status, eta);
+    }
+
+    /**
+     * @notice (Governor Only) Cancels a queued allowlist change before it executes.
+     */
+    function vetoAllowlistChange(bytes32 changeId) external {
+        _checkAllowlistGovernor();
+        _queuedEta(changeId);
+        delete allowlistChangeEta[changeId];
+        emit AllowlistChangeVetoed(changeId);
+    }
+
+    /**
+     * @notice Applies a queued allowlist change once its delay has passed. Callable by anyone.
+     * @dev A tax exclusion sets the account's votes exclusion to match, as the deploy pipeline does for
+     * every protocol contract, so a protocol contract allowlisted after renounce holds no voting power.
+     */
+    function executeAllowlistChange(AllowlistAction action, address account, bool status) external {
+        bytes32 changeId = getAllowlistChangeId(action, account, status);
+        uint256 eta = _queuedEta(changeId);
+        require(block.timestamp >= eta, "AEC: Change delay not over");
+        require(block.timestamp <= eta + ALLOWLIST_GRACE_PERIOD, "AEC: Change expired");
+
+        delete allowlistChangeEta[changeId];
+        if (action == AllowlistAction.TaxExclusion) {
+            _setTaxExclusion(account, status);
+            if (isExcludedFromVotes[account] != status) _setVotesExclusion(account, status);
+        } else {
+            _setAmmPair(account, status);
+            emit AmmPairSet(account, status);
+        }
+        emit AllowlistChangeExecuted(changeId);
+    }
+
+    /**
+     * @notice Id of an allowlist change, as queued by proposeAllowlistChange.
+     */
+    function getAllowlistChangeId(AllowlistAction action, address account, bool status) public pure returns (bytes32) {
+        return keccak256(abi.encode(action, account, status));
+    }
+
+    function _checkNotRenounced() private view {
+        require(owner() != address(0), "AEC: Ownership already renounced");
+    }
+
+    function _checkAllowlistGovernor() private view {
+        require(msg.sender == allowlistGovernor, "AEC: Not the allowlist governor");
+    }
+
+    function _checkAccount(address account) private pure {
+        require(account != address(0), "AEC: Account cannot be zero");
+    }
+
+    function _checkPairAddress(address pair) private pure {
+        require(pair != address(0), "AEC: Pair address cannot be zero");
+    }
+
+    function _queuedEta(bytes32 changeId) private view returns (uint256 eta) {
+        eta = allowlistChangeEta[changeId];
+        require(eta != 0, "AEC: Change not queued");
+    }
+
+    function _checkEngineSet() private view {
+        require(perpetualEngineAddress != address(0), "AEC: PerpetualEngine address not set");
+    }
+
+    function _checkOfficialPair(address pair) private view {
+        require(automatedMarketMakerPairs[pair], "AEC: Not an official AMM pair");
+    }
+
     // --- View Functions ---
+    /**
+     * @notice Whether the launch guard limits apply in the current block.
+     */
+    function isLaunchGuardActive() public view returns (bool) {
+        LaunchGuard memory guard = launchGuard;
+        return guard.startBlock != 0 && block.number < guard.startBlock + guard.durationBlocks;
+    }
+
     /**
      * @notice Gets the current buy tax rate in basis points (1% = 100 BPS).
      * @dev Returns the higher initial tax rate during the first 5 days, or the normal rate thereafter.
      * @return uint16 The current buy tax rate in BPS.
      */
     function getCurrentBuyTaxBps() public view returns (uint16) {
-        bool isLaunchPeriod = block.timestamp < launchTimestamp + LAUNCH_TAX_DURATION;
-        return isLaunchPeriod ? INITIAL_BUY_TAX_BPS : NORMAL_BUY_TAX_BPS;
+        return _getPairTaxRate(address(0), true);
     }
 
     /**
@@ -399,8 +1008,7 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      * @return uint16 The current sell tax rate in BPS.
      */
     function getCurrentSellTaxBps() public view returns (uint16) {
-        bool isLaunchPeriod = block.timestamp < launchTimestamp + LAUNCH_TAX_DURATION;
-        return isLaunchPeriod ? INITIAL_SELL_TAX_BPS : NORMAL_SELL_TAX_BPS;
+        return _getPairTaxRate(address(0), false);
     }
 
     /**
@@ -412,6 +1020,105 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
         return (UNOFFICIAL_BUY_TAX_BPS, UNOFFICIAL_SELL_TAX_BPS);
     }
 
+    /**
+     * @notice Quotes what a transfer would cost right now, without sending it.
+     * @dev Mirrors _update: same gate, same rate, same rounding, same launch guard limits. The quote
+     *      moves with block.timestamp (launch period) and with exclusions, AMM pairs and contract code.
+     *      Route legs and the launch guard's same-block rule only count for the current tx.origin and
+     *      block: quote from inside the transaction, or against the pending block, to see them.
+     * @param from The sender address.
+     * @param to The recipient address.
+     * @param amount The amount of tokens to transfer.
+     * @return gate The gate the transfer would pass through.
+     * @return taxBps The tax rate in BPS (zero for Excluded, PeerToPeer and routed buys; the pair's
+     *         rate for a routed sell).
+     * @return taxAmount The tax that would be sent to this contract. For a routed sell, the part of
+     *         the Gate 3 tax its payer prepaid that is recounted at the pair instead.
+     * @return netAmount The amount `to` would receive.
+     * @return belowDustMinimum True if the transfer would revert for being under MIN_TRANSFER_AMOUNT.
+     * @return rebate AEC a routed sell would refund to the payer of its leg.
+     * @return launchGuardRevert The reason the launch guard would revert the transfer, empty if none.
+     */
+    function quoteTransfer(address from, address to, uint256 amount) external view returns (
+        TransferGate gate,
+        uint16 taxBps,
+        uint256 taxAmount,
+        uint256 netAmount,
+        bool belowDustMinimum,
+        uint256 rebate,
+        string memory launchGuardRevert
+    ) {
+        require(from != address(0) && to != address(0), "AEC: Quote needs sender and recipient");
+        bool isBuy;
+        (gate, taxBps, isBuy) = _classifyTransfer(from, to, amount);
+        taxAmount = (amount * taxBps) / BASIS_POINTS_DIVISOR;
+        netAmount = amount - taxAmount;
+        belowDustMinimum = amount > 0 && amount < MIN_TRANSFER_AMOUNT;
+        if (gate == TransferGate.Routed && !isBuy) {
+            uint256 prepaidTax;
+            (prepaidTax, taxAmount) = _routeSettlement(_sellRoutes[from], to, amount);
+            taxBps = _getPairTaxRate(to, false);
+            rebate = prepaidTax - taxAmount;
+        }
+        if (gate != TransferGate.Excluded && isLaunchGuardActive()) {
+            launchGuardRevert = _launchGuardRevert(from, to, amount, gate, launchGuard);
+        }
+    }
+
+    /**
+     * @notice Current buy and sell tax of an official AMM pair.
+     * @param pair The pair to check; reverts if it is not official.
+     * @return buyTaxBps Buy tax in basis points.
+     * @return sellTaxBps Sell tax in basis points.
+     */
+    function getPairTaxRates(address pair) external view returns (uint16 buyTaxBps, uint16 sellTaxBps) {
+        _checkOfficialPair(pair);
+        return (_getPairTaxRate(pair, true), _getPairTaxRate(pair, false));
+    }
+
+    /**
+     * @notice All official AMM pairs, in registration order.
+     * @dev Removing a pair moves the last one into its place.
+     */
+    function getAmmPairs() external view returns (address[] memory) {
+        return _ammPairs;
+    }
+
+    /**
+     * @notice AEC a router or aggregator may still move onwards without a second tax.
+     * @dev Counts for the tx.origin that opened the legs, in the block they were opened in.
+     * @param holder The contract holding the routed AEC.
+     * @return buyCredit AEC received from an official pair, forwardable untaxed.
+     * @return sellCredit AEC received from a wallet under Gate 3, settled at the pair's rate when sold.
+     */
+    function getRouteCredit(address holder) external view returns (uint256 buyCredit, uint256 sellCredit) {
+        return (_liveRouteAmount(_buyRoutes[holder]), _liveRouteAmount(_sellRoutes[holder]));
+    }
+
+    /**
+     * @notice The tax accounting epoch the current block falls in.
+     * @return uint256 Epochs of TAX_EPOCH_DURATION elapsed since launchTimestamp.
+     */
+    function currentTaxEpoch() public view returns (uint256) {
+        return (block.timestamp - launchTimestamp) / TAX_EPOCH_DURATION;
+    }
+
+    /**
+     * @notice Tax collected per epoch over an inclusive range, by source.
+     * @param fromEpoch First epoch to return.
+     * @param toEpoch Last epoch to return (may be ahead of the current epoch; future epochs are zero).
+     * @return epochs One entry per epoch, fromEpoch first.
+     */
+    function getEpochTaxRange(uint256 fromEpoch, uint256 toEpoch) external view returns (TaxTotals[] memory epochs) {
+        require(fromEpoch <= toEpoch, "AEC: Invalid epoch range");
+        require(toEpoch - fromEpoch < MAX_EPOCH_RANGE, "AEC: Epoch range too long");
+
+        epochs = new TaxTotals[](toEpoch - fromEpoch + 1);
+        for (uint256 i = 0; i < epochs.length; i++) {
+            epochs[i] = epochTaxCollected[fromEpoch + i];
+        }
+    }
+
     /**
      * @notice Gets comprehensive information about the current state of the contract.
      * @return isLaunchPeriod Whether we're still in the 5-day launch period.
@@ -419,19 +1126,28 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
      * @return currentSellTax Current sell tax rate in BPS.
      * @return collectedTax Amount of tax currently collected and ready for processing.
      * @return engineSet Whether the PerpetualEngine address has been set.
+     * @return totalBuyTax Official AMM buy tax collected since launch.
+     * @return totalSellTax Official AMM sell tax collected since launch.
+     * @return totalUnofficialTax Unofficial-contract tax collected since launch.
      */
     function getContractState() external view returns (
         bool isLaunchPeriod,
         uint16 currentBuyTax,
         uint16 currentSellTax,
         uint256 collectedTax,
-        bool engineSet
+        bool engineSet,
+        uint256 totalBuyTax,
+        uint256 totalSellTax,
+        uint256 totalUnofficialTax
     ) {
         isLaunchPeriod = block.timestamp < launchTimestamp + LAUNCH_TAX_DURATION;
         currentBuyTax = getCurrentBuyTaxBps();
         currentSellTax = getCurrentSellTaxBps();
         collectedTax = balanceOf(address(this));
         engineSet = perpetualEngineAddress != address(0);
+        totalBuyTax = totalTaxCollected.buy;
+        totalSellTax = totalTaxCollected.sell;
+        totalUnofficialTax = totalTaxCollected.unofficial;
     }
 
     /**
@@ -478,4 +1194,15 @@ contract AECToken is ERC20, ERC20Burnable, Ownable, ReentrancyGuard, IAECToken {
     function burn(uint256 amount) public override(ERC20Burnable, IAECToken) {
         super.burn(amount);
     }
+
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    /**
+     * @dev Voting units are the balance, except for accounts excluded from votes.
+     */
+    function _getVotingUnits(address account) internal view override returns (uint256) {
+        return isExcludedFromVotes[account] ? 0 : balanceOf(account);
+    }
 }
\ No newline at end of file
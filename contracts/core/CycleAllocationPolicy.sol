@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/ICycleAllocationPolicy.sol";
+import "../interfaces/IPerpetualEngine.sol";
+
+/// @dev Base reward accounting shared by AECStakingLP, AECStakingToken and AECStakingNFT
+interface IBaseRewardPool {
+    function remainingBaseRewards() external view returns (uint256);
+    function initialRewardAllocation() external view returns (uint256);
+}
+
+/**
+ * @title CycleAllocationPolicy
+ * @author Fukuhi
+ * @notice Adapts the PerpetualEngine's 20-40-40 burn/liquidity/refill split to market conditions
+ * @dev The split is a pure function of MarketSignals. Each signal moves a bounded amount of
+ *      weight between two phases, so the result always sums to 100% and stays within:
+ *      burn 5%-25%, liquidity 35%-47.5%, refill 40%-47.5%.
+ *      - Thin pool: AEC in the primary pair below TARGET_POOL_DEPTH_BPS of supply moves up to
+ *        MAX_LP_SHIFT_BPS from burn to liquidity.
+ *      - Depleted staking: base rewards left below REWARDS_FLOOR_BPS of their allocation move
+ *        up to MAX_REFILL_SHIFT_BPS from burn to refill.
+ *      - Falling price: spot below TWAP moves up to MAX_TREND_SHIFT_BPS from liquidity to burn,
+ *        so less AEC is sold into the decline; the full shift is reached FULL_TREND_BPS below.
+ *      Each shift grows linearly with the distance past its threshold.
+ */
+contract CycleAllocationPolicy is ICycleAllocationPolicy {
+    // ================================================================
+    // CONSTANTS
+    // ================================================================
+
+    uint16 public constant BASIS_POINTS = 10000;
+
+    /// @dev Split with no signal active, matching PerpetualEngine's fixed split
+    uint16 public constant BASE_BURN_BPS = 2000;
+    uint16 public constant BASE_LP_BPS = 4000;
+    uint16 public constant BASE_REFILL_BPS = 4000;
+
+    /// @dev Pool depth: share of supply the primary pair should hold
+    uint16 public constant TARGET_POOL_DEPTH_BPS = 1000;
+    uint16 public constant MAX_LP_SHIFT_BPS = 750;
+
+    /// @dev Staking runway: share of the base reward allocation the pools should have left
+    uint16 public constant REWARDS_FLOOR_BPS = 2500;
+    uint16 public constant MAX_REFILL_SHIFT_BPS = 750;
+
+    /// @dev Price trend: spot discount to TWAP at which the full shift applies
+    uint16 public constant FULL_TREND_BPS = 1000;
+    uint16 public constant MAX_TREND_SHIFT_BPS = 500;
+
+    // ================================================================
+    // IMMUTABLES
+    // ================================================================
+
+    IPerpetualEngine public immutable perpetualEngine;
+    IERC20 public immutable aecToken;
+    address public immutable stakingContractLP;
+    address public immutable stakingContractToken;
+    address public immutable stakingContractNFT;
+
+    /**
+     * @param _engine PerpetualEngine whose primary pair is read
+     * @param _aecToken AEC token
+     * @param _stakingLP LP staking pool
+     * @param _stakingToken Token staking pool
+     * @param _stakingNFT NFT staking pool
+     */
+    constructor(
+        address _engine,
+        address _aecToken,
+        address _stakingLP,
+        address _stakingToken,
+        address _stakingNFT
+    ) {
+        require(_engine != address(0), "Policy: Invalid engine address");
+        require(_aecToken != address(0), "Policy: Invalid AEC address");
+        require(
+            _stakingLP != address(0) && _stakingToken != address(0) && _stakingNFT != address(0),
+            "Policy: Invalid staking address"
+        );
+
+        perpetualEngine = IPerpetualEngine(_engine);
+        aecToken = IERC20(_aecToken);
+        stakingContractLP = _stakingLP;
+        stakingContractToken = _stakingToken;
+        stakingContractNFT = _stakingNFT;
+    }
+
+    // ================================================================
+    // POLICY
+    // ================================================================
+
+    /**
+     * @notice Split of a cycle under the given market signals
+     * @dev Signals that cannot be read (zero supply, allocation or TWAP) leave their shift at zero
+     * @param signals Market readings
+     * @return burnBps Share burned, in basis points
+     * @return lpBps Share added as liquidity, in basis points
+     * @return refillBps Share sent to the staking pools, in basis points
+     */
+    function computeAllocation(MarketSignals memory signals) public pure returns (
+        uint16 burnBps,
+        uint16 lpBps,
+        uint16 refillBps
+    ) {
+        uint256 lpShift = signals.aecSupply > 0
+            ? _shift(MAX_LP_SHIFT_BPS, (signals.poolAecReserve * BASIS_POINTS) / signals.aecSupply, TARGET_POOL_DEPTH_BPS)
+            : 0;
+        uint256 refillShift = signals.rewardsAllocated > 0
+            ? _shift(MAX_REFILL_SHIFT_BPS, (signals.rewardsRemaining * BASIS_POINTS) / signals.rewardsAllocated, REWARDS_FLOOR_BPS)
+            : 0;
+
+        uint256 trendShift;
+        if (signals.twapPrice > 0 && signals.spotPrice < signals.twapPrice) {
+            uint256 discountBps = ((signals.twapPrice - signals.spotPrice) * BASIS_POINTS) / signals.twapPrice;
+            trendShift = discountBps >= FULL_TREND_BPS
+                ? MAX_TREND_SHIFT_BPS
+                : (discountBps * MAX_TREND_SHIFT_BPS) / FULL_TREND_BPS;
+        }
+
+        burnBps = uint16(BASE_BURN_BPS + trendShift - lpShift - refillShift);
+        lpBps = uint16(BASE_LP_BPS + lpShift - trendShift);
+        refillBps = uint16(BASE_REFILL_BPS + refillShift);
+    }
+
+    /**
+     * @notice Current market signals: primary pair reserves and TWAP from the engine,
+     *         base rewards from the three staking pools
+     * @dev A pool that cannot be read is left out of both reward totals
+     */
+    function getMarketSignals() public view returns (MarketSignals memory signals) {
+        signals.aecSupply = aecToken.totalSupply();
+
+        (
+            uint256 reserve0,
+            uint256 reserve1,
+            ,
+            ,
+            bool aecIsToken0,
+            uint256 twapPrice,
+            uint256 spotPrice,
+            ,
+            bool twapReady
+        ) = perpetualEngine.getPoolInfo();
+        signals.poolAecReserve = aecIsToken0 ? reserve0 : reserve1;
+        signals.twapPrice = twapReady ? twapPrice : 0;
+        signals.spotPrice = spotPrice;
+
+        address[3] memory pools = [stakingContractLP, stakingContractToken, stakingContractNFT];
+        for (uint256 i = 0; i < pools.length; ++i) {
+            if (pools[i].code.length == 0) continue;
+            try IBaseRewardPool(pools[i]).initialRewardAllocation() returns (uint256 allocated) {
+                try IBaseRewardPool(pools[i]).remainingBaseRewards() returns (uint256 remaining) {
+                    signals.rewardsAllocated += allocated;
+                    signals.rewardsRemaining += remaining;
+                } catch {
+                    // Not a base reward pool
+                }
+            } catch {
+                // Not a base reward pool
+            }
+        }
+    }
+
+    /**
+     * @notice Split the next cycle would use
+     */
+    function getAllocation() external view returns (uint16 burnBps, uint16 lpBps, uint16 refillBps) {
+        return computeAllocation(getMarketSignals());
+    }
+
+    // ================================================================
+    // INTERNAL
+    // ================================================================
+
+    /// @dev maxShift scaled by how far value falls short of threshold
+    function _shift(uint256 maxShift, uint256 value, uint256 threshold) private pure returns (uint256) {
+        return value >= threshold ? 0 : (maxShift * (threshold - value)) / threshold;
+    }
+}
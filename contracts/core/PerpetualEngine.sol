@@ -4,20 +4,25 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "../interfaces/IPerpetualEngine.sol";
 import "../interfaces/IAECToken.sol";
 import "../interfaces/IPerpetualEndowment.sol";
 import "../interfaces/IAECStakingLP.sol";
 import "../interfaces/IUniswapV2Router02.sol";
+import "../interfaces/IUniswapV2Factory.sol";
 import "../interfaces/IUniswapV2Pair.sol";
 import "../interfaces/IStakingRewards.sol";
+import "../interfaces/ICycleAllocationPolicy.sol";
 
 /**
  * @title PerpetualEngine
  * @author Fukuhi
  * @notice Autonomous economic engine for AetherCycle ecosystem
  * @dev Processes taxes, burns tokens, adds liquidity, distributes rewards
- * Features flexible liquidity strategies and anti-dead loop mechanisms
+ * Features flexible liquidity strategies and anti-dead loop mechanisms.
+ * Liquidity can be spread over several Uniswap V2-compatible AEC pools ("venues"); each cycle
+ * swaps through and deepens one of them, each guarded by its own TWAP.
  */
 contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     using SafeERC20 for IERC20;
@@ -42,9 +47,24 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     /// @dev Caller incentive (from new taxes only)
     uint16 public constant CALLER_REWARD_BPS = 10;      // 0.1%
     
-    /// @dev Maximum swap attempts for adaptive strategy
+    /// @dev Maximum zap swap attempts, halving the amount after each failure
     uint8 public constant MAX_SWAP_ATTEMPTS = 5;
 
+    /// @dev Swap fee of the Uniswap V2-style pairs venues trade on, used to size zap swaps
+    uint16 public constant PAIR_FEE_BPS = 30;          // 0.3%
+
+    /// @dev TWAP oracle: ring buffer size and bounds for the configurable window/band
+    uint8 public constant TWAP_OBSERVATION_SLOTS = 8;
+    uint32 public constant MIN_TWAP_PERIOD = 5 minutes;
+    uint32 public constant MAX_TWAP_PERIOD = 1 days;
+    uint16 public constant MAX_TWAP_DEVIATION_BPS = 2500; // 25%
+
+    /// @dev Liquidity venues, including the primary AEC/stablecoin pair
+    uint8 public constant MAX_LIQUIDITY_VENUES = 4;
+
+    /// @dev Swap routes tried besides each venue's own pair
+    uint8 public constant MAX_SWAP_ROUTES = 3;
+
     /// @dev Token contracts
     IAECToken public immutable aecToken;
     IERC20 public immutable stablecoinToken;
@@ -70,9 +90,86 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     uint256 public publicProcessCooldown;
     uint256 public lastPublicProcessTime;
 
-    /// @dev Processing state
-    bool private _processingInProgress;
-    bool private _swapLock;
+    /// @dev Adapts the burn/LP/refill split to market signals; unset means the fixed split
+    ICycleAllocationPolicy public allocationPolicy;
+
+    /// @dev AECToken.totalTaxSwept already counted as new taxes by a cycle
+    uint256 public sweptTaxCounted;
+
+    // ================================================================
+    // TWAP ORACLE STATE
+    // ================================================================
+
+    /// @dev Cumulative AEC price (stablecoin per AEC, UQ112x112 seconds) at a point in time
+    struct PriceObservation {
+        uint32 timestamp;
+        uint256 aecPriceCumulative;
+    }
+
+    /// @dev Minimum age of the observation the TWAP is measured from
+    uint32 public twapPeriod = 30 minutes;
+
+    /// @dev Maximum spot/TWAP deviation before swaps are skipped
+    uint16 public twapDeviationBps = 500; // 5%
+
+    /// @dev Observation ring buffer of one venue
+    struct PriceOracle {
+        PriceObservation[TWAP_OBSERVATION_SLOTS] observations;
+        uint8 latestIndex;
+        uint8 count;
+    }
+
+    mapping(uint256 => PriceOracle) private _oracles;
+
+    // ================================================================
+    // LIQUIDITY VENUES
+    // ================================================================
+
+    /// @dev An AEC pool the engine swaps through and adds liquidity to.
+    ///      Venue 0 is the AEC/stablecoin pair fixed at construction.
+    struct LiquidityVenue {
+        IUniswapV2Router02 router;
+        IUniswapV2Pair pair;
+        IERC20 quoteToken;
+        bool aecIsToken0;
+        bool active;
+    }
+
+    LiquidityVenue[] private _venues;
+
+    /// @dev Venue the next cycle's rotation starts from
+    uint256 public nextVenueId;
+
+    /// @dev Another way to sell AEC for a venue's quote token: a V2-compatible router, directly
+    ///      or through one intermediate token. Routes can only be added, and only before
+    ///      deployer privileges are renounced.
+    struct SwapRoute {
+        IUniswapV2Router02 router;
+        address hop;
+    }
+
+    /// @dev Route i is reported as route i + 1; route 0 is the venue's own pair
+    SwapRoute[] public swapRoutes;
+
+    // ================================================================
+    // CYCLE HISTORY
+    // ================================================================
+
+    /// @dev Every processed cycle, oldest first; skipped calls are not recorded.
+    ///      AEC amounts are stored as uint96: the whole supply fits.
+    CycleRecord[] private _cycles;
+
+    /// @dev Running totals over _cycles
+    struct CycleTotals {
+        uint128 processed;
+        uint128 burned;
+        uint128 liquidityAec;
+        uint128 rewards;
+        uint64 swapAttempts;
+        uint64 swapsSucceeded;
+    }
+
+    CycleTotals private _cycleTotals;
 
     // ================================================================
     // ENDOWMENT INTEGRATION STATE VARIABLES
@@ -102,6 +199,9 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         address caller
     );
 
+    /// @notice Emitted with the burn/LP/refill split a cycle applies
+    event CycleAllocationApplied(uint16 burnBps, uint16 lpBps, uint16 refillBps);
+
     /// @notice Emitted when AEC is burned
     event AecBurnedInCycle(uint256 amount);
 
@@ -122,18 +222,29 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     /// @notice Emitted when processing is skipped
     event ProcessingSkipped(uint256 currentBalance, uint256 required);
 
-    /// @notice Emitted when swap attempts occur
-    event SwapAttempt(uint256 aecAmount, bool successful, uint256 stablecoinObtained);
+    /// @notice Emitted when swap attempts occur, with the route the swap went through
+    event SwapAttempt(uint256 aecAmount, bool successful, uint256 stablecoinObtained, uint256 routeId);
 
-    /// @notice Emitted when liquidity strategy is attempted  
-    event FlexibleStrategyAttempt(
-        string strategyName,
-        uint256 aecAmount,
-        uint256 stablecoinAmount,
-        uint256 aecMin,
-        uint256 stablecoinMin,
-        bool successful
-    );
+    /// @notice Emitted when the TWAP guard holds back the swap phase (prices in stablecoin units per 1 AEC)
+    event SwapSkipped(uint256 aecAmount, uint256 spotPrice, uint256 twapPrice, uint256 deviationBps, string reason);
+
+    /// @notice Emitted when a new cumulative price observation is stored
+    event PriceObservationRecorded(uint256 indexed venueId, uint32 timestamp, uint256 aecPriceCumulative);
+
+    /// @notice Emitted when a liquidity venue is registered
+    event LiquidityVenueAdded(uint256 indexed venueId, address router, address pair, address quoteToken);
+
+    /// @notice Emitted when a swap route is registered
+    event SwapRouteAdded(uint256 indexed routeId, address router, address hop);
+
+    /// @notice Emitted when a venue is taken out of or back into the rotation
+    event LiquidityVenueStatusUpdated(uint256 indexed venueId, bool active);
+
+    /// @notice Emitted when a cycle picks the venue it swaps through and deepens
+    event CycleVenueSelected(uint256 indexed venueId, address pair);
+
+    /// @notice Emitted when the TWAP window or deviation band changes
+    event TwapParametersUpdated(uint32 period, uint16 deviationBps);
 
     /// @notice Emitted when AEC accumulates for next cycle
     event UnutilizedAecAccumulated(uint256 amount, string reason);
@@ -145,6 +256,9 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         address nftStaking
     );
 
+    /// @notice Emitted when the allocation policy is set or cleared
+    event AllocationPolicySet(address indexed policy);
+
     /// @notice Emitted when deployer privileges are renounced
     event DeployerPrivilegesRenounced();
 
@@ -212,31 +326,22 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         address pairAddr = _computePairAddress(factory, _aecTokenAddress, _stablecoinTokenAddress);
         require(pairAddr != address(0), "PE: Pair doesn't exist");
         aecStablecoinPair = IUniswapV2Pair(pairAddr);
+        _venues.push(LiquidityVenue({
+            router: IUniswapV2Router02(_routerAddress),
+            pair: IUniswapV2Pair(pairAddr),
+            quoteToken: IERC20(_stablecoinTokenAddress),
+            aecIsToken0: _aecTokenAddress < _stablecoinTokenAddress,
+            active: true
+        }));
     }
 
     // ================================================================
     // MODIFIERS
     // ================================================================
 
-    /// @dev Prevents reentrancy in main processing
-    modifier onlyNotProcessing() {
-        require(!_processingInProgress, "PE: Already processing");
-        _processingInProgress = true;
-        _;
-        _processingInProgress = false;
-    }
-
-    /// @dev Prevents reentrancy in swap operations
-    modifier onlyNotSwapping() {
-        require(!_swapLock, "PE: Swap in progress");
-        _swapLock = true;
-        _;
-        _swapLock = false;
-    }
-
     /// @dev Restricts access to deployer before renouncement
     modifier onlyActiveDeployer() {
-        require(deployerPrivilegesActive && msg.sender == deployerWallet, "PE: Not authorized");
+        _checkActiveDeployer();
         _;
     }
 
@@ -258,7 +363,10 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
      * @dev Processes taxes, burns tokens, adds liquidity, distributes rewards
      * Anyone can call after cooldown period. Caller receives 0.1% of new taxes
      */
-    function runCycle() external nonReentrant onlyNotProcessing cooldownRespected {
+    function runCycle() public nonReentrant cooldownRespected {
+        // 0. Sample pool prices before anything in this cycle trades against them
+        _recordPriceObservations();
+
         // 1. Try to pull from endowment FIRST
         uint256 endowmentAmount = _tryEndowmentRelease();
         
@@ -266,7 +374,7 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         uint256 newTaxes = _collectTaxesAndRewards();
         
         // 3. Check total balance
-        uint256 totalBalance = aecToken.balanceOf(address(this));
+        uint256 totalBalance = _aecBalance();
         
         // 4. Validate minimum threshold
         if (totalBalance < minAecToProcess) {
@@ -282,20 +390,33 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         uint256 totalAecForProcessing = totalBalance - callerReward;
         
         // 7. Execute operations
-        uint256 burnAmount = (totalAecForProcessing * BURN_BPS) / BASIS_POINTS_DIVISOR;
-        uint256 lpAmount = (totalAecForProcessing * AUTO_LP_BPS) / BASIS_POINTS_DIVISOR;
-        uint256 refillAmount = (totalAecForProcessing * REWARDS_REFILL_BPS) / BASIS_POINTS_DIVISOR;
+        (uint16 burnBps, uint16 lpBps, uint16 refillBps) = _cycleAllocation();
+        emit CycleAllocationApplied(burnBps, lpBps, refillBps);
+        uint256 burnAmount = (totalAecForProcessing * burnBps) / BASIS_POINTS_DIVISOR;
+        uint256 lpAmount = (totalAecForProcessing * lpBps) / BASIS_POINTS_DIVISOR;
+        uint256 refillAmount = (totalAecForProcessing * refillBps) / BASIS_POINTS_DIVISOR;
         
-        _burnAecTokens(burnAmount);
-        _executeAutoLpAndStake(lpAmount);
-        _refillStakingRewards(refillAmount);
+        // The cycle's record is filled in by each phase as it runs
+        CycleRecord storage record = _cycles.push();
+        record.timestamp = uint40(block.timestamp);
+        record.caller = msg.sender;
+        record.newTaxes = uint96(newTaxes);
+        record.endowmentReleased = uint96(endowmentAmount);
+        record.burned = uint96(_burnAecTokens(burnAmount));
+        _executeAutoLpAndStake(lpAmount, record);
+        _refillStakingRewards(refillAmount, record);
         
         // 8. Pay caller
-        if (callerReward > 0 && aecToken.balanceOf(address(this)) >= callerReward) {
+        if (callerReward > 0 && _aecBalance() >= callerReward) {
             IERC20(address(aecToken)).safeTransfer(msg.sender, callerReward);
+            record.callerReward = uint96(callerReward);
         }
+
+        // 9. Complete the cycle's record
+        record.unutilizedAec = uint96(_aecBalance());
+        _addToCycleTotals(record, totalAecForProcessing);
         
-        // 9. Emit comprehensive event
+        // 10. Emit comprehensive event
         emit CycleProcessed(
             totalAecForProcessing,
             burnAmount,
@@ -305,22 +426,56 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
             msg.sender
         );
         
-        // 10. Log endowment contribution
+        // 11. Log endowment contribution
         if (endowmentAmount > 0) {
             emit EndowmentReleased(endowmentAmount, block.timestamp);
         }
     }
 
+    /**
+     * @notice Dry run of runCycle for eth_call: runs the full cycle, then reverts with its record
+     * @dev Always reverts. CycleSimulated carries what runCycle would do right now, with the
+     *      swaps, liquidity and endowment release it would actually get; its timestamp is zero
+     *      when the cycle would skip. Any other revert is the one runCycle would raise.
+     *      The endowment's release check reads tx.gasprice, so the call must set the gas price
+     *      the real transaction would pay.
+     */
+    function simulateCycle() external {
+        require(tx.gasprice > 0, "PE: Simulate at a gas price");
+        uint256 count = _cycles.length;
+        runCycle();
+
+        CycleRecord memory result;
+        if (_cycles.length > count) result = getCycleHistory(count, 1)[0];
+        revert CycleSimulated(result);
+    }
+
     // ================================================================
     // INTERNAL PROCESSING FUNCTIONS
     // ================================================================
 
+    /**
+     * @dev Split from the allocation policy, or the fixed 20-40-40 split when none is set,
+     *      its call fails or its weights do not add up to 100%
+     */
+    function _cycleAllocation() private view returns (uint16, uint16, uint16) {
+        if (address(allocationPolicy) != address(0)) {
+            try allocationPolicy.getAllocation() returns (uint16 burnBps, uint16 lpBps, uint16 refillBps) {
+                if (uint256(burnBps) + lpBps + refillBps == BASIS_POINTS_DIVISOR) return (burnBps, lpBps, refillBps);
+            } catch {
+                // Fall back to the fixed split
+            }
+        }
+        return (BURN_BPS, AUTO_LP_BPS, REWARDS_REFILL_BPS);
+    }
+
     /**
      * @notice Collects approved taxes and LP staking rewards
+     * @dev Tax AECToken pushed since the last cycle already sits in the engine; it counts as new too
      * @return newTaxAmount Amount of new taxes collected
      */
     function _collectTaxesAndRewards() private returns (uint256 newTaxAmount) {
-        uint256 balanceBefore = aecToken.balanceOf(address(this));
+        uint256 balanceBefore = _aecBalance();
 
         // Collect approved taxes from AEC token
         uint256 approvedTax = aecToken.allowance(address(aecToken), address(this));
@@ -332,14 +487,20 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         if (_isValidContract(stakingContractLP)) {
             try IAECStakingLP(stakingContractLP).claimReward() {
                 // Engine claims accumulated rewards (base + bonus) for compounding
-                emit EngineRewardsClaimed(aecToken.balanceOf(address(this)) - balanceBefore);
+                emit EngineRewardsClaimed(_aecBalance() - balanceBefore);
             } catch {
                 // Continue if claiming fails
             }
         }
 
-        uint256 balanceAfter = aecToken.balanceOf(address(this));
+        uint256 balanceAfter = _aecBalance();
         newTaxAmount = balanceAfter > balanceBefore ? balanceAfter - balanceBefore : 0;
+
+        uint256 totalSwept = aecToken.totalTaxSwept();
+        if (totalSwept > sweptTaxCounted) {
+            newTaxAmount += totalSwept - sweptTaxCounted;
+            sweptTaxCounted = totalSwept;
+        }
     }
 
     /**
@@ -388,16 +549,18 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     /**
      * @notice Burns specified amount of AEC tokens
      * @param amount Amount of AEC to burn
+     * @return burned Amount actually burned
      */
-    function _burnAecTokens(uint256 amount) private {
-        if (amount == 0) return;
+    function _burnAecTokens(uint256 amount) private returns (uint256 burned) {
+        if (amount == 0) return 0;
         
-        uint256 currentBalance = aecToken.balanceOf(address(this));
+        uint256 currentBalance = _aecBalance();
         uint256 actualBurnAmount = _min(amount, currentBalance);
         
         if (actualBurnAmount > 0) {
             try aecToken.burn(actualBurnAmount) {
                 emit AecBurnedInCycle(actualBurnAmount);
+                burned = actualBurnAmount;
             } catch {
                 emit UnutilizedAecAccumulated(actualBurnAmount, "Burn failed");
             }
@@ -405,13 +568,14 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     }
 
     /**
-     * @notice Executes auto-liquidity with flexible strategies
+     * @notice Turns AEC into liquidity with one zap swap sized from the pool reserves
      * @param aecAmountForLp Total AEC allocated for liquidity
+     * @param record Cycle record the venue, swap attempts and liquidity added are written to
      */
-    function _executeAutoLpAndStake(uint256 aecAmountForLp) private onlyNotSwapping {
+    function _executeAutoLpAndStake(uint256 aecAmountForLp, CycleRecord storage record) private {
         if (aecAmountForLp == 0) return;
 
-        uint256 aecBalance = aecToken.balanceOf(address(this));
+        uint256 aecBalance = _aecBalance();
         uint256 aecToProcess = _min(aecAmountForLp, aecBalance);
         
         if (aecToProcess < 1 ether) {
@@ -419,165 +583,151 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
             return;
         }
 
-        // Phase 1: Adaptive swapping (your proven halving strategy)
-        uint256 totalAecSwapped = 0;
-        uint256 totalStablecoinObtained = 0;
-        
+        // Phase 0: Venue and price guard - a pool moved away from its TWAP is not traded against
+        (uint256 venueId, bool twapReady, uint256 twapPriceX112, uint256 spotPriceX112) = _takeCycleVenue();
+        record.venueId = uint16(venueId);
+        uint256 deviation = twapReady ? _priceDeviationBps(spotPriceX112, twapPriceX112) : 0;
+        if (!twapReady || deviation > twapDeviationBps) {
+            emit SwapSkipped(
+                aecToProcess,
+                _toPrice(spotPriceX112),
+                _toPrice(twapPriceX112),
+                deviation,
+                twapReady ? "Spot deviates from TWAP" : "TWAP not ready"
+            );
+            _preserveRemainingAec();
+            return;
+        }
+
+        // Phase 1: Zap swap - sell the share of the AEC that leaves the rest matching the pool's
+        // new ratio, halving the amount zapped while the swap misses its minimum output
+        uint256 aecToPair;
+        uint256 stablecoinObtained;
         for (uint i = 0; i < MAX_SWAP_ATTEMPTS && aecToProcess > 1 ether; ++i) {
-            uint256 chunkToSwap = aecToProcess / 2;
-            SwapOutcome memory outcome = _trySwapAecToStablecoin(chunkToSwap);
-            
-            if (outcome.successful) {
-                totalAecSwapped += chunkToSwap;
-                totalStablecoinObtained += outcome.stablecoinObtained;
-                aecToProcess -= chunkToSwap;
-                
-                emit SwapAttempt(chunkToSwap, true, outcome.stablecoinObtained);
-            } else {
-                aecToProcess /= 2;
-                emit SwapAttempt(chunkToSwap, false, 0);
+            (uint256 aecToSwap, uint256 quotedOut, uint256 routeId) = _zapSwap(venueId, aecToProcess);
+            bool successful;
+            (successful, stablecoinObtained) = _trySwapAecForQuote(venueId, routeId, aecToSwap, quotedOut, twapPriceX112);
+            record.swapAttempts++;
+            emit SwapAttempt(aecToSwap, successful, stablecoinObtained, routeId);
+
+            if (successful) {
+                record.swapsSucceeded++;
+                record.aecSwapped = uint96(aecToSwap);
+                aecToPair = aecToProcess - aecToSwap;
+                break;
             }
+            aecToProcess /= 2;
         }
 
-        // Phase 2: Flexible liquidity addition
-        if (totalStablecoinObtained > 0) {
-            _tryFlexibleLiquidityStrategies(aecAmountForLp, totalStablecoinObtained);
+        // Phase 2: Add the rest of the AEC with the quote token. The engine's whole quote balance
+        // is offered, so what earlier swaps left over is paired too; the router takes the pool ratio.
+        if (stablecoinObtained > 0) {
+            uint256 quoteAmount = _venues[venueId].quoteToken.balanceOf(address(this));
+            (uint256 aecMin, uint256 quoteMin) = _twapBoundedMinimums(aecToPair, quoteAmount, twapPriceX112);
+            if (!_addLiquidity(venueId, aecToPair, quoteAmount, aecMin, quoteMin)) {
+                emit UnutilizedAecAccumulated(aecToPair, "Liquidity addition failed");
+            }
         }
 
         // Phase 3: Handle remaining AEC
-        uint256 remainingAec = aecToken.balanceOf(address(this));
+        _preserveRemainingAec();
+    }
+
+    /// @dev Logs the AEC left in the engine for the next cycle
+    function _preserveRemainingAec() private {
+        uint256 remainingAec = _aecBalance();
         if (remainingAec > 0) {
             emit UnutilizedAecAccumulated(remainingAec, "Preserved for next cycle");
         }
     }
 
     /**
-     * @notice Attempts multiple liquidity strategies with different tolerances
-     * @param maxAecAvailable Maximum AEC available for pairing
-     * @param stablecoinObtained Stablecoin obtained from swaps
+     * @dev Sizes the zap swap and picks its route. Sold into the venue's own pair, the split is
+     *      the closed form of _zapSwapAmount. A route through other pools leaves the venue's pair
+     *      as it is, so the swap is resized at that route's quoted price until its proceeds match
+     *      the pair's current ratio instead.
+     * @param venueId Venue the liquidity is added to
+     * @param aecAmount AEC to turn into liquidity
+     * @return aecToSwap AEC to sell
+     * @return quotedOut Quote token the route quotes for aecToSwap, zero if no route quotes
+     * @return routeId Route to sell through, 0 for the venue's pair
      */
-    function _tryFlexibleLiquidityStrategies(
-        uint256 maxAecAvailable,
-        uint256 stablecoinObtained
-    ) private {
-        uint256 aecBalance = aecToken.balanceOf(address(this));
-        uint256 stablecoinBalance = stablecoinToken.balanceOf(address(this));
-        
-        uint256 maxAecToUse = _min(maxAecAvailable, aecBalance);
-        uint256 maxStablecoinToUse = _min(stablecoinObtained, stablecoinBalance);
-        
-        if (maxAecToUse == 0 || maxStablecoinToUse == 0) {
-            emit UnutilizedAecAccumulated(maxAecToUse, "Insufficient pair balance");
-            return;
-        }
-
-        // Strategy 1: Conservative (80% minimums)
-        if (_tryLiquidityStrategy(
-            "Conservative",
-            maxAecToUse,
-            maxStablecoinToUse,
-            8000, // 80% minimums
-            8000
-        )) return;
-
-        // Strategy 2: AEC-Heavy (120% AEC, 50% minimums)
-        uint256 extraAec = maxAecToUse + (maxAecToUse * 2000) / BASIS_POINTS_DIVISOR;
-        extraAec = _min(extraAec, aecBalance);
-        if (_tryLiquidityStrategy(
-            "AEC-Heavy",
-            extraAec,
-            maxStablecoinToUse,
-            5000, // 50% minimums
-            5000
-        )) return;
-
-        // Strategy 3: Stablecoin-Heavy (120% stablecoin, 50% minimums)
-        uint256 extraStablecoin = maxStablecoinToUse + (maxStablecoinToUse * 2000) / BASIS_POINTS_DIVISOR;
-        extraStablecoin = _min(extraStablecoin, stablecoinBalance);
-        if (_tryLiquidityStrategy(
-            "Stablecoin-Heavy",
-            maxAecToUse,
-            extraStablecoin,
-            5000, // 50% minimums
-            5000
-        )) return;
-
-        // Strategy 4: Minimal (25% amounts, 2.5% minimums)
-        uint256 minimalAec = maxAecToUse / 4;
-        uint256 minimalStablecoin = maxStablecoinToUse / 4;
-        if (_tryLiquidityStrategy(
-            "Minimal",
-            minimalAec,
-            minimalStablecoin,
-            250,  // 2.5% minimums
-            250
-        )) return;
-
-        // All strategies failed
-        emit UnutilizedAecAccumulated(maxAecToUse, "All liquidity strategies failed");
-    }
-
-    /**
-     * @notice Attempts to add liquidity with specified parameters
-     * @param strategyName Name for logging
-     * @param aecAmount AEC amount to use
-     * @param stablecoinAmount Stablecoin amount to use
-     * @param aecMinBps Minimum AEC acceptance in basis points
-     * @param stablecoinMinBps Minimum stablecoin acceptance in basis points
-     * @return success True if liquidity was successfully added
-     */
-    function _tryLiquidityStrategy(
-        string memory strategyName,
-        uint256 aecAmount,
-        uint256 stablecoinAmount,
-        uint16 aecMinBps,
-        uint16 stablecoinMinBps
-    ) private returns (bool success) {
-        if (aecAmount == 0 || stablecoinAmount == 0) return false;
+    function _zapSwap(uint256 venueId, uint256 aecAmount) private view returns (
+        uint256 aecToSwap,
+        uint256 quotedOut,
+        uint256 routeId
+    ) {
+        LiquidityVenue storage venue = _venues[venueId];
+        (uint112 reserve0, uint112 reserve1,) = venue.pair.getReserves();
+        (uint256 reserveAec, uint256 reserveQuote) = venue.aecIsToken0 ? (reserve0, reserve1) : (reserve1, reserve0);
 
-        uint256 aecMin = (aecAmount * aecMinBps) / BASIS_POINTS_DIVISOR;
-        uint256 stablecoinMin = (stablecoinAmount * stablecoinMinBps) / BASIS_POINTS_DIVISOR;
+        aecToSwap = _zapSwapAmount(reserveAec, aecAmount);
+        (quotedOut, routeId) = _bestSwapRoute(venueId, aecToSwap);
+        if (routeId == 0 || quotedOut == 0) return (aecToSwap, quotedOut, routeId);
 
-        emit FlexibleStrategyAttempt(
-            strategyName,
+        // s * quotedOut / aecToSwap = (aecAmount - s) * reserveQuote / reserveAec
+        aecToSwap = Math.mulDiv(
             aecAmount,
-            stablecoinAmount,
-            aecMin,
-            stablecoinMin,
-            false
+            reserveQuote * aecToSwap,
+            quotedOut * reserveAec + reserveQuote * aecToSwap
         );
+        quotedOut = _quoteSwapRoute(venueId, routeId, aecToSwap);
+    }
+
+    /**
+     * @dev Share of aecAmount to sell into a pair so that the AEC left over and the quote token
+     *      bought match the pair's reserves after the swap. Positive root of the constant-product
+     *      swap with fee f on AEC reserve r:
+     *      s = (sqrt(r^2 (2 - f)^2 + 4 (1 - f) r a) - r (2 - f)) / (2 (1 - f))
+     * @param reserveAec AEC reserve of the pair swapped against
+     * @param aecAmount AEC to turn into liquidity
+     * @return AEC to swap
+     */
+    function _zapSwapAmount(uint256 reserveAec, uint256 aecAmount) private pure returns (uint256) {
+        // Scaled by BASIS_POINTS_DIVISOR: 1 - f and 2 - f
+        uint256 feeFactor = BASIS_POINTS_DIVISOR - PAIR_FEE_BPS;
+        uint256 sumFactor = BASIS_POINTS_DIVISOR + feeFactor;
+        uint256 root = Math.sqrt(
+            reserveAec * (reserveAec * sumFactor * sumFactor + 4 * feeFactor * BASIS_POINTS_DIVISOR * aecAmount)
+        );
+        return (root - reserveAec * sumFactor) / (2 * feeFactor);
+    }
 
+    /**
+     * @dev Adds liquidity to a venue. LP tokens of the primary pair go to the LP staking contract;
+     *      those of other venues stay in the engine as protocol-owned liquidity nothing can withdraw.
+     */
+    function _addLiquidity(
+        uint256 venueId,
+        uint256 aecAmount,
+        uint256 quoteAmount,
+        uint256 aecMin,
+        uint256 quoteMin
+    ) private returns (bool success) {
         // Approve tokens
-        IERC20(address(aecToken)).forceApprove(address(uniswapV2Router), aecAmount);
-        stablecoinToken.forceApprove(address(uniswapV2Router), stablecoinAmount);
+        LiquidityVenue storage venue = _venues[venueId];
+        IERC20(address(aecToken)).forceApprove(address(venue.router), aecAmount);
+        venue.quoteToken.forceApprove(address(venue.router), quoteAmount);
 
-        try uniswapV2Router.addLiquidity(
+        try venue.router.addLiquidity(
             address(aecToken),
-            address(stablecoinToken),
+            address(venue.quoteToken),
             aecAmount,
-            stablecoinAmount,
+            quoteAmount,
             aecMin,
-            stablecoinMin,
-            stakingContractLP, // Send LP tokens directly to staking
+            quoteMin,
+            venueId == 0 ? stakingContractLP : address(this),
             block.timestamp + 300
         ) returns (uint amountA, uint amountB, uint liquidity) {
-            
+            // Only cycles add liquidity, after their record is pushed
+            CycleRecord storage record = _cycles[_cycles.length - 1];
+            (record.lpAec, record.lpMinted) = (uint96(amountA), uint96(liquidity));
             emit AutoLiquidityAdded(amountA, amountB, liquidity);
-            emit FlexibleStrategyAttempt(
-                strategyName,
-                aecAmount,
-                stablecoinAmount,
-                aecMin,
-                stablecoinMin,
-                true
-            );
-            
             return true;
-            
         } catch {
             // Reset approvals on failure
-            IERC20(address(aecToken)).forceApprove(address(uniswapV2Router), 0);
-            stablecoinToken.forceApprove(address(uniswapV2Router), 0);
+            IERC20(address(aecToken)).forceApprove(address(venue.router), 0);
+            venue.quoteToken.forceApprove(address(venue.router), 0);
             return false;
         }
     }
@@ -585,11 +735,12 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     /**
      * @notice Distributes rewards to all staking contracts
      * @param totalRefillAmount Total amount to distribute
+     * @param record Cycle record the amounts sent to each pool are written to
      */
-    function _refillStakingRewards(uint256 totalRefillAmount) private {
+    function _refillStakingRewards(uint256 totalRefillAmount, CycleRecord storage record) private {
         if (totalRefillAmount == 0) return;
 
-        uint256 currentBalance = aecToken.balanceOf(address(this));
+        uint256 currentBalance = _aecBalance();
         uint256 actualRefillAmount = _min(totalRefillAmount, currentBalance);
 
         // Calculate individual amounts
@@ -597,108 +748,413 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         uint256 tokenStakingAmount = (actualRefillAmount * REFILL_TOKEN_STAKING_BPS) / BASIS_POINTS_DIVISOR;
         uint256 nftStakingAmount = (actualRefillAmount * REFILL_NFT_STAKING_BPS) / BASIS_POINTS_DIVISOR;
 
-        // Distribute to LP staking
-        if (lpStakingAmount > 0 && _isValidContract(stakingContractLP)) {
-            IERC20(address(aecToken)).safeTransfer(stakingContractLP, lpStakingAmount);
-            try IAECStakingLP(stakingContractLP).notifyRewardAmount(lpStakingAmount) {
-                // Success
-            } catch {
-                // Continue if notification fails
-            }
-        }
+        record.refillLp = uint96(_sendRefill(stakingContractLP, lpStakingAmount));
+        record.refillToken = uint96(_sendRefill(stakingContractToken, tokenStakingAmount));
+        record.refillNft = uint96(_sendRefill(stakingContractNFT, nftStakingAmount));
 
-        // Distribute to Token staking
-        if (tokenStakingAmount > 0 && _isValidContract(stakingContractToken)) {
-            IERC20(address(aecToken)).safeTransfer(stakingContractToken, tokenStakingAmount);
-            try IStakingRewards(stakingContractToken).notifyRewardAmount(tokenStakingAmount) {
-                // Success
-            } catch {
-                // Continue if notification fails
-            }
-        }
+        emit RewardsDistributed(lpStakingAmount, tokenStakingAmount, nftStakingAmount);
+    }
 
-        // Distribute to NFT staking
-        if (nftStakingAmount > 0 && _isValidContract(stakingContractNFT)) {
-            IERC20(address(aecToken)).safeTransfer(stakingContractNFT, nftStakingAmount);
-            try IStakingRewards(stakingContractNFT).notifyRewardAmount(nftStakingAmount) {
-                // Success
-            } catch {
-                // Continue if notification fails
-            }
+    /**
+     * @dev Sends a staking pool its refill and notifies it; a failed notification does not stop the cycle
+     * @return sent The amount sent, zero if the pool is not set
+     */
+    function _sendRefill(address pool, uint256 amount) private returns (uint256 sent) {
+        if (amount == 0 || !_isValidContract(pool)) return 0;
+
+        IERC20(address(aecToken)).safeTransfer(pool, amount);
+        // AECStakingLP and the token/NFT pools share IStakingRewards.notifyRewardAmount
+        try IStakingRewards(pool).notifyRewardAmount(amount) {
+            // Success
+        } catch {
+            // Continue if notification fails
         }
+        return amount;
+    }
 
-        emit RewardsDistributed(lpStakingAmount, tokenStakingAmount, nftStakingAmount);
+    /**
+     * @dev Folds a completed cycle into the running totals
+     * @param record The cycle's record
+     * @param processed AEC the cycle split between burn, liquidity and rewards
+     */
+    function _addToCycleTotals(CycleRecord storage record, uint256 processed) private {
+        CycleTotals storage totals = _cycleTotals;
+        // Cycle amounts are bounded by the AEC supply, far below the totals' width
+        unchecked {
+            totals.processed += uint128(processed);
+            totals.burned += record.burned;
+            totals.liquidityAec += record.lpAec;
+            totals.rewards += uint128(record.refillLp) + record.refillToken + record.refillNft;
+            totals.swapAttempts += record.swapAttempts;
+            totals.swapsSucceeded += record.swapsSucceeded;
+        }
     }
 
     // ================================================================
     // SWAP FUNCTIONALITY
     // ================================================================
 
-    /// @dev Structure to return swap results
-    struct SwapOutcome {
-        bool successful;
-        uint256 stablecoinObtained;
-    }
-
     /**
-     * @notice Attempts to swap AEC for stablecoin with slippage protection
+     * @notice Attempts to swap AEC for a venue's quote token with slippage protection
+     * @dev Sells through the given route. The minimum output is the stricter of the route's
+     *      quote and the TWAP value, both less slippage, so a pool pushed down before the cycle
+     *      cannot pass the check.
+     * @param venueId Venue to swap through
+     * @param routeId Route to sell through, 0 for the venue's pair
      * @param aecToSell Amount of AEC to swap
-     * @return outcome Swap result including success status and amount obtained
+     * @param quotedOut Quote token the route quoted for aecToSell
+     * @param twapPriceX112 TWAP of AEC in the quote token (UQ112x112)
+     * @return successful Whether the swap went through at or above the minimum output
+     * @return stablecoinObtained Quote token received, zero on failure
      */
-    function _trySwapAecToStablecoin(uint256 aecToSell) 
-        private 
-        returns (SwapOutcome memory outcome) 
-    {
-        if (aecToSell == 0) {
-            return SwapOutcome({successful: false, stablecoinObtained: 0});
-        }
-
-        uint256 stablecoinBalanceBefore = stablecoinToken.balanceOf(address(this));
-        
-        // Calculate minimum output with slippage protection
-        address[] memory path = new address[](2);
-        path[0] = address(aecToken);
-        path[1] = address(stablecoinToken);
-        
-        uint256 minStablecoinOut;
-        try uniswapV2Router.getAmountsOut(aecToSell, path) returns (uint256[] memory amountsOut) {
-            require(amountsOut.length >= 2, "PE: Invalid amounts out");
-            uint256 adjustedSlippageBps = BASIS_POINTS_DIVISOR - slippageBasisPoints;
-            minStablecoinOut = (amountsOut[1] * adjustedSlippageBps) / BASIS_POINTS_DIVISOR;
-        } catch {
-            return SwapOutcome({successful: false, stablecoinObtained: 0});
-        }
+    function _trySwapAecForQuote(
+        uint256 venueId,
+        uint256 routeId,
+        uint256 aecToSell,
+        uint256 quotedOut,
+        uint256 twapPriceX112
+    ) private returns (bool successful, uint256 stablecoinObtained) {
+        if (quotedOut == 0) return (false, 0);
+        IERC20 quoteToken = _venues[venueId].quoteToken;
+        (IUniswapV2Router02 router, address[] memory path) = _swapPath(venueId, routeId);
+
+        uint256 stablecoinBalanceBefore = quoteToken.balanceOf(address(this));
+        uint256 adjustedSlippageBps = BASIS_POINTS_DIVISOR - slippageBasisPoints;
+        uint256 twapOut = Math.mulDiv(aecToSell, twapPriceX112, 1 << 112);
+        uint256 minStablecoinOut = (_max(quotedOut, twapOut) * adjustedSlippageBps) / BASIS_POINTS_DIVISOR;
 
         // Approve and execute swap
-        IERC20(address(aecToken)).forceApprove(address(uniswapV2Router), aecToSell);
+        IERC20(address(aecToken)).forceApprove(address(router), aecToSell);
         
-        try uniswapV2Router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        try router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
             aecToSell,
             minStablecoinOut,
             path,
             address(this),
             block.timestamp + 300
         ) {
-            uint256 stablecoinBalanceAfter = stablecoinToken.balanceOf(address(this));
+            uint256 stablecoinBalanceAfter = quoteToken.balanceOf(address(this));
             uint256 obtained = stablecoinBalanceAfter > stablecoinBalanceBefore ? 
                               stablecoinBalanceAfter - stablecoinBalanceBefore : 0;
             
             if (obtained >= minStablecoinOut) {
-                return SwapOutcome({successful: true, stablecoinObtained: obtained});
-            } else {
-                return SwapOutcome({successful: false, stablecoinObtained: 0});
+                return (true, obtained);
+            }
+        } catch {
+            // Failure handled below
+        }
+
+        // Reset approval on failure, including output below the minimum
+        IERC20(address(aecToken)).forceApprove(address(router), 0);
+    }
+
+    /**
+     * @dev Quotes selling aecToSell for the venue's quote token over its pair and every swap route.
+     *      Routes without a pool for the pair of tokens fail to quote and are passed over.
+     * @return bestOut Highest quote, zero if none quoted
+     * @return bestRouteId Route of that quote
+     */
+    function _bestSwapRoute(uint256 venueId, uint256 aecToSell) private view returns (uint256 bestOut, uint256 bestRouteId) {
+        for (uint256 routeId = 0; routeId <= swapRoutes.length; ++routeId) {
+            uint256 out = _quoteSwapRoute(venueId, routeId, aecToSell);
+            if (out > bestOut) (bestOut, bestRouteId) = (out, routeId);
+        }
+    }
+
+    /// @dev Quote token a route gives for aecToSell, zero when it has no pool for the tokens
+    function _quoteSwapRoute(uint256 venueId, uint256 routeId, uint256 aecToSell) private view returns (uint256) {
+        (IUniswapV2Router02 router, address[] memory path) = _swapPath(venueId, routeId);
+        try router.getAmountsOut(aecToSell, path) returns (uint256[] memory amountsOut) {
+            return amountsOut[amountsOut.length - 1];
+        } catch {
+            return 0;
+        }
+    }
+
+    /// @dev Router and path of a route to the venue's quote token; route 0 is the venue's pair
+    function _swapPath(uint256 venueId, uint256 routeId) private view returns (
+        IUniswapV2Router02 router,
+        address[] memory path
+    ) {
+        LiquidityVenue storage venue = _venues[venueId];
+        address hop;
+        if (routeId == 0) {
+            router = venue.router;
+        } else {
+            (router, hop) = (swapRoutes[routeId - 1].router, swapRoutes[routeId - 1].hop);
+        }
+
+        path = new address[](hop == address(0) ? 2 : 3);
+        path[0] = address(aecToken);
+        path[1] = hop;
+        path[path.length - 1] = address(venue.quoteToken);
+    }
+
+    // ================================================================
+    // TWAP ORACLE
+    // ================================================================
+
+    /**
+     * @notice Stores a cumulative price observation for every active venue
+     * @dev Permissionless so keepers can keep the windows warm between cycles.
+     *      Observations closer together than twapPeriod / 4 are ignored.
+     */
+    function updatePriceObservation() external {
+        _recordPriceObservations();
+    }
+
+    function _recordPriceObservations() private {
+        for (uint256 venueId = 0; venueId < _venues.length; ++venueId) {
+            if (_venues[venueId].active) _recordPriceObservation(venueId);
+        }
+    }
+
+    function _recordPriceObservation(uint256 venueId) private {
+        (bool live, uint256 cumulative,) = _currentAecPriceCumulative(venueId);
+        if (!live) return;
+
+        PriceOracle storage oracle = _oracles[venueId];
+        uint32 timestamp = uint32(block.timestamp);
+        if (oracle.count > 0) {
+            uint32 elapsed;
+            unchecked { elapsed = timestamp - oracle.observations[oracle.latestIndex].timestamp; }
+            if (elapsed < twapPeriod / 4) return;
+            oracle.latestIndex = (oracle.latestIndex + 1) % TWAP_OBSERVATION_SLOTS;
+        }
+        if (oracle.count < TWAP_OBSERVATION_SLOTS) ++oracle.count;
+
+        oracle.observations[oracle.latestIndex] = PriceObservation(timestamp, cumulative);
+        emit PriceObservationRecorded(venueId, timestamp, cumulative);
+    }
+
+    /**
+     * @dev Current cumulative AEC price of a venue, extrapolated to this block the way
+     *      UniswapV2OracleLibrary does, plus the spot price from reserves.
+     *      Prices are quote token per AEC in UQ112x112.
+     */
+    function _currentAecPriceCumulative(uint256 venueId) private view returns (
+        bool live,
+        uint256 cumulative,
+        uint256 spotPriceX112
+    ) {
+        IUniswapV2Pair pair = _venues[venueId].pair;
+        bool aecIsToken0 = _venues[venueId].aecIsToken0;
+        if (address(pair).code.length == 0) return (false, 0, 0);
+
+        try pair.getReserves() returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) {
+            if (reserve0 == 0 || reserve1 == 0) return (false, 0, 0);
+            (uint256 reserveAec, uint256 reserveStable) = aecIsToken0 ? 
+                (uint256(reserve0), uint256(reserve1)) : (uint256(reserve1), uint256(reserve0));
+            spotPriceX112 = (reserveStable << 112) / reserveAec;
+
+            cumulative = aecIsToken0 ? pair.price0CumulativeLast() : pair.price1CumulativeLast();
+            uint32 timestamp = uint32(block.timestamp);
+            // Accumulators and timestamps wrap by design
+            unchecked {
+                if (blockTimestampLast != timestamp) {
+                    cumulative += spotPriceX112 * (timestamp - blockTimestampLast);
+                }
             }
+            live = true;
         } catch {
-            // Reset approval on failure
-            IERC20(address(aecToken)).forceApprove(address(uniswapV2Router), 0);
-            return SwapOutcome({successful: false, stablecoinObtained: 0});
+            return (false, 0, 0);
+        }
+    }
+
+    /**
+     * @dev TWAP of a venue measured from its newest observation at least twapPeriod old
+     * @return ready False until such an observation exists and the pool has liquidity
+     * @return twapPriceX112 Time-weighted AEC price (UQ112x112)
+     * @return spotPriceX112 Spot AEC price from current reserves (UQ112x112)
+     */
+    function _consultTwap(uint256 venueId) private view returns (
+        bool ready,
+        uint256 twapPriceX112,
+        uint256 spotPriceX112
+    ) {
+        (bool live, uint256 cumulative, uint256 spot) = _currentAecPriceCumulative(venueId);
+        if (!live) return (false, 0, 0);
+        spotPriceX112 = spot;
+
+        PriceOracle storage oracle = _oracles[venueId];
+        uint32 timestamp = uint32(block.timestamp);
+        for (uint8 i = 0; i < oracle.count; ++i) {
+            PriceObservation memory observation = oracle.observations[
+                (oracle.latestIndex + TWAP_OBSERVATION_SLOTS - i) % TWAP_OBSERVATION_SLOTS
+            ];
+            uint32 elapsed;
+            unchecked { elapsed = timestamp - observation.timestamp; }
+            if (elapsed >= twapPeriod) {
+                unchecked { twapPriceX112 = (cumulative - observation.aecPriceCumulative) / elapsed; }
+                return (twapPriceX112 > 0, twapPriceX112, spotPriceX112);
+            }
         }
     }
 
+    /**
+     * @dev Liquidity minimums keeping the deposit ratio within slippage of the TWAP
+     */
+    function _twapBoundedMinimums(
+        uint256 aecAmount,
+        uint256 stablecoinAmount,
+        uint256 twapPriceX112
+    ) private view returns (uint256, uint256) {
+        uint256 adjustedSlippageBps = BASIS_POINTS_DIVISOR - slippageBasisPoints;
+        uint256 aecAtTwap = _min(aecAmount, Math.mulDiv(stablecoinAmount, 1 << 112, twapPriceX112));
+        uint256 stablecoinAtTwap = _min(stablecoinAmount, Math.mulDiv(aecAmount, twapPriceX112, 1 << 112));
+
+        return (
+            (aecAtTwap * adjustedSlippageBps) / BASIS_POINTS_DIVISOR,
+            (stablecoinAtTwap * adjustedSlippageBps) / BASIS_POINTS_DIVISOR
+        );
+    }
+
+    function _priceDeviationBps(uint256 spotPriceX112, uint256 twapPriceX112) private pure returns (uint256) {
+        uint256 difference = spotPriceX112 > twapPriceX112 ? 
+                            spotPriceX112 - twapPriceX112 : twapPriceX112 - spotPriceX112;
+        return Math.mulDiv(difference, BASIS_POINTS_DIVISOR, twapPriceX112);
+    }
+
+    /// @dev UQ112x112 price to stablecoin units per 1 AEC
+    function _toPrice(uint256 priceX112) private pure returns (uint256) {
+        return Math.mulDiv(priceX112, 1e18, 1 << 112);
+    }
+
+    // ================================================================
+    // VENUE SELECTION
+    // ================================================================
+
+    /**
+     * @notice Venue the next cycle would swap through and deepen
+     * @dev Rotates over active venues starting at nextVenueId and takes the first whose spot
+     *      price is within the TWAP band. When none is, the first active venue in rotation is
+     *      returned with tradable = false and the cycle skips its swap phase.
+     * @return venueId Selected venue
+     * @return tradable Whether its TWAP is ready and spot is within the band
+     */
+    function selectCycleVenue() external view returns (uint256 venueId, bool tradable) {
+        bool ready;
+        uint256 twapPriceX112;
+        uint256 spotPriceX112;
+        (venueId, ready, twapPriceX112, spotPriceX112) = _findCycleVenue();
+        tradable = ready && _priceDeviationBps(spotPriceX112, twapPriceX112) <= twapDeviationBps;
+    }
+
+    /// @dev Selection behind selectCycleVenue, with the venue's TWAP reading
+    function _findCycleVenue() private view returns (
+        uint256 venueId,
+        bool ready,
+        uint256 twapPriceX112,
+        uint256 spotPriceX112
+    ) {
+        uint256 count = _venues.length;
+        bool fallbackFound;
+        for (uint256 i = 0; i < count; ++i) {
+            uint256 candidate = (nextVenueId + i) % count;
+            if (!_venues[candidate].active) continue;
+
+            (bool candidateReady, uint256 candidateTwap, uint256 candidateSpot) = _consultTwap(candidate);
+            if (candidateReady && _priceDeviationBps(candidateSpot, candidateTwap) <= twapDeviationBps) {
+                return (candidate, true, candidateTwap, candidateSpot);
+            }
+            if (!fallbackFound) {
+                (venueId, ready, twapPriceX112, spotPriceX112) = (candidate, candidateReady, candidateTwap, candidateSpot);
+                fallbackFound = true;
+            }
+        }
+    }
+
+    /// @dev Selects this cycle's venue and moves the rotation past it
+    function _takeCycleVenue() private returns (
+        uint256 venueId,
+        bool ready,
+        uint256 twapPriceX112,
+        uint256 spotPriceX112
+    ) {
+        (venueId, ready, twapPriceX112, spotPriceX112) = _findCycleVenue();
+        uint256 next = (venueId + 1) % _venues.length;
+        if (next != nextVenueId) nextVenueId = next;
+        emit CycleVenueSelected(venueId, address(_venues[venueId].pair));
+    }
+
     // ================================================================
     // ADMIN FUNCTIONS
     // ================================================================
 
+    /**
+     * @notice Registers another AEC pool for cycles to swap through and deepen
+     * @dev The router must be Uniswap V2-compatible and its factory must already hold the
+     *      AEC/quote pair. Register the pair as an official AMM pair on AECToken as well.
+     * @param _router Router of the venue's DEX
+     * @param _quoteToken Token AEC is paired with (e.g. WETH)
+     * @return venueId Index of the new venue
+     */
+    function addLiquidityVenue(address _router, address _quoteToken) external onlyActiveDeployer returns (uint256 venueId) {
+        require(_venues.length < MAX_LIQUIDITY_VENUES, "PE: Too many venues");
+        require(_router != address(0), "PE: Invalid router address");
+        require(_quoteToken != address(0) && _quoteToken != address(aecToken), "PE: Invalid quote token");
+
+        address pairAddr = IUniswapV2Factory(IUniswapV2Router02(_router).factory()).getPair(address(aecToken), _quoteToken);
+        require(pairAddr != address(0), "PE: Pair doesn't exist");
+        for (uint256 i = 0; i < _venues.length; ++i) {
+            require(address(_venues[i].pair) != pairAddr, "PE: Venue already added");
+        }
+
+        venueId = _venues.length;
+        _venues.push(LiquidityVenue({
+            router: IUniswapV2Router02(_router),
+            pair: IUniswapV2Pair(pairAddr),
+            quoteToken: IERC20(_quoteToken),
+            aecIsToken0: address(aecToken) < _quoteToken,
+            active: true
+        }));
+        emit LiquidityVenueAdded(venueId, _router, pairAddr, _quoteToken);
+    }
+
+    /**
+     * @notice Registers another route cycles quote when selling AEC for a venue's quote token
+     * @dev Every route is quoted for every venue; one without pools for a venue's tokens is passed over.
+     * @param _router V2-compatible router to swap through
+     * @param _hop Token between AEC and the quote token (e.g. WETH), or zero to swap directly
+     * @return routeId Id SwapAttempt reports the route by
+     */
+    function addSwapRoute(address _router, address _hop) external onlyActiveDeployer returns (uint256 routeId) {
+        require(swapRoutes.length < MAX_SWAP_ROUTES, "PE: Too many routes");
+        require(_router != address(0), "PE: Invalid router address");
+
+        swapRoutes.push(SwapRoute({router: IUniswapV2Router02(_router), hop: _hop}));
+        routeId = swapRoutes.length;
+        emit SwapRouteAdded(routeId, _router, _hop);
+    }
+
+    /**
+     * @notice Takes a venue out of the rotation or puts it back
+     * @param venueId Venue to update; the primary pair (0) is always active
+     * @param active Whether cycles may select it
+     */
+    function setLiquidityVenueActive(uint256 venueId, bool active) external onlyActiveDeployer {
+        require(venueId < _venues.length, "PE: Unknown venue");
+        require(venueId != 0, "PE: Primary venue is always active");
+
+        _venues[venueId].active = active;
+        emit LiquidityVenueStatusUpdated(venueId, active);
+    }
+
+    /**
+     * @notice Sets the TWAP window and the spot deviation band for swaps
+     * @param _period Minimum age of the observation the TWAP is measured from
+     * @param _deviationBps Maximum spot/TWAP deviation in basis points
+     */
+    function setTwapParameters(uint32 _period, uint16 _deviationBps) external onlyActiveDeployer {
+        require(_period >= MIN_TWAP_PERIOD && _period <= MAX_TWAP_PERIOD, "PE: Invalid TWAP period");
+        require(_deviationBps > 0 && _deviationBps <= MAX_TWAP_DEVIATION_BPS, "PE: Invalid TWAP band");
+
+        twapPeriod = _period;
+        twapDeviationBps = _deviationBps;
+
+        emit TwapParametersUpdated(_period, _deviationBps);
+    }
+
     /**
      * @notice Sets staking contracts for reward distribution
      * @param _stakingContractToken Address of token staking contract
@@ -717,6 +1173,15 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         emit StakingContractsUpdated(stakingContractLP, _stakingContractToken, _stakingContractNFT);
     }
 
+    /**
+     * @notice Sets the policy that adapts each cycle's split to market signals
+     * @param _policy CycleAllocationPolicy, or zero for the fixed 20-40-40 split
+     */
+    function setAllocationPolicy(address _policy) external onlyActiveDeployer {
+        allocationPolicy = ICycleAllocationPolicy(_policy);
+        emit AllocationPolicySet(_policy);
+    }
+
     /**
      * @notice Permanently renounces deployer privileges
      */
@@ -734,6 +1199,10 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
     function rescueForeignTokens(address tokenAddress, uint256 amount) external onlyActiveDeployer {
         require(tokenAddress != address(aecToken), "PE: Cannot rescue AEC");
         require(tokenAddress != address(stablecoinToken), "PE: Cannot rescue stablecoin");
+        for (uint256 i = 1; i < _venues.length; ++i) {
+            require(tokenAddress != address(_venues[i].quoteToken), "PE: Cannot rescue venue quote token");
+            require(tokenAddress != address(_venues[i].pair), "PE: Cannot rescue protocol liquidity");
+        }
         
         IERC20 token = IERC20(tokenAddress);
         uint256 balance = token.balanceOf(address(this));
@@ -782,7 +1251,7 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         uint256 pendingEndowment,
         bool endowmentReady
     ) {
-        aecBalance = aecToken.balanceOf(address(this));
+        aecBalance = _aecBalance();
         stablecoinBalance = stablecoinToken.balanceOf(address(this));
         
         uint256 timeSinceLastProcess = block.timestamp > lastPublicProcessTime ? 
@@ -794,13 +1263,85 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         timeUntilNextProcess = timeSinceLastProcess >= publicProcessCooldown ? 
                               0 : publicProcessCooldown - timeSinceLastProcess;
         
-        estimatedCallerReward = aecBalance > 0 ? 
-                               (aecBalance * CALLER_REWARD_BPS) / BASIS_POINTS_DIVISOR : 0;
+        estimatedCallerReward = (aecBalance * CALLER_REWARD_BPS) / BASIS_POINTS_DIVISOR;
         
         // Check endowment status
         (endowmentReady, pendingEndowment,,) = perpetualEndowment.suggestOptimalRelease();
     }
     
+    /**
+     * @notice Whether runCycle would process now rather than skip or revert
+     * @dev Counts the engine's balance and the tax AECToken has approved; an endowment
+     *      release or LP staking rewards claimed by the cycle itself may add to that
+     */
+    function canRunCycle() external view returns (bool) {
+        if (_reentrancyGuardEntered() || block.timestamp < lastPublicProcessTime + publicProcessCooldown) {
+            return false;
+        }
+        uint256 available = _aecBalance() +
+            aecToken.allowance(address(aecToken), address(this));
+        return available >= minAecToProcess;
+    }
+
+    /**
+     * @notice Timestamp of the last processed cycle, zero before the first
+     */
+    function getLastCycleTime() external view returns (uint256) {
+        return lastPublicProcessTime;
+    }
+
+    /**
+     * @notice Number of processed cycles recorded
+     */
+    function getCycleCount() external view returns (uint256) {
+        return _cycles.length;
+    }
+
+    /**
+     * @notice Returns cycle history for analytics, oldest first
+     */
+    function getCycleHistory(uint256 offset, uint256 limit)
+        public
+        view
+        returns (CycleRecord[] memory)
+    {
+        require(offset < _cycles.length, "PE: Invalid offset");
+
+        uint256 end = offset + limit;
+        if (end > _cycles.length) {
+            end = _cycles.length;
+        }
+
+        CycleRecord[] memory history = new CycleRecord[](end - offset);
+        for (uint256 i = 0; i < history.length; i++) {
+            history[i] = _cycles[offset + i];
+        }
+
+        return history;
+    }
+
+    /**
+     * @notice Totals over every processed cycle
+     * @return totalProcessed AEC split between burn, liquidity and rewards
+     * @return totalBurned AEC burned
+     * @return totalLiquidity AEC added as liquidity
+     * @return totalRewards AEC sent to the staking pools
+     * @return successRate Successful swap attempts, in basis points of all attempts
+     */
+    function getCycleStats() external view returns (
+        uint256 totalProcessed,
+        uint256 totalBurned,
+        uint256 totalLiquidity,
+        uint256 totalRewards,
+        uint256 successRate
+    ) {
+        CycleTotals memory totals = _cycleTotals;
+        successRate = totals.swapAttempts > 0
+            ? (uint256(totals.swapsSucceeded) * BASIS_POINTS_DIVISOR) / totals.swapAttempts
+            : 0;
+        return (totals.processed, totals.burned, totals.liquidityAec, totals.rewards, successRate);
+    }
+
     /**
      * @notice Analytics function for endowment performance
      */
@@ -834,20 +1375,69 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
 
     /**
      * @notice Returns current pool information
+     * @dev Prices are stablecoin units per 1 AEC; deviation is |spot - TWAP| / TWAP in basis points
      */
     function getPoolInfo() external view returns (
         uint256 reserve0,
         uint256 reserve1,
         address token0,
         address token1,
-        bool aecIsToken0
+        bool aecIsToken0,
+        uint256 twapPrice,
+        uint256 spotPrice,
+        uint256 deviationBps,
+        bool twapReady
     ) {
         (uint112 _reserve0, uint112 _reserve1,) = aecStablecoinPair.getReserves();
         reserve0 = uint256(_reserve0);
         reserve1 = uint256(_reserve1);
-        token0 = aecStablecoinPair.token0();
-        token1 = aecStablecoinPair.token1();
-        aecIsToken0 = (token0 == address(aecToken));
+        aecIsToken0 = _venues[0].aecIsToken0;
+        (token0, token1) = aecIsToken0 ?
+            (address(aecToken), address(stablecoinToken)) : (address(stablecoinToken), address(aecToken));
+
+        (twapPrice, spotPrice, deviationBps, twapReady) = _priceGuard(0);
+    }
+
+    /**
+     * @notice Number of registered liquidity venues, the primary pair included
+     */
+    function getVenueCount() external view returns (uint256) {
+        return _venues.length;
+    }
+
+    /**
+     * @notice A liquidity venue and its price guard
+     * @dev Prices are quote token units per 1 AEC; deviation is |spot - TWAP| / TWAP in basis points
+     */
+    function getVenue(uint256 venueId) external view returns (
+        address router,
+        address pair,
+        address quoteToken,
+        bool active,
+        uint256 twapPrice,
+        uint256 spotPrice,
+        uint256 deviationBps,
+        bool twapReady
+    ) {
+        require(venueId < _venues.length, "PE: Unknown venue");
+        LiquidityVenue storage venue = _venues[venueId];
+        (router, pair, quoteToken, active) = (address(venue.router), address(venue.pair), address(venue.quoteToken), venue.active);
+
+        (twapPrice, spotPrice, deviationBps, twapReady) = _priceGuard(venueId);
+    }
+
+    /// @dev A venue's TWAP and spot in quote token units per 1 AEC, and their deviation in basis points
+    function _priceGuard(uint256 venueId) private view returns (
+        uint256 twapPrice,
+        uint256 spotPrice,
+        uint256 deviationBps,
+        bool twapReady
+    ) {
+        (bool ready, uint256 twapPriceX112, uint256 spotPriceX112) = _consultTwap(venueId);
+        twapReady = ready;
+        twapPrice = _toPrice(twapPriceX112);
+        spotPrice = _toPrice(spotPriceX112);
+        deviationBps = ready ? _priceDeviationBps(spotPriceX112, twapPriceX112) : 0;
     }
 
     /**
@@ -860,7 +1450,7 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         uint256 rewardsAmount,
         uint256 callerReward
     ) {
-        uint256 currentBalance = aecToken.balanceOf(address(this));
+        uint256 currentBalance = _aecBalance();
         
         if (currentBalance < minAecToProcess) {
             return (0, 0, 0, 0, 0);
@@ -869,9 +1459,10 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         callerReward = (currentBalance * CALLER_REWARD_BPS) / BASIS_POINTS_DIVISOR;
         totalToProcess = currentBalance - callerReward;
         
-        burnAmount = (totalToProcess * BURN_BPS) / BASIS_POINTS_DIVISOR;
-        lpAmount = (totalToProcess * AUTO_LP_BPS) / BASIS_POINTS_DIVISOR;
-        rewardsAmount = (totalToProcess * REWARDS_REFILL_BPS) / BASIS_POINTS_DIVISOR;
+        (uint16 burnBps, uint16 lpBps, uint16 refillBps) = _cycleAllocation();
+        burnAmount = (totalToProcess * burnBps) / BASIS_POINTS_DIVISOR;
+        lpAmount = (totalToProcess * lpBps) / BASIS_POINTS_DIVISOR;
+        rewardsAmount = (totalToProcess * refillBps) / BASIS_POINTS_DIVISOR;
     }
 
     /**
@@ -885,7 +1476,7 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         bool canSwap,
         bool endowmentConnected
     ) {
-        hasMinBalance = aecToken.balanceOf(address(this)) >= minAecToProcess;
+        hasMinBalance = _aecBalance() >= minAecToProcess;
         
         stakingConfigured = stakingContractLP != address(0) && 
                            stakingContractToken != address(0) && 
@@ -893,15 +1484,11 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         
         pairExists = address(aecStablecoinPair) != address(0);
         
-        canSwap = true;
-        try this._testSwapPath() {
-            // Swap path valid
-        } catch {
-            canSwap = false;
-        }
+        // Any route quoting 1 AEC on the primary pair
+        (uint256 quote,) = _bestSwapRoute(0, 1 ether);
+        canSwap = quote > 0;
         
         // Check endowment connection
-        endowmentConnected = address(perpetualEndowment) != address(0);
         try perpetualEndowment.suggestOptimalRelease() returns (bool, uint256, uint256, uint256) {
             endowmentConnected = true;
         } catch {
@@ -911,23 +1498,18 @@ contract PerpetualEngine is ReentrancyGuard, IPerpetualEngine {
         isHealthy = hasMinBalance && stakingConfigured && pairExists && canSwap && endowmentConnected;
     }
 
-    /**
-     * @notice Test swap path for health check
-     */
-    function _testSwapPath() external view {
-        require(msg.sender == address(this), "PE: Internal only");
-        
-        address[] memory path = new address[](2);
-        path[0] = address(aecToken);
-        path[1] = address(stablecoinToken);
-        
-        uniswapV2Router.getAmountsOut(1 ether, path);
-    }
-
     // ================================================================
     // UTILITY FUNCTIONS
     // ================================================================
 
+    function _checkActiveDeployer() private view {
+        require(deployerPrivilegesActive && msg.sender == deployerWallet, "PE: Not authorized");
+    }
+
+    function _aecBalance() private view returns (uint256) {
+        return aecToken.balanceOf(address(this));
+    }
+
     function _min(uint256 a, uint256 b) private pure returns (uint256) {
         return a < b ? a : b;
     }
@@ -2,8 +2,11 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IAECToken.sol";
 import "../interfaces/IFounderVesting.sol";
 
 /**
@@ -18,6 +21,10 @@ import "../interfaces/IFounderVesting.sol";
  * 
  * Anyone can deposit/withdraw AEC anytime
  * Anyone can trigger actions when thresholds are met
+ *
+ * Allowlist changes (AECToken tax exclusions and AMM pairs) are the exception: they go to
+ * a snapshot vote on delegated AEC, then wait out AECToken's public delay, during which
+ * holders can veto them. Deposited AEC carries no votes; holders vote from their wallets.
  */
 contract AccountabilityDAO is ReentrancyGuard {
     using SafeERC20 for IERC20;
@@ -31,6 +38,38 @@ contract AccountabilityDAO is ReentrancyGuard {
     event VestingExtended(address indexed triggeredBy, uint256 totalLocked);
     event FounderAllocationBurned(address indexed triggeredBy, uint256 totalLocked);
     event ActionFailed(string reason);
+    event AllowlistProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        IAECToken.AllowlistAction action,
+        address account,
+        bool status,
+        uint256 snapshot,
+        uint256 voteEnd
+    );
+    event AllowlistVoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 votes);
+    event AllowlistProposalQueued(uint256 indexed proposalId, bytes32 changeId);
+    event AllowlistVetoCast(uint256 indexed proposalId, address indexed voter, uint256 votes);
+    event AllowlistProposalVetoed(uint256 indexed proposalId, bytes32 changeId);
+
+    // ================================================================
+    // TYPES
+    // ================================================================
+
+    /// @notice An allowlist change put to a vote
+    struct AllowlistProposal {
+        IAECToken.AllowlistAction action;
+        address account;
+        bool status;
+        bool queued;           // Passed and queued in AECToken
+        bool vetoed;
+        uint48 snapshot;       // Block votes are counted at
+        uint48 vetoSnapshot;   // Block veto votes are counted at, set when queued
+        uint64 voteEnd;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 vetoVotes;
+    }
 
     // ================================================================
     // CONSTANTS
@@ -48,6 +87,15 @@ contract AccountabilityDAO is ReentrancyGuard {
     /// @notice Cooldown between same actions
     uint256 public constant ACTION_COOLDOWN = 30 days;
 
+    /// @notice Delegated votes needed to propose an allowlist change
+    uint256 public constant ALLOWLIST_PROPOSAL_THRESHOLD = 1_000_000 * 1e18; // 1M AEC
+
+    /// @notice For-votes an allowlist change needs to pass
+    uint256 public constant ALLOWLIST_QUORUM = 100_000_000 * 1e18; // 100M AEC
+
+    /// @notice How long an allowlist vote stays open
+    uint256 public constant ALLOWLIST_VOTING_PERIOD = 5 days;
+
     // ================================================================
     // IMMUTABLES
     // ================================================================
@@ -76,6 +124,14 @@ contract AccountabilityDAO is ReentrancyGuard {
     uint256 public extensionCount;
     bool public founderAllocationBurned;
 
+    /// @notice Allowlist proposals, by id (starting at 1)
+    mapping(uint256 => AllowlistProposal) public allowlistProposals;
+    uint256 public allowlistProposalCount;
+
+    /// @notice Who voted on, or vetoed, each allowlist proposal
+    mapping(uint256 => mapping(address => bool)) public hasVotedOnAllowlist;
+    mapping(uint256 => mapping(address => bool)) public hasVetoedAllowlist;
+
     // ================================================================
     // MODIFIERS
     // ================================================================
@@ -117,6 +173,21 @@ contract AccountabilityDAO is ReentrancyGuard {
      * @param amount Amount to deposit
      */
     function deposit(uint256 amount) external nonReentrant {
+        _deposit(amount);
+    }
+
+    /**
+     * @notice Deposit AEC with an EIP-2612 permit instead of a separate approve
+     * @param amount Amount to deposit (the permit value)
+     * @param deadline Permit deadline
+     */
+    function depositWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant {
+        // Ignored on failure: a front-run permit has already set the allowance
+        try IERC20Permit(address(aecToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _deposit(amount);
+    }
+
+    function _deposit(uint256 amount) private {
         require(amount > 0, "Zero amount");
         
         // Transfer tokens from user
@@ -209,6 +280,110 @@ contract AccountabilityDAO is ReentrancyGuard {
         }
     }
 
+    // ================================================================
+    // ALLOWLIST GOVERNANCE
+    // ================================================================
+
+    /**
+     * @notice Put an AECToken tax exclusion or AMM pair change to a vote
+     * @dev Votes are delegated AEC at the previous block, so they cannot be bought mid-vote
+     * @param action Which allowlist to change
+     * @param account The account or pair
+     * @param status The value to set
+     * @return proposalId Id to vote, queue and veto with
+     */
+    function proposeAllowlistChange(
+        IAECToken.AllowlistAction action,
+        address account,
+        bool status
+    ) external returns (uint256 proposalId) {
+        require(account != address(0), "Invalid account");
+        uint48 snapshot = uint48(block.number - 1);
+        require(_votesAt(msg.sender, snapshot) >= ALLOWLIST_PROPOSAL_THRESHOLD, "Insufficient votes to propose");
+
+        proposalId = ++allowlistProposalCount;
+        AllowlistProposal storage proposal = allowlistProposals[proposalId];
+        proposal.action = action;
+        proposal.account = account;
+        proposal.status = status;
+        proposal.snapshot = snapshot;
+        proposal.voteEnd = uint64(block.timestamp + ALLOWLIST_VOTING_PERIOD);
+
+        emit AllowlistProposalCreated(proposalId, msg.sender, action, account, status, snapshot, proposal.voteEnd);
+    }
+
+    /**
+     * @notice Vote on an open allowlist proposal with your delegated AEC at its snapshot
+     * @param proposalId The proposal
+     * @param support True for, false against
+     */
+    function castAllowlistVote(uint256 proposalId, bool support) external {
+        AllowlistProposal storage proposal = allowlistProposals[proposalId];
+        require(proposal.voteEnd != 0, "Unknown proposal");
+        require(block.timestamp < proposal.voteEnd, "Voting closed");
+        require(!hasVotedOnAllowlist[proposalId][msg.sender], "Already voted");
+
+        uint256 votes = _votesAt(msg.sender, proposal.snapshot);
+        require(votes > 0, "No votes");
+
+        hasVotedOnAllowlist[proposalId][msg.sender] = true;
+        if (support) {
+            proposal.forVotes += votes;
+        } else {
+            proposal.againstVotes += votes;
+        }
+        emit AllowlistVoteCast(proposalId, msg.sender, support, votes);
+    }
+
+    /**
+     * @notice Queue a passed proposal in AECToken, starting its public delay
+     * @dev Anyone can trigger. AECToken.executeAllowlistChange applies it once the delay is over
+     */
+    function queueAllowlistChange(uint256 proposalId) external {
+        AllowlistProposal storage proposal = allowlistProposals[proposalId];
+        require(proposal.voteEnd != 0, "Unknown proposal");
+        require(block.timestamp >= proposal.voteEnd, "Voting still open");
+        require(!proposal.queued, "Already queued");
+        require(proposal.forVotes >= ALLOWLIST_QUORUM, "Quorum not reached");
+        require(proposal.forVotes > proposal.againstVotes, "Proposal defeated");
+
+        proposal.queued = true;
+        proposal.vetoSnapshot = uint48(block.number - 1);
+        bytes32 changeId = IAECToken(address(aecToken)).proposeAllowlistChange(
+            proposal.action,
+            proposal.account,
+            proposal.status
+        );
+        emit AllowlistProposalQueued(proposalId, changeId);
+    }
+
+    /**
+     * @notice Vote to veto a queued change during AECToken's delay
+     * @dev Counted at the block the change was queued. The change is cancelled in AECToken
+     *      as soon as veto votes outweigh the votes that passed it
+     */
+    function vetoAllowlistChange(uint256 proposalId) external {
+        AllowlistProposal storage proposal = allowlistProposals[proposalId];
+        require(proposal.queued && !proposal.vetoed, "Not vetoable");
+        bytes32 changeId = _allowlistChangeId(proposal);
+        // Zero once AECToken has executed the change
+        require(block.timestamp < IAECToken(address(aecToken)).allowlistChangeEta(changeId), "Veto window closed");
+        require(!hasVetoedAllowlist[proposalId][msg.sender], "Already vetoed");
+
+        uint256 votes = _votesAt(msg.sender, proposal.vetoSnapshot);
+        require(votes > 0, "No votes");
+
+        hasVetoedAllowlist[proposalId][msg.sender] = true;
+        proposal.vetoVotes += votes;
+        emit AllowlistVetoCast(proposalId, msg.sender, votes);
+
+        if (proposal.vetoVotes > proposal.forVotes) {
+            proposal.vetoed = true;
+            IAECToken(address(aecToken)).vetoAllowlistChange(changeId);
+            emit AllowlistProposalVetoed(proposalId, changeId);
+        }
+    }
+
     // ================================================================
     // VIEW FUNCTIONS
     // ================================================================
@@ -277,6 +452,14 @@ contract AccountabilityDAO is ReentrancyGuard {
     // INTERNAL FUNCTIONS
     // ================================================================
     
+    function _votesAt(address account, uint256 blockNumber) private view returns (uint256) {
+        return IVotes(address(aecToken)).getPastVotes(account, blockNumber);
+    }
+
+    function _allowlistChangeId(AllowlistProposal storage proposal) private view returns (bytes32) {
+        return keccak256(abi.encode(proposal.action, proposal.account, proposal.status));
+    }
+
     /**
      * @notice Check if any actions became available after deposit
      */
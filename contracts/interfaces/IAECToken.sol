@@ -7,6 +7,59 @@ pragma solidity ^0.8.20;
  * @notice Interface for AEC Token with tax system and PerpetualEngine integration
  */
 interface IAECToken {
+    /// @notice The Tolerant Fortress gate a transfer passes through
+    enum TransferGate {
+        Excluded,     // Sender or recipient is tax-excluded
+        OfficialAmm,  // Trade on a whitelisted AMM pair: launch/normal rates
+        Unofficial,   // Any other contract on either side: dissuasive rates
+        PeerToPeer,   // Wallet to wallet: no tax
+        Routed        // Hop of a route through an official pair in the same transaction: taxed once, at the pair
+    }
+
+    /// @notice How a registered runtime codehash is recognized as a wallet
+    enum WalletCode {
+        None,
+        Wallet,     // Audited wallet implementation, deployed directly or behind an EIP-1167 clone
+        SafeProxy   // Proxy exposing masterCopy(); a wallet if its singleton is a registered Wallet
+    }
+
+    /// @notice Rates an official AMM pair pays once the launch period is over
+    struct PairTaxProfile {
+        uint16 buyTaxBps;
+        uint16 sellTaxBps;
+        bool isCustom;       // False: the pair pays NORMAL_BUY/SELL_TAX_BPS
+    }
+
+    /// @notice AEC a contract holds from a route through an official pair, valid for one transaction
+    struct RouteLeg {
+        address origin;      // tx.origin of the transaction that opened the leg
+        uint64 blockNumber;  // Block of that transaction
+        uint16 paidBps;      // Sell legs: Gate 3 rate the payer was charged on the way in
+        address payer;       // Sell legs: account refunded what Gate 3 took above the pair's rate
+        uint96 amount;       // AEC the holder may still route onwards
+    }
+
+    /// @notice Allowlist entries the governor can change, before or after renounce
+    enum AllowlistAction {
+        TaxExclusion,  // isExcludedFromTax
+        AmmPair        // automatedMarketMakerPairs
+    }
+
+    /// @notice Anti-bot limits for the first blocks after the protocol seeds an official pair
+    struct LaunchGuard {
+        uint64 startBlock;      // Block of the first protocol liquidity, zero until then
+        uint32 durationBlocks;  // Blocks the guard lasts; zero disables it
+        uint16 maxTxBps;        // Max official buy or sell, in bps of total supply
+        uint16 maxWalletBps;    // Max balance of a non-excluded recipient, in bps of total supply
+    }
+
+    /// @notice Tax collected, split by source
+    struct TaxTotals {
+        uint256 buy;         // Official AMM buys
+        uint256 sell;        // Official AMM sells
+        uint256 unofficial;  // Unofficial contracts, both directions
+    }
+
     // ================================================================
     // ERC20 STANDARD FUNCTIONS
     // ================================================================
@@ -24,6 +77,14 @@ interface IAECToken {
     
     function burn(uint256 amount) external;
     function approveEngineForProcessing() external;
+    function taxSweepEnabled() external view returns (bool);
+    function taxSweepThreshold() external view returns (uint256);
+    function totalTaxSwept() external view returns (uint256);
+    function launchGuard() external view returns (uint64 startBlock, uint32 durationBlocks, uint16 maxTxBps, uint16 maxWalletBps);
+    function isLaunchGuardActive() external view returns (bool);
+    function allowlistGovernor() external view returns (address);
+    function allowlistChangeEta(bytes32 changeId) external view returns (uint256);
+    function getAllowlistChangeId(AllowlistAction action, address account, bool status) external pure returns (bytes32);
     
     // ================================================================
     // TAX SYSTEM FUNCTIONS
@@ -32,8 +93,28 @@ interface IAECToken {
     function getCurrentBuyTaxBps() external view returns (uint16);
     function getCurrentSellTaxBps() external view returns (uint16);
     function getUnofficialTaxRates() external pure returns (uint16 buyTax, uint16 sellTax);
+    function quoteTransfer(address from, address to, uint256 amount) external view returns (
+        TransferGate gate,
+        uint16 taxBps,
+        uint256 taxAmount,
+        uint256 netAmount,
+        bool belowDustMinimum,
+        uint256 rebate,
+        string memory launchGuardRevert
+    );
     function isExcludedFromTax(address account) external view returns (bool);
     function automatedMarketMakerPairs(address pair) external view returns (bool);
+    function pairTaxProfiles(address pair) external view returns (uint16 buyTaxBps, uint16 sellTaxBps, bool isCustom);
+    function getPairTaxRates(address pair) external view returns (uint16 buyTaxBps, uint16 sellTaxBps);
+    function getAmmPairs() external view returns (address[] memory);
+    function getRouteCredit(address holder) external view returns (uint256 buyCredit, uint256 sellCredit);
+    function walletCodehashes(bytes32 codehash) external view returns (WalletCode);
+    function totalTaxCollected() external view returns (uint256 buy, uint256 sell, uint256 unofficial);
+    function epochTaxCollected(uint256 epoch) external view returns (uint256 buy, uint256 sell, uint256 unofficial);
+    function currentTaxEpoch() external view returns (uint256);
+    function getEpochTaxRange(uint256 fromEpoch, uint256 toEpoch) external view returns (TaxTotals[] memory epochs);
+    function isRecognizedWallet(address account) external view returns (bool);
+    function isExcludedFromVotes(address account) external view returns (bool);
     
     // ================================================================
     // CONFIGURATION FUNCTIONS (OWNER ONLY)
@@ -43,6 +124,20 @@ interface IAECToken {
     function setPrimaryAmmPair(address pairAddress) external;
     function setTaxExclusion(address account, bool excluded) external;
     function setAmmPair(address pair, bool isPair) external;
+    function setAmmPairTaxProfile(address pair, uint16 buyTaxBps, uint16 sellTaxBps) external;
+    function setWalletCodehash(bytes32 codehash, WalletCode kind) external;
+    function setVotesExclusion(address account, bool excluded) external;
+    function setTaxSweep(bool enabled, uint256 threshold) external;
+    function setLaunchGuard(uint32 durationBlocks, uint16 maxTxBps, uint16 maxWalletBps) external;
+    function setAllowlistGovernor(address governor) external;
+    
+    // ================================================================
+    // ALLOWLIST GOVERNANCE (GOVERNOR ONLY, SURVIVES RENOUNCE)
+    // ================================================================
+    
+    function proposeAllowlistChange(AllowlistAction action, address account, bool status) external returns (bytes32 changeId);
+    function vetoAllowlistChange(bytes32 changeId) external;
+    function executeAllowlistChange(AllowlistAction action, address account, bool status) external;
     function rescueForeignTokens(address tokenAddress) external;
     function renounceContractOwnership() external;
     
@@ -55,7 +150,10 @@ interface IAECToken {
         uint16 currentBuyTax,
         uint16 currentSellTax,
         uint256 collectedTax,
-        bool engineSet
+        bool engineSet,
+        uint256 totalBuyTax,
+        uint256 totalSellTax,
+        uint256 totalUnofficialTax
     );
     
     function decimals() external pure returns (uint8);
@@ -73,6 +171,30 @@ interface IAECToken {
     /// @notice Emitted when perpetual engine is approved for processing
     event PerpetualEngineApproved(address indexed engineAddress, uint256 amountApproved);
     
+    /// @notice Emitted when a sell pushes the collected tax to the perpetual engine
+    event TaxSwept(address indexed engineAddress, uint256 amount);
+    
+    /// @notice Emitted when push-mode tax sweeping is configured
+    event TaxSweepConfigured(bool enabled, uint256 threshold);
+    
+    /// @notice Emitted when the allowlist governor is set
+    event AllowlistGovernorSet(address indexed governor);
+    
+    /// @notice Emitted when the governor queues an allowlist change behind the public delay
+    event AllowlistChangeProposed(bytes32 indexed changeId, AllowlistAction action, address indexed account, bool status, uint256 eta);
+    
+    /// @notice Emitted when the governor vetoes a queued allowlist change
+    event AllowlistChangeVetoed(bytes32 indexed changeId);
+    
+    /// @notice Emitted when a queued allowlist change takes effect
+    event AllowlistChangeExecuted(bytes32 indexed changeId);
+    
+    /// @notice Emitted when the launch guard is configured
+    event LaunchGuardConfigured(uint32 durationBlocks, uint16 maxTxBps, uint16 maxWalletBps);
+    
+    /// @notice Emitted when the first protocol liquidity reaches an official pair and the launch guard starts
+    event LaunchGuardStarted(address indexed pair, uint256 startBlock, uint256 endBlock);
+    
     /// @notice Emitted when perpetual engine address is set
     event PerpetualEngineAddressSet(address indexed newEngineAddress);
     
@@ -82,9 +204,21 @@ interface IAECToken {
     /// @notice Emitted when AMM pair status is updated
     event AmmPairSet(address indexed pair, bool isPair);
     
+    /// @notice Emitted when an official AMM pair gets its own tax rates
+    event AmmPairTaxProfileSet(address indexed pair, uint16 buyTaxBps, uint16 sellTaxBps);
+    
+    /// @notice Emitted when a routed sell reaches an official pair: Gate 3 tax becomes the pair's, the excess is refunded
+    event RouteTaxSettled(address indexed payer, address indexed pair, uint256 officialTax, uint256 rebate);
+    
     /// @notice Emitted when tax exclusion is updated
     event TaxExclusionSet(address indexed account, bool isExcluded);
     
+    /// @notice Emitted when a wallet codehash is registered or removed
+    event WalletCodehashSet(bytes32 indexed codehash, WalletCode kind);
+    
+    /// @notice Emitted when an address's balance is excluded from or included in voting power
+    event VotesExclusionSet(address indexed account, bool isExcluded);
+    
     /// @notice Emitted when foreign tokens are rescued
     event ForeignTokenRescued(address indexed tokenAddress, address indexed to, uint256 amount);
 } 
\ No newline at end of file
@@ -4,6 +4,8 @@ pragma solidity ^0.8.20;
 interface IAetheriaNFT {
     function mint() external returns (uint256);
     function mintBatch(uint256 quantity) external returns (uint256[] memory);
+    function mintWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns (uint256);
+    function mintBatchWithPermit(uint256 quantity, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns (uint256[] memory);
     function totalMinted() external view returns (uint256);
     function mintingActive() external view returns (bool);
     function ownerOf(uint256 tokenId) external view returns (address);
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICycleAllocationPolicy
+ * @notice Splits a PerpetualEngine cycle between burn, liquidity and staking refills
+ */
+interface ICycleAllocationPolicy {
+    /// @notice On-chain market readings the split is derived from
+    struct MarketSignals {
+        uint256 aecSupply;          // AEC total supply
+        uint256 poolAecReserve;     // AEC held by the primary pair
+        uint256 twapPrice;          // Primary pair TWAP, stablecoin units per AEC; zero until ready
+        uint256 spotPrice;          // Primary pair spot price, stablecoin units per AEC
+        uint256 rewardsRemaining;   // Base rewards the staking pools have left
+        uint256 rewardsAllocated;   // Base rewards the staking pools started with
+    }
+
+    function computeAllocation(MarketSignals calldata signals) external pure returns (
+        uint16 burnBps,
+        uint16 lpBps,
+        uint16 refillBps
+    );
+    function getMarketSignals() external view returns (MarketSignals memory signals);
+    function getAllocation() external view returns (uint16 burnBps, uint16 lpBps, uint16 refillBps);
+}
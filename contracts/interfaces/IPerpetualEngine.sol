@@ -2,6 +2,33 @@
 pragma solidity ^0.8.20;
 
 interface IPerpetualEngine {
+    /// @notice What one processed cycle did; amounts are in AEC
+    struct CycleRecord {
+        uint40 timestamp;
+        address caller;
+        uint16 venueId;            // Venue the cycle swapped through and deepened
+        uint8 swapAttempts;
+        uint8 swapsSucceeded;
+        uint96 newTaxes;           // Taxes and LP staking rewards collected by the cycle
+        uint96 endowmentReleased;
+        uint96 burned;
+        uint96 lpAec;              // AEC added as liquidity
+        uint96 refillLp;
+        uint96 refillToken;
+        uint96 refillNft;
+        uint96 unutilizedAec;      // AEC left in the engine for the next cycle
+        uint96 aecSwapped;         // AEC sold for the venue's quote token
+        uint96 lpMinted;           // LP tokens minted by the liquidity added
+        uint96 callerReward;       // AEC paid to the caller
+    }
+
+    // ================================================================
+    // ERRORS
+    // ================================================================
+
+    /// @notice Raised by simulateCycle with the record the cycle would store; timestamp is zero if it would skip
+    error CycleSimulated(CycleRecord result);
+
     // ================================================================
     // EVENTS
     // ================================================================
@@ -14,6 +41,7 @@ interface IPerpetualEngine {
     // ================================================================
     
     function runCycle() external;
+    function simulateCycle() external;
     function setStakingContracts(address _stakingContractToken, address _stakingContractNFT) external;
     function renounceDeployerPrivileges() external;
     function rescueForeignTokens(address tokenAddress, uint256 amount) external;
@@ -37,7 +65,11 @@ interface IPerpetualEngine {
         uint256 reserve1,
         address token0,
         address token1,
-        bool aecIsToken0
+        bool aecIsToken0,
+        uint256 twapPrice,
+        uint256 spotPrice,
+        uint256 deviationBps,
+        bool twapReady
     );
     function calculateCycleOutcome() external view returns (
         uint256 totalToProcess,
@@ -54,6 +86,17 @@ interface IPerpetualEngine {
         bool canSwap,
         bool endowmentConnected
     );
+    function canRunCycle() external view returns (bool);
+    function getLastCycleTime() external view returns (uint256);
+    function getCycleCount() external view returns (uint256);
+    function getCycleHistory(uint256 offset, uint256 limit) external view returns (CycleRecord[] memory);
+    function getCycleStats() external view returns (
+        uint256 totalProcessed,
+        uint256 totalBurned,
+        uint256 totalLiquidity,
+        uint256 totalRewards,
+        uint256 successRate
+    );
     function version() external pure returns (string memory);
     function notifyEndowmentRelease(uint256 amount) external;
     function isOperational() external view returns (bool);
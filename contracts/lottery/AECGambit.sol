@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
@@ -199,6 +200,25 @@ contract AECGambit is ReentrancyGuard {
      * @param amount Amount to bet (min 100 AEC)
      */
     function placeBet(uint256 amount) external nonReentrant onlyWhenActive {
+        _placeBet(amount);
+    }
+
+    /**
+     * @notice Place a bet, approving the AEC with an EIP-2612 signature in the same transaction
+     * @param amount Amount to bet (the permit value)
+     * @param deadline Permit deadline
+     * @dev The permit is tried and ignored on failure, so a front-run permit does not revert the bet
+     */
+    function placeBetWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        onlyWhenActive
+    {
+        try IERC20Permit(address(aecToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _placeBet(amount);
+    }
+
+    function _placeBet(uint256 amount) private {
         require(amount >= MIN_BET, "Below minimum");
         require(amount <= MAX_BET, "Above maximum");
         
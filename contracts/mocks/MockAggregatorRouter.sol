@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IUniswapV2Router02.sol";
+
+/**
+ * @title MockAggregatorRouter
+ * @notice 1inch-style router: pulls the input into itself, swaps through a V2 router to itself,
+ * then forwards the output. Every AEC hop touches this contract, as with real aggregators.
+ */
+contract MockAggregatorRouter {
+    using SafeERC20 for IERC20;
+
+    IUniswapV2Router02 public immutable router;
+
+    constructor(address _router) {
+        router = IUniswapV2Router02(_router);
+    }
+
+    function swap(address[] calldata path, uint256 amountIn, address to) external returns (uint256 amountOut) {
+        IERC20 tokenIn = IERC20(path[0]);
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+
+        tokenIn.safeTransferFrom(msg.sender, address(this), amountIn);
+        uint256 received = tokenIn.balanceOf(address(this));
+        tokenIn.forceApprove(address(router), received);
+
+        uint256 balanceBefore = tokenOut.balanceOf(address(this));
+        router.swapExactTokensForTokensSupportingFeeOnTransferTokens(received, 0, path, address(this), block.timestamp);
+        amountOut = tokenOut.balanceOf(address(this)) - balanceBefore;
+        tokenOut.safeTransfer(to, amountOut);
+    }
+}
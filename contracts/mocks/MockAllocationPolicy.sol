@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockAllocationPolicy
+ * @notice Returns a configurable split, or reverts, for PerpetualEngine allocation tests
+ */
+contract MockAllocationPolicy {
+    uint16 public burnBps;
+    uint16 public lpBps;
+    uint16 public refillBps;
+    bool public shouldRevert;
+
+    function setAllocation(uint16 _burnBps, uint16 _lpBps, uint16 _refillBps) external {
+        (burnBps, lpBps, refillBps) = (_burnBps, _lpBps, _refillBps);
+    }
+
+    function setShouldRevert(bool _shouldRevert) external {
+        shouldRevert = _shouldRevert;
+    }
+
+    function getAllocation() external view returns (uint16, uint16, uint16) {
+        require(!shouldRevert, "MOCK: Policy reverted");
+        return (burnBps, lpBps, refillBps);
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+import "./MockConstantProductRouter.sol";
+
+/**
+ * @title MockFailingLiquidityRouter
+ * @notice Constant-product router whose addLiquidity can be switched to revert, so engine
+ *         tests can swap for real and still see the liquidity addition fail
+ */
+contract MockFailingLiquidityRouter is MockConstantProductRouter {
+    bool public failAddLiquidity;
+
+    constructor(address _factory) MockConstantProductRouter(_factory) {}
+
+    function setFailAddLiquidity(bool _failAddLiquidity) external {
+        failAddLiquidity = _failAddLiquidity;
+    }
+
+    function addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint amountADesired,
+        uint amountBDesired,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline
+    ) external override ensure(deadline) returns (uint amountA, uint amountB, uint liquidity) {
+        require(!failAddLiquidity, "MOCK: Add liquidity failed");
+        (amountA, amountB) = _addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin);
+        liquidity = _depositAndMint(tokenA, tokenB, amountA, amountB, to);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockSafeProxy
+ * @notice Mirrors the Gnosis Safe proxy: singleton in slot 0, answers masterCopy() itself
+ * and delegates every other call to the singleton.
+ */
+contract MockSafeProxy {
+    address internal singleton;
+
+    constructor(address _singleton) {
+        singleton = _singleton;
+    }
+
+    /// @notice Test helper standing in for a Safe changing its singleton via delegatecall
+    function changeSingleton(address _singleton) external {
+        singleton = _singleton;
+    }
+
+    fallback() external payable {
+        assembly {
+            let _singleton := and(sload(0), 0xffffffffffffffffffffffffffffffffffffffff)
+            // 0xa619486e == keccak("masterCopy()")
+            if eq(calldataload(0), 0xa619486e00000000000000000000000000000000000000000000000000000000) {
+                mstore(0, _singleton)
+                return(0, 0x20)
+            }
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), _singleton, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if eq(success, 0) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: AGPL-3.0
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockSmartWallet
+ * @notice Stateless stand-in for a smart-account implementation: forwards arbitrary calls.
+ * Safe to run directly, behind an EIP-1167 clone or behind MockSafeProxy.
+ */
+contract MockSmartWallet {
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        (bool success, bytes memory result) = target.call(data);
+        require(success, "MockSmartWallet: call failed");
+        return result;
+    }
+}
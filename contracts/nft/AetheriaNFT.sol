@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
 /**
  * @title AetheriaNFT
@@ -126,6 +127,23 @@ contract AetheriaNFT is ERC721, ReentrancyGuard {
      * No referrals, no discounts, no special access - pure equality
      */
     function mint() external nonReentrant returns (uint256 tokenId) {
+        return _mintOne();
+    }
+
+    /**
+     * @notice Mint a new Aetheria NFT, paying through an EIP-2612 permit instead of a prior approve
+     * @param deadline Permit deadline; the permit value is MINT_PRICE
+     */
+    function mintWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        returns (uint256 tokenId)
+    {
+        _permitPayment(MINT_PRICE, deadline, v, r, s);
+        return _mintOne();
+    }
+
+    function _mintOne() private returns (uint256 tokenId) {
         require(mintingActive, "AetheriaNFT: Minting completed");
         require(totalMinted < MAX_SUPPLY, "AetheriaNFT: Max supply reached");
         
@@ -175,6 +193,24 @@ contract AetheriaNFT is ERC721, ReentrancyGuard {
      * @dev Gas efficient for multiple mints
      */
     function mintBatch(uint256 quantity) external nonReentrant returns (uint256[] memory tokenIds) {
+        return _mintBatch(quantity);
+    }
+
+    /**
+     * @notice Batch mint, paying through an EIP-2612 permit instead of a prior approve
+     * @param quantity Number to mint (max 10)
+     * @param deadline Permit deadline; the permit value is MINT_PRICE * quantity
+     */
+    function mintBatchWithPermit(uint256 quantity, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        returns (uint256[] memory tokenIds)
+    {
+        _permitPayment(MINT_PRICE * quantity, deadline, v, r, s);
+        return _mintBatch(quantity);
+    }
+
+    function _mintBatch(uint256 quantity) private returns (uint256[] memory tokenIds) {
         require(quantity > 0 && quantity <= 10, "AetheriaNFT: Invalid quantity");
         require(mintingActive, "AetheriaNFT: Minting completed");
         require(totalMinted + quantity <= MAX_SUPPLY, "AetheriaNFT: Exceeds supply");
@@ -220,6 +256,14 @@ contract AetheriaNFT is ERC721, ReentrancyGuard {
         }
     }
 
+    /**
+     * @dev Ignores a failing permit so a front-run signature cannot block the mint;
+     *      the payment transferFrom still needs the allowance.
+     */
+    function _permitPayment(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) private {
+        try IERC20Permit(address(aecToken)).permit(msg.sender, address(this), value, deadline, v, r, s) {} catch {}
+    }
+
     // ================================================================
     // METADATA FUNCTIONS
     // ================================================================
@@ -366,6 +410,8 @@ contract AetheriaNFT is ERC721, ReentrancyGuard {
 interface IAetheriaNFT {
     function mint() external returns (uint256);
     function mintBatch(uint256 quantity) external returns (uint256[] memory);
+    function mintWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns (uint256);
+    function mintBatchWithPermit(uint256 quantity, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns (uint256[] memory);
     function totalMinted() external view returns (uint256);
     function mintingActive() external view returns (bool);
     function ownerOf(uint256 tokenId) external view returns (address);
@@ -585,10 +585,12 @@ contract AECStakingLP is ReentrancyGuard, IAECStakingLP {
             baseRewardContribution = (timeElapsed * baseRewardRate * PRECISION) / totalWeightedSupply;
         }
         
-        // Bonus rewards: accrue up to lastTimeRewardApplicable
+        // Bonus rewards: accrue up to lastTimeRewardApplicable. lastUpdateTime follows
+        // block.timestamp for base rewards, so it can already be past bonusPeriodFinish.
         uint256 bonusRewardContribution = 0;
-        if (bonusRewardRate > 0 && lastUpdateTime > 0) {
-            uint256 timeElapsed = lastTimeRewardApplicable() - lastUpdateTime;
+        uint256 bonusEnd = lastTimeRewardApplicable();
+        if (bonusRewardRate > 0 && lastUpdateTime > 0 && bonusEnd > lastUpdateTime) {
+            uint256 timeElapsed = bonusEnd - lastUpdateTime;
             bonusRewardContribution = (timeElapsed * bonusRewardRate * PRECISION) / totalWeightedSupply;
         }
         
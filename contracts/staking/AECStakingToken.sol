@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
@@ -257,6 +258,27 @@ contract AECStakingToken is ReentrancyGuard {
         nonReentrant 
         updateReward(msg.sender) 
     {
+        _stake(amount, tier);
+    }
+
+    /**
+     * @notice Stake AEC tokens, approving them with an EIP-2612 signature in the same transaction
+     * @param amount Amount to stake (the permit value)
+     * @param tier Selected tier (0-3)
+     * @param deadline Permit deadline
+     * @dev A permit that fails (e.g. already used by a front-runner) is ignored;
+     *      the transfer still reverts if the allowance does not cover the stake.
+     */
+    function stakeWithPermit(uint256 amount, uint8 tier, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        updateReward(msg.sender)
+    {
+        try IERC20Permit(address(aecToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _stake(amount, tier);
+    }
+
+    function _stake(uint256 amount, uint8 tier) private {
         require(amount >= MIN_STAKE_AMOUNT, "TokenStaking: Too small");
         require(tier <= 3, "TokenStaking: Invalid tier");
         
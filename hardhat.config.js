@@ -3,6 +3,13 @@ require('@nomicfoundation/hardhat-verify');
 require('hardhat-contract-sizer');
 require('dotenv').config();
 
+require('./tasks/verify-wiring');
+require('./tasks/simulate');
+require('./tasks/keeper');
+require('./tasks/indexer');
+require('./tasks/sdk');
+require('./tasks/gas');
+
 module.exports = {
   solidity: {
     version: "0.8.20",
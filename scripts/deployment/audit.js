@@ -0,0 +1,249 @@
+/**
+ * Post-deployment wiring audit.
+ *
+ * Reads every cross-contract pointer of a live deployment through the contracts'
+ * own view functions and compares it with the topology recorded in the
+ * deployment manifest. Used by the `verify-wiring` task.
+ */
+
+// Every protocol contract AECToken must exempt from tax and leave out of voting power
+const TAX_EXCLUDED = [
+    "TokenDistributor",
+    "PerpetualEngine",
+    "PerpetualEndowment",
+    "FairLaunch",
+    "LiquidityDeployer",
+    "AECStakingLP",
+    "AECStakingToken",
+    "AECStakingNFT",
+    "AetheriaNFT",
+    "FairAirdrop",
+    "FounderVesting",
+    "AccountabilityDAO",
+    "AECGambit"
+];
+
+const PROTOCOL_CONTRACTS = [...TAX_EXCLUDED, "AECToken", "ContributorPoints", "CycleAllocationPolicy"];
+
+function sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+function createReport() {
+    const results = [];
+    return {
+        results,
+        /** Records a pass/fail check. Addresses are compared case-insensitively. */
+        expect(contract, check, actual, expected) {
+            const ok = typeof expected === "string" ? sameAddress(actual, expected) : actual === expected;
+            results.push({ contract, check, ok, actual: String(actual), expected: String(expected) });
+        },
+        /** Records an observation that never fails the audit. */
+        info(contract, check, detail) {
+            results.push({ contract, check, ok: true, info: true, actual: String(detail) });
+        },
+        get passed() {
+            return results.every((r) => r.ok);
+        }
+    };
+}
+
+/**
+ * Audits a deployment against its manifest.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} manifest Deployment manifest written by deploy.js
+ * @param {object} [options]
+ * @param {boolean} [options.allowOwner] Accept AECToken ownership / engine deployer privileges still being active
+ * @return {{results: object[], passed: boolean}}
+ */
+async function auditDeployment(hre, manifest, options = {}) {
+    const { ethers } = hre;
+    const report = createReport();
+
+    const addresses = {};
+    for (const name of [...PROTOCOL_CONTRACTS, "AECStablecoinPair"]) {
+        const entry = manifest.contracts[name];
+        if (!entry || entry.status !== "confirmed") {
+            report.expect(name, "recorded in manifest", "missing", "confirmed");
+            continue;
+        }
+        addresses[name] = entry.address;
+        const code = await ethers.provider.getCode(entry.address);
+        report.expect(name, "has code", code !== "0x", true);
+    }
+    if (!report.passed) return report;
+
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, addresses[name]);
+    const engineArgs = manifest.contracts.PerpetualEngine.args || [];
+    const stablecoin = engineArgs[1];
+    const router = engineArgs[2];
+
+    // --- AECToken ---
+    const aecToken = await at("AECToken");
+    const [, , , , engineSet] = await aecToken.getContractState();
+    report.expect("AECToken", "getContractState.engineSet", engineSet, true);
+    report.expect("AECToken", "perpetualEngineAddress", await aecToken.perpetualEngineAddress(), addresses.PerpetualEngine);
+    report.expect("AECToken", "primaryAmmPair", await aecToken.primaryAmmPair(), addresses.AECStablecoinPair);
+    report.expect("AECToken", "automatedMarketMakerPairs(pair)",
+        await aecToken.automatedMarketMakerPairs(addresses.AECStablecoinPair), true);
+    report.expect("AECToken", "allowlistGovernor", await aecToken.allowlistGovernor(), addresses.AccountabilityDAO);
+    for (const name of TAX_EXCLUDED) {
+        report.expect("AECToken", `isExcludedFromTax(${name})`, await aecToken.isExcludedFromTax(addresses[name]), true);
+        report.expect("AECToken", `isExcludedFromVotes(${name})`, await aecToken.isExcludedFromVotes(addresses[name]), true);
+    }
+    const owner = await aecToken.owner();
+    if (options.allowOwner) {
+        report.info("AECToken", "owner", owner);
+    } else {
+        report.expect("AECToken", "ownership renounced", owner, ethers.ZeroAddress);
+    }
+
+    // --- PerpetualEngine ---
+    const engine = await at("PerpetualEngine");
+    report.expect("PerpetualEngine", "aecToken", await engine.aecToken(), addresses.AECToken);
+    report.expect("PerpetualEngine", "stablecoinToken", await engine.stablecoinToken(), stablecoin);
+    report.expect("PerpetualEngine", "uniswapV2Router", await engine.uniswapV2Router(), router);
+    report.expect("PerpetualEngine", "aecStablecoinPair", await engine.aecStablecoinPair(), addresses.AECStablecoinPair);
+    report.expect("PerpetualEngine", "perpetualEndowment", await engine.perpetualEndowment(), addresses.PerpetualEndowment);
+    report.expect("PerpetualEngine", "stakingContractLP", await engine.stakingContractLP(), addresses.AECStakingLP);
+    report.expect("PerpetualEngine", "stakingContractToken", await engine.stakingContractToken(), addresses.AECStakingToken);
+    report.expect("PerpetualEngine", "stakingContractNFT", await engine.stakingContractNFT(), addresses.AECStakingNFT);
+    report.expect("PerpetualEngine", "allocationPolicy", await engine.allocationPolicy(), addresses.CycleAllocationPolicy);
+
+    const policy = await at("CycleAllocationPolicy");
+    report.expect("CycleAllocationPolicy", "perpetualEngine", await policy.perpetualEngine(), addresses.PerpetualEngine);
+    report.expect("CycleAllocationPolicy", "aecToken", await policy.aecToken(), addresses.AECToken);
+    report.expect("CycleAllocationPolicy", "stakingContractLP", await policy.stakingContractLP(), addresses.AECStakingLP);
+    report.expect("CycleAllocationPolicy", "stakingContractToken", await policy.stakingContractToken(), addresses.AECStakingToken);
+    report.expect("CycleAllocationPolicy", "stakingContractNFT", await policy.stakingContractNFT(), addresses.AECStakingNFT);
+
+    const [slippage, minProcessAmount, cooldown, privilegesActive] = await engine.getConfiguration();
+    report.expect("PerpetualEngine", "getConfiguration.slippage", slippage.toString(), String(engineArgs[6]));
+    report.expect("PerpetualEngine", "getConfiguration.minProcessAmount", minProcessAmount.toString(), String(engineArgs[7]));
+    report.expect("PerpetualEngine", "getConfiguration.cooldown", cooldown.toString(), String(engineArgs[8]));
+    if (options.allowOwner) {
+        report.info("PerpetualEngine", "getConfiguration.privilegesActive", privilegesActive);
+    } else {
+        report.expect("PerpetualEngine", "deployer privileges renounced", privilegesActive, false);
+    }
+
+    // --- TokenDistributor ---
+    const distributor = await at("TokenDistributor");
+    report.expect("TokenDistributor", "aecToken", await distributor.aecToken(), addresses.AECToken);
+    const recipients = {
+        liquidityDeployerAddress: "LiquidityDeployer",
+        fairLaunchAddress: "FairLaunch",
+        airdropClaimAddress: "FairAirdrop",
+        perpetualEndowmentAddress: "PerpetualEndowment",
+        founderVestingAddress: "FounderVesting",
+        lotteryAddress: "AECGambit",
+        perpetualEngineAddress: "PerpetualEngine",
+        stakingLPAddress: "AECStakingLP",
+        stakingTokenAddress: "AECStakingToken",
+        stakingNFTAddress: "AECStakingNFT"
+    };
+    for (const [getter, name] of Object.entries(recipients)) {
+        report.expect("TokenDistributor", getter, await distributor[getter](), addresses[name]);
+    }
+    const securityBounty = await distributor.securityBountyAddress();
+    report.expect("TokenDistributor", "securityBountyAddress set", securityBounty !== ethers.ZeroAddress, true);
+
+    const [valid, sum] = await distributor.verifyAllocations();
+    report.expect("TokenDistributor", "verifyAllocations", valid, true);
+    const allocations = await distributor.getAllocations();
+    const allocationTotal = allocations.reduce((acc, value) => acc + value, 0n);
+    report.expect("TokenDistributor", "getAllocations sum", allocationTotal.toString(), sum.toString());
+    report.expect("TokenDistributor", "distributionComplete", await distributor.distributionComplete(), true);
+
+    // --- PerpetualEndowment ---
+    const endowment = await at("PerpetualEndowment");
+    report.expect("PerpetualEndowment", "perpetualEngine", await endowment.perpetualEngine(), addresses.PerpetualEngine);
+    report.expect("PerpetualEndowment", "isSealed", await endowment.isSealed(), true);
+
+    // --- Staking ---
+    const stakingLP = await at("AECStakingLP");
+    report.expect("AECStakingLP", "perpetualEngine", await stakingLP.perpetualEngine(), addresses.PerpetualEngine);
+    report.expect("AECStakingLP", "lpToken", await stakingLP.lpToken(), addresses.AECStablecoinPair);
+    report.expect("AECStakingLP", "liquidityDeployer", await stakingLP.liquidityDeployer(), addresses.LiquidityDeployer);
+
+    const stakingToken = await at("AECStakingToken");
+    report.expect("AECStakingToken", "perpetualEngine", await stakingToken.perpetualEngine(), addresses.PerpetualEngine);
+
+    const stakingNFT = await at("AECStakingNFT");
+    report.expect("AECStakingNFT", "perpetualEngine", await stakingNFT.perpetualEngine(), addresses.PerpetualEngine);
+    report.expect("AECStakingNFT", "aetheriaNFT", await stakingNFT.aetheriaNFT(), addresses.AetheriaNFT);
+
+    // --- Launch ---
+    const fairLaunch = await at("FairLaunch");
+    report.expect("FairLaunch", "liquidityDeployer", await fairLaunch.liquidityDeployer(), addresses.LiquidityDeployer);
+
+    const liquidityDeployer = await at("LiquidityDeployer");
+    report.expect("LiquidityDeployer", "fairLaunchAddress", await liquidityDeployer.fairLaunchAddress(), addresses.FairLaunch);
+    report.expect("LiquidityDeployer", "perpetualEngineAddress",
+        await liquidityDeployer.perpetualEngineAddress(), addresses.PerpetualEngine);
+    report.expect("LiquidityDeployer", "aecStakingLPAddress",
+        await liquidityDeployer.aecStakingLPAddress(), addresses.AECStakingLP);
+
+    const [, , , lpCreated, isComplete] = await liquidityDeployer.getDeploymentInfo();
+    if (isComplete) {
+        const engineStake = await stakingLP.stakes(addresses.PerpetualEngine);
+        report.expect("LiquidityDeployer", "getDeploymentInfo.lpCreated staked for engine",
+            engineStake.amount >= lpCreated && lpCreated > 0n, true);
+    } else {
+        report.info("LiquidityDeployer", "getDeploymentInfo.isComplete", "initial liquidity not deployed yet");
+    }
+
+    // --- Community ---
+    const fairAirdrop = await at("FairAirdrop");
+    report.expect("FairAirdrop", "cpToken", await fairAirdrop.cpToken(), addresses.ContributorPoints);
+    report.expect("FairAirdrop", "perpetualEngine", await fairAirdrop.perpetualEngine(), addresses.PerpetualEngine);
+    const contributorPoints = await at("ContributorPoints");
+    report.expect("ContributorPoints", "authorizedContracts(FairAirdrop)",
+        await contributorPoints.authorizedContracts(addresses.FairAirdrop), true);
+
+    const aetheriaNFT = await at("AetheriaNFT");
+    report.expect("AetheriaNFT", "perpetualEngine", await aetheriaNFT.perpetualEngine(), addresses.PerpetualEngine);
+
+    const gambit = await at("AECGambit");
+    report.expect("AECGambit", "perpetualEngine", await gambit.perpetualEngine(), addresses.PerpetualEngine);
+
+    // --- Governance ---
+    const vesting = await at("FounderVesting");
+    report.expect("FounderVesting", "accountabilityDAO", await vesting.accountabilityDAO(), addresses.AccountabilityDAO);
+    const [vestedAmount, , cliffEndTime, , burned] = await vesting.getVestingInfo();
+    report.expect("FounderVesting", "getVestingInfo.burned", burned, false);
+    report.info("FounderVesting", "getVestingInfo",
+        `${ethers.formatEther(vestedAmount)} AEC, cliff ends ${new Date(Number(cliffEndTime) * 1000).toISOString()}`);
+
+    const dao = await at("AccountabilityDAO");
+    report.expect("AccountabilityDAO", "founderVesting", await dao.founderVesting(), addresses.FounderVesting);
+
+    return report;
+}
+
+/**
+ * Renders the audit as a plain-text pass/fail report.
+ */
+function formatReport(report) {
+    const lines = [];
+    let current;
+    for (const r of report.results) {
+        if (r.contract !== current) {
+            current = r.contract;
+            lines.push(`\n${current}`);
+        }
+        if (r.info) {
+            lines.push(`  ·    ${r.check}: ${r.actual}`);
+        } else if (r.ok) {
+            lines.push(`  PASS ${r.check}`);
+        } else {
+            lines.push(`  FAIL ${r.check}: expected ${r.expected}, got ${r.actual}`);
+        }
+    }
+    const failed = report.results.filter((r) => !r.ok).length;
+    const total = report.results.filter((r) => !r.info).length;
+    lines.push(`\n${total - failed}/${total} checks passed${failed ? `, ${failed} FAILED` : ""}`);
+    return lines.join("\n");
+}
+
+module.exports = { auditDeployment, formatReport };
@@ -0,0 +1,94 @@
+const { ethers } = require("ethers");
+
+/**
+ * Per-network deployment parameters.
+ *
+ * Networks flagged `useMocks` get a mock stablecoin and Uniswap V2 stack
+ * deployed alongside the protocol. Live networks must point at the real
+ * stablecoin and router; anything address-like can be overridden from .env.
+ */
+
+const DEFAULTS = {
+    // PerpetualEngine operating parameters (same values the integration suites use)
+    slippageBps: 500,                              // 5%
+    minAecToProcess: ethers.parseEther("1000"),    // 1,000 AEC
+    cooldownSeconds: 3600,                         // 1 hour
+
+    // FairLaunch start (0 = immediately on deployment)
+    fairLaunchStartTime: 0,
+
+    // FairAirdrop deposit window opens this long after deployment
+    airdropStartDelay: 24 * 60 * 60,
+
+    // Smart-wallet runtime codehashes AECToken treats as peer-to-peer, e.g.
+    // { codehash: "0x...", kind: "Wallet" } for an audited account implementation or
+    // { codehash: "0x...", kind: "SafeProxy" } for a proxy answering masterCopy().
+    // Only settable before renounce; list the audited code deployed on each network.
+    walletCodehashes: [],
+
+    // Push mode: official sells forward collected tax to the engine once it reaches this
+    // balance (at least 1,000 AEC). 0 keeps pull mode via approveEngineForProcessing.
+    taxSweepThreshold: process.env.TAX_SWEEP_THRESHOLD ? ethers.parseEther(process.env.TAX_SWEEP_THRESHOLD) : 0n,
+
+    // Anti-bot limits for the first blocks after LiquidityDeployer seeds the pair
+    // (max 1800 blocks; limits in bps of supply, at least 10). null leaves it off.
+    launchGuard: { blocks: 150, maxTxBps: 50, maxWalletBps: 100 },
+
+    // Renounce AECToken ownership and engine deployer privileges as the final steps
+    renounce: process.env.RENOUNCE === "true",
+
+    // Confirmations to wait for on each transaction
+    confirmations: 1
+};
+
+const NETWORKS = {
+    hardhat: {
+        useMocks: true,
+        launchGuard: null    // Local suites trade right after liquidity
+    },
+    localhost: {
+        useMocks: true,
+        launchGuard: null
+    },
+    base_sepolia: {
+        stablecoin: process.env.BASE_SEPOLIA_USDC,
+        router: process.env.BASE_SEPOLIA_ROUTER,
+        confirmations: 2
+    },
+    base: {
+        stablecoin: process.env.BASE_USDC || "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+        router: process.env.BASE_ROUTER || "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24",
+        confirmations: 3
+    }
+};
+
+/**
+ * Resolves the deployment configuration for a network.
+ * @param {string} networkName Hardhat network name
+ * @param {string} deployer Address of the deploying account (fallback for role addresses)
+ * @param {object} overrides Values taking precedence over network defaults
+ */
+function getDeploymentConfig(networkName, deployer, overrides = {}) {
+    const networkConfig = NETWORKS[networkName];
+    if (!networkConfig) {
+        throw new Error(`Deploy: no deployment config for network "${networkName}"`);
+    }
+
+    const config = {
+        ...DEFAULTS,
+        founder: process.env.FOUNDER_ADDRESS || deployer,
+        securityBounty: process.env.SECURITY_BOUNTY_ADDRESS || deployer,
+        cpBackend: process.env.CP_BACKEND_ADDRESS || deployer,
+        ...networkConfig,
+        ...overrides
+    };
+
+    if (!config.useMocks) {
+        if (!config.stablecoin) throw new Error(`Deploy: stablecoin address missing for ${networkName}`);
+        if (!config.router) throw new Error(`Deploy: router address missing for ${networkName}`);
+    }
+
+    return config;
+}
+
+module.exports = { getDeploymentConfig };
@@ -0,0 +1,594 @@
+const hre = require("hardhat");
+const { ethers, network } = hre;
+
+const { getDeploymentConfig } = require("./config");
+const {
+    manifestPathFor,
+    emptyManifest,
+    loadManifest,
+    saveManifest
+} = require("./manifest");
+
+/**
+ * AetherCycle Protocol - full deployment pipeline
+ *
+ * Deploys the 15 protocol contracts in dependency order and wires them together.
+ * Every transaction is written to deployments/<network>.json as soon as it is sent
+ * and marked confirmed once mined, so a run that dies halfway picks up from the
+ * last confirmed step instead of redeploying.
+ *
+ * Usage:
+ *   npx hardhat run scripts/deployment/deploy.js --network localhost
+ *   DEPLOY_UNTIL=PerpetualEngine npx hardhat run scripts/deployment/deploy.js --network base_sepolia
+ *   RENOUNCE=true npx hardhat run scripts/deployment/deploy.js --network base
+ */
+
+// Exact allocations required by the recipient constructors
+const ENDOWMENT_ALLOCATION = ethers.parseEther("311111111");
+const STAKING_LP_ALLOCATION = ethers.parseEther("177777777");
+const STAKING_TOKEN_ALLOCATION = ethers.parseEther("133333333");
+const STAKING_NFT_ALLOCATION = ethers.parseEther("44400000");
+
+// PerpetualEngine, AECStakingLP and PerpetualEndowment reference each other through
+// immutables, so the engine address is reserved by nonce before the other two deploy.
+const ENGINE_PLAN_GROUP = ["AECStakingLP", "PerpetualEndowment"];
+
+// Fully qualified: Interface.sol declares interfaces with the same names
+const ROUTER_INTERFACE = "contracts/interfaces/IUniswapV2Router02.sol:IUniswapV2Router02";
+const FACTORY_INTERFACE = "contracts/interfaces/IUniswapV2Factory.sol:IUniswapV2Factory";
+const PAIR_INTERFACE = "contracts/interfaces/IUniswapV2Pair.sol:IUniswapV2Pair";
+
+// Canonical factory bytecode: its pairs hash to the init code PerpetualEngine computes addresses with
+const UNISWAP_V2_FACTORY = require("@uniswap/v2-core/build/UniswapV2Factory.json");
+
+// Protocol contracts that move AEC and must never be taxed or count as voting power
+const TAX_EXCLUDED = [
+    "FairLaunch",
+    "LiquidityDeployer",
+    "PerpetualEndowment",
+    "AECStakingLP",
+    "AECStakingToken",
+    "AECStakingNFT",
+    "AetheriaNFT",
+    "FairAirdrop",
+    "FounderVesting",
+    "AccountabilityDAO",
+    "AECGambit"
+];
+
+// AECToken's IAECToken.WalletCode enum
+const WALLET_CODE_KINDS = { Wallet: 1, SafeProxy: 2 };
+
+function walletCodeKind(kind) {
+    if (!(kind in WALLET_CODE_KINDS)) {
+        throw new Error(`Deploy: unknown wallet codehash kind "${kind}" (expected Wallet or SafeProxy)`);
+    }
+    return WALLET_CODE_KINDS[kind];
+}
+
+/**
+ * Builds the ordered list of pipeline steps.
+ * Deploy steps carry a contract name (plus a prebuilt artifact when the bytecode does not
+ * come from this repo) and lazily evaluated constructor args;
+ * call steps return the transaction to send (or null when nothing is needed).
+ */
+function buildSteps(ctx) {
+    const { config } = ctx;
+    const addr = (name) => ctx.address(name);
+    const steps = [];
+
+    if (config.useMocks) {
+        steps.push(
+            { id: "MockStablecoin", contract: "MockERC20", args: () => ["Mock USDC", "USDC"] },
+            {
+                id: "UniswapV2Factory",
+                contract: "UniswapV2Factory",
+                artifact: UNISWAP_V2_FACTORY,
+                args: () => [ctx.deployer.address]
+            },
+            {
+                id: "MockConstantProductRouter",
+                contract: "MockConstantProductRouter",
+                args: () => [addr("UniswapV2Factory")]
+            }
+        );
+    }
+
+    steps.push(
+        // --- Genesis ---
+        { id: "TokenDistributor", contract: "TokenDistributor", args: () => [ethers.ZeroAddress] },
+        { id: "AECToken", contract: "AECToken", args: () => [ctx.deployer.address, addr("TokenDistributor")] },
+        {
+            id: "TokenDistributor.setAECTokenAddress",
+            call: () => ctx.contract("TokenDistributor").setAECTokenAddress(addr("AECToken"))
+        },
+        { id: "AECStablecoinPair", pair: true },
+
+        // --- Launch ---
+        {
+            id: "LiquidityDeployer",
+            contract: "LiquidityDeployer",
+            args: () => [addr("AECToken"), ctx.stablecoin(), ctx.router()]
+        },
+        {
+            id: "FairLaunch",
+            contract: "FairLaunch",
+            args: () => [ctx.stablecoin(), addr("AECToken"), addr("LiquidityDeployer"), config.fairLaunchStartTime]
+        },
+
+        // --- Core (engine address reserved by nonce) ---
+        {
+            id: "AECStakingLP",
+            contract: "AECStakingLP",
+            args: () => [
+                addr("AECToken"),
+                addr("AECStablecoinPair"),
+                ctx.engineAddress(),
+                addr("LiquidityDeployer"),
+                STAKING_LP_ALLOCATION
+            ]
+        },
+        {
+            id: "PerpetualEndowment",
+            contract: "PerpetualEndowment",
+            args: () => [addr("AECToken"), ctx.engineAddress(), ENDOWMENT_ALLOCATION]
+        },
+        {
+            id: "PerpetualEngine",
+            contract: "PerpetualEngine",
+            args: () => [
+                addr("AECToken"),
+                ctx.stablecoin(),
+                ctx.router(),
+                addr("AECStakingLP"),
+                addr("PerpetualEndowment"),
+                ctx.deployer.address,
+                config.slippageBps,
+                config.minAecToProcess,
+                config.cooldownSeconds
+            ]
+        },
+
+        // --- Staking & NFT ---
+        {
+            id: "AECStakingToken",
+            contract: "AECStakingToken",
+            args: () => [addr("AECToken"), addr("PerpetualEngine"), STAKING_TOKEN_ALLOCATION]
+        },
+        { id: "AetheriaNFT", contract: "AetheriaNFT", args: () => [addr("AECToken"), addr("PerpetualEngine")] },
+        {
+            id: "AECStakingNFT",
+            contract: "AECStakingNFT",
+            args: () => [addr("AECToken"), addr("AetheriaNFT"), addr("PerpetualEngine"), STAKING_NFT_ALLOCATION]
+        },
+        {
+            id: "CycleAllocationPolicy",
+            contract: "CycleAllocationPolicy",
+            args: () => [
+                addr("PerpetualEngine"),
+                addr("AECToken"),
+                addr("AECStakingLP"),
+                addr("AECStakingToken"),
+                addr("AECStakingNFT")
+            ]
+        },
+
+        // --- Community ---
+        { id: "ContributorPoints", contract: "ContributorPoints", args: () => [config.cpBackend] },
+        {
+            id: "FairAirdrop",
+            contract: "FairAirdrop",
+            args: async () => [
+                addr("ContributorPoints"),
+                addr("AECToken"),
+                ctx.stablecoin(),
+                addr("PerpetualEngine"),
+                (await ethers.provider.getBlock("latest")).timestamp + config.airdropStartDelay
+            ]
+        },
+        // Deployer acts as interim DAO until AccountabilityDAO exists, then hands over
+        {
+            id: "FounderVesting",
+            contract: "FounderVesting",
+            args: () => [addr("AECToken"), config.founder, ctx.deployer.address]
+        },
+        {
+            id: "AccountabilityDAO",
+            contract: "AccountabilityDAO",
+            args: () => [addr("AECToken"), addr("FounderVesting")]
+        },
+        { id: "AECGambit", contract: "AECGambit", args: () => [addr("AECToken"), addr("PerpetualEngine")] },
+
+        // --- Wiring ---
+        {
+            id: "FounderVesting.updateDAO",
+            call: () => ctx.contract("FounderVesting").updateDAO(addr("AccountabilityDAO"))
+        },
+        // Holders keep a vote-and-veto path to tax exclusions and AMM pairs after renounce
+        {
+            id: "AECToken.setAllowlistGovernor",
+            call: () => ctx.contract("AECToken").setAllowlistGovernor(addr("AccountabilityDAO"))
+        },
+        {
+            id: "ContributorPoints.setAuthorizedContract",
+            call: () => {
+                if (config.cpBackend.toLowerCase() !== ctx.deployer.address.toLowerCase()) {
+                    ctx.log("  ! CP backend is not the deployer; authorize FairAirdrop from the backend wallet");
+                    return null;
+                }
+                return ctx.contract("ContributorPoints").setAuthorizedContract(addr("FairAirdrop"), true);
+            }
+        },
+        {
+            id: "TokenDistributor.setRecipients",
+            call: () => ctx.contract("TokenDistributor").setRecipients(
+                addr("LiquidityDeployer"),
+                addr("FairLaunch"),
+                addr("FairAirdrop"),
+                addr("PerpetualEndowment"),
+                addr("FounderVesting"),
+                config.securityBounty,
+                addr("AECGambit"),
+                addr("PerpetualEngine"),
+                addr("AECStakingLP"),
+                addr("AECStakingToken"),
+                addr("AECStakingNFT")
+            )
+        },
+        { id: "TokenDistributor.distribute", call: () => ctx.contract("TokenDistributor").distribute() },
+        { id: "PerpetualEndowment.initialize", call: () => ctx.contract("PerpetualEndowment").initialize() },
+        {
+            id: "AECToken.setPerpetualEngineAddress",
+            call: () => ctx.contract("AECToken").setPerpetualEngineAddress(addr("PerpetualEngine"))
+        },
+        {
+            id: "AECToken.setPrimaryAmmPair",
+            call: () => ctx.contract("AECToken").setPrimaryAmmPair(addr("AECStablecoinPair"))
+        },
+        ...TAX_EXCLUDED.map((name) => ({
+            id: `AECToken.setTaxExclusion:${name}`,
+            call: () => ctx.contract("AECToken").setTaxExclusion(addr(name), true)
+        })),
+        ...TAX_EXCLUDED.map((name) => ({
+            id: `AECToken.setVotesExclusion:${name}`,
+            call: () => ctx.contract("AECToken").setVotesExclusion(addr(name), true)
+        })),
+        ...config.walletCodehashes.map(({ codehash, kind }) => ({
+            id: `AECToken.setWalletCodehash:${codehash}`,
+            call: () => ctx.contract("AECToken").setWalletCodehash(codehash, walletCodeKind(kind))
+        })),
+        ...(config.launchGuard ? [{
+            id: "AECToken.setLaunchGuard",
+            call: () => ctx.contract("AECToken").setLaunchGuard(
+                config.launchGuard.blocks,
+                config.launchGuard.maxTxBps,
+                config.launchGuard.maxWalletBps
+            )
+        }] : []),
+        ...(config.taxSweepThreshold ? [{
+            id: "AECToken.setTaxSweep",
+            call: () => ctx.contract("AECToken").setTaxSweep(true, config.taxSweepThreshold)
+        }] : []),
+        {
+            id: "PerpetualEngine.setStakingContracts",
+            call: () => ctx.contract("PerpetualEngine").setStakingContracts(
+                addr("AECStakingToken"),
+                addr("AECStakingNFT")
+            )
+        },
+        {
+            id: "PerpetualEngine.setAllocationPolicy",
+            call: () => ctx.contract("PerpetualEngine").setAllocationPolicy(addr("CycleAllocationPolicy"))
+        },
+        {
+            id: "LiquidityDeployer.setContracts",
+            call: () => ctx.contract("LiquidityDeployer").setContracts(
+                addr("FairLaunch"),
+                addr("PerpetualEngine"),
+                addr("AECStakingLP")
+            )
+        }
+    );
+
+    // Irreversible: only once the wiring above has been audited (npx hardhat verify-wiring --allow-owner)
+    if (config.renounce) {
+        steps.push(
+            {
+                id: "AECToken.renounceContractOwnership",
+                call: () => ctx.contract("AECToken").renounceContractOwnership()
+            },
+            {
+                id: "PerpetualEngine.renounceDeployerPrivileges",
+                call: () => ctx.contract("PerpetualEngine").renounceDeployerPrivileges()
+            }
+        );
+    }
+
+    return steps;
+}
+
+// ================================================================
+// PIPELINE CONTEXT
+// ================================================================
+
+function createContext({ deployer, config, manifest, manifestPath, log }) {
+    const ctx = {
+        deployer,
+        config,
+        manifest,
+        log,
+        save: () => saveManifest(manifestPath, manifest),
+
+        address(name) {
+            const entry = manifest.contracts[name];
+            if (!entry || entry.status !== "confirmed") {
+                throw new Error(`Deploy: ${name} must be deployed before it is referenced`);
+            }
+            return entry.address;
+        },
+
+        contract(name) {
+            const { abi } = hre.artifacts.readArtifactSync(manifest.contracts[name].contract);
+            return new ethers.Contract(ctx.address(name), abi, deployer);
+        },
+
+        stablecoin() {
+            return config.useMocks ? ctx.address("MockStablecoin") : config.stablecoin;
+        },
+
+        router() {
+            return config.useMocks ? ctx.address("MockConstantProductRouter") : config.router;
+        },
+
+        /**
+         * Address PerpetualEngine will land on. Reserved from the deployer nonce the
+         * first time it is needed and re-checked before each deploy in the group.
+         */
+        async engineAddress() {
+            const deployed = manifest.contracts.PerpetualEngine;
+            if (deployed && deployed.status === "confirmed") return deployed.address;
+
+            const nonce = await ethers.provider.getTransactionCount(deployer.address, "pending");
+            const remaining = ENGINE_PLAN_GROUP.filter((name) => !isConfirmed(manifest, name)).length;
+            const expectedNonce = nonce + remaining;
+            const plan = manifest.plan && manifest.plan.PerpetualEngine;
+
+            if (plan && plan.nonce === expectedNonce) return plan.address;
+
+            if (plan && remaining < ENGINE_PLAN_GROUP.length) {
+                throw new Error(
+                    `Deploy: PerpetualEngine was reserved at nonce ${plan.nonce} but the next free slot is ` +
+                    `${expectedNonce}; AECStakingLP/PerpetualEndowment already point at ${plan.address}. ` +
+                    "Redeploy the group from a fresh manifest."
+                );
+            }
+
+            const address = ethers.getCreateAddress({ from: deployer.address, nonce: expectedNonce });
+            manifest.plan = { ...(manifest.plan || {}), PerpetualEngine: { address, nonce: expectedNonce } };
+            ctx.save();
+            return address;
+        }
+    };
+    return ctx;
+}
+
+function isConfirmed(manifest, name) {
+    const entry = manifest.contracts[name];
+    return Boolean(entry && entry.status === "confirmed");
+}
+
+// ================================================================
+// STEP EXECUTION
+// ================================================================
+
+/**
+ * Recovers a step left pending by an interrupted run.
+ * @return receipt of the mined transaction, or null if it must be resent
+ */
+async function recoverPending(ctx, entry) {
+    const tx = await ethers.provider.getTransaction(entry.txHash);
+    if (!tx) return null; // dropped from mempool
+    ctx.log(`  … waiting on pending ${entry.txHash}`);
+    try {
+        return await tx.wait(ctx.config.confirmations);
+    } catch (error) {
+        // ethers v6 throws on a reverted receipt instead of returning status 0
+        if (!ethers.isError(error, "CALL_EXCEPTION")) throw error;
+        ctx.log(`  ! pending ${entry.txHash} reverted, resending`);
+        return null;
+    }
+}
+
+async function runDeployStep(ctx, step) {
+    const { manifest } = ctx;
+    let entry = manifest.contracts[step.id];
+    if (entry && entry.status === "confirmed") {
+        ctx.log(`  = ${step.id} ${entry.address}`);
+        return;
+    }
+
+    if (entry && entry.status === "pending") {
+        const receipt = await recoverPending(ctx, entry);
+        if (receipt) {
+            Object.assign(entry, { status: "confirmed", address: receipt.contractAddress, block: receipt.blockNumber });
+            ctx.save();
+            ctx.log(`  ✓ ${step.id} ${entry.address} (recovered)`);
+            return;
+        }
+    }
+
+    const args = await resolveArgs(step.args);
+    if (step.id === "PerpetualEngine") await ctx.engineAddress(); // re-validate the nonce reservation
+
+    const factory = step.artifact
+        ? await ethers.getContractFactory(step.artifact.abi, step.artifact.bytecode, ctx.deployer)
+        : await ethers.getContractFactory(step.contract, ctx.deployer);
+    const contract = await factory.deploy(...args);
+    const tx = contract.deploymentTransaction();
+
+    entry = { contract: step.contract, status: "pending", txHash: tx.hash, args };
+    manifest.contracts[step.id] = entry;
+    ctx.save();
+
+    const receipt = await tx.wait(ctx.config.confirmations);
+    Object.assign(entry, { status: "confirmed", address: receipt.contractAddress, block: receipt.blockNumber });
+
+    const plan = manifest.plan && manifest.plan.PerpetualEngine;
+    if (step.id === "PerpetualEngine" && plan && plan.address !== entry.address) {
+        ctx.save();
+        throw new Error(`Deploy: PerpetualEngine landed at ${entry.address}, expected ${plan.address}`);
+    }
+
+    ctx.save();
+    ctx.log(`  ✓ ${step.id} ${entry.address}`);
+}
+
+async function runCallStep(ctx, step) {
+    const { manifest } = ctx;
+    let entry = manifest.steps[step.id];
+    if (entry && entry.status === "confirmed") {
+        ctx.log(`  = ${step.id}`);
+        return;
+    }
+
+    if (entry && entry.status === "pending") {
+        const receipt = await recoverPending(ctx, entry);
+        if (receipt) {
+            Object.assign(entry, { status: "confirmed", block: receipt.blockNumber });
+            ctx.save();
+            ctx.log(`  ✓ ${step.id} (recovered)`);
+            return;
+        }
+    }
+
+    const tx = await step.call();
+    if (!tx) {
+        manifest.steps[step.id] = { status: "skipped" };
+        ctx.save();
+        return;
+    }
+
+    entry = { status: "pending", txHash: tx.hash };
+    manifest.steps[step.id] = entry;
+    ctx.save();
+
+    const receipt = await tx.wait(ctx.config.confirmations);
+    Object.assign(entry, { status: "confirmed", block: receipt.blockNumber });
+    ctx.save();
+    ctx.log(`  ✓ ${step.id}`);
+}
+
+/**
+ * Resolves the AEC/stablecoin pair, creating it on the factory if it does not exist yet.
+ * AECStakingLP takes the LP token as an immutable, so the pair must exist before it deploys.
+ */
+async function runPairStep(ctx, step) {
+    const { manifest } = ctx;
+    if (isConfirmed(manifest, step.id)) {
+        ctx.log(`  = ${step.id} ${manifest.contracts[step.id].address}`);
+        return;
+    }
+
+    const router = await ethers.getContractAt(ROUTER_INTERFACE, ctx.router());
+    const factory = await ethers.getContractAt(FACTORY_INTERFACE, await router.factory(), ctx.deployer);
+    const aec = ctx.address("AECToken");
+    const stablecoin = ctx.stablecoin();
+
+    let pair = await factory.getPair(aec, stablecoin);
+    if (pair === ethers.ZeroAddress) {
+        const tx = await factory.createPair(aec, stablecoin);
+        manifest.contracts[step.id] = { contract: PAIR_INTERFACE, status: "pending", txHash: tx.hash };
+        ctx.save();
+        await tx.wait(ctx.config.confirmations);
+        pair = await factory.getPair(aec, stablecoin);
+    }
+
+    manifest.contracts[step.id] = {
+        ...(manifest.contracts[step.id] || {}),
+        contract: PAIR_INTERFACE,
+        status: "confirmed",
+        address: pair
+    };
+    ctx.save();
+    ctx.log(`  ✓ ${step.id} ${pair}`);
+}
+
+async function resolveArgs(args) {
+    const resolved = await args();
+    return Promise.all(resolved);
+}
+
+// ================================================================
+// ENTRY POINT
+// ================================================================
+
+/**
+ * Runs (or resumes) the deployment pipeline on the current Hardhat network.
+ * @param {object} options
+ * @param {string} [options.manifestPath] Manifest file (defaults to deployments/<network>.json)
+ * @param {string} [options.untilStep] Stop after this step id
+ * @param {object} [options.config] Overrides for the network deployment config
+ * @param {function} [options.log] Logger (defaults to console.log)
+ * @return {object} The final manifest
+ */
+async function deployProtocol(options = {}) {
+    const log = options.log || console.log;
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifestPath = options.manifestPath || manifestPathFor(network.name);
+    const config = getDeploymentConfig(network.name, deployer.address, options.config);
+
+    // The in-process hardhat chain starts empty every run, so its default manifest is never resumed
+    const resumable = options.manifestPath || network.name !== "hardhat";
+    let manifest = resumable ? loadManifest(manifestPath) : null;
+    if (manifest) {
+        if (BigInt(manifest.chainId) !== chainId) {
+            throw new Error(`Deploy: ${manifestPath} belongs to chain ${manifest.chainId}, connected to ${chainId}`);
+        }
+        if (manifest.deployer.toLowerCase() !== deployer.address.toLowerCase()) {
+            throw new Error(`Deploy: ${manifestPath} was started by ${manifest.deployer}`);
+        }
+        log(`Resuming deployment on ${network.name} from ${manifestPath}`);
+    } else {
+        manifest = emptyManifest(network.name, chainId.toString(), deployer.address);
+        log(`Starting deployment on ${network.name} (chain ${chainId}) as ${deployer.address}`);
+    }
+
+    const ctx = createContext({ deployer, config, manifest, manifestPath, log });
+    ctx.save();
+
+    for (const step of buildSteps(ctx)) {
+        if (step.pair) {
+            await runPairStep(ctx, step);
+        } else if (step.contract) {
+            await runDeployStep(ctx, step);
+        } else {
+            await runCallStep(ctx, step);
+        }
+
+        if (options.untilStep && step.id === options.untilStep) {
+            log(`Stopped after ${step.id}`);
+            return manifest;
+        }
+    }
+
+    manifest.completed = true;
+    ctx.save();
+    log(`Deployment complete. Manifest: ${manifestPath}`);
+    return manifest;
+}
+
+async function main() {
+    await deployProtocol({ untilStep: process.env.DEPLOY_UNTIL });
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { deployProtocol, buildSteps };
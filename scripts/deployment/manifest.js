@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Per-network deployment manifest.
+ *
+ * The manifest is the single source of truth for a deployment: every contract
+ * and every wiring transaction is recorded here as soon as it is sent, and
+ * marked confirmed once it is mined. Re-running the pipeline reads it back and
+ * only executes what is still missing.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function manifestPathFor(networkName) {
+    return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function emptyManifest(networkName, chainId, deployer) {
+    return {
+        network: networkName,
+        chainId,
+        deployer,
+        contracts: {},
+        steps: {},
+        updatedAt: null
+    };
+}
+
+function loadManifest(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes through a temp file so an interrupted run never leaves a truncated manifest.
+ */
+function saveManifest(file, manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(manifest, serializeBigInt, 2) + "\n");
+    fs.renameSync(tmp, file);
+}
+
+function serializeBigInt(_key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Returns the address of a confirmed contract, or throws if it is missing.
+ */
+function contractAddress(manifest, name) {
+    const entry = manifest.contracts[name];
+    if (!entry || entry.status !== "confirmed") {
+        throw new Error(`Manifest: ${name} is not deployed on ${manifest.network}`);
+    }
+    return entry.address;
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    manifestPathFor,
+    emptyManifest,
+    loadManifest,
+    saveManifest,
+    contractAddress
+};
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployProtocol } = require("../deployment/deploy");
+
+/**
+ * Gas benchmarks for the protocol's loop-bound paths.
+ *
+ * Launches the protocol once on the in-process Hardhat network, snapshots it,
+ * then measures every benchmark size from a fresh revert of that snapshot so
+ * sizes never see each other's state. Results are gasUsed per transaction,
+ * keyed by benchmark name and input size.
+ */
+
+const SMALL_CONTRIBUTORS = 200;
+const SMALL_CONTRIBUTION = 50n * 10n ** 6n;      // 200 x 50 USDC = 10K
+const WHALE_CONTRIBUTION = 90_000n * 10n ** 6n;  // Takes ~90% of the launch allocation
+const LAUNCH_DURATION = 48 * 60 * 60;
+const TWAP_WARMUP = 31 * 60;
+const CYCLE_SELL = 10n ** 24n;                    // 1M AEC
+const NFT_BATCH = 10;                             // AetheriaNFT.mintBatch limit
+
+/**
+ * Each benchmark names the function it measures, the input sizes and a
+ * measure(ctx, size) that prepares the state and returns the transaction.
+ */
+const BENCHMARKS = [
+    {
+        name: "FairLaunch.batchClaim",
+        unit: "users",
+        sizes: [1, 10, 50, 100, 200],
+        measure: ({ contracts, contributors }, size) =>
+            contracts.FairLaunch.batchClaim(contributors.slice(0, size).map((c) => c.address))
+    },
+    {
+        name: "PerpetualEndowment.releaseFunds",
+        unit: "periods",
+        sizes: [1, 2, 3, 4, 5, 6],
+        measure: async (ctx, size) => {
+            await warpToReleasePeriods(ctx, size);
+            return ctx.contracts.PerpetualEndowment.connect(ctx.engineSigner).releaseFunds();
+        }
+    },
+    {
+        name: "PerpetualEngine.runCycle",
+        unit: "periods",
+        sizes: [0, 1, 3, 6],
+        measure: async (ctx, size) => {
+            const { contracts, whale, keeper } = ctx;
+            await warpToReleasePeriods(ctx, size);
+            await contracts.MockConstantProductRouter.connect(whale).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                CYCLE_SELL, 0, [contracts.AECToken.target, contracts.MockStablecoin.target], whale.address, ctx.hre.ethers.MaxUint256
+            );
+            await contracts.PerpetualEngine.updatePriceObservation();
+            await increaseTime(ctx.hre, TWAP_WARMUP);
+            await contracts.AECToken.approveEngineForProcessing();
+            return contracts.PerpetualEngine.connect(keeper).runCycle();
+        }
+    },
+    {
+        name: "AECStakingNFT.stakeNFTs",
+        unit: "nfts",
+        sizes: [1, 10, 25, 50],
+        measure: async (ctx, size) => {
+            const tokenIds = await mintNfts(ctx, size);
+            return ctx.contracts.AECStakingNFT.connect(ctx.whale).stakeNFTs(tokenIds);
+        }
+    },
+    {
+        name: "AECStakingNFT.unstakeNFTs",
+        unit: "nfts",
+        sizes: [1, 10, 25, 50],
+        measure: async (ctx, size) => {
+            const tokenIds = await mintNfts(ctx, size);
+            await ctx.contracts.AECStakingNFT.connect(ctx.whale).stakeNFTs(tokenIds);
+            return ctx.contracts.AECStakingNFT.connect(ctx.whale).unstakeNFTs(tokenIds);
+        }
+    }
+];
+
+async function increaseTime(hre, seconds) {
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine", []);
+}
+
+/**
+ * Moves time to exactly `periods` release intervals past the last release.
+ */
+async function warpToReleasePeriods({ hre, contracts }, periods) {
+    const endowment = contracts.PerpetualEndowment;
+    const [{ lastReleaseTime }, interval] = await Promise.all([endowment.releaseInfo(), endowment.releaseInterval()]);
+    const target = lastReleaseTime + BigInt(periods) * interval + 1n;
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (target > BigInt(timestamp)) {
+        await hre.network.provider.send("evm_setNextBlockTimestamp", [Number(target)]);
+        await hre.network.provider.send("evm_mine", []);
+    }
+}
+
+async function mintNfts({ contracts, whale }, count) {
+    const tokenIds = [];
+    for (let left = count; left > 0; left -= NFT_BATCH) {
+        const quantity = Math.min(left, NFT_BATCH);
+        const receipt = await (await contracts.AetheriaNFT.connect(whale).mintBatch(quantity)).wait();
+        for (const log of receipt.logs) {
+            if (log.address !== contracts.AetheriaNFT.target) continue;
+            const parsed = contracts.AetheriaNFT.interface.parseLog(log);
+            if (parsed && parsed.name === "Transfer") tokenIds.push(parsed.args.tokenId);
+        }
+    }
+    return tokenIds;
+}
+
+/**
+ * Deploys and launches the protocol: 200 small contributors left unclaimed for
+ * batchClaim, plus a whale holding enough AEC for 50 NFTs and a taxed sell.
+ * @return {Promise<object>} Context with contracts, signers and the launched snapshot id
+ */
+async function launchFixture(hre) {
+    const { ethers: hreEthers, network } = hre;
+    const signers = await hreEthers.getSigners();
+    const [deployer, whale, keeper] = signers;
+
+    const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aec-gas-")), `${network.name}.json`);
+    const manifest = await deployProtocol({ manifestPath, log: () => {} });
+    const contracts = {};
+    for (const name of [
+        "AECToken", "PerpetualEngine", "PerpetualEndowment", "FairLaunch", "LiquidityDeployer",
+        "AetheriaNFT", "AECStakingNFT", "MockStablecoin", "MockConstantProductRouter"
+    ]) {
+        const entry = manifest.contracts[name];
+        contracts[name] = await hreEthers.getContractAt(entry.contract, entry.address, deployer);
+    }
+    const { FairLaunch, MockStablecoin, AECToken } = contracts;
+
+    // Fixed addresses keep batchClaim calldata identical between runs
+    const contributors = [];
+    for (let i = 1; i <= SMALL_CONTRIBUTORS; i++) {
+        const address = hreEthers.getAddress(hreEthers.toBeHex(0xa3c0000 + i, 20));
+        await network.provider.send("hardhat_setBalance", [address, hreEthers.toBeHex(10n ** 18n)]);
+        const contributor = await hreEthers.getImpersonatedSigner(address);
+        await MockStablecoin.mint(address, SMALL_CONTRIBUTION);
+        await MockStablecoin.connect(contributor).approve(FairLaunch.target, SMALL_CONTRIBUTION);
+        await FairLaunch.connect(contributor).contribute(SMALL_CONTRIBUTION);
+        contributors.push(contributor);
+    }
+    await MockStablecoin.mint(whale.address, WHALE_CONTRIBUTION);
+    await MockStablecoin.connect(whale).approve(FairLaunch.target, WHALE_CONTRIBUTION);
+    await FairLaunch.connect(whale).contribute(WHALE_CONTRIBUTION);
+
+    await increaseTime(hre, LAUNCH_DURATION + 1);
+    await FairLaunch.finalizeLaunch();
+
+    await contracts.LiquidityDeployer.deployInitialLiquidity();
+    await FairLaunch.connect(whale).claim();
+    await AECToken.connect(whale).approve(contracts.AetheriaNFT.target, hreEthers.MaxUint256);
+    await AECToken.connect(whale).approve(contracts.MockConstantProductRouter.target, hreEthers.MaxUint256);
+    await contracts.AetheriaNFT.connect(whale).setApprovalForAll(contracts.AECStakingNFT.target, true);
+
+    const engineAddress = contracts.PerpetualEngine.target;
+    await network.provider.send("hardhat_setBalance", [engineAddress, hreEthers.toBeHex(10n ** 18n)]);
+    const engineSigner = await hreEthers.getImpersonatedSigner(engineAddress);
+    const snapshot = await network.provider.send("evm_snapshot", []);
+
+    return { hre, manifest, contracts, contributors, whale, keeper, engineSigner, snapshot };
+}
+
+/**
+ * Runs the benchmarks and returns gasUsed per name and size.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string[]} [options.only] Benchmark names to run (default: all)
+ * @param {function(string): void} [options.log]
+ * @return {Promise<Object<string, Object<string, number>>>}
+ */
+async function runBenchmarks(hre, { only, log = () => {} } = {}) {
+    const known = BENCHMARKS.map((b) => b.name);
+    for (const name of only || []) {
+        if (!known.includes(name)) throw new Error(`gas-bench: unknown benchmark ${name} (have ${known.join(", ")})`);
+    }
+    const selected = BENCHMARKS.filter((b) => !only || only.includes(b.name));
+
+    const start = await hre.network.provider.send("evm_snapshot", []);
+    const ctx = await launchFixture(hre);
+    const results = {};
+    for (const benchmark of selected) {
+        results[benchmark.name] = {};
+        for (const size of benchmark.sizes) {
+            await hre.network.provider.send("evm_revert", [ctx.snapshot]);
+            ctx.snapshot = await hre.network.provider.send("evm_snapshot", []);
+
+            const receipt = await (await benchmark.measure(ctx, size)).wait();
+            results[benchmark.name][size] = Number(receipt.gasUsed);
+            log(`${benchmark.name} ${size} ${benchmark.unit}: ${receipt.gasUsed}`);
+        }
+    }
+    // Leave the chain as it was for whatever runs next
+    await hre.network.provider.send("evm_revert", [start]);
+    return results;
+}
+
+module.exports = { BENCHMARKS, launchFixture, runBenchmarks };
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Gas budgets: the committed baseline and the comparison against a run.
+ *
+ * The baseline stores, per benchmark and size, the gas measured when it was
+ * recorded and the budget a run may not exceed. Budgets are the measured gas
+ * plus headroomBps, so small drift between runs does not fail the check while
+ * a new loop iteration or storage write does.
+ */
+
+const BASELINE_PATH = path.join(__dirname, "baseline.json");
+const DEFAULT_HEADROOM_BPS = 200;
+
+/**
+ * Builds a baseline from benchmark results.
+ * @param {Object<string, Object<string, number>>} results From runBenchmarks
+ * @param {number} [headroomBps]
+ */
+function buildBaseline(results, headroomBps = DEFAULT_HEADROOM_BPS) {
+    const benchmarks = {};
+    for (const [name, sizes] of Object.entries(results)) {
+        benchmarks[name] = {};
+        for (const [size, gas] of Object.entries(sizes)) {
+            benchmarks[name][size] = { gas, budget: Math.ceil((gas * (10_000 + headroomBps)) / 10_000) };
+        }
+    }
+    return { headroomBps, benchmarks };
+}
+
+function readBaseline(file = BASELINE_PATH) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes a baseline, keeping entries for benchmarks the run skipped.
+ */
+function writeBaseline(baseline, file = BASELINE_PATH) {
+    const existing = fs.existsSync(file) ? readBaseline(file).benchmarks : {};
+    const merged = { headroomBps: baseline.headroomBps, benchmarks: { ...existing, ...baseline.benchmarks } };
+    fs.writeFileSync(file, JSON.stringify(merged, null, 2) + "\n");
+    return merged;
+}
+
+/**
+ * Compares a run with the baseline.
+ * Status is "ok", "over" (gas above budget) or "new" (no budget recorded).
+ * @return {Array<{name: string, size: string, gas: number, baseline: ?number, budget: ?number, status: string}>}
+ */
+function compareToBaseline(results, baseline) {
+    const rows = [];
+    for (const [name, sizes] of Object.entries(results)) {
+        for (const [size, gas] of Object.entries(sizes)) {
+            const entry = (baseline.benchmarks[name] || {})[size];
+            if (!entry) {
+                rows.push({ name, size, gas, baseline: null, budget: null, status: "new" });
+                continue;
+            }
+            rows.push({
+                name,
+                size,
+                gas,
+                baseline: entry.gas,
+                budget: entry.budget,
+                status: gas > entry.budget ? "over" : "ok"
+            });
+        }
+    }
+    return rows;
+}
+
+function formatComparison(rows) {
+    const lines = rows.map((row) => {
+        const delta = row.baseline === null ? "" : `${row.gas >= row.baseline ? "+" : ""}${row.gas - row.baseline}`;
+        return [
+            row.status.toUpperCase().padEnd(4),
+            `${row.name} [${row.size}]`.padEnd(42),
+            String(row.gas).padStart(10),
+            (row.budget === null ? "-" : String(row.budget)).padStart(10),
+            delta.padStart(8)
+        ].join("  ");
+    });
+    const header = ["    ", "benchmark [size]".padEnd(42), "gas".padStart(10), "budget".padStart(10), "delta".padStart(8)].join("  ");
+    return [header, ...lines].join("\n");
+}
+
+module.exports = {
+    BASELINE_PATH,
+    DEFAULT_HEADROOM_BPS,
+    buildBaseline,
+    readBaseline,
+    writeBaseline,
+    compareToBaseline,
+    formatComparison
+};
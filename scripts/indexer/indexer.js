@@ -0,0 +1,385 @@
+const { createLogger } = require("../utils/logger");
+const { EVENT_TABLES, applySchema } = require("./schema");
+
+/**
+ * Protocol event indexer.
+ *
+ * Backfills the logs of the deployed contracts into SQLite from a start block,
+ * then follows the chain head. Each batch is written in one transaction together
+ * with the hashes of the blocks it touched, so a reorg is detected by comparing
+ * the stored cursor hash with the chain and undone by deleting every row above
+ * the newest block both still agree on. Staking positions are folded from
+ * staking_events and recomputed for the accounts a batch or rollback touched.
+ */
+
+const DEFAULT_OPTIONS = {
+    batchSize: 2000,
+    confirmations: 0,
+    pollIntervalMs: 5_000,
+    maxReorgDepth: 256
+};
+
+const ENGINE_ACCOUNT_TIER = 4; // AECStakingLP.ENGINE_TIER
+
+const str = (value) => value.toString();
+
+function stakingEvent(pool, kind, account, amount, extra = {}) {
+    return ["staking_events", { pool, kind, account, amount: str(amount), tier: null, lock_end: null, token_id: null, ...extra }];
+}
+
+/**
+ * Maps manifest contract names to handlers turning a parsed log into a table row.
+ * A handler returns [table, row] or null to skip the event.
+ */
+const HANDLERS = {
+    PerpetualEngine: {
+        CycleProcessed: (a) => ["cycles", {
+            total_processed: str(a.totalProcessed),
+            burned: str(a.burned),
+            lp_processed: str(a.lpProcessed),
+            rewards_distributed: str(a.rewardsDistributed),
+            caller_reward: str(a.callerReward),
+            caller: a.caller
+        }],
+        AutoLiquidityAdded: (a) => ["liquidity_additions", {
+            aec_amount: str(a.aecAmount),
+            stablecoin_amount: str(a.stablecoinAmount),
+            liquidity_tokens: str(a.liquidityTokens)
+        }],
+        RewardsDistributed: (a) => ["reward_distributions", {
+            lp_staking_amount: str(a.lpStakingAmount),
+            token_staking_amount: str(a.tokenStakingAmount),
+            nft_staking_amount: str(a.nftStakingAmount)
+        }],
+        SwapAttempt: (a) => ["swap_attempts", {
+            aec_amount: str(a.aecAmount),
+            successful: a.successful ? 1 : 0,
+            stablecoin_obtained: str(a.stablecoinObtained),
+            route_id: Number(a.routeId)
+        }]
+    },
+    AECToken: {
+        TaxCollected: (a) => ["taxes", {
+            sender: a.from,
+            recipient: a.to,
+            tax_amount: str(a.taxAmount),
+            is_buy: a.isBuy ? 1 : 0,
+            tax_rate_bps: Number(a.taxRateBps)
+        }],
+        // A routed sell's Gate 3 tax recounted at the pair: officialTax moves to sells, rebate goes back
+        RouteTaxSettled: (a) => ["route_settlements", {
+            payer: a.payer,
+            pair: a.pair,
+            official_tax: str(a.officialTax),
+            rebate: str(a.rebate)
+        }],
+        TaxSwept: (a) => ["tax_sweeps", {
+            engine: a.engineAddress,
+            amount: str(a.amount)
+        }]
+    },
+    PerpetualEndowment: {
+        FundsReleased: (a) => ["endowment_releases", {
+            amount: str(a.amount),
+            periods_processed: Number(a.periodsProcessed),
+            remaining_balance: str(a.remainingBalance)
+        }]
+    },
+    AECStakingLP: {
+        Staked: (a) => stakingEvent("lp", "stake", a.user, a.amount, { tier: Number(a.tier), lock_end: Number(a.lockEnd) }),
+        // The engine's stake is locked forever (lockEnd = uint256 max), stored as NULL
+        EngineStaked: (a, ctx) => stakingEvent("lp", "stake", ctx.engine, a.amount, { tier: ENGINE_ACCOUNT_TIER }),
+        Withdrawn: (a) => stakingEvent("lp", "withdraw", a.user, a.amount),
+        RewardPaid: (a) => stakingEvent("lp", "reward", a.user, a.reward)
+    },
+    AECStakingToken: {
+        Staked: (a) => stakingEvent("token", "stake", a.user, a.amount, { tier: Number(a.tier), lock_end: Number(a.lockEnd) }),
+        Withdrawn: (a) => stakingEvent("token", "withdraw", a.user, a.amount),
+        RewardPaid: (a) => stakingEvent("token", "reward", a.user, a.reward)
+    },
+    AECStakingNFT: {
+        NFTStaked: (a) => stakingEvent("nft", "stake", a.user, 1n, { token_id: str(a.tokenId) }),
+        NFTUnstaked: (a) => stakingEvent("nft", "withdraw", a.user, 1n, { token_id: str(a.tokenId) }),
+        RewardPaid: (a) => stakingEvent("nft", "reward", a.user, a.reward)
+    },
+    AECGambit: {
+        BetPlaced: (a) => ["bets", {
+            player: a.player,
+            pool_id: Number(a.poolId),
+            amount: str(a.amount),
+            to_engine: str(a.toEngine),
+            to_pool: str(a.toPool)
+        }],
+        WinClaimed: (a) => ["wins", {
+            player: a.player,
+            pool_id: Number(a.poolId),
+            bet_amount: str(a.betAmount),
+            multiplier: Number(a.multiplier),
+            win_amount: str(a.winAmount)
+        }]
+    }
+};
+
+/**
+ * Folds a (pool, account)'s staking events into its current position.
+ * Stakes add to the balance and carry the latest tier and lock; NFT amounts count tokens.
+ * @param {Array<object>} events staking_events rows in log order
+ * @return {object|null} staking_positions row, or null when there are no events
+ */
+function foldPosition(events) {
+    if (events.length === 0) return null;
+    const position = { staked: 0n, tier: null, lock_end: null, rewards_paid: 0n, last_block: 0 };
+    for (const event of events) {
+        const amount = BigInt(event.amount);
+        if (event.kind === "stake") {
+            position.staked += amount;
+            if (event.tier !== null) position.tier = event.tier;
+            if (event.lock_end !== null) position.lock_end = event.lock_end;
+        } else if (event.kind === "withdraw") {
+            position.staked -= amount;
+        } else {
+            position.rewards_paid += amount;
+        }
+        position.last_block = event.block_number;
+    }
+    if (position.staked === 0n) {
+        position.tier = null;
+        position.lock_end = null;
+    }
+    return { ...position, staked: str(position.staked), rewards_paid: str(position.rewards_paid) };
+}
+
+/**
+ * Creates an indexer bound to a deployment and a database file.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} manifest Deployment manifest written by deploy.js
+ * @param {object} params
+ * @param {string} params.dbPath SQLite file (":memory:" works for tests)
+ * @param {number} [params.startBlock] Defaults to the earliest deployment block in the manifest
+ * @param {object} [params.options] Overrides of DEFAULT_OPTIONS
+ * @param {object} [params.logger] Structured logger (see scripts/utils/logger.js)
+ */
+async function createIndexer(hre, manifest, { dbPath, startBlock, options = {}, logger } = {}) {
+    if (!dbPath) {
+        throw new Error("Indexer: dbPath is required");
+    }
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const provider = hre.ethers.provider;
+
+    const sources = new Map();
+    for (const [name, handlers] of Object.entries(HANDLERS)) {
+        const entry = manifest.contracts[name];
+        if (!entry || !entry.address) {
+            throw new Error(`Indexer: ${name} missing from the ${manifest.network} manifest`);
+        }
+        const contract = await hre.ethers.getContractAt(entry.contract, entry.address);
+        sources.set(entry.address.toLowerCase(), { name, handlers, iface: contract.interface, block: entry.block });
+    }
+    const addresses = [...sources.keys()];
+    const ctx = { engine: manifest.contracts.PerpetualEngine.address };
+    const firstBlock = startBlock ?? Math.min(...[...sources.values()].map((s) => s.block ?? 0));
+
+    const Database = require("better-sqlite3");
+    const db = new Database(dbPath);
+    applySchema(db);
+
+    const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
+    const setMeta = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value");
+
+    const chainId = String(manifest.chainId);
+    const stored = getMeta.get("chain_id");
+    if (stored && stored.value !== chainId) {
+        db.close();
+        throw new Error(`Indexer: ${dbPath} holds chain ${stored.value}, manifest is for chain ${chainId}`);
+    }
+    if (!stored) {
+        db.transaction(() => {
+            setMeta.run("chain_id", chainId);
+            setMeta.run("network", manifest.network);
+            setMeta.run("start_block", String(firstBlock));
+            setMeta.run("last_block", String(firstBlock - 1));
+        })();
+    }
+
+    const log = (logger || createLogger()).child({ indexer: manifest.network });
+
+    const inserts = {};
+    function insert(table, row) {
+        const columns = Object.keys(row);
+        const key = `${table}:${columns.join(",")}`;
+        if (!inserts[key]) {
+            inserts[key] = db.prepare(
+                `INSERT OR IGNORE INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")})`
+            );
+        }
+        inserts[key].run(row);
+    }
+
+    const upsertBlock = db.prepare(
+        "INSERT INTO blocks (number, hash, timestamp) VALUES (?, ?, ?) ON CONFLICT (number) DO UPDATE SET hash = excluded.hash, timestamp = excluded.timestamp"
+    );
+    const positionEvents = db.prepare(
+        "SELECT * FROM staking_events WHERE pool = ? AND account = ? ORDER BY block_number, log_index"
+    );
+    const upsertPosition = db.prepare(`
+        INSERT INTO staking_positions (pool, account, staked, tier, lock_end, rewards_paid, last_block)
+        VALUES (@pool, @account, @staked, @tier, @lock_end, @rewards_paid, @last_block)
+        ON CONFLICT (pool, account) DO UPDATE SET
+            staked = excluded.staked, tier = excluded.tier, lock_end = excluded.lock_end,
+            rewards_paid = excluded.rewards_paid, last_block = excluded.last_block`);
+    const deletePosition = db.prepare("DELETE FROM staking_positions WHERE pool = ? AND account = ?");
+
+    function refreshPositions(keys) {
+        for (const key of keys) {
+            const [pool, account] = key.split(":");
+            const position = foldPosition(positionEvents.all(pool, account));
+            if (position) upsertPosition.run({ pool, account, ...position });
+            else deletePosition.run(pool, account);
+        }
+    }
+
+    const cursor = () => Number(getMeta.get("last_block").value);
+
+    /**
+     * Turns fetched logs into rows, skipping events the indexer does not store.
+     */
+    function decode(logs) {
+        const rows = [];
+        for (const entry of logs) {
+            const source = sources.get(entry.address.toLowerCase());
+            if (!source) continue;
+            let parsed;
+            try { parsed = source.iface.parseLog(entry); } catch { continue; }
+            const handler = parsed && source.handlers[parsed.name];
+            if (!handler) continue;
+            const result = handler(parsed.args, ctx);
+            if (!result) continue;
+            const [table, row] = result;
+            rows.push([table, {
+                block_number: entry.blockNumber,
+                tx_hash: entry.transactionHash,
+                log_index: entry.index,
+                contract: source.name,
+                ...row
+            }]);
+        }
+        return rows;
+    }
+
+    /**
+     * Rolls back to the newest stored block that is still canonical.
+     * @return {Promise<number|null>} The block rolled back to, or null without a reorg
+     */
+    async function handleReorg() {
+        const last = cursor();
+        const known = db.prepare("SELECT number, hash FROM blocks WHERE number = ?").get(last);
+        if (!known) return null;
+        const current = await provider.getBlock(last);
+        if (current && current.hash === known.hash) return null;
+
+        const start = Number(getMeta.get("start_block").value);
+        const candidates = db.prepare("SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC LIMIT ?")
+            .all(last, opts.maxReorgDepth);
+        let ancestor = null;
+        for (const block of candidates) {
+            const chainBlock = await provider.getBlock(block.number);
+            if (chainBlock && chainBlock.hash === block.hash) {
+                ancestor = block.number;
+                break;
+            }
+        }
+        if (ancestor === null) {
+            if (candidates.length === opts.maxReorgDepth) {
+                throw new Error(`Indexer: reorg deeper than ${opts.maxReorgDepth} stored blocks below ${last}`);
+            }
+            ancestor = start - 1;
+        }
+
+        const removed = {};
+        db.transaction(() => {
+            const touched = db.prepare("SELECT DISTINCT pool, account FROM staking_events WHERE block_number > ?")
+                .all(ancestor).map((r) => `${r.pool}:${r.account}`);
+            for (const table of EVENT_TABLES) {
+                removed[table] = db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(ancestor).changes;
+            }
+            db.prepare("DELETE FROM blocks WHERE number > ?").run(ancestor);
+            refreshPositions(touched);
+            setMeta.run("last_block", String(ancestor));
+        })();
+        log.warn("reorg", { from: last, ancestor, removed });
+        return ancestor;
+    }
+
+    /**
+     * Indexes from the cursor up to the confirmed head.
+     * @return {Promise<{fromBlock: number, toBlock: number, events: number, reorgedTo: number|null}>}
+     */
+    async function sync() {
+        const reorgedTo = await handleReorg();
+        const fromBlock = cursor() + 1;
+        const head = (await provider.getBlockNumber()) - opts.confirmations;
+        let events = 0;
+
+        while (cursor() < head) {
+            const from = cursor() + 1;
+            const to = Math.min(from + opts.batchSize - 1, head);
+            const logs = await provider.getLogs({ address: addresses, fromBlock: from, toBlock: to });
+            const rows = decode(logs);
+
+            const numbers = [...new Set([...logs.map((l) => l.blockNumber), to])];
+            const blocks = await Promise.all(numbers.map((n) => provider.getBlock(n)));
+
+            db.transaction(() => {
+                const touched = new Set();
+                for (const [table, row] of rows) {
+                    insert(table, row);
+                    if (table === "staking_events") touched.add(`${row.pool}:${row.account}`);
+                }
+                for (const block of blocks) upsertBlock.run(block.number, block.hash, block.timestamp);
+                refreshPositions(touched);
+                setMeta.run("last_block", String(to));
+            })();
+
+            events += rows.length;
+            log.info("batch", { fromBlock: from, toBlock: to, logs: logs.length, events: rows.length });
+        }
+
+        return { fromBlock, toBlock: cursor(), events, reorgedTo };
+    }
+
+    let stopped = false;
+    let wake = null;
+
+    /**
+     * Syncs every pollIntervalMs until stop() is called or maxRounds rounds have completed.
+     * Sync errors are logged and do not end the loop.
+     */
+    async function follow({ maxRounds = Infinity } = {}) {
+        stopped = false;
+        log.info("indexer.started", { fromBlock: cursor() + 1, pollIntervalMs: opts.pollIntervalMs });
+        for (let round = 0; round < maxRounds && !stopped; round++) {
+            try {
+                await sync();
+            } catch (error) {
+                log.error("sync.failed", { error: error.shortMessage || error.message });
+            }
+            if (round + 1 < maxRounds && !stopped) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, opts.pollIntervalMs);
+                    wake = () => { clearTimeout(timer); resolve(); };
+                });
+                wake = null;
+            }
+        }
+        log.info("indexer.stopped", { lastBlock: cursor() });
+    }
+
+    function stop() {
+        stopped = true;
+        if (wake) wake();
+    }
+
+    return { sync, follow, stop, close: () => db.close(), db, lastBlock: cursor, options: opts };
+}
+
+module.exports = { DEFAULT_OPTIONS, HANDLERS, foldPosition, createIndexer };
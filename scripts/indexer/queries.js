@@ -0,0 +1,111 @@
+/**
+ * Read helpers over the indexer database.
+ *
+ * Amounts are stored as decimal TEXT and returned as BigInt.
+ */
+
+const AMOUNT_COLUMNS = new Set([
+    "total_processed", "burned", "lp_processed", "rewards_distributed", "caller_reward",
+    "tax_amount", "staked", "rewards_paid", "total_tax", "amount", "remaining_balance",
+    "official_tax", "rebate"
+]);
+
+// AECToken's Gate 3 rates. Official pair rates are capped at the launch rates, so never match them.
+const UNOFFICIAL_BUY_TAX_BPS = 1000;
+const UNOFFICIAL_SELL_TAX_BPS = 1250;
+
+function toBigInts(row) {
+    if (!row) return row;
+    const out = { ...row };
+    for (const [key, value] of Object.entries(out)) {
+        if (AMOUNT_COLUMNS.has(key) && value !== null) out[key] = BigInt(value);
+    }
+    return out;
+}
+
+/**
+ * Most recent cycles first, with their block timestamp.
+ * @param {object} db better-sqlite3 database
+ * @param {{limit?: number}} [params]
+ */
+function recentCycles(db, { limit = 50 } = {}) {
+    return db.prepare(`
+        SELECT c.*, b.timestamp FROM cycles c LEFT JOIN blocks b ON b.number = c.block_number
+        ORDER BY c.block_number DESC, c.log_index DESC LIMIT ?`)
+        .all(limit).map(toBigInts);
+}
+
+function routeSettlements(db, payer) {
+    return payer
+        ? db.prepare("SELECT official_tax, rebate FROM route_settlements WHERE payer = ?").all(payer)
+        : db.prepare("SELECT official_tax, rebate FROM route_settlements").all();
+}
+
+/**
+ * Tax collected per rate and direction. Sums in JS: SQLite's SUM is 64-bit.
+ * A routed sell's Gate 3 tax is recounted at the pair (RouteTaxSettled): it leaves the
+ * unofficial sell group, and its official part forms the sell group with a null rate.
+ * @param {object} db better-sqlite3 database
+ * @param {{sender?: string}} [params] Restrict to one payer
+ * @return {Array<{is_buy: number, tax_rate_bps: number|null, count: number, total_tax: bigint}>}
+ */
+function taxTotals(db, { sender } = {}) {
+    const rows = sender
+        ? db.prepare("SELECT is_buy, tax_rate_bps, tax_amount FROM taxes WHERE sender = ?").all(sender)
+        : db.prepare("SELECT is_buy, tax_rate_bps, tax_amount FROM taxes").all();
+    const groups = new Map();
+    const group = (isBuy, rate) => {
+        const key = `${isBuy}:${rate}`;
+        if (!groups.has(key)) groups.set(key, { is_buy: isBuy, tax_rate_bps: rate, count: 0, total_tax: 0n });
+        return groups.get(key);
+    };
+    for (const row of rows) {
+        const taxed = group(row.is_buy, row.tax_rate_bps);
+        taxed.count += 1;
+        taxed.total_tax += BigInt(row.tax_amount);
+    }
+    for (const settlement of routeSettlements(db, sender)) {
+        const officialTax = BigInt(settlement.official_tax);
+        group(0, UNOFFICIAL_SELL_TAX_BPS).total_tax -= officialTax + BigInt(settlement.rebate);
+        const routed = group(0, null);
+        routed.count += 1;
+        routed.total_tax += officialTax;
+    }
+    return [...groups.values()].sort((a, b) => a.is_buy - b.is_buy || a.tax_rate_bps - b.tax_rate_bps);
+}
+
+/**
+ * Tax collected since launch by source, as AECToken.totalTaxCollected() counts it, plus the
+ * tax pushed to the engine in push mode (AECToken.totalTaxSwept()).
+ * @param {object} db better-sqlite3 database
+ * @return {{buy: bigint, sell: bigint, unofficial: bigint, swept: bigint}}
+ */
+function taxBySource(db) {
+    const totals = { buy: 0n, sell: 0n, unofficial: 0n, swept: 0n };
+    for (const row of db.prepare("SELECT is_buy, tax_rate_bps, tax_amount FROM taxes").all()) {
+        const unofficialRate = row.is_buy ? UNOFFICIAL_BUY_TAX_BPS : UNOFFICIAL_SELL_TAX_BPS;
+        const source = row.tax_rate_bps === unofficialRate ? "unofficial" : row.is_buy ? "buy" : "sell";
+        totals[source] += BigInt(row.tax_amount);
+    }
+    for (const settlement of routeSettlements(db)) {
+        const officialTax = BigInt(settlement.official_tax);
+        totals.unofficial -= officialTax + BigInt(settlement.rebate);
+        totals.sell += officialTax;
+    }
+    for (const sweep of db.prepare("SELECT amount FROM tax_sweeps").all()) {
+        totals.swept += BigInt(sweep.amount);
+    }
+    return totals;
+}
+
+/**
+ * An account's staking positions across the LP, token and NFT pools.
+ * @param {object} db better-sqlite3 database
+ * @param {string} account Checksummed address
+ */
+function positionsOf(db, account) {
+    return db.prepare("SELECT * FROM staking_positions WHERE account = ? ORDER BY pool")
+        .all(account).map(toBigInts);
+}
+
+module.exports = { recentCycles, taxTotals, taxBySource, positionsOf };
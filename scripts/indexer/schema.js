@@ -0,0 +1,173 @@
+/**
+ * SQLite schema for the event indexer.
+ *
+ * Every event table carries its log position (block_number, tx_hash,
+ * log_index) so rows can be rolled back past a reorg. uint256 amounts are
+ * stored as decimal TEXT; SQLite integers are only 64-bit.
+ */
+
+const SCHEMA_VERSION = 3;
+
+const LOG_COLUMNS = `
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract TEXT NOT NULL`;
+
+const LOG_KEY = "PRIMARY KEY (tx_hash, log_index)";
+
+const TABLES = {
+    meta: `
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        )`,
+    blocks: `
+        CREATE TABLE IF NOT EXISTS blocks (
+            number INTEGER PRIMARY KEY,
+            hash TEXT NOT NULL,
+            timestamp INTEGER NOT NULL
+        )`,
+    cycles: `
+        CREATE TABLE IF NOT EXISTS cycles (${LOG_COLUMNS},
+            total_processed TEXT NOT NULL,
+            burned TEXT NOT NULL,
+            lp_processed TEXT NOT NULL,
+            rewards_distributed TEXT NOT NULL,
+            caller_reward TEXT NOT NULL,
+            caller TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    liquidity_additions: `
+        CREATE TABLE IF NOT EXISTS liquidity_additions (${LOG_COLUMNS},
+            aec_amount TEXT NOT NULL,
+            stablecoin_amount TEXT NOT NULL,
+            liquidity_tokens TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    reward_distributions: `
+        CREATE TABLE IF NOT EXISTS reward_distributions (${LOG_COLUMNS},
+            lp_staking_amount TEXT NOT NULL,
+            token_staking_amount TEXT NOT NULL,
+            nft_staking_amount TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    swap_attempts: `
+        CREATE TABLE IF NOT EXISTS swap_attempts (${LOG_COLUMNS},
+            aec_amount TEXT NOT NULL,
+            successful INTEGER NOT NULL,
+            stablecoin_obtained TEXT NOT NULL,
+            route_id INTEGER NOT NULL,
+            ${LOG_KEY}
+        )`,
+    taxes: `
+        CREATE TABLE IF NOT EXISTS taxes (${LOG_COLUMNS},
+            sender TEXT NOT NULL,
+            recipient TEXT NOT NULL,
+            tax_amount TEXT NOT NULL,
+            is_buy INTEGER NOT NULL,
+            tax_rate_bps INTEGER NOT NULL,
+            ${LOG_KEY}
+        )`,
+    route_settlements: `
+        CREATE TABLE IF NOT EXISTS route_settlements (${LOG_COLUMNS},
+            payer TEXT NOT NULL,
+            pair TEXT NOT NULL,
+            official_tax TEXT NOT NULL,
+            rebate TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    tax_sweeps: `
+        CREATE TABLE IF NOT EXISTS tax_sweeps (${LOG_COLUMNS},
+            engine TEXT NOT NULL,
+            amount TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    endowment_releases: `
+        CREATE TABLE IF NOT EXISTS endowment_releases (${LOG_COLUMNS},
+            amount TEXT NOT NULL,
+            periods_processed INTEGER NOT NULL,
+            remaining_balance TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    staking_events: `
+        CREATE TABLE IF NOT EXISTS staking_events (${LOG_COLUMNS},
+            pool TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            account TEXT NOT NULL,
+            amount TEXT NOT NULL,
+            tier INTEGER,
+            lock_end INTEGER,
+            token_id TEXT,
+            ${LOG_KEY}
+        )`,
+    staking_positions: `
+        CREATE TABLE IF NOT EXISTS staking_positions (
+            pool TEXT NOT NULL,
+            account TEXT NOT NULL,
+            staked TEXT NOT NULL,
+            tier INTEGER,
+            lock_end INTEGER,
+            rewards_paid TEXT NOT NULL,
+            last_block INTEGER NOT NULL,
+            PRIMARY KEY (pool, account)
+        )`,
+    bets: `
+        CREATE TABLE IF NOT EXISTS bets (${LOG_COLUMNS},
+            player TEXT NOT NULL,
+            pool_id INTEGER NOT NULL,
+            amount TEXT NOT NULL,
+            to_engine TEXT NOT NULL,
+            to_pool TEXT NOT NULL,
+            ${LOG_KEY}
+        )`,
+    wins: `
+        CREATE TABLE IF NOT EXISTS wins (${LOG_COLUMNS},
+            player TEXT NOT NULL,
+            pool_id INTEGER NOT NULL,
+            bet_amount TEXT NOT NULL,
+            multiplier INTEGER NOT NULL,
+            win_amount TEXT NOT NULL,
+            ${LOG_KEY}
+        )`
+};
+
+const INDEXES = [
+    "CREATE INDEX IF NOT EXISTS idx_cycles_block ON cycles (block_number)",
+    "CREATE INDEX IF NOT EXISTS idx_taxes_sender ON taxes (sender)",
+    "CREATE INDEX IF NOT EXISTS idx_taxes_block ON taxes (block_number)",
+    "CREATE INDEX IF NOT EXISTS idx_route_settlements_payer ON route_settlements (payer)",
+    "CREATE INDEX IF NOT EXISTS idx_staking_events_account ON staking_events (account, pool)",
+    "CREATE INDEX IF NOT EXISTS idx_bets_player ON bets (player)",
+    "CREATE INDEX IF NOT EXISTS idx_wins_player ON wins (player)"
+];
+
+// Tables rolled back by block number on a reorg
+const EVENT_TABLES = [
+    "cycles",
+    "liquidity_additions",
+    "reward_distributions",
+    "swap_attempts",
+    "taxes",
+    "route_settlements",
+    "tax_sweeps",
+    "endowment_releases",
+    "staking_events",
+    "bets",
+    "wins"
+];
+
+function applySchema(db) {
+    db.pragma("journal_mode = WAL");
+    const version = db.pragma("user_version", { simple: true });
+    if (version !== 0 && version !== SCHEMA_VERSION) {
+        throw new Error(`Indexer: database schema v${version}, expected v${SCHEMA_VERSION}`);
+    }
+    db.transaction(() => {
+        for (const ddl of Object.values(TABLES)) db.exec(ddl);
+        for (const ddl of INDEXES) db.exec(ddl);
+        db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+}
+
+module.exports = { SCHEMA_VERSION, EVENT_TABLES, applySchema };
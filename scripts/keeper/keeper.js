@@ -0,0 +1,371 @@
+const { createLogger } = require("../utils/logger");
+
+/**
+ * PerpetualEngine keeper.
+ *
+ * Polls the engine, AECToken and Endowment, works out what runCycle would pay
+ * the caller (CALLER_REWARD_BPS of new taxes: approved tax allowance, tax the
+ * token pushed to the engine in push mode, plus the engine's claimable LP
+ * rewards) and sends the cycle only when that reward, valued through the
+ * pool's spot price, beats the estimated gas. Tax approval is bundled into a
+ * profitable round rather than paid for on its own; in push mode it is rarely
+ * needed at all.
+ *
+ * Every read and estimate runs at the current fee-data gas price: the
+ * Endowment's release suggestion divides by tx.gasprice, so at the default
+ * eth_call gas price of zero it panics whenever a release is due.
+ */
+
+const DEFAULT_OPTIONS = {
+    pollIntervalMs: 60_000,
+    dryRun: false,
+    nativePrice: undefined,   // Stablecoin per native token, e.g. "3000"
+    minProfitBps: 0,          // Required margin of reward over gas
+    gasBufferBps: 12_000,     // Applied to gas estimates
+    taxProcessingGas: 450_000, // Cycle gas for processing approved taxes (swap, liquidity, staking), unseen before the approval
+    confirmations: 1
+};
+
+const BASIS_POINTS = 10_000n;
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+/**
+ * Connects the contracts the keeper reads and writes.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} manifest Deployment manifest written by deploy.js
+ * @param {object} signer Account sending approve / runCycle
+ */
+async function connectContracts(hre, manifest, signer) {
+    const at = (name) => {
+        const entry = manifest.contracts[name];
+        if (!entry || !entry.address) {
+            throw new Error(`Keeper: ${name} missing from the ${manifest.network} manifest`);
+        }
+        return hre.ethers.getContractAt(entry.contract, entry.address, signer);
+    };
+
+    const [engine, aecToken, endowment, stakingLP] = await Promise.all([
+        at("PerpetualEngine"),
+        at("AECToken"),
+        at("PerpetualEndowment"),
+        at("AECStakingLP")
+    ]);
+    const stablecoin = new hre.ethers.Contract(await engine.stablecoinToken(), ERC20_DECIMALS_ABI, signer);
+    return { engine, aecToken, endowment, stakingLP, stablecoin };
+}
+
+/**
+ * Reads everything a round decides on.
+ * @param {object} contracts Contracts from connectContracts
+ * @param {object} overrides Call overrides; gasPrice must be set for the Endowment's release suggestion
+ */
+async function readState({ engine, aecToken, endowment, stakingLP }, overrides) {
+    const provider = engine.runner.provider;
+    const [
+        block,
+        engineBalance,
+        minAecToProcess,
+        cooldown,
+        lastProcessTime,
+        callerRewardBps,
+        outcome,
+        health,
+        taxBalance,
+        allowance,
+        approvalThreshold,
+        totalTaxSwept,
+        sweptTaxCounted,
+        release,
+        lpEarned,
+        pool
+    ] = await Promise.all([
+        provider.getBlock("latest"),
+        aecToken.balanceOf(engine.target),
+        engine.minAecToProcess(),
+        engine.publicProcessCooldown(),
+        engine.lastPublicProcessTime(),
+        engine.CALLER_REWARD_BPS(),
+        engine.calculateCycleOutcome(),
+        engine.healthCheck(),
+        aecToken.balanceOf(aecToken.target),
+        aecToken.allowance(aecToken.target, engine.target),
+        aecToken.MIN_AEC_TO_TRIGGER_APPROVAL(),
+        aecToken.totalTaxSwept(),
+        engine.sweptTaxCounted(),
+        endowment.suggestOptimalRelease(overrides),
+        stakingLP.earned(engine.target),
+        engine.getPoolInfo().catch(() => null)
+    ]);
+
+    return {
+        timestamp: BigInt(block.timestamp),
+        engineBalance,
+        minAecToProcess,
+        nextCycleAt: lastProcessTime + cooldown,
+        callerRewardBps: BigInt(callerRewardBps),
+        outcome: {
+            totalToProcess: outcome.totalToProcess,
+            burnAmount: outcome.burnAmount,
+            lpAmount: outcome.lpAmount,
+            rewardsAmount: outcome.rewardsAmount
+        },
+        health: {
+            isHealthy: health.isHealthy,
+            stakingConfigured: health.stakingConfigured,
+            pairExists: health.pairExists,
+            canSwap: health.canSwap,
+            endowmentConnected: health.endowmentConnected
+        },
+        taxBalance,
+        allowance,
+        approvalThreshold,
+        sweptTax: totalTaxSwept - sweptTaxCounted,
+        endowment: {
+            shouldRelease: release.shouldRelease,
+            potentialAmount: release.potentialAmount,
+            periodsWaiting: release.periodsWaiting,
+            gasEfficiencyScore: release.gasEfficiencyScore
+        },
+        lpEarned,
+        spotPrice: pool ? pool.spotPrice : 0n
+    };
+}
+
+/**
+ * Decides from a snapshot whether a cycle is worth pricing.
+ * Mirrors runCycle: cooldown, endowment release gating, tax collection and
+ * the minAecToProcess threshold.
+ * @return {{action: "wait"|"run", reason: string, approve?: boolean, newTaxes?: bigint, expectedReward?: bigint}}
+ */
+function planCycle(state) {
+    if (state.timestamp < state.nextCycleAt) {
+        return { action: "wait", reason: "cooldown", nextCycleAt: state.nextCycleAt };
+    }
+    if (!state.health.pairExists || !state.health.stakingConfigured) {
+        return { action: "wait", reason: "engine not wired" };
+    }
+
+    const approve = state.taxBalance >= state.approvalThreshold && state.allowance < state.taxBalance;
+    const collectable = approve ? state.taxBalance :
+        state.allowance < state.taxBalance ? state.allowance : state.taxBalance;
+    // Pushed tax is already in engineBalance but still earns the caller reward
+    const newTaxes = collectable + state.sweptTax + state.lpEarned;
+
+    // _tryEndowmentRelease skips gas-inefficient or small releases
+    const release = state.endowment;
+    const endowmentAmount = release.shouldRelease && release.gasEfficiencyScore >= 20n &&
+        release.potentialAmount >= state.minAecToProcess / 10n ? release.potentialAmount : 0n;
+
+    if (state.engineBalance + newTaxes - state.sweptTax + endowmentAmount < state.minAecToProcess) {
+        return { action: "wait", reason: "below minAecToProcess", approve, newTaxes };
+    }
+
+    const expectedReward = (newTaxes * state.callerRewardBps) / BASIS_POINTS;
+    if (expectedReward === 0n) {
+        return { action: "wait", reason: "no new taxes", approve, newTaxes };
+    }
+    return { action: "run", reason: "cycle due", approve, newTaxes, endowmentAmount, expectedReward };
+}
+
+/**
+ * Values the expected caller reward in native token and compares it with gas.
+ * @param {bigint} expectedReward AEC paid to the caller
+ * @param {bigint} spotPrice Stablecoin base units per 1 AEC (getPoolInfo().spotPrice)
+ * @param {bigint} nativePrice Stablecoin base units per 1 native token
+ * @param {bigint} gasCost Buffered gas cost in wei
+ * @param {number} minProfitBps Required margin of reward over gas
+ */
+function assessProfit(expectedReward, spotPrice, nativePrice, gasCost, minProfitBps = 0) {
+    const rewardValue = (expectedReward * spotPrice) / nativePrice;
+    const required = (gasCost * (BASIS_POINTS + BigInt(minProfitBps))) / BASIS_POINTS;
+    return { rewardValue, gasCost, profitable: rewardValue > required };
+}
+
+/**
+ * Creates a keeper bound to a deployment.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} manifest Deployment manifest
+ * @param {object} [params]
+ * @param {object} [params.signer] Defaults to the first Hardhat signer
+ * @param {object} [params.options] Overrides of DEFAULT_OPTIONS
+ * @param {object} [params.logger] Structured logger (see scripts/utils/logger.js)
+ */
+async function createKeeper(hre, manifest, { signer, options = {}, logger } = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (opts.nativePrice === undefined) {
+        throw new Error("Keeper: nativePrice is required to value the caller reward against gas");
+    }
+
+    const account = signer || (await hre.ethers.getSigners())[0];
+    const contracts = await connectContracts(hre, manifest, account);
+    const nativePrice = hre.ethers.parseUnits(String(opts.nativePrice), await contracts.stablecoin.decimals());
+    const log = (logger || createLogger()).child({ keeper: account.address, dryRun: opts.dryRun });
+    const { engine, aecToken } = contracts;
+
+    /**
+     * Prices a round before anything is sent. Until the approval is mined the cycle estimate
+     * cannot see the taxes it will pull and process, so an approving round adds taxProcessingGas.
+     */
+    async function estimateGasCost(plan, feeData) {
+        const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+        const overrides = { gasPrice: feeData.gasPrice };
+        const approveGas = plan.approve ? await aecToken.approveEngineForProcessing.estimateGas(overrides) : 0n;
+        const processingGas = plan.approve ? BigInt(opts.taxProcessingGas) : 0n;
+        const cycleGas = await engine.runCycle.estimateGas(overrides);
+        const gas = ((approveGas + processingGas + cycleGas) * BigInt(opts.gasBufferBps)) / BASIS_POINTS;
+        return { gas, gasPrice, cost: gas * gasPrice };
+    }
+
+    async function send(label, txPromise) {
+        const tx = await txPromise;
+        log.info(`${label}.sent`, { hash: tx.hash });
+        const receipt = await tx.wait(opts.confirmations);
+        log.info(`${label}.confirmed`, {
+            hash: tx.hash,
+            block: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            cost: receipt.gasUsed * receipt.gasPrice
+        });
+        return receipt;
+    }
+
+    function cycleResult(receipt) {
+        for (const entry of receipt.logs) {
+            let parsed;
+            try { parsed = engine.interface.parseLog(entry); } catch { continue; }
+            if (parsed && parsed.name === "CycleProcessed") {
+                const { totalProcessed, burned, lpProcessed, rewardsDistributed, callerReward } = parsed.args;
+                return { processed: true, totalProcessed, burned, lpProcessed, rewardsDistributed, callerReward };
+            }
+            if (parsed && parsed.name === "ProcessingSkipped") {
+                return { processed: false };
+            }
+        }
+        return { processed: false };
+    }
+
+    /**
+     * Reads state, decides, and (unless dry-running) approves and runs the cycle.
+     * @return {Promise<object>} The round's outcome, also logged as `round`
+     */
+    async function runRound() {
+        const feeData = await account.provider.getFeeData();
+        const state = await readState(contracts, { gasPrice: feeData.gasPrice });
+        const plan = planCycle(state);
+        const base = {
+            timestamp: state.timestamp,
+            engineBalance: state.engineBalance,
+            taxBalance: state.taxBalance,
+            allowance: state.allowance,
+            sweptTax: state.sweptTax,
+            lpEarned: state.lpEarned,
+            endowmentDue: state.endowment.shouldRelease,
+            outcome: state.outcome,
+            health: state.health
+        };
+
+        if (plan.action === "wait") {
+            const result = { ...base, ...plan };
+            log.info("round", result);
+            return result;
+        }
+
+        if (state.spotPrice === 0n) {
+            const result = { ...base, ...plan, action: "wait", reason: "no pool price" };
+            log.warn("round", result);
+            return result;
+        }
+
+        function wouldRevert(error, spent = {}) {
+            const result = {
+                ...base, ...plan, ...spent, action: "wait", reason: "runCycle would revert", error: error.shortMessage || error.message
+            };
+            log.warn("round", result);
+            return result;
+        }
+
+        let gas;
+        try {
+            gas = await estimateGasCost(plan, feeData);
+        } catch (error) {
+            return wouldRevert(error);
+        }
+        let profit = assessProfit(plan.expectedReward, state.spotPrice, nativePrice, gas.cost, opts.minProfitBps);
+
+        // A round that pays for approval and cycle together is approved, then its cycle is priced
+        // again on the approved state. The approval is spent by then: the cycle runs if its own gas
+        // is covered, and the round reports the approval's cost in approvalCost and netValue.
+        let approvalCost = 0n;
+        if (profit.profitable && plan.approve && !opts.dryRun) {
+            const approval = await send("approve", aecToken.approveEngineForProcessing());
+            approvalCost = approval.gasUsed * approval.gasPrice;
+            try {
+                gas = await estimateGasCost({ ...plan, approve: false }, await account.provider.getFeeData());
+            } catch (error) {
+                return wouldRevert(error, { approvalCost });
+            }
+            profit = assessProfit(plan.expectedReward, state.spotPrice, nativePrice, gas.cost, opts.minProfitBps);
+        }
+
+        const priced = {
+            ...base,
+            ...plan,
+            gas: gas.gas,
+            gasPrice: gas.gasPrice,
+            ...profit,
+            approvalCost,
+            netValue: profit.rewardValue - profit.gasCost - approvalCost
+        };
+        if (!profit.profitable) {
+            const result = { ...priced, action: "skip", reason: "reward below gas" };
+            log.info("round", result);
+            return result;
+        }
+        if (opts.dryRun) {
+            const result = { ...priced, action: "dry-run" };
+            log.info("round", result);
+            return result;
+        }
+
+        const receipt = await send("cycle", engine.runCycle());
+        const result = { ...priced, action: "ran", hash: receipt.hash, ...cycleResult(receipt) };
+        log.info("round", result);
+        return result;
+    }
+
+    let stopped = false;
+    let wake = null;
+
+    /**
+     * Polls until stop() is called or maxRounds rounds have completed.
+     * Round errors are logged and do not end the loop.
+     */
+    async function run({ maxRounds = Infinity } = {}) {
+        stopped = false;
+        log.info("keeper.started", { engine: engine.target, pollIntervalMs: opts.pollIntervalMs });
+        for (let round = 0; round < maxRounds && !stopped; round++) {
+            try {
+                await runRound();
+            } catch (error) {
+                log.error("round.failed", { error: error.shortMessage || error.message });
+            }
+            if (round + 1 < maxRounds && !stopped) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, opts.pollIntervalMs);
+                    wake = () => { clearTimeout(timer); resolve(); };
+                });
+                wake = null;
+            }
+        }
+        log.info("keeper.stopped");
+    }
+
+    function stop() {
+        stopped = true;
+        if (wake) wake();
+    }
+
+    return { runRound, run, stop, contracts, options: opts };
+}
+
+module.exports = { DEFAULT_OPTIONS, createKeeper, readState, planCycle, assessProfit };
@@ -0,0 +1,245 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * SDK build: exports the compiled ABIs into sdk/abi/ and renders
+ * sdk/index.d.ts from them plus each class's hand-written flow signatures.
+ * Used by the `sdk-build` task; the SDK test checks the output is current.
+ */
+
+const SDK_DIR = path.join(__dirname, "..", "..", "sdk");
+const CLASSES_DIR = path.join(SDK_DIR, "src", "contracts");
+
+const HEADER = `// Generated by \`npx hardhat sdk-build\` from the compiled ABIs. Do not edit.
+
+import type { BigNumberish, BytesLike, Contract, ContractRunner, Interface, Overrides, TransactionReceipt } from "ethers";
+
+export interface SdkEvent {
+    name: string;
+    args: Record<string, any>;
+}
+
+export interface TxResult {
+    hash: string;
+    blockNumber: number;
+    gasUsed: bigint;
+    /** Events emitted by the called contract */
+    events: SdkEvent[];
+    receipt: TransactionReceipt;
+}
+
+export interface ApprovedTxResult extends TxResult {
+    /** The approval sent first, or null when the existing allowance covered the call */
+    approval: TxResult | null;
+}
+
+export interface MintResult extends ApprovedTxResult {
+    tokenIds: bigint[];
+}
+
+export interface TransferQuote {
+    /** AECToken tax gate: Excluded, OfficialAmm, Unofficial, PeerToPeer or Routed */
+    gate: "Excluded" | "OfficialAmm" | "Unofficial" | "PeerToPeer" | "Routed";
+    taxBps: bigint;
+    taxAmount: bigint;
+    netAmount: bigint;
+    /** The token would revert the transfer as dust */
+    belowDustMinimum: boolean;
+    /** AEC a routed sell refunds to the payer of its leg; taxBps and taxAmount are then what it settles at the pair */
+    rebate: bigint;
+    /** Why the launch guard would revert the transfer, or null */
+    launchGuardRevert: string | null;
+}
+
+export interface CycleRecord {
+    /** Zero from simulateCycle when the cycle would skip */
+    timestamp: bigint;
+    caller: string;
+    venueId: bigint;
+    swapAttempts: bigint;
+    swapsSucceeded: bigint;
+    newTaxes: bigint;
+    endowmentReleased: bigint;
+    burned: bigint;
+    lpAec: bigint;
+    refillLp: bigint;
+    refillToken: bigint;
+    refillNft: bigint;
+    unutilizedAec: bigint;
+    aecSwapped: bigint;
+    lpMinted: bigint;
+    callerReward: bigint;
+}
+
+export declare class ProtocolError extends Error {
+    contract?: string;
+    method?: string;
+    data?: string | null;
+}
+
+export declare class RevertError extends ProtocolError {
+    reason: string;
+}
+
+export declare class CustomError extends ProtocolError {
+    errorName: string;
+    args: Record<string, any>;
+}
+
+export declare class PanicError extends ProtocolError {
+    code: number;
+    reason: string;
+}
+
+export declare class ProtocolContract {
+    constructor(address: string, runner: ContractRunner);
+    readonly address: string;
+    readonly runner: ContractRunner;
+    readonly contract: Contract;
+    readonly interface: Interface;
+    connect(runner: ContractRunner): this;
+}
+`;
+
+/**
+ * Names of the SDK's contract classes, one file each in sdk/src/contracts.
+ */
+function sdkContractNames() {
+    return fs.readdirSync(CLASSES_DIR)
+        .filter((file) => file.endsWith(".js"))
+        .map((file) => file.slice(0, -3))
+        .sort();
+}
+
+function inputType(param) {
+    if (param.type.endsWith("]")) return `${inputType({ ...param, type: param.type.replace(/\[\d*\]$/, "") })}[]`;
+    if (param.type === "tuple") return `{ ${param.components.map((c) => `${c.name}: ${inputType(c)}`).join("; ")} }`;
+    if (param.type === "address" || param.type === "string") return "string";
+    if (param.type === "bool") return "boolean";
+    if (param.type.startsWith("bytes")) return "BytesLike";
+    return "BigNumberish";
+}
+
+function outputType(param) {
+    if (param.type.endsWith("]")) return `${outputType({ ...param, type: param.type.replace(/\[\d*\]$/, "") })}[]`;
+    if (param.type === "tuple") return namedOutputs(param.components);
+    if (param.type === "bool") return "boolean";
+    if (param.type.startsWith("uint") || param.type.startsWith("int")) return "bigint";
+    return "string";
+}
+
+function namedOutputs(params) {
+    return `{ ${params.map((p, i) => `${p.name || `_${i}`}: ${outputType(p)}`).join("; ")} }`;
+}
+
+function functionSignature(fn) {
+    const params = fn.inputs.map((input, i) => `${input.name || `arg${i}`}: ${inputType(input)}`);
+    const read = fn.stateMutability === "view" || fn.stateMutability === "pure";
+    if (read) {
+        const returns = fn.outputs.length === 0 ? "void" :
+            fn.outputs.length === 1 ? outputType(fn.outputs[0]) : namedOutputs(fn.outputs);
+        return `(${params.join(", ")}): Promise<${returns}>`;
+    }
+    return `(${[...params, "overrides?: Overrides"].join(", ")}): Promise<TxResult>`;
+}
+
+/**
+ * Renders index.d.ts for the given SDK classes.
+ * @param {Object<string, Function>} classes CONTRACTS from sdk/index.js
+ */
+function renderDeclarations(classes) {
+    const blocks = [HEADER];
+    for (const [name, Class] of Object.entries(classes)) {
+        const counts = {};
+        for (const item of Class.ABI) {
+            if (item.type === "function") counts[item.name] = (counts[item.name] || 0) + 1;
+        }
+        const members = Class.ABI
+            .filter((item) => item.type === "function" && counts[item.name] === 1 && !(item.name in Class.FLOWS))
+            .map((fn) => [fn.name, functionSignature(fn)]);
+        for (const [method, signature] of Object.entries(Class.FLOWS)) members.push([method, signature]);
+        members.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+        blocks.push([
+            `export declare class ${name} extends ProtocolContract {`,
+            `    static readonly contractName: "${name}";`,
+            "    static readonly ABI: ReadonlyArray<Record<string, any>>;",
+            ...members.map(([method, signature]) => `    ${method}${signature};`),
+            "}",
+            ""
+        ].join("\n"));
+    }
+
+    const names = Object.keys(classes);
+    blocks.push([
+        "export declare const CONTRACTS: {",
+        ...names.map((name) => `    ${name}: typeof ${name};`),
+        "};",
+        "",
+        "export interface Protocol {",
+        ...names.map((name) => `    ${name}?: ${name};`),
+        "}",
+        "",
+        "export declare function connectProtocol(",
+        "    manifest: { contracts: Record<string, { address: string }> },",
+        "    runner: ContractRunner",
+        "): Protocol;",
+        ""
+    ].join("\n"));
+    return blocks.join("\n");
+}
+
+/**
+ * Reads each SDK contract's ABI from the Hardhat artifacts.
+ * @return {Promise<Object<string, Array<object>>>}
+ */
+async function readAbis(hre) {
+    const abis = {};
+    for (const name of sdkContractNames()) {
+        abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+    }
+    return abis;
+}
+
+const abiJson = (abi) => JSON.stringify(abi, null, 2) + "\n";
+
+/**
+ * Writes sdk/abi/*.json and sdk/index.d.ts.
+ * @return {Promise<string[]>} Files written
+ */
+async function buildSdk(hre) {
+    const written = [];
+    const abis = await readAbis(hre);
+    fs.mkdirSync(path.join(SDK_DIR, "abi"), { recursive: true });
+    for (const [name, abi] of Object.entries(abis)) {
+        const file = path.join(SDK_DIR, "abi", `${name}.json`);
+        fs.writeFileSync(file, abiJson(abi));
+        written.push(file);
+    }
+
+    // Loaded after the ABIs exist: each class requires its own
+    const { CONTRACTS } = require(SDK_DIR);
+    const file = path.join(SDK_DIR, "index.d.ts");
+    fs.writeFileSync(file, renderDeclarations(CONTRACTS));
+    written.push(file);
+    return written;
+}
+
+/**
+ * Lists SDK files that differ from what buildSdk would write.
+ * @return {Promise<string[]>}
+ */
+async function staleSdkFiles(hre) {
+    const stale = [];
+    const abis = await readAbis(hre);
+    for (const [name, abi] of Object.entries(abis)) {
+        const file = path.join(SDK_DIR, "abi", `${name}.json`);
+        if (!fs.existsSync(file) || fs.readFileSync(file, "utf8") !== abiJson(abi)) stale.push(file);
+    }
+    const { CONTRACTS } = require(SDK_DIR);
+    const file = path.join(SDK_DIR, "index.d.ts");
+    if (!fs.existsSync(file) || fs.readFileSync(file, "utf8") !== renderDeclarations(CONTRACTS)) stale.push(file);
+    return stale;
+}
+
+module.exports = { SDK_DIR, sdkContractNames, renderDeclarations, buildSdk, staleSdkFiles };
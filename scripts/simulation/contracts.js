@@ -0,0 +1,296 @@
+/**
+ * Integer ports of the on-chain math the economic simulator replays.
+ *
+ * Every function mirrors a Solidity code path operation for operation, including
+ * the order of multiplications and divisions, so results match the contracts
+ * to the wei. Amounts are BigInt; durations are seconds as BigInt.
+ */
+
+const DAY = 24n * 60n * 60n;
+
+// AECToken
+const TOTAL_SUPPLY = 888_888_888n * 10n ** 18n;
+const TAX_RATES = {
+    launch: { buy: 400n, sell: 800n },      // INITIAL_BUY/SELL_TAX_BPS
+    normal: { buy: 200n, sell: 250n },      // NORMAL_BUY/SELL_TAX_BPS
+    unofficial: { buy: 1000n, sell: 1250n } // UNOFFICIAL_BUY/SELL_TAX_BPS
+};
+const LAUNCH_PERIOD = 5n * DAY;
+const MIN_AEC_TO_TRIGGER_APPROVAL = 1000n * 10n ** 18n;
+
+// PerpetualEngine
+const BURN_BPS = 2000n;
+const AUTO_LP_BPS = 4000n;
+const REWARDS_REFILL_BPS = 4000n;
+const REFILL_LP_STAKING_BPS = 5000n;
+const REFILL_TOKEN_STAKING_BPS = 3750n;
+const REFILL_NFT_STAKING_BPS = 1250n;
+const CALLER_REWARD_BPS = 10n;
+const MAX_SWAP_ATTEMPTS = 5;
+const PAIR_FEE_BPS = 30n;
+
+// PerpetualEndowment
+const ENDOWMENT_AMOUNT = 311_111_111n * 10n ** 18n;
+const RELEASE_RATE_BPS = 50n;
+const MAX_PERIODS_PER_RELEASE = 6n;
+const DUST_THRESHOLD = 10n ** 15n;
+const PRECISION = 10n ** 18n;
+const COMPOUND_FACTOR = 9950n;
+
+// AECStakingLP / AECStakingToken / AECStakingNFT
+const STAKING_ALLOCATIONS = {
+    lp: 177_777_777n * 10n ** 18n,
+    token: 133_333_333n * 10n ** 18n,
+    nft: 44_400_000n * 10n ** 18n
+};
+const DECAY_RATE_BPS = 50n;
+const DECAY_PERIOD = 30n * DAY;
+
+// LiquidityDeployer / AetheriaNFT
+const LIQUIDITY_AEC = 53_333_333n * 10n ** 18n;
+const NFT_MINT_PRICE = 1_000_000n * 10n ** 18n;
+
+// UniswapV2Pair
+const MINIMUM_LIQUIDITY = 1000n;
+
+const BASIS_POINTS = 10000n;
+const Q112 = 1n << 112n;
+
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+// ================================================================
+// ENDOWMENT
+// ================================================================
+
+/** Endowment._calculateCompoundRelease */
+function compoundRelease(balance, periods) {
+    let compoundFactor = PRECISION;
+    for (let i = 0n; i < periods; i++) {
+        compoundFactor = (compoundFactor * COMPOUND_FACTOR) / BASIS_POINTS;
+    }
+    return balance - (balance * compoundFactor) / PRECISION;
+}
+
+/** Endowment._calculateSimpleRelease */
+function simpleRelease(balance, periods) {
+    let totalRelease = 0n;
+    let remaining = balance;
+    for (let i = 0n; i < periods; i++) {
+        const periodRelease = (remaining * RELEASE_RATE_BPS) / BASIS_POINTS;
+        totalRelease += periodRelease;
+        remaining -= periodRelease;
+    }
+    return totalRelease;
+}
+
+/**
+ * Endowment.suggestOptimalRelease / releaseFunds amount for the periods elapsed
+ * since `lastReleaseTime`.
+ * @return {{periods: bigint, amount: bigint}} Periods processed (capped) and release amount
+ */
+function dueRelease({ balance, lastReleaseTime, releaseInterval, compounding }, now) {
+    const elapsed = now > lastReleaseTime ? (now - lastReleaseTime) / releaseInterval : 0n;
+    const periods = min(elapsed, MAX_PERIODS_PER_RELEASE);
+    if (periods === 0n) return { periods, amount: 0n };
+    const amount = compounding ? compoundRelease(balance, periods) : simpleRelease(balance, periods);
+    return { periods, amount };
+}
+
+/** Endowment.projectFutureBalance */
+function projectFutureBalance(balance, monthsAhead, { releaseInterval = 30n * DAY, compounding = true } = {}) {
+    const periods = (BigInt(monthsAhead) * 30n * DAY) / releaseInterval;
+    if (compounding) {
+        let projected = balance;
+        for (let i = 0n; i < periods; i++) {
+            projected = (projected * COMPOUND_FACTOR) / BASIS_POINTS;
+        }
+        return projected;
+    }
+    const totalRelease = (balance * RELEASE_RATE_BPS * periods) / BASIS_POINTS;
+    return balance > totalRelease ? balance - totalRelease : 0n;
+}
+
+/** Endowment.verifyMathematicalSustainability */
+function verifyMathematicalSustainability(balance, yearsToCheck, options = {}) {
+    const initialAmount = options.initialAmount ?? ENDOWMENT_AMOUNT;
+    const projectedBalance = projectFutureBalance(balance, BigInt(yearsToCheck) * 12n, options);
+    return { sustainable: projectedBalance > initialAmount / 100n, projectedBalance };
+}
+
+/** Endowment.suggestOptimalRelease gasEfficiencyScore */
+function gasEfficiencyScore(potentialAmount, gasPrice) {
+    if (gasPrice === 0n) return 100n;
+    return min((potentialAmount * 100n) / (gasPrice * 200000n), 100n);
+}
+
+// ================================================================
+// STAKING
+// ================================================================
+
+/**
+ * AECStakingToken / AECStakingNFT._updateBaseRewards: whole decay periods
+ * since `lastUpdate`, compounded period by period.
+ * @return {{remaining: bigint, released: bigint, lastUpdate: bigint}}
+ */
+function decayBaseRewards(remaining, lastUpdate, now) {
+    if (now <= lastUpdate) return { remaining, released: 0n, lastUpdate };
+    const periods = (now - lastUpdate) / DECAY_PERIOD;
+    let released = 0n;
+    for (let i = 0n; i < periods; i++) {
+        const periodRelease = (remaining * DECAY_RATE_BPS) / BASIS_POINTS;
+        released += periodRelease;
+        remaining -= periodRelease;
+    }
+    if (released === 0n) return { remaining, released, lastUpdate };
+    return { remaining, released, lastUpdate: lastUpdate + periods * DECAY_PERIOD };
+}
+
+/** Monthly base release the staking pools annualise in their APY views */
+function monthlyBaseRelease(remaining) {
+    return (remaining * DECAY_RATE_BPS) / BASIS_POINTS;
+}
+
+// ================================================================
+// TOKEN TAX
+// ================================================================
+
+/** AECToken._getCurrentTaxRate for a trade at `sinceLaunch` seconds after deployment */
+function taxRate(isBuy, isUnofficial, sinceLaunch) {
+    const rates = isUnofficial ? TAX_RATES.unofficial : sinceLaunch < LAUNCH_PERIOD ? TAX_RATES.launch : TAX_RATES.normal;
+    return isBuy ? rates.buy : rates.sell;
+}
+
+/** AECToken._applyTax tax amount */
+function taxAmount(amount, taxBps) {
+    return (amount * taxBps) / BASIS_POINTS;
+}
+
+// ================================================================
+// ENGINE CYCLE SPLIT
+// ================================================================
+
+/** PerpetualEngine.runCycle step 6/7 distribution */
+function cycleSplit(totalBalance, newTaxes) {
+    const callerReward = newTaxes > 0n ? (newTaxes * CALLER_REWARD_BPS) / BASIS_POINTS : 0n;
+    const totalAecForProcessing = totalBalance - callerReward;
+    return {
+        callerReward,
+        totalAecForProcessing,
+        burnAmount: (totalAecForProcessing * BURN_BPS) / BASIS_POINTS,
+        lpAmount: (totalAecForProcessing * AUTO_LP_BPS) / BASIS_POINTS,
+        refillAmount: (totalAecForProcessing * REWARDS_REFILL_BPS) / BASIS_POINTS
+    };
+}
+
+/** PerpetualEngine._refillStakingRewards split */
+function refillSplit(actualRefillAmount) {
+    return {
+        lp: (actualRefillAmount * REFILL_LP_STAKING_BPS) / BASIS_POINTS,
+        token: (actualRefillAmount * REFILL_TOKEN_STAKING_BPS) / BASIS_POINTS,
+        nft: (actualRefillAmount * REFILL_NFT_STAKING_BPS) / BASIS_POINTS
+    };
+}
+
+// ================================================================
+// CONSTANT-PRODUCT POOL
+// ================================================================
+
+/** UniswapV2Library.getAmountOut */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+    const amountInWithFee = amountIn * 997n;
+    return (amountInWithFee * reserveOut) / (reserveIn * 1000n + amountInWithFee);
+}
+
+/** UniswapV2Library.quote */
+function quote(amountA, reserveA, reserveB) {
+    return (amountA * reserveB) / reserveA;
+}
+
+/** Babylonian square root (UniswapV2 Math.sqrt) */
+function sqrt(y) {
+    if (y > 3n) {
+        let z = y;
+        let x = y / 2n + 1n;
+        while (x < z) {
+            z = x;
+            x = (y / x + x) / 2n;
+        }
+        return z;
+    }
+    return y !== 0n ? 1n : 0n;
+}
+
+/** PerpetualEngine._zapSwapAmount: AEC to sell so the rest matches the pool after the swap */
+function zapSwapAmount(amount, reserveIn) {
+    const feeFactor = BASIS_POINTS - PAIR_FEE_BPS;
+    const sumFactor = BASIS_POINTS + feeFactor;
+    const root = sqrt(reserveIn * (reserveIn * sumFactor * sumFactor + 4n * feeFactor * BASIS_POINTS * amount));
+    return (root - reserveIn * sumFactor) / (2n * feeFactor);
+}
+
+/**
+ * UniswapV2Router02._addLiquidity + UniswapV2Pair.mint against existing reserves.
+ * @return {{amountA: bigint, amountB: bigint, liquidity: bigint}|null} null where the router reverts
+ */
+function addLiquidity(reserveA, reserveB, totalLp, amountADesired, amountBDesired, amountAMin, amountBMin) {
+    let amountA, amountB;
+    const amountBOptimal = quote(amountADesired, reserveA, reserveB);
+    if (amountBOptimal <= amountBDesired) {
+        if (amountBOptimal < amountBMin) return null;
+        [amountA, amountB] = [amountADesired, amountBOptimal];
+    } else {
+        const amountAOptimal = quote(amountBDesired, reserveB, reserveA);
+        if (amountAOptimal > amountADesired || amountAOptimal < amountAMin) return null;
+        [amountA, amountB] = [amountAOptimal, amountBDesired];
+    }
+    const liquidity = min((amountA * totalLp) / reserveA, (amountB * totalLp) / reserveB);
+    if (liquidity === 0n) return null;
+    return { amountA, amountB, liquidity };
+}
+
+/** Spot price of AEC in stablecoin as UQ112x112, as PerpetualEngine reads it from reserves */
+function spotPriceX112(reserveAec, reserveStable) {
+    return (reserveStable << 112n) / reserveAec;
+}
+
+module.exports = {
+    DAY,
+    TOTAL_SUPPLY,
+    TAX_RATES,
+    LAUNCH_PERIOD,
+    MIN_AEC_TO_TRIGGER_APPROVAL,
+    MAX_SWAP_ATTEMPTS,
+    PAIR_FEE_BPS,
+    ENDOWMENT_AMOUNT,
+    RELEASE_RATE_BPS,
+    DUST_THRESHOLD,
+    STAKING_ALLOCATIONS,
+    DECAY_RATE_BPS,
+    DECAY_PERIOD,
+    LIQUIDITY_AEC,
+    NFT_MINT_PRICE,
+    MINIMUM_LIQUIDITY,
+    BASIS_POINTS,
+    Q112,
+    min,
+    max,
+    compoundRelease,
+    simpleRelease,
+    dueRelease,
+    projectFutureBalance,
+    verifyMathematicalSustainability,
+    gasEfficiencyScore,
+    decayBaseRewards,
+    monthlyBaseRelease,
+    taxRate,
+    taxAmount,
+    cycleSplit,
+    refillSplit,
+    getAmountOut,
+    quote,
+    sqrt,
+    zapSwapAmount,
+    addLiquidity,
+    spotPriceX112
+};
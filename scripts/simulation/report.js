@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * CSV / JSON serialisation of simulator output. Amounts stay in base units
+ * (wei for AEC, stablecoin decimals for the stablecoin) so nothing is rounded.
+ */
+
+const COLUMNS = [
+    "month",
+    "day",
+    "totalSupply",
+    "circulatingSupply",
+    "burnedTotal",
+    "endowmentBalance",
+    "endowmentReleased",
+    "taxesCollected",
+    "callerRewards",
+    "engineAecBalance",
+    "aecPrice",
+    "polLpTokens",
+    "polShareBps",
+    "polAec",
+    "polStablecoin",
+    "lpAprBps",
+    "tokenAprBps",
+    "nftAprBps",
+    "lpBaseRemaining",
+    "tokenBaseRemaining",
+    "nftBaseRemaining"
+];
+
+function toCsv(rows) {
+    return [COLUMNS.join(","), ...rows.map((row) => COLUMNS.map((c) => String(row[c])).join(","))].join("\n") + "\n";
+}
+
+function toJson(result) {
+    return JSON.stringify(result, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n";
+}
+
+/**
+ * Writes a simulation result to disk.
+ * @param {object} result Output of simulate()
+ * @param {string} file Destination; the extension picks the format unless `format` is given
+ * @param {"csv"|"json"} [format]
+ */
+function writeReport(result, file, format) {
+    const kind = format || (path.extname(file) === ".json" ? "json" : "csv");
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, kind === "json" ? toJson(result) : toCsv(result.rows));
+    return kind;
+}
+
+/** One-line-per-check summary of the endowment cross-check */
+function formatCrossCheck(crossCheck) {
+    const lines = crossCheck.projections.map((p) =>
+        `${p.consistent ? "ok  " : "FAIL"} month ${p.month}: projectFutureBalance ${p.projected}, simulated ${p.simulated} (drift ${p.driftBps} bps)`
+    );
+    const s = crossCheck.sustainability;
+    lines.push(
+        `${s.agrees ? "ok  " : "FAIL"} verifyMathematicalSustainability(${s.years}): ${s.sustainable}, simulated ${s.simulatedSustainable}`
+    );
+    return lines.join("\n");
+}
+
+module.exports = { COLUMNS, toCsv, toJson, writeReport, formatCrossCheck };
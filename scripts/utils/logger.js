@@ -0,0 +1,37 @@
+/**
+ * Structured JSON-lines logger for long-running services.
+ *
+ * Each entry is one line: {"ts":"...","level":"info","event":"...",...fields}.
+ * BigInt fields are written as decimal strings.
+ */
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+function serialize(entry) {
+    return JSON.stringify(entry, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * @param {object} [options]
+ * @param {(line: string) => void} [options.write] Line sink (defaults to stdout)
+ * @param {string} [options.level] Minimum level written
+ * @param {object} [options.context] Fields added to every entry
+ */
+function createLogger({ write = (line) => process.stdout.write(line + "\n"), level = "info", context = {} } = {}) {
+    const threshold = LEVELS.indexOf(level);
+    if (threshold < 0) {
+        throw new Error(`Logger: unknown level "${level}"`);
+    }
+
+    const logger = {};
+    for (const name of LEVELS) {
+        logger[name] = (event, fields = {}) => {
+            if (LEVELS.indexOf(name) < threshold) return;
+            write(serialize({ ts: new Date().toISOString(), level: name, event, ...context, ...fields }));
+        };
+    }
+    logger.child = (fields) => createLogger({ write, level, context: { ...context, ...fields } });
+    return logger;
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,709 @@
+// Generated by `npx hardhat sdk-build` from the compiled ABIs. Do not edit.
+
+import type { BigNumberish, BytesLike, Contract, ContractRunner, Interface, Overrides, TransactionReceipt } from "ethers";
+
+export interface SdkEvent {
+    name: string;
+    args: Record<string, any>;
+}
+
+export interface TxResult {
+    hash: string;
+    blockNumber: number;
+    gasUsed: bigint;
+    /** Events emitted by the called contract */
+    events: SdkEvent[];
+    receipt: TransactionReceipt;
+}
+
+export interface ApprovedTxResult extends TxResult {
+    /** The approval sent first, or null when the existing allowance covered the call */
+    approval: TxResult | null;
+}
+
+export interface MintResult extends ApprovedTxResult {
+    tokenIds: bigint[];
+}
+
+export interface TransferQuote {
+    /** AECToken tax gate: Excluded, OfficialAmm, Unofficial, PeerToPeer or Routed */
+    gate: "Excluded" | "OfficialAmm" | "Unofficial" | "PeerToPeer" | "Routed";
+    taxBps: bigint;
+    taxAmount: bigint;
+    netAmount: bigint;
+    /** The token would revert the transfer as dust */
+    belowDustMinimum: boolean;
+    /** AEC a routed sell refunds to the payer of its leg; taxBps and taxAmount are then what it settles at the pair */
+    rebate: bigint;
+    /** Why the launch guard would revert the transfer, or null */
+    launchGuardRevert: string | null;
+}
+
+export interface CycleRecord {
+    /** Zero from simulateCycle when the cycle would skip */
+    timestamp: bigint;
+    caller: string;
+    venueId: bigint;
+    swapAttempts: bigint;
+    swapsSucceeded: bigint;
+    newTaxes: bigint;
+    endowmentReleased: bigint;
+    burned: bigint;
+    lpAec: bigint;
+    refillLp: bigint;
+    refillToken: bigint;
+    refillNft: bigint;
+    unutilizedAec: bigint;
+    aecSwapped: bigint;
+    lpMinted: bigint;
+    callerReward: bigint;
+}
+
+export declare class ProtocolError extends Error {
+    contract?: string;
+    method?: string;
+    data?: string | null;
+}
+
+export declare class RevertError extends ProtocolError {
+    reason: string;
+}
+
+export declare class CustomError extends ProtocolError {
+    errorName: string;
+    args: Record<string, any>;
+}
+
+export declare class PanicError extends ProtocolError {
+    code: number;
+    reason: string;
+}
+
+export declare class ProtocolContract {
+    constructor(address: string, runner: ContractRunner);
+    readonly address: string;
+    readonly runner: ContractRunner;
+    readonly contract: Contract;
+    readonly interface: Interface;
+    connect(runner: ContractRunner): this;
+}
+
+export declare class AECToken extends ProtocolContract {
+    static readonly contractName: "AECToken";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    ALLOWLIST_DELAY(): Promise<bigint>;
+    ALLOWLIST_GRACE_PERIOD(): Promise<bigint>;
+    BASIS_POINTS_DIVISOR(): Promise<bigint>;
+    CLOCK_MODE(): Promise<string>;
+    DOMAIN_SEPARATOR(): Promise<string>;
+    INITIAL_BUY_TAX_BPS(): Promise<bigint>;
+    INITIAL_SELL_TAX_BPS(): Promise<bigint>;
+    LAUNCH_TAX_DURATION(): Promise<bigint>;
+    MAX_EPOCH_RANGE(): Promise<bigint>;
+    MAX_LAUNCH_GUARD_BLOCKS(): Promise<bigint>;
+    MIN_AEC_TO_TRIGGER_APPROVAL(): Promise<bigint>;
+    MIN_LAUNCH_LIMIT_BPS(): Promise<bigint>;
+    MIN_TRANSFER_AMOUNT(): Promise<bigint>;
+    NORMAL_BUY_TAX_BPS(): Promise<bigint>;
+    NORMAL_SELL_TAX_BPS(): Promise<bigint>;
+    TAX_EPOCH_DURATION(): Promise<bigint>;
+    UNOFFICIAL_BUY_TAX_BPS(): Promise<bigint>;
+    UNOFFICIAL_SELL_TAX_BPS(): Promise<bigint>;
+    allowance(owner: string, spender: string): Promise<bigint>;
+    allowlistChangeEta(arg0: BytesLike): Promise<bigint>;
+    allowlistGovernor(): Promise<string>;
+    approve(spender: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    approveEngineForProcessing(overrides?: Overrides): Promise<TxResult>;
+    automatedMarketMakerPairs(arg0: string): Promise<boolean>;
+    balanceOf(account: string): Promise<bigint>;
+    burn(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    burnFrom(account: string, value: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    clock(): Promise<bigint>;
+    currentTaxEpoch(): Promise<bigint>;
+    decimals(): Promise<bigint>;
+    delegate(delegatee: string, overrides?: Overrides): Promise<TxResult>;
+    delegateBySig(delegatee: string, nonce: BigNumberish, expiry: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    delegates(account: string): Promise<string>;
+    eip712Domain(): Promise<{ fields: string; name: string; version: string; chainId: bigint; verifyingContract: string; salt: string; extensions: bigint[] }>;
+    epochTaxCollected(arg0: BigNumberish): Promise<{ buy: bigint; sell: bigint; unofficial: bigint }>;
+    executeAllowlistChange(action: BigNumberish, account: string, status: boolean, overrides?: Overrides): Promise<TxResult>;
+    getAllowlistChangeId(action: BigNumberish, account: string, status: boolean): Promise<string>;
+    getAmmPairs(): Promise<string[]>;
+    getContractState(): Promise<{ isLaunchPeriod: boolean; currentBuyTax: bigint; currentSellTax: bigint; collectedTax: bigint; engineSet: boolean; totalBuyTax: bigint; totalSellTax: bigint; totalUnofficialTax: bigint }>;
+    getCurrentBuyTaxBps(): Promise<bigint>;
+    getCurrentSellTaxBps(): Promise<bigint>;
+    getEpochTaxRange(fromEpoch: BigNumberish, toEpoch: BigNumberish): Promise<{ buy: bigint; sell: bigint; unofficial: bigint }[]>;
+    getPairTaxRates(pair: string): Promise<{ buyTaxBps: bigint; sellTaxBps: bigint }>;
+    getPastTotalSupply(timepoint: BigNumberish): Promise<bigint>;
+    getPastVotes(account: string, timepoint: BigNumberish): Promise<bigint>;
+    getRouteCredit(holder: string): Promise<{ buyCredit: bigint; sellCredit: bigint }>;
+    getUnofficialTaxRates(): Promise<{ buyTax: bigint; sellTax: bigint }>;
+    getVotes(account: string): Promise<bigint>;
+    isExcludedFromTax(arg0: string): Promise<boolean>;
+    isExcludedFromVotes(arg0: string): Promise<boolean>;
+    isLaunchGuardActive(): Promise<boolean>;
+    isRecognizedWallet(account: string): Promise<boolean>;
+    launchGuard(): Promise<{ startBlock: bigint; durationBlocks: bigint; maxTxBps: bigint; maxWalletBps: bigint }>;
+    launchTimestamp(): Promise<bigint>;
+    name(): Promise<string>;
+    nonces(owner: string): Promise<bigint>;
+    owner(): Promise<string>;
+    pairTaxProfiles(arg0: string): Promise<{ buyTaxBps: bigint; sellTaxBps: bigint; isCustom: boolean }>;
+    permit(owner: string, spender: string, value: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    perpetualEngineAddress(): Promise<string>;
+    primaryAmmPair(): Promise<string>;
+    proposeAllowlistChange(action: BigNumberish, account: string, status: boolean, overrides?: Overrides): Promise<TxResult>;
+    quoteTransfer(from: string, to: string, amount: BigNumberish, overrides?: Overrides): Promise<TransferQuote>;
+    renounceContractOwnership(overrides?: Overrides): Promise<TxResult>;
+    renounceOwnership(overrides?: Overrides): Promise<TxResult>;
+    rescueForeignTokens(tokenAddress: string, overrides?: Overrides): Promise<TxResult>;
+    setAllowlistGovernor(governor: string, overrides?: Overrides): Promise<TxResult>;
+    setAmmPair(pair: string, isPair: boolean, overrides?: Overrides): Promise<TxResult>;
+    setAmmPairTaxProfile(pair: string, buyTaxBps: BigNumberish, sellTaxBps: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    setLaunchGuard(durationBlocks: BigNumberish, maxTxBps: BigNumberish, maxWalletBps: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    setPerpetualEngineAddress(_engineAddress: string, overrides?: Overrides): Promise<TxResult>;
+    setPrimaryAmmPair(pairAddress: string, overrides?: Overrides): Promise<TxResult>;
+    setTaxExclusion(account: string, excluded: boolean, overrides?: Overrides): Promise<TxResult>;
+    setTaxSweep(enabled: boolean, threshold: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    setVotesExclusion(account: string, excluded: boolean, overrides?: Overrides): Promise<TxResult>;
+    setWalletCodehash(codehash: BytesLike, kind: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    signPermit(spender: string, value: BigNumberish, deadline?: BigNumberish): Promise<{ deadline: bigint; v: number; r: string; s: string }>;
+    symbol(): Promise<string>;
+    taxSweepEnabled(): Promise<boolean>;
+    taxSweepThreshold(): Promise<bigint>;
+    totalSupply(): Promise<bigint>;
+    totalTaxCollected(): Promise<{ buy: bigint; sell: bigint; unofficial: bigint }>;
+    totalTaxSwept(): Promise<bigint>;
+    transfer(to: string, amount: BigNumberish): Promise<TxResult & { quote: TransferQuote }>;
+    transferFrom(from: string, to: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    transferOwnership(newOwner: string, overrides?: Overrides): Promise<TxResult>;
+    vetoAllowlistChange(changeId: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    walletCodehashes(arg0: BytesLike): Promise<bigint>;
+}
+
+export declare class PerpetualEngine extends ProtocolContract {
+    static readonly contractName: "PerpetualEngine";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    AUTO_LP_BPS(): Promise<bigint>;
+    BASIS_POINTS_DIVISOR(): Promise<bigint>;
+    BURN_BPS(): Promise<bigint>;
+    CALLER_REWARD_BPS(): Promise<bigint>;
+    MAX_LIQUIDITY_VENUES(): Promise<bigint>;
+    MAX_SWAP_ATTEMPTS(): Promise<bigint>;
+    MAX_SWAP_ROUTES(): Promise<bigint>;
+    MAX_TWAP_DEVIATION_BPS(): Promise<bigint>;
+    MAX_TWAP_PERIOD(): Promise<bigint>;
+    MIN_TWAP_PERIOD(): Promise<bigint>;
+    PAIR_FEE_BPS(): Promise<bigint>;
+    REFILL_LP_STAKING_BPS(): Promise<bigint>;
+    REFILL_NFT_STAKING_BPS(): Promise<bigint>;
+    REFILL_TOKEN_STAKING_BPS(): Promise<bigint>;
+    REWARDS_REFILL_BPS(): Promise<bigint>;
+    TWAP_OBSERVATION_SLOTS(): Promise<bigint>;
+    addLiquidityVenue(_router: string, _quoteToken: string, overrides?: Overrides): Promise<TxResult>;
+    addSwapRoute(_router: string, _hop: string, overrides?: Overrides): Promise<TxResult>;
+    aecStablecoinPair(): Promise<string>;
+    aecToken(): Promise<string>;
+    allocationPolicy(): Promise<string>;
+    calculateCycleOutcome(): Promise<{ totalToProcess: bigint; burnAmount: bigint; lpAmount: bigint; rewardsAmount: bigint; callerReward: bigint }>;
+    canRunCycle(): Promise<boolean>;
+    deployerPrivilegesActive(): Promise<boolean>;
+    deployerWallet(): Promise<string>;
+    deploymentTime(): Promise<bigint>;
+    getConfiguration(): Promise<{ slippage: bigint; minProcessAmount: bigint; cooldown: bigint; privilegesActive: boolean }>;
+    getContractStatus(): Promise<{ aecBalance: bigint; stablecoinBalance: bigint; canProcess: boolean; timeUntilNextProcess: bigint; estimatedCallerReward: bigint; pendingEndowment: bigint; endowmentReady: boolean }>;
+    getCycleCount(): Promise<bigint>;
+    getCycleHistory(offset: BigNumberish, limit: BigNumberish): Promise<{ timestamp: bigint; caller: string; venueId: bigint; swapAttempts: bigint; swapsSucceeded: bigint; newTaxes: bigint; endowmentReleased: bigint; burned: bigint; lpAec: bigint; refillLp: bigint; refillToken: bigint; refillNft: bigint; unutilizedAec: bigint; aecSwapped: bigint; lpMinted: bigint; callerReward: bigint }[]>;
+    getCycleStats(): Promise<{ totalProcessed: bigint; totalBurned: bigint; totalLiquidity: bigint; totalRewards: bigint; successRate: bigint }>;
+    getEndowmentStats(): Promise<{ totalReceived: bigint; lastRelease: bigint; averageRelease: bigint; releaseCount: bigint }>;
+    getLastCycleTime(): Promise<bigint>;
+    getPoolInfo(): Promise<{ reserve0: bigint; reserve1: bigint; token0: string; token1: string; aecIsToken0: boolean; twapPrice: bigint; spotPrice: bigint; deviationBps: bigint; twapReady: boolean }>;
+    getVenue(venueId: BigNumberish): Promise<{ router: string; pair: string; quoteToken: string; active: boolean; twapPrice: bigint; spotPrice: bigint; deviationBps: bigint; twapReady: boolean }>;
+    getVenueCount(): Promise<bigint>;
+    healthCheck(): Promise<{ isHealthy: boolean; hasMinBalance: boolean; stakingConfigured: boolean; pairExists: boolean; canSwap: boolean; endowmentConnected: boolean }>;
+    isOperational(): Promise<boolean>;
+    lastEndowmentRelease(): Promise<bigint>;
+    lastPublicProcessTime(): Promise<bigint>;
+    minAecToProcess(): Promise<bigint>;
+    nextVenueId(): Promise<bigint>;
+    notifyEndowmentRelease(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    perpetualEndowment(): Promise<string>;
+    publicProcessCooldown(): Promise<bigint>;
+    renounceDeployerPrivileges(overrides?: Overrides): Promise<TxResult>;
+    rescueForeignTokens(tokenAddress: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    runCycle(overrides?: Overrides): Promise<TxResult>;
+    selectCycleVenue(): Promise<{ venueId: bigint; tradable: boolean }>;
+    setAllocationPolicy(_policy: string, overrides?: Overrides): Promise<TxResult>;
+    setLiquidityVenueActive(venueId: BigNumberish, active: boolean, overrides?: Overrides): Promise<TxResult>;
+    setStakingContracts(_stakingContractToken: string, _stakingContractNFT: string, overrides?: Overrides): Promise<TxResult>;
+    setTwapParameters(_period: BigNumberish, _deviationBps: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    simulateCycle(gasPrice?: bigint): Promise<CycleRecord>;
+    slippageBasisPoints(): Promise<bigint>;
+    stablecoinToken(): Promise<string>;
+    stakingContractLP(): Promise<string>;
+    stakingContractNFT(): Promise<string>;
+    stakingContractToken(): Promise<string>;
+    swapRoutes(arg0: BigNumberish): Promise<{ router: string; hop: string }>;
+    sweptTaxCounted(): Promise<bigint>;
+    totalEndowmentReceived(): Promise<bigint>;
+    twapDeviationBps(): Promise<bigint>;
+    twapPeriod(): Promise<bigint>;
+    uniswapV2Router(): Promise<string>;
+    updatePriceObservation(overrides?: Overrides): Promise<TxResult>;
+    version(): Promise<string>;
+}
+
+export declare class PerpetualEndowment extends ProtocolContract {
+    static readonly contractName: "PerpetualEndowment";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    BASIS_POINTS(): Promise<bigint>;
+    COMPOUND_FACTOR(): Promise<bigint>;
+    DEFAULT_RELEASE_INTERVAL(): Promise<bigint>;
+    DUST_THRESHOLD(): Promise<bigint>;
+    EMERGENCY_DELAY(): Promise<bigint>;
+    MAX_PERIODS_PER_RELEASE(): Promise<bigint>;
+    MAX_RELEASE_INTERVAL(): Promise<bigint>;
+    MIN_RELEASE_INTERVAL(): Promise<bigint>;
+    PRECISION(): Promise<bigint>;
+    RELEASE_RATE_BPS(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    compoundingEnabled(): Promise<boolean>;
+    deploymentTime(): Promise<bigint>;
+    getCurrentAPR(): Promise<bigint>;
+    getEndowmentStatus(): Promise<{ currentBalance: bigint; totalReleased: bigint; releaseCount: bigint; nextReleaseTime: bigint; nextReleaseAmount: bigint; percentageRemaining: bigint }>;
+    getReleaseHistory(offset: BigNumberish, limit: BigNumberish): Promise<bigint[]>;
+    healthCheck(): Promise<{ isHealthy: boolean; status: string; daysUntilEmergency: bigint }>;
+    initialEndowmentAmount(): Promise<bigint>;
+    initialize(overrides?: Overrides): Promise<TxResult>;
+    isSealed(): Promise<boolean>;
+    monthlyReleases(arg0: BigNumberish): Promise<bigint>;
+    perpetualEngine(): Promise<string>;
+    projectFutureBalance(monthsAhead: BigNumberish): Promise<bigint>;
+    releaseFunds(overrides?: Overrides): Promise<TxResult>;
+    releaseHistory(arg0: BigNumberish): Promise<bigint>;
+    releaseInfo(): Promise<{ lastReleaseTime: bigint; totalReleased: bigint; releaseCount: bigint; lastReleaseAmount: bigint }>;
+    releaseInterval(): Promise<bigint>;
+    setCompoundingEnabled(enabled: boolean, overrides?: Overrides): Promise<TxResult>;
+    suggestOptimalRelease(): Promise<{ shouldRelease: boolean; potentialAmount: bigint; periodsWaiting: bigint; gasEfficiencyScore: bigint }>;
+    updateReleaseInterval(newInterval: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    verifyMathematicalSustainability(yearsToCheck: BigNumberish): Promise<{ sustainable: boolean; projectedBalance: bigint }>;
+}
+
+export declare class AECStakingLP extends ProtocolContract {
+    static readonly contractName: "AECStakingLP";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    BASIS_POINTS(): Promise<bigint>;
+    DECAY_PERIOD(): Promise<bigint>;
+    DECAY_RATE_BPS(): Promise<bigint>;
+    ENGINE_RETURN_BPS(): Promise<bigint>;
+    ENGINE_TIER(): Promise<bigint>;
+    MAX_LOCK_DURATION(): Promise<bigint>;
+    MIN_STAKE_AMOUNT(): Promise<bigint>;
+    PRECISION(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    basePeriodFinish(): Promise<bigint>;
+    baseRewardRate(): Promise<bigint>;
+    bonusPeriodFinish(): Promise<bigint>;
+    bonusRewardRate(): Promise<bigint>;
+    calculateRequiredStake(targetAPY: BigNumberish, tier: BigNumberish): Promise<bigint>;
+    checkUpgradeability(): Promise<{ canUpgrade: boolean; reason: string }>;
+    claimReward(overrides?: Overrides): Promise<TxResult>;
+    deploymentTime(): Promise<bigint>;
+    earned(account: string): Promise<bigint>;
+    emergencyRecoverToken(token: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    exit(overrides?: Overrides): Promise<TxResult>;
+    getPoolMetrics(): Promise<{ totalDeposited: bigint; totalWithdrawn: bigint; totalRewardsPaid: bigint; baseRewardsDistributed: bigint; bonusRewardsDistributed: bigint; uniqueStakers: bigint; averageAPY: bigint }>;
+    getPoolStats(): Promise<{ totalStaked: bigint; totalWeighted: bigint; baseRewardsRemaining: bigint; currentBonusRate: bigint; nextDecayIn: bigint; engineStake: bigint; engineWeightedShare: bigint; fairnessScore: string }>;
+    getProjectedAPY(tier: BigNumberish): Promise<bigint>;
+    getStakeInfo(account: string): Promise<{ amount: bigint; weightedAmount: bigint; tier: bigint; lockEnd: bigint; earnedRewards: bigint; canWithdraw: boolean; isEternal: boolean }>;
+    getTierInfo(tier: BigNumberish): Promise<{ lockDuration: bigint; multiplier: bigint; name: string; isUserTier: boolean; currentStakers: bigint }>;
+    hasStaked(arg0: string): Promise<boolean>;
+    initialRewardAllocation(): Promise<bigint>;
+    isEternalStaker(arg0: string): Promise<boolean>;
+    lastBaseRewardUpdate(): Promise<bigint>;
+    lastTimeRewardApplicable(): Promise<bigint>;
+    lastUpdateTime(): Promise<bigint>;
+    liquidityDeployer(): Promise<string>;
+    lpToken(): Promise<string>;
+    notifyRewardAmount(reward: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    perpetualEngine(): Promise<string>;
+    poolStats(): Promise<{ totalDeposited: bigint; totalWithdrawn: bigint; totalRewardsPaid: bigint; uniqueStakers: bigint }>;
+    remainingBaseRewards(): Promise<bigint>;
+    rewardPerToken(): Promise<bigint>;
+    rewardPerTokenStored(): Promise<bigint>;
+    rewards(arg0: string): Promise<bigint>;
+    rewardsDuration(): Promise<bigint>;
+    setRewardsDuration(_rewardsDuration: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    stake(amount: BigNumberish, tier: BigNumberish): Promise<ApprovedTxResult>;
+    stakeForEngine(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    stakes(arg0: string): Promise<{ amount: bigint; weightedAmount: bigint; tier: bigint; lockEnd: bigint; rewardDebt: bigint; lastUpdateTime: bigint }>;
+    tiers(arg0: BigNumberish): Promise<{ lockDuration: bigint; multiplier: bigint; name: string; isUserTier: boolean }>;
+    totalBaseRewardsDistributed(): Promise<bigint>;
+    totalBonusRewardsDistributed(): Promise<bigint>;
+    totalSupply(): Promise<bigint>;
+    totalWeightedSupply(): Promise<bigint>;
+    upgradeTier(newTier: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    userRewardPerTokenPaid(arg0: string): Promise<bigint>;
+    validateRewardBalance(): Promise<{ hasBalance: boolean; currentBalance: bigint; requiredBalance: bigint }>;
+    verifySustainability(yearsToProject: BigNumberish): Promise<{ isSustainable: boolean; projectedRemaining: bigint; monthlyDecayRate: bigint }>;
+    withdraw(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+}
+
+export declare class AECStakingToken extends ProtocolContract {
+    static readonly contractName: "AECStakingToken";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    BASIS_POINTS(): Promise<bigint>;
+    DECAY_PERIOD(): Promise<bigint>;
+    DECAY_RATE_BPS(): Promise<bigint>;
+    MAX_LOCK_DURATION(): Promise<bigint>;
+    MIN_STAKE_AMOUNT(): Promise<bigint>;
+    PRECISION(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    bonusPeriodFinish(): Promise<bigint>;
+    bonusRewardRate(): Promise<bigint>;
+    claimReward(overrides?: Overrides): Promise<TxResult>;
+    deploymentTime(): Promise<bigint>;
+    earned(account: string): Promise<bigint>;
+    exit(overrides?: Overrides): Promise<TxResult>;
+    getPoolStats(): Promise<{ totalStaked: bigint; totalWeighted: bigint; activeStakers: bigint; baseRemaining: bigint; currentBonusRate: bigint; projectedAPY: bigint }>;
+    getStakeInfo(account: string): Promise<{ amount: bigint; weightedAmount: bigint; tier: bigint; lockEnd: bigint; earnedRewards: bigint; canWithdraw: boolean }>;
+    initialRewardAllocation(): Promise<bigint>;
+    lastBaseRewardUpdate(): Promise<bigint>;
+    lastTimeRewardApplicable(): Promise<bigint>;
+    lastUpdateTime(): Promise<bigint>;
+    notifyRewardAmount(reward: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    perpetualEngine(): Promise<string>;
+    remainingBaseRewards(): Promise<bigint>;
+    rewardPerToken(): Promise<bigint>;
+    rewardPerTokenStored(): Promise<bigint>;
+    rewards(arg0: string): Promise<bigint>;
+    rewardsDuration(): Promise<bigint>;
+    setRewardsDuration(_duration: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    stake(amount: BigNumberish, tier: BigNumberish): Promise<ApprovedTxResult>;
+    stakeWithPermit(amount: BigNumberish, tier: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    stakes(arg0: string): Promise<{ amount: bigint; weightedAmount: bigint; tier: bigint; lockEnd: bigint; lastUpdateTime: bigint; pendingRewards: bigint }>;
+    tiers(arg0: BigNumberish): Promise<{ lockDuration: bigint; multiplier: bigint; name: string }>;
+    totalDeposited(): Promise<bigint>;
+    totalRewardsPaid(): Promise<bigint>;
+    totalStakers(): Promise<bigint>;
+    totalSupply(): Promise<bigint>;
+    totalWeightedSupply(): Promise<bigint>;
+    totalWithdrawn(): Promise<bigint>;
+    upgradeTier(newTier: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    userRewardPerTokenPaid(arg0: string): Promise<bigint>;
+    withdraw(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+}
+
+export declare class AECStakingNFT extends ProtocolContract {
+    static readonly contractName: "AECStakingNFT";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    BASIS_POINTS(): Promise<bigint>;
+    DECAY_PERIOD(): Promise<bigint>;
+    DECAY_RATE_BPS(): Promise<bigint>;
+    PRECISION(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    aetheriaNFT(): Promise<string>;
+    bonusPeriodFinish(): Promise<bigint>;
+    bonusRewardRate(): Promise<bigint>;
+    calculateBaseRewardRatePublic(): Promise<bigint>;
+    claimReward(overrides?: Overrides): Promise<TxResult>;
+    deploymentTime(): Promise<bigint>;
+    earned(account: string): Promise<bigint>;
+    getStakeInfo(user: string): Promise<{ nftCount: bigint; tokenIds: bigint[]; earnedRewards: bigint; rewardPerNFTCurrent: bigint }>;
+    getStakedNFTs(user: string): Promise<bigint[]>;
+    initialRewardAllocation(): Promise<bigint>;
+    lastBaseRewardUpdate(): Promise<bigint>;
+    lastTimeRewardApplicable(): Promise<bigint>;
+    lastUpdateTime(): Promise<bigint>;
+    notifyRewardAmount(reward: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    perpetualEngine(): Promise<string>;
+    remainingBaseRewards(): Promise<bigint>;
+    rewardPerNFT(): Promise<bigint>;
+    rewardPerNFTStored(): Promise<bigint>;
+    rewards(arg0: string): Promise<bigint>;
+    rewardsDuration(): Promise<bigint>;
+    stakeNFTs(tokenIds: BigNumberish[]): Promise<ApprovedTxResult>;
+    stakes(arg0: string): Promise<{ lastUpdateTime: bigint; pendingRewards: bigint }>;
+    tokenOwners(arg0: BigNumberish): Promise<string>;
+    totalNFTsStaked(): Promise<bigint>;
+    unstakeNFTs(tokenIds: BigNumberish[], overrides?: Overrides): Promise<TxResult>;
+    userRewardPerNFTPaid(arg0: string): Promise<bigint>;
+}
+
+export declare class FairLaunch extends ProtocolContract {
+    static readonly contractName: "FairLaunch";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    AEC_ALLOCATION(): Promise<bigint>;
+    EMERGENCY_WITHDRAW_PERIOD(): Promise<bigint>;
+    INITIAL_PRICE(): Promise<bigint>;
+    LAUNCH_DURATION(): Promise<bigint>;
+    MINIMUM_RAISE(): Promise<bigint>;
+    TARGET_RAISE(): Promise<bigint>;
+    aec(): Promise<string>;
+    batchCheckStatus(users: string[]): Promise<{ canClaim: boolean[]; amounts: bigint[] }>;
+    batchClaim(users: string[], overrides?: Overrides): Promise<TxResult>;
+    claim(overrides?: Overrides): Promise<TxResult>;
+    contribute(amount: BigNumberish): Promise<ApprovedTxResult>;
+    contributions(arg0: string): Promise<bigint>;
+    emergencyWithdraw(overrides?: Overrides): Promise<TxResult>;
+    finalPricePerAEC(): Promise<bigint>;
+    finalizeLaunch(overrides?: Overrides): Promise<TxResult>;
+    getClaimableAmount(user: string): Promise<bigint>;
+    getLaunchMetrics(): Promise<{ currentPrice: bigint; impliedMarketCap: bigint; averageContribution: bigint; targetProgress: bigint }>;
+    getLaunchStatus(): Promise<{ isActive: boolean; isEnded: boolean; isComplete: boolean; timeRemaining: bigint; raised: bigint; contributors: bigint }>;
+    getUserInfo(user: string): Promise<{ contributed: bigint; claimable: bigint; claimed: boolean; percentage: bigint }>;
+    hasClaimed(arg0: string): Promise<boolean>;
+    isFinalized(): Promise<boolean>;
+    launchEndTime(): Promise<bigint>;
+    launchStartTime(): Promise<bigint>;
+    liquidityDeployer(): Promise<string>;
+    previewClaim(user: string): Promise<{ expectedAEC: bigint; currentPrice: bigint; sharePercentage: bigint }>;
+    refund(overrides?: Overrides): Promise<TxResult>;
+    totalContributors(): Promise<bigint>;
+    totalRaised(): Promise<bigint>;
+    transferExcessTokens(overrides?: Overrides): Promise<TxResult>;
+    usdc(): Promise<string>;
+}
+
+export declare class FairAirdrop extends ProtocolContract {
+    static readonly contractName: "FairAirdrop";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    AIRDROP_ALLOCATION(): Promise<bigint>;
+    CLAIM_WINDOW(): Promise<bigint>;
+    DEPOSIT_WINDOW(): Promise<bigint>;
+    ENGINE_PERCENT(): Promise<bigint>;
+    FREE_CLAIM_PERCENT(): Promise<bigint>;
+    FULL_CLAIM_COST(): Promise<bigint>;
+    aecPerCP(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    claimDeadline(): Promise<bigint>;
+    claimFullAllocation(): Promise<ApprovedTxResult>;
+    claimFullAllocationWithPermit(deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    claimPartialAllocation(overrides?: Overrides): Promise<TxResult>;
+    cpToken(): Promise<string>;
+    depositCP(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    emergencyRecoverCP(overrides?: Overrides): Promise<TxResult>;
+    endTime(): Promise<bigint>;
+    finalizeAirdrop(overrides?: Overrides): Promise<TxResult>;
+    getAirdropStats(): Promise<{ totalCPLocked: bigint; averageCPPerUser: bigint; totalUSDCRaised: bigint; totalAECSentToEngine: bigint; claimedCount: bigint }>;
+    getAirdropStatus(): Promise<{ depositOpen: boolean; claimOpen: boolean; finalized: boolean; timeRemaining: bigint; totalCP: bigint; participants: bigint }>;
+    getClaimOptions(user: string): Promise<{ canClaimFull: boolean; canClaimPartial: boolean; fullAmount: bigint; partialAmount: bigint; usdcCost: bigint }>;
+    getUserAllocation(user: string): Promise<{ cpDeposited: bigint; fullAllocation: bigint; partialAllocation: bigint; engineShare: bigint; claimed: boolean }>;
+    hasClaimed(arg0: string): Promise<boolean>;
+    isFinalized(): Promise<boolean>;
+    perpetualEngine(): Promise<string>;
+    startTime(): Promise<bigint>;
+    totalAECToEngine(): Promise<bigint>;
+    totalCPDeposited(): Promise<bigint>;
+    totalDepositors(): Promise<bigint>;
+    totalUSDCCollected(): Promise<bigint>;
+    transferUnclaimedTokens(overrides?: Overrides): Promise<TxResult>;
+    usdcToken(): Promise<string>;
+    userDeposits(arg0: string): Promise<bigint>;
+    withdrawCP(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+}
+
+export declare class ContributorPoints extends ProtocolContract {
+    static readonly contractName: "ContributorPoints";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    allowance(owner: string, spender: string): Promise<bigint>;
+    approve(arg0: string, arg1: BigNumberish): Promise<boolean>;
+    authorizedContracts(arg0: string): Promise<boolean>;
+    backend(): Promise<string>;
+    balanceOf(account: string): Promise<bigint>;
+    canClaim(user: string, totalAmount: BigNumberish, proof: BytesLike[]): Promise<{ valid: boolean; claimable: bigint }>;
+    claimAllCP(totalAmount: BigNumberish, proof: BytesLike[], overrides?: Overrides): Promise<TxResult>;
+    claimed(arg0: string): Promise<bigint>;
+    decimals(): Promise<bigint>;
+    deploymentTime(): Promise<bigint>;
+    depositFor(user: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    depositedTo(arg0: string, arg1: string): Promise<bigint>;
+    getSupplyInfo(): Promise<{ minted: bigint; holders: bigint; averageBalance: bigint }>;
+    getUserStats(user: string): Promise<{ balance: bigint; totalClaimed: bigint; available: bigint; hasDeposits: boolean }>;
+    merkleRoot(): Promise<string>;
+    mintCP(amount: BigNumberish, totalAmount: BigNumberish, proof: BytesLike[], overrides?: Overrides): Promise<TxResult>;
+    name(): Promise<string>;
+    returnTo(user: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    setAuthorizedContract(contract_: string, authorized: boolean, overrides?: Overrides): Promise<TxResult>;
+    symbol(): Promise<string>;
+    totalMinted(): Promise<bigint>;
+    totalSupply(): Promise<bigint>;
+    transfer(arg0: string, arg1: BigNumberish): Promise<boolean>;
+    transferFrom(from: string, to: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    updateBackend(newBackend: string, overrides?: Overrides): Promise<TxResult>;
+    updateMerkleRoot(newRoot: BytesLike, overrides?: Overrides): Promise<TxResult>;
+}
+
+export declare class AetheriaNFT extends ProtocolContract {
+    static readonly contractName: "AetheriaNFT";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    MAX_SUPPLY(): Promise<bigint>;
+    MINT_PRICE(): Promise<bigint>;
+    ROYALTY_BPS(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    approve(to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    balanceOf(owner: string): Promise<bigint>;
+    deploymentTime(): Promise<bigint>;
+    exists(tokenId: BigNumberish): Promise<boolean>;
+    getApproved(tokenId: BigNumberish): Promise<string>;
+    getMintCost(quantity: BigNumberish): Promise<bigint>;
+    getMintStats(): Promise<{ minted: bigint; remaining: bigint; percentMinted: bigint; canMint: boolean; totalAECCollected: bigint }>;
+    getTokenInfo(tokenId: BigNumberish): Promise<{ owner: string; originalMinterAddress: string; mintTime: bigint; tokenAge: bigint; isOriginalOwner: boolean }>;
+    holderMintCount(arg0: string): Promise<bigint>;
+    isApprovedForAll(owner: string, operator: string): Promise<boolean>;
+    manifesto(): Promise<string>;
+    mint(): Promise<MintResult>;
+    mintBatch(quantity: BigNumberish): Promise<MintResult>;
+    mintBatchWithPermit(quantity: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    mintTimestamp(arg0: BigNumberish): Promise<bigint>;
+    mintWithPermit(deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    mintingActive(): Promise<boolean>;
+    name(): Promise<string>;
+    originalMinter(arg0: BigNumberish): Promise<string>;
+    ownerOf(tokenId: BigNumberish): Promise<string>;
+    perpetualEngine(): Promise<string>;
+    setApprovalForAll(operator: string, approved: boolean, overrides?: Overrides): Promise<TxResult>;
+    supportsInterface(interfaceId: BytesLike): Promise<boolean>;
+    symbol(): Promise<string>;
+    tokenURI(tokenId: BigNumberish): Promise<string>;
+    tokensOfOwner(owner: string): Promise<bigint[]>;
+    totalMinted(): Promise<bigint>;
+    transferFrom(from: string, to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+}
+
+export declare class AECGambit extends ProtocolContract {
+    static readonly contractName: "AECGambit";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    ENGINE_SPLIT(): Promise<bigint>;
+    INITIAL_ALLOCATION(): Promise<bigint>;
+    MAX_BET(): Promise<bigint>;
+    MIN_BET(): Promise<bigint>;
+    POOL_DURATION(): Promise<bigint>;
+    POOL_INTERVAL(): Promise<bigint>;
+    RANDOM_RANGE(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    calculatePotentialWin(betAmount: BigNumberish): Promise<{ multipliers: bigint[]; winAmounts: bigint[]; chances: bigint[] }>;
+    claimWin(poolId: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    currentPoolId(): Promise<bigint>;
+    deploymentBlock(): Promise<bigint>;
+    deploymentTime(): Promise<bigint>;
+    drawPool(poolId: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    getCurrentPoolStatus(): Promise<{ poolId: bigint; endsIn: bigint; totalBets: bigint; canBet: boolean; canDraw: boolean }>;
+    getGambitStats(): Promise<{ allocation: bigint; poolBalance: bigint; totalBets: bigint; totalWins: bigint; engineRevenue: bigint; isActive: boolean }>;
+    getUserBet(user: string, poolId: BigNumberish): Promise<{ amount: bigint; claimed: boolean; result: bigint; multiplier: bigint; winAmount: bigint }>;
+    nextPoolBlock(): Promise<bigint>;
+    perpetualEngine(): Promise<string>;
+    placeBet(amount: BigNumberish): Promise<ApprovedTxResult>;
+    placeBetWithPermit(amount: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    poolBets(arg0: BigNumberish, arg1: string): Promise<{ amount: bigint; poolId: bigint; claimed: boolean; result: bigint; multiplier: bigint }>;
+    pools(arg0: BigNumberish): Promise<{ startBlock: bigint; endBlock: bigint; totalBets: bigint; seed: string; drawn: boolean }>;
+    prizePool(): Promise<bigint>;
+    prizeTiers(arg0: BigNumberish): Promise<{ threshold: bigint; multiplier: bigint }>;
+    remainingAllocation(): Promise<bigint>;
+    totalBetsPlaced(): Promise<bigint>;
+    totalToEngine(): Promise<bigint>;
+    totalWon(): Promise<bigint>;
+}
+
+export declare class AccountabilityDAO extends ProtocolContract {
+    static readonly contractName: "AccountabilityDAO";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    ACTION_COOLDOWN(): Promise<bigint>;
+    ALLOWLIST_PROPOSAL_THRESHOLD(): Promise<bigint>;
+    ALLOWLIST_QUORUM(): Promise<bigint>;
+    ALLOWLIST_VOTING_PERIOD(): Promise<bigint>;
+    BURN_THRESHOLD(): Promise<bigint>;
+    EXTEND_THRESHOLD(): Promise<bigint>;
+    EXTENSION_DURATION(): Promise<bigint>;
+    aecToken(): Promise<string>;
+    allowlistProposalCount(): Promise<bigint>;
+    allowlistProposals(arg0: BigNumberish): Promise<{ action: bigint; account: string; status: boolean; queued: boolean; vetoed: boolean; snapshot: bigint; vetoSnapshot: bigint; voteEnd: bigint; forVotes: bigint; againstVotes: bigint; vetoVotes: bigint }>;
+    burnFounderAllocation(overrides?: Overrides): Promise<TxResult>;
+    canUserTriggerAction(arg0: string): Promise<{ canTriggerExtend: boolean; canTriggerBurn: boolean }>;
+    castAllowlistVote(proposalId: BigNumberish, support: boolean, overrides?: Overrides): Promise<TxResult>;
+    deposit(amount: BigNumberish): Promise<ApprovedTxResult>;
+    depositWithPermit(amount: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<TxResult>;
+    extendFounderVesting(overrides?: Overrides): Promise<TxResult>;
+    extensionCount(): Promise<bigint>;
+    founderAllocationBurned(): Promise<boolean>;
+    founderVesting(): Promise<string>;
+    getActionableStatus(): Promise<{ canExtendNow: boolean; canBurnNow: boolean; tokensNeededForExtend: bigint; tokensNeededForBurn: bigint }>;
+    getDAOStats(): Promise<{ currentLocked: bigint; extensionsExecuted: bigint; allocationBurned: boolean; progressToExtend: bigint; progressToBurn: bigint }>;
+    hasVetoedAllowlist(arg0: BigNumberish, arg1: string): Promise<boolean>;
+    hasVotedOnAllowlist(arg0: BigNumberish, arg1: string): Promise<boolean>;
+    lastBurnTime(): Promise<bigint>;
+    lastExtensionTime(): Promise<bigint>;
+    proposeAllowlistChange(action: BigNumberish, account: string, status: boolean, overrides?: Overrides): Promise<TxResult>;
+    queueAllowlistChange(proposalId: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    totalLocked(): Promise<bigint>;
+    userDeposits(arg0: string): Promise<bigint>;
+    vetoAllowlistChange(proposalId: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    withdraw(amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    withdrawAll(overrides?: Overrides): Promise<TxResult>;
+}
+
+export declare class FounderVesting extends ProtocolContract {
+    static readonly contractName: "FounderVesting";
+    static readonly ABI: ReadonlyArray<Record<string, any>>;
+    BURN_ADDRESS(): Promise<string>;
+    FOUNDER_ALLOCATION(): Promise<bigint>;
+    INITIAL_CLIFF_DURATION(): Promise<bigint>;
+    MAX_CLIFF_DURATION(): Promise<bigint>;
+    accountabilityDAO(): Promise<string>;
+    aecToken(): Promise<string>;
+    allocationBurned(): Promise<boolean>;
+    beneficiary(): Promise<string>;
+    burnAllocation(overrides?: Overrides): Promise<TxResult>;
+    claim(overrides?: Overrides): Promise<TxResult>;
+    cliffEnd(): Promise<bigint>;
+    extendVesting(additionalTime: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    extensionCount(): Promise<bigint>;
+    getClaimableAmount(): Promise<bigint>;
+    getCliffProgress(): Promise<bigint>;
+    getVestingInfo(): Promise<{ amount: bigint; startTime: bigint; cliffEndTime: bigint; claimed: bigint; burned: boolean; claimable: bigint; remainingTime: bigint }>;
+    initialCliffEnd(): Promise<bigint>;
+    isClaimable(): Promise<boolean>;
+    recoverToken(token: string, amount: BigNumberish, overrides?: Overrides): Promise<TxResult>;
+    totalClaimed(): Promise<bigint>;
+    totalVested(): Promise<bigint>;
+    updateBeneficiary(newBeneficiary: string, overrides?: Overrides): Promise<TxResult>;
+    updateDAO(newDAO: string, overrides?: Overrides): Promise<TxResult>;
+    vestingStart(): Promise<bigint>;
+}
+
+export declare const CONTRACTS: {
+    AECToken: typeof AECToken;
+    PerpetualEngine: typeof PerpetualEngine;
+    PerpetualEndowment: typeof PerpetualEndowment;
+    AECStakingLP: typeof AECStakingLP;
+    AECStakingToken: typeof AECStakingToken;
+    AECStakingNFT: typeof AECStakingNFT;
+    FairLaunch: typeof FairLaunch;
+    FairAirdrop: typeof FairAirdrop;
+    ContributorPoints: typeof ContributorPoints;
+    AetheriaNFT: typeof AetheriaNFT;
+    AECGambit: typeof AECGambit;
+    AccountabilityDAO: typeof AccountabilityDAO;
+    FounderVesting: typeof FounderVesting;
+};
+
+export interface Protocol {
+    AECToken?: AECToken;
+    PerpetualEngine?: PerpetualEngine;
+    PerpetualEndowment?: PerpetualEndowment;
+    AECStakingLP?: AECStakingLP;
+    AECStakingToken?: AECStakingToken;
+    AECStakingNFT?: AECStakingNFT;
+    FairLaunch?: FairLaunch;
+    FairAirdrop?: FairAirdrop;
+    ContributorPoints?: ContributorPoints;
+    AetheriaNFT?: AetheriaNFT;
+    AECGambit?: AECGambit;
+    AccountabilityDAO?: AccountabilityDAO;
+    FounderVesting?: FounderVesting;
+}
+
+export declare function connectProtocol(
+    manifest: { contracts: Record<string, { address: string }> },
+    runner: ContractRunner
+): Protocol;
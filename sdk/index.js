@@ -0,0 +1,48 @@
+/**
+ * AetherCycle JavaScript SDK.
+ *
+ * One class per protocol contract. Multi-value views resolve to objects keyed
+ * by the Solidity return names, writes resolve once mined, approve-then-act
+ * flows approve only what is missing, and reverts throw typed errors.
+ *
+ *     const { connectProtocol } = require("@aethercycle/sdk");
+ *     const protocol = connectProtocol(manifest, signer);
+ *     const { amount, tier, earnedRewards } = await protocol.AECStakingToken.getStakeInfo(user);
+ *     await protocol.AECStakingToken.stake(ethers.parseEther("1000"), 1);
+ */
+
+const { ProtocolContract } = require("./src/ProtocolContract");
+const errors = require("./src/errors");
+
+const CONTRACTS = {
+    AECToken: require("./src/contracts/AECToken"),
+    PerpetualEngine: require("./src/contracts/PerpetualEngine"),
+    PerpetualEndowment: require("./src/contracts/PerpetualEndowment"),
+    AECStakingLP: require("./src/contracts/AECStakingLP"),
+    AECStakingToken: require("./src/contracts/AECStakingToken"),
+    AECStakingNFT: require("./src/contracts/AECStakingNFT"),
+    FairLaunch: require("./src/contracts/FairLaunch"),
+    FairAirdrop: require("./src/contracts/FairAirdrop"),
+    ContributorPoints: require("./src/contracts/ContributorPoints"),
+    AetheriaNFT: require("./src/contracts/AetheriaNFT"),
+    AECGambit: require("./src/contracts/AECGambit"),
+    AccountabilityDAO: require("./src/contracts/AccountabilityDAO"),
+    FounderVesting: require("./src/contracts/FounderVesting")
+};
+
+/**
+ * Wraps every SDK contract found in a deployment manifest.
+ * @param {{contracts: Object<string, {address: string}>}} manifest deployments/<network>.json
+ * @param {import("ethers").ContractRunner} runner Signer to send, provider to read only
+ * @return {Object<string, ProtocolContract>} Keyed by contract name
+ */
+function connectProtocol(manifest, runner) {
+    const protocol = {};
+    for (const [name, Class] of Object.entries(CONTRACTS)) {
+        const entry = manifest.contracts[name];
+        if (entry && entry.address) protocol[name] = new Class(entry.address, runner);
+    }
+    return protocol;
+}
+
+module.exports = { ...CONTRACTS, CONTRACTS, ProtocolContract, connectProtocol, ...errors };
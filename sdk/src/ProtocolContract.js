@@ -0,0 +1,178 @@
+const { Contract } = require("ethers");
+const { decodeError, registerErrorFragments } = require("./errors");
+
+/**
+ * Base class for the SDK's contract wrappers.
+ *
+ * defineContract() installs one method per ABI function on a subclass:
+ * - view/pure functions resolve to the single output, or to an object keyed by
+ *   the output names when the function returns several values
+ * - state-changing functions send, wait for the receipt and resolve to a
+ *   TxResult with this contract's decoded events
+ * Methods a subclass defines itself (approve-then-act flows) take precedence.
+ * Overloaded functions are reachable through `.contract` only.
+ */
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
+];
+const ERC721_ABI = [
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function setApprovalForAll(address operator, bool approved)"
+];
+
+function decodeValue(param, value) {
+    if (param.baseType === "array") return Array.from(value, (item) => decodeValue(param.arrayChildren, item));
+    if (param.baseType === "tuple") return decodeNamed(param.components, value);
+    return value;
+}
+
+/**
+ * Maps positional values onto their ABI parameter names.
+ * @param {ReadonlyArray<import("ethers").ParamType>} params
+ * @param {ArrayLike<any>} values
+ */
+function decodeNamed(params, values) {
+    const named = {};
+    params.forEach((param, i) => { named[param.name || `_${i}`] = decodeValue(param, values[i]); });
+    return named;
+}
+
+class ProtocolContract {
+    /**
+     * @param {string} address Deployed contract address
+     * @param {import("ethers").ContractRunner} runner Signer to send, provider to read only
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new Contract(address, this.constructor.ABI, runner);
+    }
+
+    get interface() {
+        return this.contract.interface;
+    }
+
+    /** A copy of this wrapper bound to another signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    async _call(method, args) {
+        const fn = this.contract.getFunction(method);
+        let result;
+        try {
+            result = await fn.staticCallResult(...args);
+        } catch (error) {
+            throw decodeError(error, { contract: this.constructor.contractName, method });
+        }
+        const { outputs } = fn.fragment;
+        if (outputs.length === 0) return undefined;
+        if (outputs.length === 1) return decodeValue(outputs[0], result[0]);
+        return decodeNamed(outputs, result);
+    }
+
+    async _send(method, args) {
+        const context = { contract: this.constructor.contractName, method };
+        let receipt;
+        try {
+            const tx = await this.contract.getFunction(method).send(...args);
+            receipt = await tx.wait();
+        } catch (error) {
+            throw decodeError(error, context);
+        }
+        return this._result(receipt);
+    }
+
+    /**
+     * @return {{hash: string, blockNumber: number, gasUsed: bigint, events: Array<{name: string, args: object}>, receipt: object}}
+     */
+    _result(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const parsed = this.interface.parseLog(log);
+            if (parsed) events.push({ name: parsed.name, args: decodeNamed(parsed.fragment.inputs, parsed.args) });
+        }
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, events, receipt };
+    }
+
+    async _signerAddress() {
+        if (!this.runner || typeof this.runner.getAddress !== "function") {
+            throw new Error(`SDK: ${this.constructor.contractName} needs a signer to send transactions`);
+        }
+        return this.runner.getAddress();
+    }
+
+    /**
+     * Approves `amount` of an ERC20 to this contract unless the allowance already covers it.
+     * @return {Promise<object|null>} The approval's TxResult, or null when none was needed
+     */
+    async _ensureAllowance(token, amount) {
+        const erc20 = new Contract(token, ERC20_ABI, this.runner);
+        const owner = await this._signerAddress();
+        if ((await erc20.allowance(owner, this.address)) >= BigInt(amount)) return null;
+        let receipt;
+        try {
+            receipt = await (await erc20.approve(this.address, amount)).wait();
+        } catch (error) {
+            throw decodeError(error, { contract: "ERC20", method: "approve" });
+        }
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, events: [], receipt };
+    }
+
+    /**
+     * Lets this contract move the signer's NFTs from `collection` unless it already may.
+     * @return {Promise<object|null>} The approval's TxResult, or null when none was needed
+     */
+    async _ensureOperator(collection) {
+        const erc721 = new Contract(collection, ERC721_ABI, this.runner);
+        const owner = await this._signerAddress();
+        if (await erc721.isApprovedForAll(owner, this.address)) return null;
+        let receipt;
+        try {
+            receipt = await (await erc721.setApprovalForAll(this.address, true)).wait();
+        } catch (error) {
+            throw decodeError(error, { contract: "ERC721", method: "setApprovalForAll" });
+        }
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, events: [], receipt };
+    }
+}
+
+/**
+ * Finishes a ProtocolContract subclass: binds its ABI and installs the ABI-driven methods.
+ * @param {Function} Class Subclass of ProtocolContract
+ * @param {string} contractName Solidity contract name
+ * @param {Array<object>} abi
+ * @param {object} [flows] TypeScript signatures of the subclass's hand-written methods, for index.d.ts
+ */
+function defineContract(Class, contractName, abi, flows = {}) {
+    Class.contractName = contractName;
+    Class.ABI = abi;
+    Class.FLOWS = flows;
+    registerErrorFragments(abi);
+
+    const counts = {};
+    for (const item of abi) {
+        if (item.type === "function") counts[item.name] = (counts[item.name] || 0) + 1;
+    }
+    for (const item of abi) {
+        if (item.type !== "function" || counts[item.name] > 1) continue;
+        if (Object.prototype.hasOwnProperty.call(Class.prototype, item.name)) continue;
+        if (item.name in ProtocolContract.prototype) {
+            throw new Error(`SDK: ${contractName}.${item.name} clashes with a ProtocolContract member`);
+        }
+        const read = item.stateMutability === "view" || item.stateMutability === "pure";
+        Object.defineProperty(Class.prototype, item.name, {
+            value: read
+                ? function (...args) { return this._call(item.name, args); }
+                : function (...args) { return this._send(item.name, args); },
+            writable: true,
+            configurable: true
+        });
+    }
+    return Class;
+}
+
+module.exports = { ProtocolContract, defineContract, decodeNamed };
@@ -0,0 +1,19 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * AECGambit: block-based lottery pools.
+ */
+class AECGambit extends ProtocolContract {
+    /**
+     * Approves AEC when the allowance falls short, then bets on the current pool.
+     * @param {bigint|string} amount AEC in wei (MIN_BET to MAX_BET)
+     */
+    async placeBet(amount) {
+        const approval = await this._ensureAllowance(await this.aecToken(), amount);
+        return { ...(await this._send("placeBet", [amount])), approval };
+    }
+}
+
+module.exports = defineContract(AECGambit, "AECGambit", require("../../abi/AECGambit.json"), {
+    placeBet: "(amount: BigNumberish): Promise<ApprovedTxResult>"
+});
@@ -0,0 +1,20 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * AECStakingLP: AEC/stablecoin LP staking with lock tiers.
+ */
+class AECStakingLP extends ProtocolContract {
+    /**
+     * Approves LP tokens when the allowance falls short, then stakes.
+     * @param {bigint|string} amount LP tokens in wei
+     * @param {number} tier Lock tier (0-3)
+     */
+    async stake(amount, tier) {
+        const approval = await this._ensureAllowance(await this.lpToken(), amount);
+        return { ...(await this._send("stake", [amount, tier])), approval };
+    }
+}
+
+module.exports = defineContract(AECStakingLP, "AECStakingLP", require("../../abi/AECStakingLP.json"), {
+    stake: "(amount: BigNumberish, tier: BigNumberish): Promise<ApprovedTxResult>"
+});
@@ -0,0 +1,19 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * AECStakingNFT: Aetheria NFT staking.
+ */
+class AECStakingNFT extends ProtocolContract {
+    /**
+     * Makes the pool an operator for the signer's Aetheria NFTs if it is not yet, then stakes.
+     * @param {Array<bigint|number>} tokenIds
+     */
+    async stakeNFTs(tokenIds) {
+        const approval = await this._ensureOperator(await this.aetheriaNFT());
+        return { ...(await this._send("stakeNFTs", [tokenIds])), approval };
+    }
+}
+
+module.exports = defineContract(AECStakingNFT, "AECStakingNFT", require("../../abi/AECStakingNFT.json"), {
+    stakeNFTs: "(tokenIds: BigNumberish[]): Promise<ApprovedTxResult>"
+});
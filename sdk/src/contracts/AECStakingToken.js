@@ -0,0 +1,20 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * AECStakingToken: AEC staking with lock tiers.
+ */
+class AECStakingToken extends ProtocolContract {
+    /**
+     * Approves AEC when the allowance falls short, then stakes.
+     * @param {bigint|string} amount AEC in wei
+     * @param {number} tier Lock tier (0-3)
+     */
+    async stake(amount, tier) {
+        const approval = await this._ensureAllowance(await this.aecToken(), amount);
+        return { ...(await this._send("stake", [amount, tier])), approval };
+    }
+}
+
+module.exports = defineContract(AECStakingToken, "AECStakingToken", require("../../abi/AECStakingToken.json"), {
+    stake: "(amount: BigNumberish, tier: BigNumberish): Promise<ApprovedTxResult>"
+});
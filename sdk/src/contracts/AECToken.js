@@ -0,0 +1,77 @@
+const { MaxUint256, Signature } = require("ethers");
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+const { RevertError } = require("../errors");
+
+/** IAECToken.TransferGate, by enum value */
+const TRANSFER_GATES = ["Excluded", "OfficialAmm", "Unofficial", "PeerToPeer", "Routed"];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * AECToken: the protocol token with the Tolerant Fortress tax.
+ * getContractState() and getUnofficialTaxRates() resolve to named objects.
+ */
+class AECToken extends ProtocolContract {
+    /**
+     * What a transfer would cost right now: the tax gate by name, the rate, the tax and what arrives,
+     * a routed sell's rebate and the launch guard's revert reason (null if it passes).
+     * Route legs only live for the transaction's sender and block: pass `{ blockTag: "pending" }`
+     * to quote the next hop of a route sent but not yet mined.
+     * @param {string} from
+     * @param {string} to
+     * @param {bigint|string} amount AEC in wei
+     * @param {object} [overrides] Call overrides such as blockTag
+     * @return {Promise<{gate: string, taxBps: bigint, taxAmount: bigint, netAmount: bigint, belowDustMinimum: boolean, rebate: bigint, launchGuardRevert: string|null}>}
+     */
+    async quoteTransfer(from, to, amount, overrides) {
+        const quote = await this._call("quoteTransfer", overrides ? [from, to, amount, overrides] : [from, to, amount]);
+        return { ...quote, gate: TRANSFER_GATES[Number(quote.gate)], launchGuardRevert: quote.launchGuardRevert || null };
+    }
+
+    /**
+     * Quotes the transfer from the signer, then sends it. Dust and launch guard limits are refused
+     * before signing with the same RevertError the token would raise.
+     * @return {Promise<object>} TxResult plus the `quote` it was sent under
+     */
+    async transfer(to, amount) {
+        const quote = await this.quoteTransfer(await this._signerAddress(), to, amount);
+        const reason = quote.belowDustMinimum ? "AEC: Transfer amount too small" : quote.launchGuardRevert;
+        if (reason) {
+            throw new RevertError(reason, { contract: "AECToken", method: "transfer" });
+        }
+        return { ...(await this._send("transfer", [to, amount])), quote };
+    }
+
+    /**
+     * Signs an EIP-2612 permit for `spender` to pull `value` of the signer's AEC.
+     * Spread the result into a ...WithPermit call (stakeWithPermit, mintWithPermit, ...).
+     * @param {string} spender
+     * @param {bigint|string} value AEC in wei
+     * @param {bigint|number} [deadline] Unix seconds, no expiry by default
+     * @return {Promise<{deadline: bigint, v: number, r: string, s: string}>}
+     */
+    async signPermit(spender, value, deadline = MaxUint256) {
+        const owner = await this._signerAddress();
+        const [domain, nonce] = await Promise.all([this.eip712Domain(), this.nonces(owner)]);
+        const signature = Signature.from(await this.runner.signTypedData(
+            { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+            PERMIT_TYPES,
+            { owner, spender, value, nonce, deadline }
+        ));
+        return { deadline: BigInt(deadline), v: signature.v, r: signature.r, s: signature.s };
+    }
+}
+
+module.exports = defineContract(AECToken, "AECToken", require("../../abi/AECToken.json"), {
+    quoteTransfer: "(from: string, to: string, amount: BigNumberish, overrides?: Overrides): Promise<TransferQuote>",
+    transfer: "(to: string, amount: BigNumberish): Promise<TxResult & { quote: TransferQuote }>",
+    signPermit: "(spender: string, value: BigNumberish, deadline?: BigNumberish): Promise<{ deadline: bigint; v: number; r: string; s: string }>"
+});
@@ -0,0 +1,19 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * AccountabilityDAO: AEC deposits that can extend or burn the founder vesting.
+ */
+class AccountabilityDAO extends ProtocolContract {
+    /**
+     * Approves AEC when the allowance falls short, then locks it in the DAO.
+     * @param {bigint|string} amount AEC in wei
+     */
+    async deposit(amount) {
+        const approval = await this._ensureAllowance(await this.aecToken(), amount);
+        return { ...(await this._send("deposit", [amount])), approval };
+    }
+}
+
+module.exports = defineContract(AccountabilityDAO, "AccountabilityDAO", require("../../abi/AccountabilityDAO.json"), {
+    deposit: "(amount: BigNumberish): Promise<ApprovedTxResult>"
+});
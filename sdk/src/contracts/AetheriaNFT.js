@@ -0,0 +1,38 @@
+const { ZeroAddress } = require("ethers");
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * AetheriaNFT: the 500-piece collection minted for AEC.
+ * Mints resolve with the new token ids.
+ */
+class AetheriaNFT extends ProtocolContract {
+    /**
+     * Approves MINT_PRICE of AEC when the allowance falls short, then mints one NFT.
+     */
+    async mint() {
+        return this._mint("mint", [], 1n);
+    }
+
+    /**
+     * Approves MINT_PRICE * quantity of AEC when the allowance falls short, then mints.
+     * @param {number} quantity 1-10
+     */
+    async mintBatch(quantity) {
+        return this._mint("mintBatch", [quantity], BigInt(quantity));
+    }
+
+    async _mint(method, args, quantity) {
+        const price = await this.MINT_PRICE();
+        const approval = await this._ensureAllowance(await this.aecToken(), price * quantity);
+        const result = await this._send(method, args);
+        const tokenIds = result.events
+            .filter((e) => e.name === "Transfer" && e.args.from === ZeroAddress)
+            .map((e) => e.args.tokenId);
+        return { ...result, approval, tokenIds };
+    }
+}
+
+module.exports = defineContract(AetheriaNFT, "AetheriaNFT", require("../../abi/AetheriaNFT.json"), {
+    mint: "(): Promise<MintResult>",
+    mintBatch: "(quantity: BigNumberish): Promise<MintResult>"
+});
@@ -0,0 +1,8 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * ContributorPoints: non-transferable CP minted from the merkle snapshot.
+ */
+class ContributorPoints extends ProtocolContract {}
+
+module.exports = defineContract(ContributorPoints, "ContributorPoints", require("../../abi/ContributorPoints.json"));
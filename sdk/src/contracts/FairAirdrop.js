@@ -0,0 +1,19 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * FairAirdrop: CP deposits converted to AEC allocations.
+ * depositCP() needs no approval: ContributorPoints moves CP for authorized contracts.
+ */
+class FairAirdrop extends ProtocolContract {
+    /**
+     * Approves FULL_CLAIM_COST of the stablecoin when the allowance falls short, then claims.
+     */
+    async claimFullAllocation() {
+        const approval = await this._ensureAllowance(await this.usdcToken(), await this.FULL_CLAIM_COST());
+        return { ...(await this._send("claimFullAllocation", [])), approval };
+    }
+}
+
+module.exports = defineContract(FairAirdrop, "FairAirdrop", require("../../abi/FairAirdrop.json"), {
+    claimFullAllocation: "(): Promise<ApprovedTxResult>"
+});
@@ -0,0 +1,19 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * FairLaunch: the 48-hour stablecoin raise.
+ */
+class FairLaunch extends ProtocolContract {
+    /**
+     * Approves the stablecoin when the allowance falls short, then contributes.
+     * @param {bigint|string} amount Stablecoin in base units
+     */
+    async contribute(amount) {
+        const approval = await this._ensureAllowance(await this.usdc(), amount);
+        return { ...(await this._send("contribute", [amount])), approval };
+    }
+}
+
+module.exports = defineContract(FairLaunch, "FairLaunch", require("../../abi/FairLaunch.json"), {
+    contribute: "(amount: BigNumberish): Promise<ApprovedTxResult>"
+});
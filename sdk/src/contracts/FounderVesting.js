@@ -0,0 +1,8 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * FounderVesting: the founder allocation behind a cliff the DAO can extend or burn.
+ */
+class FounderVesting extends ProtocolContract {}
+
+module.exports = defineContract(FounderVesting, "FounderVesting", require("../../abi/FounderVesting.json"));
@@ -0,0 +1,8 @@
+const { ProtocolContract, defineContract } = require("../ProtocolContract");
+
+/**
+ * PerpetualEndowment: the 35% reserve released to the engine over time.
+ */
+class PerpetualEndowment extends ProtocolContract {}
+
+module.exports = defineContract(PerpetualEndowment, "PerpetualEndowment", require("../../abi/PerpetualEndowment.json"));
@@ -0,0 +1,31 @@
+const { ProtocolContract, defineContract, decodeNamed } = require("../ProtocolContract");
+const { CustomError, decodeError } = require("../errors");
+
+/**
+ * PerpetualEngine: the permissionless cycle processor.
+ * Anyone may call runCycle(); the caller earns 0.1% of the new taxes.
+ */
+class PerpetualEngine extends ProtocolContract {
+    /**
+     * Dry-runs runCycle() from the signer through eth_call and decodes the record it would store.
+     * A zero timestamp means the cycle would skip; any other revert (cooldown) is thrown as runCycle's.
+     * The endowment release is decided at the call's gas price, as it would be for the real transaction.
+     * @param {bigint} [gasPrice] Gas price to evaluate the cycle at, the provider's current one by default
+     * @return {Promise<object>} The CycleRecord, keyed by field name
+     */
+    async simulateCycle(gasPrice) {
+        if (gasPrice === undefined) gasPrice = (await this.runner.provider.getFeeData()).gasPrice;
+        try {
+            await this.contract.simulateCycle.staticCall({ gasPrice });
+        } catch (error) {
+            const decoded = decodeError(error, { contract: "PerpetualEngine", method: "simulateCycle" });
+            if (!(decoded instanceof CustomError) || decoded.errorName !== "CycleSimulated") throw decoded;
+            return decodeNamed(this.interface.getError("CycleSimulated").inputs, [decoded.args.result]).result;
+        }
+        throw new Error("SDK: PerpetualEngine.simulateCycle returned instead of reverting with its record");
+    }
+}
+
+module.exports = defineContract(PerpetualEngine, "PerpetualEngine", require("../../abi/PerpetualEngine.json"), {
+    simulateCycle: "(gasPrice?: bigint): Promise<CycleRecord>"
+});
@@ -0,0 +1,125 @@
+const { AbiCoder, Interface } = require("ethers");
+
+/**
+ * Typed errors for reverted protocol calls.
+ *
+ * Every revert surfaces as a ProtocolError subclass carrying the SDK contract
+ * and method that failed:
+ * - RevertError: require(..., "reason") strings
+ * - CustomError: Solidity custom errors (e.g. OpenZeppelin's ERC20InsufficientAllowance)
+ * - PanicError: assert failures, overflows, division by zero
+ */
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_REASONS = {
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x22: "invalid storage byte array",
+    0x31: "pop on empty array",
+    0x32: "array index out of bounds",
+    0x41: "out of memory",
+    0x51: "uninitialized function pointer"
+};
+
+class ProtocolError extends Error {
+    constructor(message, { contract, method, data, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.contract = contract;
+        this.method = method;
+        this.data = data;
+    }
+}
+
+class RevertError extends ProtocolError {
+    constructor(reason, context) {
+        super(`${context.contract}.${context.method} reverted: ${reason}`, context);
+        this.reason = reason;
+    }
+}
+
+class CustomError extends ProtocolError {
+    constructor(errorName, args, context) {
+        super(`${context.contract}.${context.method} reverted with ${errorName}`, context);
+        this.errorName = errorName;
+        this.args = args;
+    }
+}
+
+class PanicError extends ProtocolError {
+    constructor(code, context) {
+        const reason = PANIC_REASONS[code] || "unknown panic";
+        super(`${context.contract}.${context.method} panicked: ${reason} (0x${code.toString(16)})`, context);
+        this.code = code;
+        this.reason = reason;
+    }
+}
+
+// Custom errors raised by one contract often bubble up through another
+// (AECToken's ERC20 errors through the staking pools), so every SDK ABI is tried
+let errorInterface = null;
+
+function registerErrorFragments(abi) {
+    const known = errorInterface ? errorInterface.fragments : [];
+    const seen = new Set(known.map((f) => f.format("sighash")));
+    const added = new Interface(abi).fragments.filter((f) => f.type === "error" && !seen.has(f.format("sighash")));
+    if (added.length > 0) {
+        errorInterface = new Interface([...known, ...added]);
+    }
+}
+
+function revertData(error) {
+    for (let e = error; e; e = e.error || e.info?.error || e.cause) {
+        if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+        if (e.data && typeof e.data.data === "string") return e.data.data;
+    }
+    return null;
+}
+
+/**
+ * Turns a failed call or transaction into a ProtocolError, or returns the
+ * original error when it is not a revert (network failures, bad arguments).
+ * @param {Error} error Error thrown by ethers or the provider
+ * @param {{contract: string, method: string}} context
+ * @return {Error}
+ */
+function decodeError(error, context) {
+    if (error instanceof ProtocolError) return error;
+    const data = revertData(error);
+    const full = { ...context, data, cause: error };
+    const coder = AbiCoder.defaultAbiCoder();
+
+    if (data && data.startsWith(ERROR_STRING_SELECTOR)) {
+        const [reason] = coder.decode(["string"], "0x" + data.slice(10));
+        return new RevertError(reason, full);
+    }
+    if (data && data.startsWith(PANIC_SELECTOR)) {
+        const [code] = coder.decode(["uint256"], "0x" + data.slice(10));
+        return new PanicError(Number(code), full);
+    }
+    if (data && data.length >= 10 && errorInterface) {
+        const parsed = errorInterface.parseError(data);
+        if (parsed) {
+            const args = {};
+            parsed.fragment.inputs.forEach((input, i) => { args[input.name || i] = parsed.args[i]; });
+            return new CustomError(parsed.name, args, full);
+        }
+    }
+    if (error.code === "CALL_EXCEPTION" && error.reason) {
+        return new RevertError(error.reason, full);
+    }
+    return error;
+}
+
+module.exports = {
+    ProtocolError,
+    RevertError,
+    CustomError,
+    PanicError,
+    decodeError,
+    registerErrorFragments
+};
@@ -0,0 +1,42 @@
+const { task } = require("hardhat/config");
+
+/**
+ * npx hardhat gas-bench [--update] [--only <name,name>] [--baseline <file.json>]
+ *
+ * Measures gas for the protocol's loop-bound functions across input sizes and
+ * checks each against the budgets in the baseline. Exits non-zero when any
+ * function is over budget or has no budget yet. --update re-records the baseline.
+ */
+task("gas-bench", "Benchmarks loop-bound protocol functions against recorded gas budgets")
+    .addFlag("update", "Record the measured gas as the new baseline instead of checking it")
+    .addOptionalParam("only", "Comma-separated benchmark names to run")
+    .addOptionalParam("baseline", "Baseline JSON file (default scripts/gas/baseline.json)")
+    .setAction(async ({ update, only, baseline: baselineFile }, hre) => {
+        const { runBenchmarks } = require("../scripts/gas/benchmarks");
+        const budgets = require("../scripts/gas/budgets");
+
+        if (hre.network.name !== "hardhat") {
+            throw new Error(`gas-bench: needs the in-process hardhat network, not ${hre.network.name}`);
+        }
+        const file = baselineFile || budgets.BASELINE_PATH;
+        const results = await runBenchmarks(hre, {
+            only: only ? only.split(",").map((name) => name.trim()) : undefined,
+            log: console.log
+        });
+
+        if (update) {
+            const current = require("fs").existsSync(file) ? budgets.readBaseline(file) : {};
+            budgets.writeBaseline(budgets.buildBaseline(results, current.headroomBps), file);
+            console.log(`Wrote gas baseline to ${file}`);
+            return results;
+        }
+
+        const rows = budgets.compareToBaseline(results, budgets.readBaseline(file));
+        console.log(budgets.formatComparison(rows));
+        const failing = rows.filter((row) => row.status !== "ok");
+        if (failing.length > 0) {
+            console.log(`${failing.length} benchmark(s) over budget or without one; run with --update if intended`);
+            process.exitCode = 1;
+        }
+        return rows;
+    });
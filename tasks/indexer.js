@@ -0,0 +1,52 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat index-events --network <network> [--manifest <file>] [--db <file>]
+ *                          [--from-block <n>] [--confirmations <n>] [--follow] [--interval <seconds>]
+ *
+ * Indexes protocol events into SQLite, logging JSON lines to stdout.
+ */
+task("index-events", "Materialises protocol events into a local SQLite database")
+    .addOptionalParam("manifest", "Deployment manifest (defaults to deployments/<network>.json)")
+    .addOptionalParam("db", "SQLite file (defaults to indexer/<network>.sqlite)")
+    .addOptionalParam("fromBlock", "First block to index on a new database", undefined, types.int)
+    .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+    .addOptionalParam("interval", "Seconds between polls in follow mode", 5, types.int)
+    .addFlag("follow", "Keep following new blocks after the backfill")
+    .setAction(async ({ manifest: manifestFile, db, fromBlock, confirmations, interval, follow }, hre) => {
+        const fs = require("fs");
+        const path = require("path");
+        const { manifestPathFor, loadManifest } = require("../scripts/deployment/manifest");
+        const { createIndexer } = require("../scripts/indexer/indexer");
+
+        const file = manifestFile || manifestPathFor(hre.network.name);
+        const manifest = loadManifest(file);
+        if (!manifest) {
+            throw new Error(`index-events: no manifest at ${file}`);
+        }
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        if (BigInt(manifest.chainId) !== chainId) {
+            throw new Error(`index-events: ${file} belongs to chain ${manifest.chainId}, connected to ${chainId}`);
+        }
+
+        const dbPath = db || path.join(hre.config.paths.root, "indexer", `${hre.network.name}.sqlite`);
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+        const indexer = await createIndexer(hre, manifest, {
+            dbPath,
+            startBlock: fromBlock,
+            options: { confirmations, pollIntervalMs: interval * 1000 }
+        });
+
+        try {
+            if (!follow) {
+                return await indexer.sync();
+            }
+            process.once("SIGINT", indexer.stop);
+            process.once("SIGTERM", indexer.stop);
+            await indexer.follow();
+        } finally {
+            indexer.close();
+        }
+    });
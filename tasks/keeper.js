@@ -0,0 +1,42 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat keeper --network <network> --native-price <stablecoin per native token>
+ *                    [--manifest <file>] [--dry-run] [--once] [--interval <seconds>] [--min-profit-bps <bps>]
+ *
+ * Runs the PerpetualEngine keeper, logging JSON lines to stdout.
+ */
+task("keeper", "Calls runCycle whenever the caller reward beats the gas it costs")
+    .addOptionalParam("manifest", "Deployment manifest (defaults to deployments/<network>.json)")
+    .addOptionalParam("nativePrice", "Native token price in stablecoin, used to value the caller reward",
+        process.env.KEEPER_NATIVE_PRICE)
+    .addOptionalParam("interval", "Seconds between polls", 60, types.int)
+    .addOptionalParam("minProfitBps", "Required margin of reward over gas", 0, types.int)
+    .addFlag("dryRun", "Decide and log, but never send transactions")
+    .addFlag("once", "Run a single round and exit")
+    .setAction(async ({ manifest: manifestFile, nativePrice, interval, minProfitBps, dryRun, once }, hre) => {
+        const { manifestPathFor, loadManifest } = require("../scripts/deployment/manifest");
+        const { createKeeper } = require("../scripts/keeper/keeper");
+
+        const file = manifestFile || manifestPathFor(hre.network.name);
+        const manifest = loadManifest(file);
+        if (!manifest) {
+            throw new Error(`keeper: no manifest at ${file}`);
+        }
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        if (BigInt(manifest.chainId) !== chainId) {
+            throw new Error(`keeper: ${file} belongs to chain ${manifest.chainId}, connected to ${chainId}`);
+        }
+
+        const keeper = await createKeeper(hre, manifest, {
+            options: { nativePrice, pollIntervalMs: interval * 1000, minProfitBps, dryRun }
+        });
+
+        if (once) {
+            return keeper.runRound();
+        }
+        process.once("SIGINT", keeper.stop);
+        process.once("SIGTERM", keeper.stop);
+        await keeper.run();
+    });
@@ -0,0 +1,32 @@
+const { task } = require("hardhat/config");
+
+/**
+ * npx hardhat sdk-build [--check]
+ *
+ * Regenerates sdk/abi/*.json and sdk/index.d.ts from the compiled contracts.
+ * With --check, only reports stale files and exits non-zero if there are any.
+ */
+task("sdk-build", "Exports ABIs and TypeScript declarations for the JavaScript SDK")
+    .addFlag("check", "Fail if the generated SDK files are out of date instead of writing them")
+    .setAction(async ({ check }, hre) => {
+        const path = require("path");
+        const { buildSdk, staleSdkFiles } = require("../scripts/sdk/build");
+
+        await hre.run("compile", { quiet: true });
+        const root = hre.config.paths.root;
+
+        if (check) {
+            const stale = await staleSdkFiles(hre);
+            for (const file of stale) console.log(`stale: ${path.relative(root, file)}`);
+            if (stale.length > 0) {
+                process.exitCode = 1;
+            } else {
+                console.log("SDK is up to date");
+            }
+            return stale;
+        }
+
+        const written = await buildSdk(hre);
+        console.log(`Wrote ${written.length} SDK files`);
+        return written;
+    });
@@ -0,0 +1,35 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat simulate [--scenario <file.json>] [--years <n>] [--cycles-per-month <n>]
+ *                      [--daily-volume <aec>] [--out <file.csv|file.json>]
+ *
+ * Runs the economic simulator offline and writes the monthly time series.
+ * Exits non-zero when the simulated endowment disagrees with the contract's projections.
+ */
+task("simulate", "Simulates the long-run burn/LP/refill economy over N years of volume")
+    .addOptionalParam("scenario", "JSON file with scenario overrides")
+    .addOptionalParam("years", "Years to simulate", undefined, types.float)
+    .addOptionalParam("cyclesPerMonth", "runCycle calls per 30 days", undefined, types.int)
+    .addOptionalParam("dailyVolume", "AEC traded per day")
+    .addOptionalParam("out", "Output file (.csv or .json)", "simulation/simulation.csv")
+    .setAction(async ({ scenario: scenarioFile, years, cyclesPerMonth, dailyVolume, out }) => {
+        const fs = require("fs");
+        const { simulate } = require("../scripts/simulation/simulator");
+        const { writeReport, formatCrossCheck } = require("../scripts/simulation/report");
+
+        const scenario = scenarioFile ? JSON.parse(fs.readFileSync(scenarioFile, "utf8")) : {};
+        if (years !== undefined) scenario.years = years;
+        if (cyclesPerMonth !== undefined) scenario.cyclesPerMonth = cyclesPerMonth;
+        if (dailyVolume !== undefined) scenario.dailyVolume = dailyVolume;
+
+        const result = simulate(scenario);
+        const format = writeReport(result, out);
+        console.log(`Wrote ${result.rows.length} monthly rows to ${out} (${format})`);
+        console.log(formatCrossCheck(result.crossCheck));
+
+        if (!result.crossCheck.consistent) {
+            process.exitCode = 1;
+        }
+        return result;
+    });
@@ -0,0 +1,34 @@
+const { task } = require("hardhat/config");
+
+/**
+ * npx hardhat verify-wiring --network <network> [--manifest <file>] [--allow-owner]
+ *
+ * Audits a live deployment against its manifest and exits non-zero on any mismatch.
+ */
+task("verify-wiring", "Audits a deployment's cross-contract wiring against its manifest")
+    .addOptionalParam("manifest", "Deployment manifest (defaults to deployments/<network>.json)")
+    .addFlag("allowOwner", "Do not fail while AECToken ownership / engine deployer privileges are still active")
+    .setAction(async ({ manifest: manifestFile, allowOwner }, hre) => {
+        const { manifestPathFor, loadManifest } = require("../scripts/deployment/manifest");
+        const { auditDeployment, formatReport } = require("../scripts/deployment/audit");
+
+        const file = manifestFile || manifestPathFor(hre.network.name);
+        const manifest = loadManifest(file);
+        if (!manifest) {
+            throw new Error(`verify-wiring: no manifest at ${file}`);
+        }
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        if (BigInt(manifest.chainId) !== chainId) {
+            throw new Error(`verify-wiring: ${file} belongs to chain ${manifest.chainId}, connected to ${chainId}`);
+        }
+
+        console.log(`Auditing ${manifest.network} deployment from ${file}`);
+        const report = await auditDeployment(hre, manifest, { allowOwner });
+        console.log(formatReport(report));
+
+        if (!report.passed) {
+            process.exitCode = 1;
+        }
+        return report;
+    });
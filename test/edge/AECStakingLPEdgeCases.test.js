@@ -133,6 +133,21 @@ describe("AECStakingLP Edge Cases", function () {
         stakingLP.connect(user1).claimReward()
       ).to.not.be.reverted;
     });
+
+    it("should keep accounting after an interaction past the bonus period end", async function () {
+      await aecToken.mint(stakingLP.target, ethers.parseUnits("177777777", 18));
+      await lpToken.connect(user1).approve(stakingLP.target, STAKE_AMOUNT);
+      await stakingLP.connect(user1).stake(STAKE_AMOUNT, 0);
+      await stakingLP.connect(engine).notifyRewardAmount(STAKE_AMOUNT * 100n);
+
+      // Moves lastUpdateTime past bonusPeriodFinish while bonusRewardRate is still set
+      await ethers.provider.send("evm_increaseTime", [Number(await stakingLP.rewardsDuration()) + 1]);
+      await stakingLP.connect(user2).claimReward();
+
+      await expect(stakingLP.earned(user1.address)).to.not.be.reverted;
+      await expect(stakingLP.connect(user1).claimReward()).to.not.be.reverted;
+      await expect(stakingLP.connect(user1).withdraw(STAKE_AMOUNT)).to.not.be.reverted;
+    });
   });
 
   describe("Miscellaneous edge cases", function () {
@@ -0,0 +1,62 @@
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployProtocol } = require("../../scripts/deployment/deploy");
+
+// Stablecoin each contributor puts into the fair launch, in whole tokens
+const CONTRIBUTION = "5000";
+const LAUNCH_WINDOW = 48 * 60 * 60;
+
+const fixtures = new Map();
+
+/**
+ * Deploys the protocol with deploy.js and launches it: signers 1-4 each contribute CONTRIBUTION
+ * stablecoin (in the mock's own decimals) to FairLaunch, the launch is finalized after its window, LiquidityDeployer seeds the AEC/USDC
+ * pair and every contributor claims their AEC.
+ * @param {object} config Deployment config overrides, e.g. { launchGuard }
+ * @return {Promise<{manifest: object, manifestPath: string, contribution: bigint}>}
+ */
+async function launchProtocol(config) {
+    const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aec-launched-")), "hardhat.json");
+    const manifest = await deployProtocol({ manifestPath, config, log: () => {} });
+
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+    const usdc = await at("MockStablecoin");
+    const fairLaunch = await at("FairLaunch");
+    const contributors = (await ethers.getSigners()).slice(1, 5);
+    const contribution = ethers.parseUnits(CONTRIBUTION, await usdc.decimals());
+
+    for (const contributor of contributors) {
+        await usdc.mint(contributor.address, contribution);
+        await usdc.connect(contributor).approve(fairLaunch.target, contribution);
+        await fairLaunch.connect(contributor).contribute(contribution);
+    }
+    await time.increase(LAUNCH_WINDOW + 1);
+    await fairLaunch.finalizeLaunch();
+    await (await at("LiquidityDeployer")).deployInitialLiquidity();
+    for (const contributor of contributors) {
+        await fairLaunch.connect(contributor).claim();
+    }
+
+    return { manifest, manifestPath, contribution };
+}
+
+/**
+ * The launched protocol as a loadFixture snapshot, deployed once per distinct config.
+ * @param {object} [config] Deployment config overrides
+ */
+function launchedProtocol(config = {}) {
+    // Overrides such as launch guard limits may be bigints, which JSON.stringify rejects
+    const key = JSON.stringify(config, (_, value) => (typeof value === "bigint" ? `${value}n` : value));
+    if (!fixtures.has(key)) {
+        fixtures.set(key, function launchedProtocolFixture() {
+            return launchProtocol(config);
+        });
+    }
+    return loadFixture(fixtures.get(key));
+}
+
+module.exports = { launchedProtocol };
@@ -0,0 +1,25 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Signs an EIP-2612 permit for `token` with the owner's key.
+ * @return {Promise<{deadline: bigint, v: number, r: string, s: string}>}
+ */
+async function signPermit(token, owner, spender, value, deadline = ethers.MaxUint256) {
+    const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+    const signature = ethers.Signature.from(await owner.signTypedData(
+        { name, version, chainId, verifyingContract },
+        {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        },
+        { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline }
+    ));
+    return { deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
+module.exports = { signPermit };
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { launchedProtocol } = require("../helpers/launchedProtocol");
+
+// Aggregator routes through the official AEC/USDC pair: the hop between the router
+// and the user must not pay Gate 3 on top of the pair's tax.
+
+describe("Aggregator Routing", function () {
+    this.timeout(120000);
+
+    const GATE = { OfficialAmm: 1n, Unofficial: 2n };
+    let trader, manifest;
+    let aecToken, usdc, router, aggregator, pairAddress, usdcDecimals;
+
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+    function parseTokenLogs(receipt, name) {
+        return receipt.logs
+            .filter((log) => log.address === aecToken.target)
+            .map((log) => aecToken.interface.parseLog(log))
+            .filter((event) => event && event.name === name);
+    }
+
+    async function setUp(config) {
+        const signers = await ethers.getSigners();
+        trader = signers[1];
+
+        ({ manifest } = await launchedProtocol(config));
+
+        aecToken = await at("AECToken");
+        usdc = await at("MockStablecoin");
+        usdcDecimals = await usdc.decimals();
+        router = await at("MockConstantProductRouter");
+        pairAddress = manifest.contracts.AECStablecoinPair.address;
+
+        const MockAggregatorRouter = await ethers.getContractFactory("MockAggregatorRouter");
+        aggregator = await MockAggregatorRouter.deploy(router.target);
+        await aecToken.connect(trader).approve(aggregator.target, ethers.MaxUint256);
+        await usdc.mint(trader.address, ethers.parseUnits("1000", usdcDecimals));
+        await usdc.connect(trader).approve(aggregator.target, ethers.MaxUint256);
+    }
+
+    beforeEach(async function () {
+        await setUp();
+    });
+
+    it("should charge an aggregator buy the pair's buy tax once", async function () {
+        const taxBefore = await aecToken.balanceOf(aecToken.target);
+        const aecBefore = await aecToken.balanceOf(trader.address);
+
+        const receipt = await (await aggregator.connect(trader).swap(
+            [usdc.target, aecToken.target], ethers.parseUnits("100", usdcDecimals), trader.address
+        )).wait();
+
+        const taxes = parseTokenLogs(receipt, "TaxCollected");
+        expect(taxes).to.have.length(1);
+        expect(taxes[0].args.from).to.equal(pairAddress);
+        expect(taxes[0].args.taxRateBps).to.equal(await aecToken.getCurrentBuyTaxBps());
+
+        // The aggregator forwards everything it received, untaxed
+        const [, forward] = parseTokenLogs(receipt, "Transfer").filter((e) => e.args.to !== aecToken.target);
+        expect(forward.args.from).to.equal(aggregator.target);
+        expect(await aecToken.balanceOf(trader.address) - aecBefore).to.equal(forward.args.value);
+        expect(await aecToken.balanceOf(aecToken.target) - taxBefore).to.equal(taxes[0].args.taxAmount);
+        expect(await aecToken.balanceOf(aggregator.target)).to.equal(0n);
+        expect((await aecToken.totalTaxCollected()).unofficial).to.equal(0n);
+    });
+
+    it("should settle an aggregator sell at the pair's sell rate and refund the rest", async function () {
+        const amountIn = ethers.parseEther("100000");
+        const sellBps = BigInt(await aecToken.getCurrentSellTaxBps());
+        const [, unofficialSellBps] = (await aecToken.getUnofficialTaxRates()).map(BigInt);
+        const aecBefore = await aecToken.balanceOf(trader.address);
+        const totalsBefore = await aecToken.totalTaxCollected();
+
+        const receipt = await (await aggregator.connect(trader).swap(
+            [aecToken.target, usdc.target], amountIn, trader.address
+        )).wait();
+
+        // Gate 3 on the way into the aggregator, then the pair's rate on the gross amount
+        const received = amountIn - (amountIn * unofficialSellBps) / 10000n;
+        const grossAmount = (received * 10000n) / (10000n - unofficialSellBps);
+        const officialTax = (grossAmount * sellBps) / 10000n;
+        const rebate = grossAmount - received - officialTax;
+
+        const [settled] = parseTokenLogs(receipt, "RouteTaxSettled");
+        expect(settled.args.payer).to.equal(trader.address);
+        expect(settled.args.pair).to.equal(pairAddress);
+        expect(settled.args.officialTax).to.equal(officialTax);
+        expect(settled.args.rebate).to.equal(rebate);
+
+        expect(aecBefore - await aecToken.balanceOf(trader.address)).to.equal(amountIn - rebate);
+        const totals = await aecToken.totalTaxCollected();
+        expect(totals.sell - totalsBefore.sell).to.equal(officialTax);
+        expect(totals.unofficial - totalsBefore.unofficial).to.equal(amountIn - received - officialTax - rebate);
+    });
+
+    it("should tax a buy the aggregator passes into an unofficial pool", async function () {
+        const factory = await ethers.getContractAt(
+            "contracts/interfaces/IUniswapV2Factory.sol:IUniswapV2Factory",
+            manifest.contracts.UniswapV2Factory.address
+        );
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const other = await MockERC20.deploy("Other", "OTH");
+        await factory.createPair(aecToken.target, other.target);
+        const unofficialPair = await factory.getPair(aecToken.target, other.target);
+
+        const receipt = await (await aggregator.connect(trader).swap(
+            [usdc.target, aecToken.target], ethers.parseUnits("100", usdcDecimals), unofficialPair
+        )).wait();
+
+        // The pair's buy tax, then Gate 3 on the hop into the pool instead of a handed-on leg
+        const [unofficialBuyBps] = (await aecToken.getUnofficialTaxRates()).map(BigInt);
+        const taxes = parseTokenLogs(receipt, "TaxCollected");
+        expect(taxes).to.have.length(2);
+        expect(taxes[0].args.from).to.equal(pairAddress);
+        expect(taxes[1].args.from).to.equal(aggregator.target);
+        expect(taxes[1].args.to).to.equal(unofficialPair);
+        expect(taxes[1].args.taxRateBps).to.equal(unofficialBuyBps);
+        expect((await aecToken.totalTaxCollected()).unofficial).to.equal(taxes[1].args.taxAmount);
+    });
+
+    it("should keep route credit inside the transaction that earned it", async function () {
+        const MockContract = await ethers.getContractFactory("MockContract");
+        const holder = await MockContract.deploy();
+
+        // The pair pays out to the aggregator, which forwards to another contract under Gate 3
+        await aggregator.connect(trader).swap([usdc.target, aecToken.target], ethers.parseUnits("100", usdcDecimals), holder.target);
+        const held = await aecToken.balanceOf(holder.target);
+        expect(held).to.be.gt(0n);
+
+        // A later transaction gets no credit: the forward pays Gate 3 like any contract
+        expect(await aecToken.getRouteCredit(holder.target)).to.deep.equal([0n, 0n]);
+        const quote = await aecToken.quoteTransfer(holder.target, trader.address, held);
+        expect(quote.gate).to.equal(GATE.Unofficial);
+        await expect(holder.transferFromAECToken(aecToken.target, trader.address, held))
+            .to.emit(aecToken, "TaxCollected");
+    });
+
+    it("should open no leg for AEC that skipped Gate 3", async function () {
+        const MockContract = await ethers.getContractFactory("MockContract");
+        const holder = await MockContract.deploy();
+        const [deployer] = await ethers.getSigners(); // tax-excluded owner
+        await aecToken.connect(deployer).transfer(holder.target, ethers.parseEther("10000"));
+
+        const quote = await aecToken.quoteTransfer(holder.target, pairAddress, ethers.parseEther("10000"));
+        expect(quote.gate).to.equal(GATE.OfficialAmm);
+        expect(quote.taxBps).to.equal(await aecToken.getCurrentSellTaxBps());
+    });
+
+    it("should pay a routed sell's rebate in full after a push-mode sweep in the same block", async function () {
+        const [deployer] = await ethers.getSigners();
+        await aecToken.connect(deployer).setTaxSweep(true, ethers.parseEther("1000"));
+        await aecToken.connect(trader).approve(router.target, ethers.MaxUint256);
+        const MockContract = await ethers.getContractFactory("MockContract");
+        const holder = await MockContract.deploy();
+
+        const amountIn = ethers.parseEther("100000");
+        const sellBps = BigInt(await aecToken.getCurrentSellTaxBps());
+        const [, unofficialSellBps] = (await aecToken.getUnofficialTaxRates()).map(BigInt);
+        const received = amountIn - (amountIn * unofficialSellBps) / 10000n;
+        const grossAmount = (received * 10000n) / (10000n - unofficialSellBps);
+        const rebate = grossAmount - received - (grossAmount * sellBps) / 10000n;
+        const aecBefore = await aecToken.balanceOf(trader.address);
+        const directSell = ethers.parseEther("50000");
+
+        // The trader hands AEC to a contract under Gate 3, sells on the pair (sweeping the collected
+        // tax to the engine), then the contract's AEC settles at the pair, all in one block
+        await ethers.provider.send("evm_setAutomine", [false]);
+        let txs;
+        try {
+            txs = [
+                await aecToken.connect(trader).transfer(holder.target, amountIn),
+                await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                    directSell, 0, [aecToken.target, usdc.target], trader.address, ethers.MaxUint256, { gasLimit: 1000000 }
+                ),
+                await holder.connect(trader).transferFromAECToken(aecToken.target, pairAddress, received, { gasLimit: 1000000 })
+            ];
+            await mine();
+        } finally {
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+        const [, sold, settledTx] = await Promise.all(txs.map((tx) => tx.wait()));
+
+        expect(parseTokenLogs(sold, "TaxSwept")).to.have.length(1);
+        const [settled] = parseTokenLogs(settledTx, "RouteTaxSettled");
+        expect(settled.args.payer).to.equal(trader.address);
+        expect(settled.args.rebate).to.equal(rebate);
+        expect(aecBefore - await aecToken.balanceOf(trader.address)).to.equal(amountIn + directSell - rebate);
+    });
+
+    describe("Under the launch guard", function () {
+        let buyer;
+
+        beforeEach(async function () {
+            await setUp({ launchGuard: { blocks: 150, maxTxBps: 50, maxWalletBps: 100 } });
+            expect(await aecToken.isLaunchGuardActive()).to.equal(true);
+
+            // The trader's launch allocation is over the wallet cap, so a fresh wallet buys
+            buyer = (await ethers.getSigners())[6];
+            await aecToken.connect(trader).transfer(buyer.address, ethers.parseEther("10000"));
+            await usdc.mint(buyer.address, ethers.parseUnits("100", usdcDecimals));
+            await aecToken.connect(buyer).approve(aggregator.target, ethers.MaxUint256);
+            await usdc.connect(buyer).approve(aggregator.target, ethers.MaxUint256);
+            await aecToken.connect(buyer).approve(router.target, ethers.MaxUint256);
+        });
+
+        // Sends both swaps into one block and returns their receipts, null for a reverted one
+        async function sameBlock(first, second) {
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                const txs = [await first(), await second()];
+                await mine();
+                return Promise.all(txs.map((tx) => tx.wait().catch(() => null)));
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+        }
+
+        const buy = (wallet) => () => aggregator.connect(wallet).swap(
+            [usdc.target, aecToken.target], ethers.parseUnits("10", usdcDecimals), wallet.address, { gasLimit: 1000000 }
+        );
+        const sell = (wallet) => () => aggregator.connect(wallet).swap(
+            [aecToken.target, usdc.target], ethers.parseEther("1000"), wallet.address, { gasLimit: 1000000 }
+        );
+
+        it("should stop a wallet selling through the aggregator in the block it bought through it", async function () {
+            const [bought, sold] = await sameBlock(buy(buyer), sell(buyer));
+            expect(bought.status).to.equal(1);
+            expect(sold).to.equal(null);
+
+            // Selling in a later block is fine
+            await expect(sell(buyer)()).to.emit(aecToken, "RouteTaxSettled");
+        });
+
+        it("should stop a wallet that bought through the aggregator selling straight into the pair", async function () {
+            const sellDirect = () => router.connect(buyer).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                ethers.parseEther("1000"), 0, [aecToken.target, usdc.target], buyer.address, ethers.MaxUint256, { gasLimit: 1000000 }
+            );
+            const [bought, sold] = await sameBlock(buy(buyer), sellDirect);
+            expect(bought.status).to.equal(1);
+            expect(sold).to.equal(null);
+        });
+
+        it("should let another wallet sell through the aggregator in the block someone bought through it", async function () {
+            const [bought, sold] = await sameBlock(buy(buyer), sell(trader));
+            expect(bought.status).to.equal(1);
+            expect(sold.status).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const UniswapV2Factory = require("@uniswap/v2-core/build/UniswapV2Factory.json");
+const UniswapV2Pair = require("@uniswap/v2-core/build/UniswapV2Pair.json");
+const { deployProtocol } = require("../../scripts/deployment/deploy");
+
+// Runs the protocol against the canonical Uniswap V2 factory/pair bytecode and
+// MockConstantProductRouter, so taxes, swaps and liquidity see real x*y=k math.
+
+describe("Constant-Product AMM Simulation", function () {
+    this.timeout(120000);
+
+    const MINIMUM_LIQUIDITY = 1000n;
+    // Earlier suites move chain time well past the wall clock
+    const deadline = () => ethers.MaxUint256;
+
+    async function deployAmm(signer) {
+        const Factory = new ethers.ContractFactory(UniswapV2Factory.abi, UniswapV2Factory.bytecode, signer);
+        const factory = await Factory.deploy(signer.address);
+        const Router = await ethers.getContractFactory("MockConstantProductRouter", signer);
+        const router = await Router.deploy(factory.target);
+        return { factory, router };
+    }
+
+    function pairAt(address, signer) {
+        return new ethers.Contract(address, UniswapV2Pair.abi, signer);
+    }
+
+    describe("Router and pair math", function () {
+        let owner, trader, factory, router, tokenA, tokenB;
+
+        beforeEach(async function () {
+            [owner, trader] = await ethers.getSigners();
+            ({ factory, router } = await deployAmm(owner));
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            tokenA = await MockERC20.deploy("Token A", "TKA");
+            tokenB = await MockERC20.deploy("Token B", "TKB");
+            await tokenA.approve(router.target, ethers.MaxUint256);
+            await tokenB.approve(router.target, ethers.MaxUint256);
+        });
+
+        it("should deploy pairs at the CREATE2 address derived from the init code hash", async function () {
+            expect(ethers.keccak256("0x" + UniswapV2Pair.bytecode)).to.equal(await router.PAIR_INIT_CODE_HASH());
+
+            await factory.createPair(tokenA.target, tokenB.target);
+            const pair = await factory.getPair(tokenA.target, tokenB.target);
+            const [token0, token1] = tokenA.target.toLowerCase() < tokenB.target.toLowerCase()
+                ? [tokenA.target, tokenB.target]
+                : [tokenB.target, tokenA.target];
+            const expected = ethers.getCreate2Address(
+                factory.target,
+                ethers.solidityPackedKeccak256(["address", "address"], [token0, token1]),
+                await router.PAIR_INIT_CODE_HASH()
+            );
+
+            expect(pair).to.equal(expected);
+            expect(await router.pairFor(tokenB.target, tokenA.target)).to.equal(expected);
+        });
+
+        it("should mint sqrt(k) minus MINIMUM_LIQUIDITY on the first deposit", async function () {
+            const amountA = ethers.parseEther("40000");
+            const amountB = ethers.parseEther("100");
+
+            await router.addLiquidity(tokenA.target, tokenB.target, amountA, amountB, 0, 0, owner.address, deadline());
+            const pair = pairAt(await factory.getPair(tokenA.target, tokenB.target), owner);
+
+            const rootK = 20n * 10n ** 20n; // sqrt(40000e18 * 100e18)
+            expect(await pair.totalSupply()).to.equal(rootK);
+            expect(await pair.balanceOf(owner.address)).to.equal(rootK - MINIMUM_LIQUIDITY);
+            expect(await pair.balanceOf(ethers.ZeroAddress)).to.equal(MINIMUM_LIQUIDITY);
+        });
+
+        it("should add later deposits at the pool ratio and enforce minimum amounts", async function () {
+            const amountA = ethers.parseEther("1000");
+            const amountB = ethers.parseEther("2000");
+            await router.addLiquidity(tokenA.target, tokenB.target, amountA, amountB, 0, 0, owner.address, deadline());
+            const pair = pairAt(await factory.getPair(tokenA.target, tokenB.target), owner);
+            const supplyBefore = await pair.totalSupply();
+
+            // Excess B is left with the caller: only the 1:2 ratio is pulled
+            const balanceBBefore = await tokenB.balanceOf(owner.address);
+            await router.addLiquidity(
+                tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseEther("500"), 0, 0, owner.address, deadline()
+            );
+            expect(balanceBBefore - await tokenB.balanceOf(owner.address)).to.equal(ethers.parseEther("200"));
+            expect(await pair.totalSupply()).to.equal(supplyBefore + supplyBefore / 10n);
+
+            await expect(router.addLiquidity(
+                tokenA.target, tokenB.target,
+                ethers.parseEther("100"), ethers.parseEther("150"),
+                ethers.parseEther("90"), 0,
+                owner.address, deadline()
+            )).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_A_AMOUNT");
+
+            await expect(router.addLiquidity(
+                tokenA.target, tokenB.target,
+                ethers.parseEther("100"), ethers.parseEther("500"),
+                0, ethers.parseEther("300"),
+                owner.address, deadline()
+            )).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_B_AMOUNT");
+        });
+
+        it("should quote getAmountsOut with the 0.3% fee and settle swaps at the quote", async function () {
+            const reserveA = ethers.parseEther("1000");
+            const reserveB = ethers.parseEther("2000");
+            await router.addLiquidity(tokenA.target, tokenB.target, reserveA, reserveB, 0, 0, owner.address, deadline());
+
+            const amountIn = ethers.parseEther("10");
+            const expectedOut = (amountIn * 997n * reserveB) / (reserveA * 1000n + amountIn * 997n);
+            const amounts = await router.getAmountsOut(amountIn, [tokenA.target, tokenB.target]);
+            expect(amounts[1]).to.equal(expectedOut);
+
+            await tokenA.transfer(trader.address, amountIn);
+            await tokenA.connect(trader).approve(router.target, amountIn);
+            await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, expectedOut, [tokenA.target, tokenB.target], trader.address, deadline()
+            );
+            expect(await tokenB.balanceOf(trader.address)).to.equal(expectedOut);
+
+            // The next quote reflects the moved reserves
+            const [, nextOut] = await router.getAmountsOut(amountIn, [tokenA.target, tokenB.target]);
+            expect(nextOut).to.be.lt(expectedOut);
+
+            await tokenA.transfer(trader.address, amountIn);
+            await tokenA.connect(trader).approve(router.target, amountIn);
+            await expect(router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, nextOut + 1n, [tokenA.target, tokenB.target], trader.address, deadline()
+            )).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+        });
+    });
+
+    describe("Protocol on a live pool", function () {
+        let deployer, traders, manifest;
+        let aecToken, usdc, engine, router, pair, fairLaunch, liquidityDeployer, stakingLP;
+
+        const CONTRIBUTION = ethers.parseUnits("5000", 6);
+
+        const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+        beforeEach(async function () {
+            [deployer, ...traders] = await ethers.getSigners();
+            traders = traders.slice(0, 4);
+            const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aec-amm-")), "hardhat.json");
+            manifest = await deployProtocol({ manifestPath, log: () => {} });
+
+            aecToken = await at("AECToken");
+            usdc = await at("MockStablecoin");
+            engine = await at("PerpetualEngine");
+            router = await at("MockConstantProductRouter");
+            fairLaunch = await at("FairLaunch");
+            liquidityDeployer = await at("LiquidityDeployer");
+            stakingLP = await at("AECStakingLP");
+            pair = pairAt(manifest.contracts.AECStablecoinPair.address, deployer);
+
+            for (const trader of traders) {
+                await usdc.mint(trader.address, CONTRIBUTION);
+                await usdc.connect(trader).approve(fairLaunch.target, CONTRIBUTION);
+                await fairLaunch.connect(trader).contribute(CONTRIBUTION);
+            }
+            await time.increase(48 * 60 * 60 + 1);
+            await fairLaunch.finalizeLaunch();
+        });
+
+        async function poolReserves() {
+            const [reserve0, reserve1] = await pair.getReserves();
+            return (await pair.token0()) === aecToken.target
+                ? { aec: reserve0, usdc: reserve1 }
+                : { aec: reserve1, usdc: reserve0 };
+        }
+
+        it("should compute the same pair address the factory deployed", async function () {
+            expect(await engine.aecStablecoinPair()).to.equal(pair.target);
+            expect(await router.pairFor(aecToken.target, usdc.target)).to.equal(pair.target);
+        });
+
+        it("should deploy initial liquidity through LiquidityDeployer with real LP minting", async function () {
+            const aecIn = await aecToken.balanceOf(liquidityDeployer.target);
+            const usdcIn = await usdc.balanceOf(liquidityDeployer.target);
+            expect(usdcIn).to.equal(CONTRIBUTION * BigInt(traders.length));
+
+            await liquidityDeployer.deployInitialLiquidity();
+
+            const reserves = await poolReserves();
+            expect(reserves.aec).to.equal(aecIn);
+            expect(reserves.usdc).to.equal(usdcIn);
+
+            const lpMinted = await liquidityDeployer.lpTokensReceived();
+            expect(await pair.totalSupply()).to.equal(lpMinted + MINIMUM_LIQUIDITY);
+            expect((await stakingLP.stakes(engine.target)).amount).to.equal(lpMinted);
+            expect(await pair.balanceOf(stakingLP.target)).to.equal(lpMinted);
+        });
+
+        describe("after liquidity is live", function () {
+            let trader;
+
+            beforeEach(async function () {
+                await liquidityDeployer.deployInitialLiquidity();
+                trader = traders[0];
+                await fairLaunch.connect(trader).claim();
+                await aecToken.connect(trader).approve(router.target, ethers.MaxUint256);
+            });
+
+            it("should tax sells at the launch rate before they reach the pool", async function () {
+                const amountIn = ethers.parseEther("100000");
+                const reservesBefore = await poolReserves();
+                const taxBps = await aecToken.getCurrentSellTaxBps();
+                const tax = (amountIn * taxBps) / 10000n;
+
+                const quoteAfterTax = await router.getAmountsOut(amountIn - tax, [aecToken.target, usdc.target]);
+                await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                    amountIn, 0, [aecToken.target, usdc.target], trader.address, deadline()
+                );
+
+                expect(await aecToken.balanceOf(aecToken.target)).to.equal(tax);
+                expect(await usdc.balanceOf(trader.address)).to.equal(quoteAfterTax[1]);
+                expect((await poolReserves()).aec).to.equal(reservesBefore.aec + amountIn - tax);
+            });
+
+            it("should reject non fee-aware swaps of the taxed token", async function () {
+                await expect(router.connect(trader).swapExactTokensForTokens(
+                    ethers.parseEther("100000"), 0, [aecToken.target, usdc.target], trader.address, deadline()
+                )).to.be.revertedWith("UniswapV2: K");
+            });
+
+            it("should tax buys out of the pool", async function () {
+                const usdcIn = ethers.parseUnits("500", 6);
+                await usdc.mint(trader.address, usdcIn);
+                await usdc.connect(trader).approve(router.target, usdcIn);
+
+                const [, grossOut] = await router.getAmountsOut(usdcIn, [usdc.target, aecToken.target]);
+                const balanceBefore = await aecToken.balanceOf(trader.address);
+                await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                    usdcIn, 0, [usdc.target, aecToken.target], trader.address, deadline()
+                );
+
+                const tax = (grossOut * await aecToken.getCurrentBuyTaxBps()) / 10000n;
+                expect(await aecToken.balanceOf(trader.address) - balanceBefore).to.equal(grossOut - tax);
+                expect(await aecToken.balanceOf(aecToken.target)).to.equal(tax);
+            });
+
+            it("should run an engine cycle that swaps and adds liquidity against real reserves", async function () {
+                await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                    ethers.parseEther("1000000"), 0, [aecToken.target, usdc.target], trader.address, deadline()
+                );
+                await aecToken.approveEngineForProcessing();
+
+                // Give the TWAP guard an observation older than its window
+                await engine.updatePriceObservation();
+                await time.increase(Number(await engine.twapPeriod()));
+
+                const reservesBefore = await poolReserves();
+                const supplyBefore = await pair.totalSupply();
+                const lpHeldBefore = await pair.balanceOf(stakingLP.target);
+
+                const tx = await engine.runCycle();
+                const receipt = await tx.wait();
+                const events = receipt.logs
+                    .map((log) => { try { return engine.interface.parseLog(log); } catch { return null; } })
+                    .filter(Boolean);
+
+                const swaps = events.filter((e) => e.name === "SwapAttempt");
+                expect(swaps.length).to.be.greaterThan(0);
+                expect(swaps.some((e) => e.args.successful)).to.equal(true);
+
+                const added = events.find((e) => e.name === "AutoLiquidityAdded");
+                expect(added).to.not.equal(undefined);
+
+                // LP tokens go straight to the LP staking contract and k only grows
+                const [, , liquidity] = added.args;
+                expect(await pair.totalSupply()).to.equal(supplyBefore + liquidity);
+                expect(await pair.balanceOf(stakingLP.target)).to.equal(lpHeldBefore + liquidity);
+                const reservesAfter = await poolReserves();
+                expect(reservesAfter.aec * reservesAfter.usdc).to.be.gt(reservesBefore.aec * reservesBefore.usdc);
+            });
+        });
+    });
+});
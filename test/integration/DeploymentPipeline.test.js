@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployProtocol } = require("../../scripts/deployment/deploy");
+
+// Runs scripts/deployment/deploy.js against the in-process hardhat network
+// and checks the resulting wiring plus resume-from-manifest behaviour.
+
+describe("Deployment Pipeline", function () {
+    this.timeout(120000);
+
+    let manifestPath;
+    const silent = () => {};
+
+    beforeEach(function () {
+        manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aec-deploy-")), "hardhat.json");
+    });
+
+    async function at(manifest, name) {
+        const entry = manifest.contracts[name];
+        return ethers.getContractAt(entry.contract, entry.address);
+    }
+
+    it("should deploy and wire every protocol contract", async function () {
+        const [deployer] = await ethers.getSigners();
+        const manifest = await deployProtocol({ manifestPath, log: silent });
+
+        expect(manifest.completed).to.equal(true);
+        for (const entry of Object.values(manifest.contracts)) {
+            expect(entry.status).to.equal("confirmed");
+            expect(await ethers.provider.getCode(entry.address)).to.not.equal("0x");
+        }
+
+        const aecToken = await at(manifest, "AECToken");
+        const engine = await at(manifest, "PerpetualEngine");
+        const distributor = await at(manifest, "TokenDistributor");
+        const endowment = await at(manifest, "PerpetualEndowment");
+        const stakingLP = await at(manifest, "AECStakingLP");
+        const vesting = await at(manifest, "FounderVesting");
+        const liquidityDeployer = await at(manifest, "LiquidityDeployer");
+
+        // Nonce-reserved circular references resolved to the real engine
+        expect(await stakingLP.perpetualEngine()).to.equal(engine.target);
+        expect(await endowment.perpetualEngine()).to.equal(engine.target);
+        expect(await engine.stakingContractLP()).to.equal(stakingLP.target);
+        expect(await engine.perpetualEndowment()).to.equal(endowment.target);
+
+        expect(await aecToken.perpetualEngineAddress()).to.equal(engine.target);
+        expect(await aecToken.primaryAmmPair()).to.equal(manifest.contracts.AECStablecoinPair.address);
+        expect(await engine.stakingContractToken()).to.equal(manifest.contracts.AECStakingToken.address);
+        expect(await engine.stakingContractNFT()).to.equal(manifest.contracts.AECStakingNFT.address);
+        expect(await engine.allocationPolicy()).to.equal(manifest.contracts.CycleAllocationPolicy.address);
+        expect(await vesting.accountabilityDAO()).to.equal(manifest.contracts.AccountabilityDAO.address);
+        expect(await aecToken.allowlistGovernor()).to.equal(manifest.contracts.AccountabilityDAO.address);
+        expect(await liquidityDeployer.contractsSet()).to.equal(true);
+
+        expect(await distributor.distributionComplete()).to.equal(true);
+        expect(await endowment.isSealed()).to.equal(true);
+        expect(await aecToken.balanceOf(endowment.target)).to.equal(ethers.parseEther("311111111"));
+        expect(await aecToken.balanceOf(stakingLP.target)).to.equal(ethers.parseEther("177777777"));
+
+        for (const name of ["AECStakingLP", "AECStakingToken", "AECStakingNFT", "FairLaunch", "AECGambit"]) {
+            expect(await aecToken.isExcludedFromTax(manifest.contracts[name].address)).to.equal(true);
+            expect(await aecToken.isExcludedFromVotes(manifest.contracts[name].address)).to.equal(true);
+        }
+        expect(await aecToken.isExcludedFromVotes(engine.target)).to.equal(true);
+        expect(await aecToken.owner()).to.equal(deployer.address);
+    });
+
+    it("should register configured wallet codehashes before renouncing", async function () {
+        const walletHash = ethers.id("wallet implementation");
+        const safeHash = ethers.id("safe proxy");
+        const manifest = await deployProtocol({
+            manifestPath,
+            config: {
+                renounce: true,
+                walletCodehashes: [{ codehash: walletHash, kind: "Wallet" }, { codehash: safeHash, kind: "SafeProxy" }]
+            },
+            log: silent
+        });
+
+        const aecToken = await at(manifest, "AECToken");
+        expect(await aecToken.walletCodehashes(walletHash)).to.equal(1n);
+        expect(await aecToken.walletCodehashes(safeHash)).to.equal(2n);
+        expect(manifest.steps[`AECToken.setWalletCodehash:${safeHash}`].status).to.equal("confirmed");
+        expect(await aecToken.owner()).to.equal(ethers.ZeroAddress);
+
+        await expect(deployProtocol({
+            manifestPath: manifestPath + ".bad",
+            config: { walletCodehashes: [{ codehash: walletHash, kind: "Module" }] },
+            log: silent
+        })).to.be.rejectedWith('Deploy: unknown wallet codehash kind "Module"');
+    });
+
+    it("should turn on push-mode tax sweeping when a threshold is configured", async function () {
+        const threshold = ethers.parseEther("5000");
+        const manifest = await deployProtocol({ manifestPath, config: { taxSweepThreshold: threshold }, log: silent });
+
+        const aecToken = await at(manifest, "AECToken");
+        expect(await aecToken.taxSweepEnabled()).to.equal(true);
+        expect(await aecToken.taxSweepThreshold()).to.equal(threshold);
+        expect(manifest.steps["AECToken.setTaxSweep"].status).to.equal("confirmed");
+    });
+
+    it("should arm the launch guard when one is configured", async function () {
+        const manifest = await deployProtocol({
+            manifestPath,
+            config: { launchGuard: { blocks: 150, maxTxBps: 50, maxWalletBps: 100 } },
+            log: silent
+        });
+
+        const guard = await (await at(manifest, "AECToken")).launchGuard();
+        expect(guard.durationBlocks).to.equal(150n);
+        expect(guard.maxTxBps).to.equal(50n);
+        expect(guard.startBlock).to.equal(0n);
+    });
+
+    it("should write the manifest to disk as it goes", async function () {
+        await deployProtocol({ manifestPath, log: silent });
+
+        const saved = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        expect(saved.completed).to.equal(true);
+        expect(saved.steps["TokenDistributor.distribute"].status).to.equal("confirmed");
+        expect(saved.contracts.PerpetualEngine.address).to.equal(saved.plan.PerpetualEngine.address);
+        expect(saved.contracts.AECStakingLP.args[4]).to.equal(ethers.parseEther("177777777").toString());
+    });
+
+    it("should resume from the last confirmed step without redeploying", async function () {
+        const partial = await deployProtocol({ manifestPath, untilStep: "AECStakingLP", log: silent });
+        expect(partial.completed).to.equal(undefined);
+        expect(partial.contracts.PerpetualEngine).to.equal(undefined);
+        const stakingLPAddress = partial.contracts.AECStakingLP.address;
+        const tokenAddress = partial.contracts.AECToken.address;
+
+        const resumed = await deployProtocol({ manifestPath, log: silent });
+        expect(resumed.completed).to.equal(true);
+        expect(resumed.contracts.AECToken.address).to.equal(tokenAddress);
+        expect(resumed.contracts.AECStakingLP.address).to.equal(stakingLPAddress);
+
+        // Engine landed exactly where AECStakingLP was told it would
+        const stakingLP = await at(resumed, "AECStakingLP");
+        expect(await stakingLP.perpetualEngine()).to.equal(resumed.contracts.PerpetualEngine.address);
+    });
+
+    it("should resend a step whose pending transaction reverted", async function () {
+        const [deployer] = await ethers.getSigners();
+        await deployProtocol({ manifestPath, untilStep: "TokenDistributor", log: silent });
+
+        // The interrupted run's AECToken deployment was mined but reverted (PUSH1 0 PUSH1 0 REVERT)
+        await ethers.provider.send("evm_setAutomine", [false]);
+        let reverted;
+        try {
+            reverted = await deployer.sendTransaction({ data: "0x60006000fd", gasLimit: 100000 });
+            await ethers.provider.send("evm_mine", []);
+        } finally {
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+        expect(await ethers.provider.getTransactionReceipt(reverted.hash)).to.have.property("status", 0);
+        const saved = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        saved.contracts.AECToken = { contract: "AECToken", status: "pending", txHash: reverted.hash, args: [] };
+        fs.writeFileSync(manifestPath, JSON.stringify(saved));
+
+        const lines = [];
+        const resumed = await deployProtocol({ manifestPath, log: (line) => lines.push(line) });
+        expect(resumed.completed).to.equal(true);
+        expect(resumed.contracts.AECToken.txHash).to.not.equal(reverted.hash);
+        expect(await ethers.provider.getCode(resumed.contracts.AECToken.address)).to.not.equal("0x");
+        expect(lines.some((line) => line.includes(`pending ${reverted.hash} reverted`))).to.equal(true);
+    });
+
+    it("should be a no-op when run again on a completed manifest", async function () {
+        const [deployer] = await ethers.getSigners();
+        await deployProtocol({ manifestPath, log: silent });
+        const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+
+        await deployProtocol({ manifestPath, log: silent });
+        expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+    });
+
+    it("should refuse to resume when the engine nonce reservation was consumed", async function () {
+        const [deployer] = await ethers.getSigners();
+        await deployProtocol({ manifestPath, untilStep: "AECStakingLP", log: silent });
+
+        // An unrelated transaction burns the nonce reserved for the endowment
+        await deployer.sendTransaction({ to: deployer.address, value: 0 });
+
+        await expect(deployProtocol({ manifestPath, log: silent }))
+            .to.be.rejectedWith("PerpetualEngine was reserved at nonce");
+    });
+
+    it("should reject a manifest from another chain", async function () {
+        await deployProtocol({ manifestPath, untilStep: "AECToken", log: silent });
+        const saved = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        saved.chainId = "8453";
+        fs.writeFileSync(manifestPath, JSON.stringify(saved));
+
+        await expect(deployProtocol({ manifestPath, log: silent })).to.be.rejectedWith("belongs to chain 8453");
+    });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployProtocol } = require("../../scripts/deployment/deploy");
+const { auditDeployment, formatReport } = require("../../scripts/deployment/audit");
+
+describe("Deployment Wiring Verifier", function () {
+    this.timeout(120000);
+
+    let manifestPath;
+    const silent = () => {};
+
+    beforeEach(function () {
+        manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aec-audit-")), "hardhat.json");
+    });
+
+    function failures(report) {
+        return report.results
+            .filter((r) => !r.ok)
+            .map((r) => `${r.contract}: ${r.check}`);
+    }
+
+    it("should pass a freshly wired deployment when ownership may still be held", async function () {
+        const manifest = await deployProtocol({ manifestPath, log: silent });
+        const report = await auditDeployment(hre, manifest, { allowOwner: true });
+
+        expect(failures(report)).to.deep.equal([]);
+        expect(formatReport(report)).to.include("checks passed");
+    });
+
+    it("should fail while the renounce has not happened", async function () {
+        const manifest = await deployProtocol({ manifestPath, log: silent });
+        const report = await auditDeployment(hre, manifest);
+
+        expect(failures(report)).to.deep.equal([
+            "AECToken: ownership renounced",
+            "PerpetualEngine: deployer privileges renounced"
+        ]);
+    });
+
+    it("should pass once the pipeline renounces ownership", async function () {
+        const manifest = await deployProtocol({ manifestPath, config: { renounce: true }, log: silent });
+        const report = await auditDeployment(hre, manifest);
+
+        expect(failures(report)).to.deep.equal([]);
+    });
+
+    it("should flag a staking contract that is not excluded from tax", async function () {
+        const manifest = await deployProtocol({ manifestPath, log: silent });
+        const aecToken = await ethers.getContractAt("AECToken", manifest.contracts.AECToken.address);
+        await aecToken.setTaxExclusion(manifest.contracts.AECStakingToken.address, false);
+
+        const report = await auditDeployment(hre, manifest, { allowOwner: true });
+        expect(failures(report)).to.deep.equal(["AECToken: isExcludedFromTax(AECStakingToken)"]);
+        expect(formatReport(report)).to.include("FAIL isExcludedFromTax(AECStakingToken): expected true, got false");
+    });
+
+    it("should flag wiring that was never completed", async function () {
+        const manifest = await deployProtocol({ manifestPath, untilStep: "AECGambit", log: silent });
+        const report = await auditDeployment(hre, manifest, { allowOwner: true });
+
+        const failed = failures(report);
+        expect(failed).to.include("FounderVesting: accountabilityDAO");
+        expect(failed).to.include("PerpetualEngine: stakingContractToken");
+        expect(failed).to.include("TokenDistributor: distributionComplete");
+        expect(failed).to.include("AECToken: perpetualEngineAddress");
+    });
+
+    it("should set a non-zero exit code from the task on mismatch", async function () {
+        await deployProtocol({ manifestPath, log: silent });
+        const log = console.log;
+        console.log = () => {};
+        try {
+            process.exitCode = 0;
+            const failing = await hre.run("verify-wiring", { manifest: manifestPath });
+            expect(failing.passed).to.equal(false);
+            expect(process.exitCode).to.equal(1);
+        } finally {
+            console.log = log;
+            process.exitCode = 0;
+        }
+    });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const m = require("../../scripts/simulation/contracts");
+const { simulate } = require("../../scripts/simulation/simulator");
+const { COLUMNS, toCsv, toJson } = require("../../scripts/simulation/report");
+
+// The simulator's integer ports replayed against the deployed contracts,
+// and its self-check against Endowment's own projections.
+
+describe("Economic Simulator", function () {
+    this.timeout(120000);
+
+    const MONTH = 30 * 24 * 60 * 60;
+
+    describe("Endowment math against the contract", function () {
+        let endowment, engineSigner, aecToken;
+
+        beforeEach(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            aecToken = await MockERC20.deploy("AEC Token", "AEC");
+            const MockEngine = await ethers.getContractFactory("MockEngine");
+            const engine = await MockEngine.deploy();
+
+            const Endowment = await ethers.getContractFactory("PerpetualEndowment");
+            endowment = await Endowment.deploy(aecToken.target, engine.target, m.ENDOWMENT_AMOUNT);
+            await aecToken.mint(endowment.target, m.ENDOWMENT_AMOUNT);
+            await endowment.initialize();
+
+            await ethers.provider.send("hardhat_setBalance", [engine.target, "0x3635C9ADC5DEA00000"]);
+            engineSigner = await ethers.getImpersonatedSigner(engine.target);
+        });
+
+        for (const compounding of [true, false]) {
+            it(`should match projectFutureBalance and verifyMathematicalSustainability (compounding ${compounding})`, async function () {
+                await endowment.connect(engineSigner).setCompoundingEnabled(compounding);
+                const options = { compounding };
+
+                for (const months of [0, 1, 7, 12, 60, 240]) {
+                    expect(m.projectFutureBalance(m.ENDOWMENT_AMOUNT, months, options))
+                        .to.equal(await endowment.projectFutureBalance(months));
+                }
+                for (const years of [1, 10, 50]) {
+                    const [sustainable, projectedBalance] = await endowment.verifyMathematicalSustainability(years);
+                    expect(m.verifyMathematicalSustainability(m.ENDOWMENT_AMOUNT, years, options))
+                        .to.deep.equal({ sustainable, projectedBalance });
+                }
+            });
+        }
+
+        it("should replay releaseFunds to the wei, including the six-period cap", async function () {
+            const model = {
+                balance: m.ENDOWMENT_AMOUNT,
+                lastReleaseTime: BigInt(await time.latest()),
+                releaseInterval: 30n * m.DAY,
+                compounding: true
+            };
+
+            for (const months of [1, 3, 9, 1]) {
+                await time.increase(months * MONTH);
+                const now = BigInt(await time.latest()) + 1n;
+                const { periods, amount } = m.dueRelease(model, now);
+
+                await expect(endowment.connect(engineSigner).releaseFunds())
+                    .to.emit(endowment, "FundsReleased")
+                    .withArgs(amount, periods, model.balance - amount);
+                model.balance -= amount;
+                model.lastReleaseTime += periods * model.releaseInterval;
+                expect(await aecToken.balanceOf(endowment.target)).to.equal(model.balance);
+            }
+        });
+    });
+
+    describe("Staking decay against the contract", function () {
+        it("should match AECStakingToken base reward decay across uneven gaps", async function () {
+            const [, engine] = await ethers.getSigners();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const aecToken = await MockERC20.deploy("AEC Token", "AEC");
+            const Staking = await ethers.getContractFactory("AECStakingToken");
+            const staking = await Staking.deploy(aecToken.target, engine.address, m.STAKING_ALLOCATIONS.token);
+
+            let model = { remaining: m.STAKING_ALLOCATIONS.token, lastUpdate: await staking.lastBaseRewardUpdate() };
+            for (const days of [45, 10, 100, 29, 365]) {
+                await time.increase(days * 24 * 60 * 60);
+                await staking.connect(engine).notifyRewardAmount(0);
+                model = m.decayBaseRewards(model.remaining, model.lastUpdate, BigInt(await time.latest()));
+
+                expect(await staking.remainingBaseRewards()).to.equal(model.remaining);
+                expect(await staking.lastBaseRewardUpdate()).to.equal(model.lastUpdate);
+            }
+        });
+    });
+
+    describe("Simulation", function () {
+        it("should produce a consistent monthly time series that passes its own cross-check", async function () {
+            const result = simulate({ years: 5 });
+
+            expect(result.rows.length).to.equal(61);
+            expect(result.crossCheck.consistent).to.equal(true);
+            expect(result.crossCheck.sustainability.agrees).to.equal(true);
+
+            let previous = result.rows[0];
+            for (const row of result.rows.slice(1)) {
+                expect(row.totalSupply + row.burnedTotal).to.equal(m.TOTAL_SUPPLY);
+                expect(row.burnedTotal).to.be.gte(previous.burnedTotal);
+                expect(row.endowmentBalance).to.be.lt(previous.endowmentBalance);
+                expect(row.polLpTokens).to.be.gte(previous.polLpTokens);
+                previous = row;
+            }
+            expect(previous.burnedTotal).to.be.gt(0n);
+            expect(previous.tokenAprBps).to.be.gt(0n);
+        });
+
+        it("should burn more as trading volume grows", async function () {
+            const quiet = simulate({ years: 1, dailyVolume: "0" });
+            const busy = simulate({ years: 1, dailyVolume: "10000000" });
+            const normal = simulate({ years: 1 });
+
+            // Without taxes the endowment release alone still feeds the cycle
+            expect(quiet.rows[12].taxesCollected).to.equal(0n);
+            expect(quiet.rows[12].burnedTotal).to.be.gt(0n);
+            expect(busy.rows[12].burnedTotal).to.be.gt(normal.rows[12].burnedTotal);
+            expect(normal.rows[12].burnedTotal).to.be.gt(quiet.rows[12].burnedTotal);
+        });
+
+        it("should flag the simple-release projection diverging from actual releases", async function () {
+            const result = simulate({ years: 10, compounding: false });
+
+            // projectFutureBalance decays linearly while each release takes 0.5% of the current balance
+            const lastYear = result.crossCheck.projections[result.crossCheck.projections.length - 1];
+            expect(lastYear.simulated).to.be.gt(lastYear.projected);
+            expect(result.crossCheck.consistent).to.equal(false);
+        });
+
+        it("should reject scenarios the contracts could not run", async function () {
+            expect(() => simulate({ taxMix: { officialBuy: 9000, officialSell: 2000 } })).to.throw("tax mix");
+            expect(() => simulate({ cyclesPerMonth: 1000 })).to.throw("cooldown");
+            expect(() => simulate({ releaseIntervalDays: 120 })).to.throw("release interval");
+        });
+
+        it("should export CSV and JSON", async function () {
+            const result = simulate({ years: 1 });
+
+            const lines = toCsv(result.rows).trim().split("\n");
+            expect(lines[0]).to.equal(COLUMNS.join(","));
+            expect(lines.length).to.equal(14);
+
+            const parsed = JSON.parse(toJson(result));
+            expect(parsed.rows[12].endowmentBalance).to.equal(result.rows[12].endowmentBalance.toString());
+            expect(parsed.crossCheck.consistent).to.equal(true);
+        });
+    });
+});
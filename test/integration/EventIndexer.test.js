@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { launchedProtocol } = require("../helpers/launchedProtocol");
+const { createIndexer, HANDLERS } = require("../../scripts/indexer/indexer");
+const { recentCycles, taxTotals, taxBySource, positionsOf } = require("../../scripts/indexer/queries");
+const { createLogger } = require("../../scripts/utils/logger");
+
+// The indexer against a launched protocol on the Hardhat network: backfill,
+// resume from the cursor, and rollback when evm_revert rewrites recent blocks.
+
+describe("Event Indexer", function () {
+    this.timeout(120000);
+
+    let manifest, dir, trader, staker, lines;
+    let aecToken, usdc, engine, router, stakingToken;
+    const open = [];
+
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+    async function indexerAt(file, params = {}) {
+        const logger = createLogger({ write: (line) => lines.push(line) });
+        const indexer = await createIndexer(hre, manifest, { dbPath: path.join(dir, file), logger, ...params });
+        open.push(indexer);
+        return indexer;
+    }
+
+    async function sellAec(amount) {
+        const tx = await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amount, 0, [aecToken.target, usdc.target], trader.address, ethers.MaxUint256
+        );
+        return tx.wait();
+    }
+
+    function taxesIn(receipt) {
+        return receipt.logs
+            .filter((entry) => entry.address === aecToken.target)
+            .map((entry) => aecToken.interface.parseLog(entry))
+            .filter((parsed) => parsed && parsed.name === "TaxCollected")
+            .reduce((sum, parsed) => sum + parsed.args.taxAmount, 0n);
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        trader = signers[1];
+        staker = signers[2];
+        lines = [];
+
+        ({ manifest } = await launchedProtocol());
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "aec-indexer-"));
+
+        aecToken = await at("AECToken");
+        usdc = await at("MockStablecoin");
+        engine = await at("PerpetualEngine");
+        router = await at("MockConstantProductRouter");
+        stakingToken = await at("AECStakingToken");
+        await aecToken.connect(trader).approve(router.target, ethers.MaxUint256);
+        await aecToken.connect(staker).approve(stakingToken.target, ethers.MaxUint256);
+    });
+
+    afterEach(function () {
+        while (open.length) open.pop().close();
+    });
+
+    it("should backfill cycles and taxes from the earliest indexed deployment block", async function () {
+        const sell = await sellAec(ethers.parseEther("1000000"));
+        await aecToken.approveEngineForProcessing();
+        const cycle = await (await engine.runCycle()).wait();
+        const [processed] = cycle.logs
+            .map((entry) => { try { return engine.interface.parseLog(entry); } catch { return null; } })
+            .filter((parsed) => parsed && parsed.name === "CycleProcessed");
+
+        const indexer = await indexerAt("backfill.sqlite", { options: { batchSize: 10 } });
+        const result = await indexer.sync();
+
+        const deployBlocks = Object.keys(HANDLERS).map((name) => manifest.contracts[name].block);
+        expect(result.fromBlock).to.equal(Math.min(...deployBlocks));
+        expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(result.reorgedTo).to.equal(null);
+
+        const cycles = recentCycles(indexer.db);
+        expect(cycles.length).to.equal(1);
+        expect(cycles[0].block_number).to.equal(cycle.blockNumber);
+        expect(cycles[0].total_processed).to.equal(processed.args.totalProcessed);
+        expect(cycles[0].burned).to.equal(processed.args.burned);
+        expect(cycles[0].caller_reward).to.equal(processed.args.callerReward);
+        expect(cycles[0].timestamp).to.equal((await ethers.provider.getBlock(cycle.blockNumber)).timestamp);
+
+        const traderTaxes = taxTotals(indexer.db, { sender: trader.address });
+        expect(traderTaxes.length).to.equal(1);
+        expect(traderTaxes[0].is_buy).to.equal(0);
+        expect(traderTaxes[0].total_tax).to.equal(taxesIn(sell));
+
+        const distributions = indexer.db.prepare("SELECT COUNT(*) AS n FROM reward_distributions").get();
+        expect(distributions.n).to.equal(1);
+    });
+
+    it("should net routed sell settlements out of the tax totals and record sweeps", async function () {
+        const [deployer] = await ethers.getSigners();
+        await aecToken.connect(deployer).setTaxSweep(true, ethers.parseEther("1000"));
+        const MockAggregatorRouter = await ethers.getContractFactory("MockAggregatorRouter");
+        const aggregator = await MockAggregatorRouter.deploy(router.target);
+        await aecToken.connect(trader).approve(aggregator.target, ethers.MaxUint256);
+
+        const routed = await (await aggregator.connect(trader).swap(
+            [aecToken.target, usdc.target], ethers.parseEther("100000"), trader.address
+        )).wait();
+        const settled = routed.logs
+            .filter((entry) => entry.address === aecToken.target)
+            .map((entry) => aecToken.interface.parseLog(entry))
+            .find((parsed) => parsed && parsed.name === "RouteTaxSettled");
+        expect(settled.args.rebate).to.be.gt(0n);
+        const direct = await sellAec(ethers.parseEther("100000"));
+
+        const indexer = await indexerAt("routed.sqlite");
+        await indexer.sync();
+
+        // The same totals AECToken counts on-chain
+        const totals = await aecToken.totalTaxCollected();
+        const bySource = taxBySource(indexer.db);
+        expect(bySource.buy).to.equal(totals.buy);
+        expect(bySource.sell).to.equal(totals.sell);
+        expect(bySource.unofficial).to.equal(totals.unofficial);
+        expect(bySource.swept).to.equal(await aecToken.totalTaxSwept());
+        expect(bySource.swept).to.be.gt(0n);
+
+        // The trader's routed sell shows as its official tax, not the Gate 3 tax it prepaid
+        const traderTaxes = taxTotals(indexer.db, { sender: trader.address });
+        const routedGroup = traderTaxes.find((group) => group.tax_rate_bps === null);
+        expect(routedGroup.count).to.equal(1);
+        expect(routedGroup.total_tax).to.equal(settled.args.officialTax);
+        const paid = traderTaxes.reduce((sum, group) => sum + group.total_tax, 0n);
+        expect(paid).to.equal(taxesIn(routed) - settled.args.rebate + taxesIn(direct));
+    });
+
+    it("should fold stake, withdraw and reward events into per-user positions", async function () {
+        await stakingToken.connect(staker).stake(ethers.parseEther("1000"), 0);
+        await stakingToken.connect(staker).stake(ethers.parseEther("500"), 1);
+        await time.increase(31 * 24 * 60 * 60);
+        await stakingToken.connect(staker).withdraw(ethers.parseEther("300"));
+
+        const indexer = await indexerAt("positions.sqlite");
+        await indexer.sync();
+
+        const [position] = positionsOf(indexer.db, staker.address);
+        const onChain = await stakingToken.stakes(staker.address);
+        expect(position.pool).to.equal("token");
+        expect(position.staked).to.equal(onChain.amount);
+        expect(position.tier).to.equal(1);
+        expect(BigInt(position.lock_end)).to.equal(onChain.lockEnd);
+
+        // The engine's protocol-owned LP stake is indexed under the engine's address
+        const [engineLp] = positionsOf(indexer.db, engine.target);
+        expect(engineLp.pool).to.equal("lp");
+        expect(engineLp.tier).to.equal(4);
+        expect(engineLp.lock_end).to.equal(null);
+    });
+
+    it("should resume from its cursor without duplicating rows", async function () {
+        const direct = await sellAec(ethers.parseEther("100000"));
+        const first = await indexerAt("resume.sqlite");
+        const initial = await first.sync();
+        first.close();
+        open.pop();
+
+        const sell = await sellAec(ethers.parseEther("200000"));
+        const second = await indexerAt("resume.sqlite");
+        const resumed = await second.sync();
+
+        expect(resumed.fromBlock).to.equal(initial.toBlock + 1);
+        expect(resumed.events).to.equal(1);
+        const rows = second.db.prepare("SELECT block_number FROM taxes WHERE sender = ? ORDER BY block_number").all(trader.address);
+        expect(rows.length).to.equal(2);
+        expect(rows[1].block_number).to.equal(sell.blockNumber);
+
+        const again = await second.sync();
+        expect(again.events).to.equal(0);
+    });
+
+    it("should roll back rows above the fork point after a reorg", async function () {
+        const indexer = await indexerAt("reorg.sqlite");
+        await indexer.sync();
+        const forkPoint = await ethers.provider.getBlockNumber();
+
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        const direct = await sellAec(ethers.parseEther("100000"));
+        await stakingToken.connect(staker).stake(ethers.parseEther("1000"), 0);
+        await indexer.sync();
+        expect(taxTotals(indexer.db, { sender: trader.address }).length).to.equal(1);
+        expect(positionsOf(indexer.db, staker.address).length).to.equal(1);
+
+        // Replace both blocks with a different history of the same height
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await stakingToken.connect(staker).stake(ethers.parseEther("2000"), 2);
+        await ethers.provider.send("evm_mine", []);
+
+        const result = await indexer.sync();
+
+        expect(result.reorgedTo).to.equal(forkPoint);
+        expect(result.toBlock).to.equal(forkPoint + 2);
+        expect(taxTotals(indexer.db, { sender: trader.address }).length).to.equal(0);
+        const [position] = positionsOf(indexer.db, staker.address);
+        expect(position.staked).to.equal(ethers.parseEther("2000"));
+        expect(position.tier).to.equal(2);
+
+        const stored = indexer.db.prepare("SELECT hash FROM blocks WHERE number = ?").get(forkPoint + 2);
+        expect(stored.hash).to.equal((await ethers.provider.getBlock(forkPoint + 2)).hash);
+
+        const reorg = lines.map((line) => JSON.parse(line)).find((entry) => entry.event === "reorg");
+        expect(reorg.level).to.equal("warn");
+        expect(reorg.ancestor).to.equal(forkPoint);
+        expect(reorg.removed.taxes).to.equal(1);
+    });
+
+    it("should refuse a database written for another chain", async function () {
+        const indexer = await indexerAt("chain.sqlite");
+        await indexer.sync();
+        indexer.close();
+        open.pop();
+
+        manifest = { ...manifest, chainId: 8453 };
+        await expect(indexerAt("chain.sqlite")).to.be.rejectedWith("holds chain 31337");
+    });
+});
@@ -0,0 +1,57 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { BENCHMARKS, runBenchmarks } = require("../../scripts/gas/benchmarks");
+const {
+    buildBaseline,
+    readBaseline,
+    compareToBaseline,
+    formatComparison
+} = require("../../scripts/gas/budgets");
+
+// Loop-bound protocol functions measured across input sizes against the
+// committed budgets in scripts/gas/baseline.json. Re-record with
+// `npx hardhat gas-bench --update` when a gas change is intended.
+
+describe("Gas budgets", function () {
+    this.timeout(600000);
+
+    let results;
+
+    before(async function () {
+        results = await runBenchmarks(hre);
+    });
+
+    it("should keep every benchmarked function within its recorded budget", async function () {
+        const rows = compareToBaseline(results, readBaseline());
+        const failing = rows.filter((row) => row.status !== "ok");
+        expect(failing, formatComparison(failing)).to.deep.equal([]);
+    });
+
+    it("should have a budget for exactly the benchmarked sizes", async function () {
+        const { benchmarks } = readBaseline();
+        for (const benchmark of BENCHMARKS) {
+            expect(Object.keys(benchmarks[benchmark.name] || {}), benchmark.name)
+                .to.have.members(benchmark.sizes.map(String));
+        }
+        expect(Object.keys(benchmarks)).to.have.members(BENCHMARKS.map((b) => b.name));
+    });
+
+    it("should measure gas that grows with the input size", async function () {
+        for (const benchmark of BENCHMARKS) {
+            const gas = benchmark.sizes.map((size) => results[benchmark.name][size]);
+            for (let i = 1; i < gas.length; i++) {
+                expect(gas[i], `${benchmark.name} [${benchmark.sizes[i]}]`).to.be.gt(gas[i - 1]);
+            }
+        }
+    });
+
+    it("should flag gas over budget and sizes without a budget", async function () {
+        const baseline = buildBaseline({ "Contract.fn": { 1: 100_000, 10: 500_000 } }, 200);
+        expect(baseline.benchmarks["Contract.fn"]["10"]).to.deep.equal({ gas: 500_000, budget: 510_000 });
+
+        const rows = compareToBaseline({ "Contract.fn": { 1: 102_000, 10: 510_001, 50: 900_000 } }, baseline);
+        expect(rows.map((row) => row.status)).to.deep.equal(["ok", "over", "new"]);
+        expect(formatComparison(rows)).to.match(/OVER\s+Contract\.fn \[10\]\s+510001\s+510000\s+\+10001/);
+    });
+});
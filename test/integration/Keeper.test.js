@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { launchedProtocol } = require("../helpers/launchedProtocol");
+const { createKeeper, planCycle } = require("../../scripts/keeper/keeper");
+const { createLogger } = require("../../scripts/utils/logger");
+
+// Keeper rounds against a launched protocol on the Hardhat network, where AEC
+// trades around 0.0004 stablecoin. At CHEAP_GAS the caller reward beats the
+// gas, at PRICEY_GAS it does not.
+
+describe("PerpetualEngine Keeper", function () {
+    this.timeout(120000);
+
+    let manifest, keeperSigner, trader;
+    let aecToken, usdc, engine, router, stakingLP;
+    let lines;
+
+    const CHEAP_GAS = "1";
+    const PRICEY_GAS = "3000";
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+    function keeperWith(options) {
+        const logger = createLogger({ write: (line) => lines.push(line) });
+        return createKeeper(hre, manifest, { signer: keeperSigner, options, logger });
+    }
+
+    async function sellAec(amount) {
+        await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amount, 0, [aecToken.target, usdc.target], trader.address, ethers.MaxUint256
+        );
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        trader = signers[1];
+        keeperSigner = signers[6];
+        lines = [];
+
+        ({ manifest } = await launchedProtocol());
+
+        aecToken = await at("AECToken");
+        usdc = await at("MockStablecoin");
+        engine = await at("PerpetualEngine");
+        router = await at("MockConstantProductRouter");
+        stakingLP = await at("AECStakingLP");
+        await aecToken.connect(trader).approve(router.target, ethers.MaxUint256);
+    });
+
+    it("should wait while there is nothing to process", async function () {
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS });
+        const round = await keeper.runRound();
+
+        expect(round.action).to.equal("wait");
+        expect(round.reason).to.equal("below minAecToProcess");
+        expect(round.approve).to.equal(false);
+    });
+
+    it("should price the round without sending anything in dry-run mode", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+        const taxBalance = await aecToken.balanceOf(aecToken.target);
+
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS, dryRun: true });
+        const round = await keeper.runRound();
+
+        expect(round.action).to.equal("dry-run");
+        expect(round.approve).to.equal(true);
+        expect(round.newTaxes).to.equal(taxBalance + round.lpEarned);
+        expect(round.expectedReward).to.equal((round.newTaxes * 10n) / 10000n);
+        expect(round.profitable).to.equal(true);
+
+        expect(await aecToken.allowance(aecToken.target, engine.target)).to.equal(0n);
+        expect(await engine.lastPublicProcessTime()).to.equal(0n);
+    });
+
+    it("should skip the cycle when the reward is worth less than the gas", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+
+        const keeper = await keeperWith({ nativePrice: PRICEY_GAS });
+        const round = await keeper.runRound();
+
+        expect(round.action).to.equal("skip");
+        expect(round.reason).to.equal("reward below gas");
+        expect(round.rewardValue).to.be.lt(round.gasCost);
+        expect(await engine.lastPublicProcessTime()).to.equal(0n);
+    });
+
+    it("should approve taxes, run the cycle and then respect the cooldown", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+        const balanceBefore = await aecToken.balanceOf(keeperSigner.address);
+
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS });
+        const round = await keeper.runRound();
+
+        expect(round.action).to.equal("ran");
+        expect(round.processed).to.equal(true);
+        // LP rewards keep accruing between the estimate and the mined cycle
+        expect(round.callerReward).to.be.gte(round.expectedReward);
+        expect(await aecToken.balanceOf(keeperSigner.address)).to.equal(balanceBefore + round.callerReward);
+        expect(await aecToken.balanceOf(aecToken.target)).to.equal(0n);
+
+        const next = await keeper.runRound();
+        expect(next.action).to.equal("wait");
+        expect(next.reason).to.equal("cooldown");
+        expect(next.nextCycleAt).to.equal((await engine.lastPublicProcessTime()) + (await engine.publicProcessCooldown()));
+    });
+
+    it("should price an approve-then-cycle round on the approved state", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS });
+        const round = await keeper.runRound();
+        expect(round.action).to.equal("ran");
+        expect(round.approve).to.equal(true);
+
+        // The estimate covers the cycle that pulled and processed the approved taxes
+        const { gasUsed } = await ethers.provider.getTransactionReceipt(round.hash);
+        expect(round.gas).to.be.gte(gasUsed);
+        expect(round.gas).to.be.lte((gasUsed * 13n) / 10n);
+        expect(lines.map((line) => JSON.parse(line).event).slice(0, 4))
+            .to.deep.equal(["approve.sent", "approve.confirmed", "cycle.sent", "cycle.confirmed"]);
+    });
+
+    it("should price the approval and the tax processing before sending either", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+        const dryRun = await (await keeperWith({ nativePrice: CHEAP_GAS, dryRun: true })).runRound();
+        expect(dryRun.approve).to.equal(true);
+
+        // The priced round covers what the approval and the processing cycle then use
+        const snapshot = await takeSnapshot();
+        const ran = await (await keeperWith({ nativePrice: CHEAP_GAS })).runRound();
+        const approval = JSON.parse(lines.find((line) => JSON.parse(line).event === "approve.confirmed"));
+        const used = BigInt(approval.gasUsed) + (await ethers.provider.getTransactionReceipt(ran.hash)).gasUsed;
+        expect(dryRun.gas).to.be.gte(used);
+        expect(ran.approvalCost).to.equal(BigInt(approval.cost));
+        expect(ran.netValue).to.equal(ran.rewardValue - ran.gasCost - ran.approvalCost);
+        await snapshot.restore();
+        lines = [];
+
+        // At a native price where the reward covers 90% of that gas the round sends nothing,
+        // although it covers the approval and the cycle as estimated before the approval
+        const nativePrice = ethers.formatEther((dryRun.rewardValue * ethers.WeiPerEther * 10n) / (used * dryRun.gasPrice * 9n));
+        const round = await (await keeperWith({ nativePrice })).runRound();
+
+        expect(round.action).to.equal("skip");
+        expect(round.approvalCost).to.equal(0n);
+        expect(lines.map((line) => JSON.parse(line).event)).to.not.include("approve.sent");
+        expect(await aecToken.allowance(aecToken.target, engine.target)).to.equal(0n);
+    });
+
+    it("should run the cycle while an endowment release is due", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+        await time.increase(31 * 24 * 60 * 60);
+
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS });
+        const round = await keeper.runRound();
+
+        expect(round.endowmentDue).to.equal(true);
+        expect(round.endowmentAmount).to.be.gt(0n);
+        expect(round.action).to.equal("ran");
+        expect(round.processed).to.equal(true);
+        expect(await engine.lastEndowmentRelease()).to.be.gt(0n);
+    });
+
+    it("should reward the pushed tax without an approval in push mode", async function () {
+        await aecToken.setTaxSweep(true, ethers.parseEther("1000"));
+        await expect(router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            ethers.parseEther("1000000"), 0, [aecToken.target, usdc.target], trader.address, ethers.MaxUint256
+        )).to.emit(aecToken, "TaxSwept");
+        const swept = await aecToken.totalTaxSwept();
+
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS });
+        const round = await keeper.runRound();
+
+        expect(round.action).to.equal("ran");
+        expect(round.approve).to.equal(false);
+        expect(round.sweptTax).to.equal(swept);
+        expect(round.callerReward).to.be.gte((swept * 10n) / 10000n);
+        expect(await engine.sweptTaxCounted()).to.equal(swept);
+        expect(lines.map((line) => JSON.parse(line).event)).to.not.include("approve.sent");
+    });
+
+    it("should run without approving when taxes are below the approval threshold", async function () {
+        // Only LP rewards accrue; the engine balance is topped up by an earlier cycle's leftovers
+        const state = {
+            timestamp: 100n,
+            nextCycleAt: 0n,
+            health: { pairExists: true, stakingConfigured: true },
+            taxBalance: ethers.parseEther("999"),
+            allowance: 0n,
+            approvalThreshold: ethers.parseEther("1000"),
+            sweptTax: 0n,
+            lpEarned: ethers.parseEther("5000"),
+            engineBalance: ethers.parseEther("2000"),
+            minAecToProcess: ethers.parseEther("1000"),
+            callerRewardBps: 10n,
+            endowment: { shouldRelease: false, potentialAmount: 0n, gasEfficiencyScore: 0n }
+        };
+
+        const plan = planCycle(state);
+        expect(plan.action).to.equal("run");
+        expect(plan.approve).to.equal(false);
+        expect(plan.newTaxes).to.equal(ethers.parseEther("5000"));
+        expect(plan.expectedReward).to.equal(ethers.parseEther("5"));
+    });
+
+    it("should write one JSON object per line and keep polling until stopped", async function () {
+        await sellAec(ethers.parseEther("1000000"));
+
+        const keeper = await keeperWith({ nativePrice: CHEAP_GAS, pollIntervalMs: 0 });
+        await keeper.run({ maxRounds: 2 });
+
+        const entries = lines.map((line) => JSON.parse(line));
+        expect(entries.every((e) => e.ts && e.level && e.event && e.keeper === keeperSigner.address)).to.equal(true);
+        expect(entries.map((e) => e.event)).to.deep.equal([
+            "keeper.started",
+            "approve.sent",
+            "approve.confirmed",
+            "cycle.sent",
+            "cycle.confirmed",
+            "round",
+            "round",
+            "keeper.stopped"
+        ]);
+        const [ran, waited] = entries.filter((e) => e.event === "round");
+        expect(ran.action).to.equal("ran");
+        expect(typeof ran.callerReward).to.equal("string");
+        expect(waited.reason).to.equal("cooldown");
+    });
+
+    it("should refuse to start without a native price", async function () {
+        await expect(createKeeper(hre, manifest, { signer: keeperSigner })).to.be.rejectedWith("nativePrice is required");
+    });
+});
@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { launchedProtocol } = require("../helpers/launchedProtocol");
+const sdk = require("../../sdk");
+
+// PerpetualEngine TWAP guard against a live constant-product pool:
+// observations, getPoolInfo reporting, and swaps skipped or bounded when the
+// pool is pushed away from its time-weighted price before a cycle.
+
+describe("PerpetualEngine TWAP Guard", function () {
+    this.timeout(120000);
+
+    let deployer, attacker, manifest;
+    let aecToken, usdc, engine, router;
+
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+    function cycleEvents(receipt) {
+        return receipt.logs
+            .map((log) => { try { return engine.interface.parseLog(log); } catch { return null; } })
+            .filter(Boolean);
+    }
+
+    async function dumpAec(amount) {
+        await router.connect(attacker).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amount, 0, [aecToken.target, usdc.target], attacker.address, ethers.MaxUint256
+        );
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+        attacker = signers[1];
+
+        ({ manifest } = await launchedProtocol());
+
+        aecToken = await at("AECToken");
+        usdc = await at("MockStablecoin");
+        engine = await at("PerpetualEngine");
+        router = await at("MockConstantProductRouter");
+        await aecToken.connect(attacker).approve(router.target, ethers.MaxUint256);
+    });
+
+    describe("Observations", function () {
+        it("should report the TWAP as not ready until an observation is a full window old", async function () {
+            let info = await engine.getPoolInfo();
+            expect(info.twapReady).to.equal(false);
+            expect(info.spotPrice).to.be.gt(0n);
+
+            await expect(engine.updatePriceObservation()).to.emit(engine, "PriceObservationRecorded");
+            await time.increase(Number(await engine.twapPeriod()) - 60);
+            info = await engine.getPoolInfo();
+            expect(info.twapReady).to.equal(false);
+
+            await time.increase(60);
+            info = await engine.getPoolInfo();
+            expect(info.twapReady).to.equal(true);
+            expect(info.twapPrice).to.equal(info.spotPrice);
+            expect(info.deviationBps).to.equal(0n);
+        });
+
+        it("should ignore observations closer together than a quarter window", async function () {
+            await engine.updatePriceObservation();
+            await expect(engine.updatePriceObservation()).to.not.emit(engine, "PriceObservationRecorded");
+
+            await time.increase(Number(await engine.twapPeriod()) / 4);
+            await expect(engine.updatePriceObservation()).to.emit(engine, "PriceObservationRecorded");
+        });
+
+        it("should report spot deviation from the TWAP after a large trade", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            await dumpAec(ethers.parseEther("5000000"));
+            const info = await engine.getPoolInfo();
+            expect(info.twapReady).to.equal(true);
+            expect(info.spotPrice).to.be.lt(info.twapPrice);
+            expect(info.deviationBps).to.be.gt(await engine.twapDeviationBps());
+        });
+    });
+
+    describe("Cycle swaps", function () {
+        beforeEach(async function () {
+            // Sell tax gives the engine something to process
+            await dumpAec(ethers.parseEther("1000000"));
+            await aecToken.approveEngineForProcessing();
+        });
+
+        it("should skip swapping while the TWAP is not ready", async function () {
+            const receipt = await (await engine.runCycle()).wait();
+            const events = cycleEvents(receipt);
+
+            const skipped = events.find((e) => e.name === "SwapSkipped");
+            expect(skipped.args.reason).to.equal("TWAP not ready");
+            expect(events.some((e) => e.name === "SwapAttempt")).to.equal(false);
+            expect(events.some((e) => e.name === "CycleProcessed")).to.equal(true);
+        });
+
+        it("should skip swapping when the pool was pushed outside the band before the cycle", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            await dumpAec(ethers.parseEther("5000000"));
+            const stablecoinBefore = await usdc.balanceOf(engine.target);
+
+            const receipt = await (await engine.runCycle()).wait();
+            const events = cycleEvents(receipt);
+
+            const skipped = events.find((e) => e.name === "SwapSkipped");
+            expect(skipped.args.reason).to.equal("Spot deviates from TWAP");
+            expect(skipped.args.deviationBps).to.be.gt(await engine.twapDeviationBps());
+            expect(events.some((e) => e.name === "SwapAttempt")).to.equal(false);
+            expect(await usdc.balanceOf(engine.target)).to.equal(stablecoinBefore);
+        });
+
+        it("should hold swaps to the TWAP minimum even with a wide band", async function () {
+            await engine.setTwapParameters(Number(await engine.twapPeriod()), 2500);
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            // Spot ~15% under TWAP: inside the band, but far beyond the 5% slippage allowance
+            await dumpAec(ethers.parseEther("4000000"));
+            const info = await engine.getPoolInfo();
+            expect(info.deviationBps).to.be.lt(2500n);
+            expect(info.deviationBps).to.be.gt(500n);
+
+            const receipt = await (await engine.runCycle()).wait();
+            const attempts = cycleEvents(receipt).filter((e) => e.name === "SwapAttempt");
+            expect(attempts.length).to.be.greaterThan(0);
+            expect(attempts.every((e) => !e.args.successful)).to.equal(true);
+            expect(cycleEvents(receipt).some((e) => e.name === "AutoLiquidityAdded")).to.equal(false);
+        });
+
+        it("should swap and add liquidity when spot tracks the TWAP", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            const receipt = await (await engine.runCycle()).wait();
+            const events = cycleEvents(receipt);
+
+            expect(events.some((e) => e.name === "SwapSkipped")).to.equal(false);
+            expect(events.some((e) => e.name === "SwapAttempt" && e.args.successful)).to.equal(true);
+            expect(events.some((e) => e.name === "AutoLiquidityAdded")).to.equal(true);
+        });
+
+        it("should zap the liquidity share with one swap, leaving only dust", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            const receipt = await (await engine.runCycle()).wait();
+            const events = cycleEvents(receipt);
+            const attempts = events.filter((e) => e.name === "SwapAttempt");
+            expect(attempts.length).to.equal(1);
+            expect(attempts[0].args.successful).to.equal(true);
+
+            // The AEC sold and the AEC paired add up to the liquidity share, and the stablecoin bought is all deposited
+            const lpAmount = events.find((e) => e.name === "CycleProcessed").args.lpProcessed;
+            const [record] = await engine.getCycleHistory(0, 1);
+            expect(record.aecSwapped + record.lpAec).to.be.closeTo(lpAmount, lpAmount / 10000n);
+            const obtained = attempts[0].args.stablecoinObtained;
+            expect(events.find((e) => e.name === "AutoLiquidityAdded").args.stablecoinAmount).to.equal(obtained);
+            expect(await usdc.balanceOf(engine.target)).to.equal(0n);
+        });
+
+        it("should record the cycle's swaps, liquidity and refills on-chain", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            const receipt = await (await engine.connect(attacker).runCycle()).wait();
+            const events = cycleEvents(receipt);
+            const byName = (name) => events.find((e) => e.name === name);
+            const attempts = events.filter((e) => e.name === "SwapAttempt");
+
+            expect(await engine.getCycleCount()).to.equal(1n);
+            const [record] = await engine.getCycleHistory(0, 10);
+            expect(record.caller).to.equal(attacker.address);
+            expect(record.timestamp).to.equal((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+            expect(record.swapAttempts).to.equal(BigInt(attempts.length));
+            expect(record.swapsSucceeded).to.equal(BigInt(attempts.filter((e) => e.args.successful).length));
+            expect(record.burned).to.equal(byName("AecBurnedInCycle").args.amount);
+            expect(record.lpAec).to.equal(byName("AutoLiquidityAdded").args.aecAmount);
+            const refills = byName("RewardsDistributed").args;
+            expect([record.refillLp, record.refillToken, record.refillNft])
+                .to.deep.equal([refills.lpStakingAmount, refills.tokenStakingAmount, refills.nftStakingAmount]);
+            expect(record.unutilizedAec).to.equal(await aecToken.balanceOf(engine.target));
+
+            const stats = await engine.getCycleStats();
+            expect(stats.totalProcessed).to.equal(byName("CycleProcessed").args.totalProcessed);
+            expect(stats.totalLiquidity).to.equal(record.lpAec);
+            expect(stats.successRate).to.equal((record.swapsSucceeded * 10000n) / record.swapAttempts);
+        });
+
+        it("should preview the exact record of the next cycle through the SDK", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+
+            const preview = await sdk.connectProtocol(manifest, attacker).PerpetualEngine.simulateCycle();
+            expect(await engine.getCycleCount()).to.equal(0n);
+            expect(preview.caller).to.equal(attacker.address);
+            expect(preview.swapsSucceeded).to.be.gt(0n);
+            expect(preview.aecSwapped).to.be.gt(0n);
+            expect(preview.lpMinted).to.be.gt(0n);
+
+            const receipt = await (await engine.connect(attacker).runCycle()).wait();
+            const events = cycleEvents(receipt);
+            const [record] = await engine.getCycleHistory(0, 1);
+            expect(preview.timestamp).to.be.gt(0n);
+            expect([preview.caller, preview.swapAttempts, preview.swapsSucceeded])
+                .to.deep.equal([record.caller, record.swapAttempts, record.swapsSucceeded]);
+            // The call ran a block earlier: one second less of LP staking rewards claimed as taxes
+            for (const key of ["newTaxes", "burned", "lpAec", "aecSwapped", "lpMinted", "callerReward"]) {
+                expect(preview[key]).to.be.closeTo(record[key], record[key] / 10000n);
+            }
+            expect(record.lpMinted).to.equal(events.find((e) => e.name === "AutoLiquidityAdded").args.liquidityTokens);
+            expect(record.aecSwapped).to.equal(events
+                .filter((e) => e.name === "SwapAttempt" && e.args.successful)
+                .reduce((total, e) => total + e.args.aecAmount, 0n));
+        });
+
+        it("should preview the endowment release at the gas price the cycle would pay", async function () {
+            await time.increase(30 * 24 * 60 * 60);
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+            const [, potentialAmount] = await (await at("PerpetualEndowment")).suggestOptimalRelease({
+                gasPrice: ethers.parseUnits("1", "gwei")
+            });
+            expect(potentialAmount).to.be.gt(0n);
+
+            const engineSdk = sdk.connectProtocol(manifest, attacker).PerpetualEngine;
+            const cheap = await engineSdk.simulateCycle(ethers.parseUnits("1", "gwei"));
+            expect(cheap.endowmentReleased).to.equal(potentialAmount);
+
+            // Below 20% gas efficiency the endowment holds the release back
+            const inefficient = (potentialAmount * 100n) / (20n * 200000n) + 1n;
+            const expensive = await engineSdk.simulateCycle(inefficient);
+            expect(expensive.endowmentReleased).to.equal(0n);
+            expect(expensive.timestamp).to.be.gt(0n);
+        });
+
+        it("should split the cycle by the allocation policy's reading of the market", async function () {
+            await engine.updatePriceObservation();
+            await time.increase(Number(await engine.twapPeriod()));
+            await dumpAec(ethers.parseEther("200000"));
+
+            const policy = await at("CycleAllocationPolicy");
+            const signals = await policy.getMarketSignals();
+            expect(signals.poolAecReserve).to.equal(await aecToken.balanceOf(manifest.contracts.AECStablecoinPair.address));
+            expect(signals.spotPrice).to.be.lt(signals.twapPrice);
+            const [burnBps, lpBps, refillBps] = await policy.getAllocation();
+            expect(burnBps).to.not.equal(2000n);
+
+            const receipt = await (await engine.runCycle()).wait();
+            const events = cycleEvents(receipt);
+            const applied = events.find((e) => e.name === "CycleAllocationApplied");
+            expect([applied.args.burnBps, applied.args.lpBps, applied.args.refillBps])
+                .to.deep.equal([burnBps, lpBps, refillBps]);
+
+            const processed = events.find((e) => e.name === "CycleProcessed").args;
+            expect(processed.burned).to.equal((processed.totalProcessed * burnBps) / 10000n);
+            expect(processed.rewardsDistributed).to.equal((processed.totalProcessed * refillBps) / 10000n);
+        });
+    });
+
+    describe("Configuration", function () {
+        it("should let the deployer tune the window and band within bounds", async function () {
+            await expect(engine.setTwapParameters(3600, 300))
+                .to.emit(engine, "TwapParametersUpdated").withArgs(3600, 300);
+            expect(await engine.twapPeriod()).to.equal(3600n);
+            expect(await engine.twapDeviationBps()).to.equal(300n);
+
+            await expect(engine.setTwapParameters(60, 300)).to.be.revertedWith("PE: Invalid TWAP period");
+            await expect(engine.setTwapParameters(2 * 86400, 300)).to.be.revertedWith("PE: Invalid TWAP period");
+            await expect(engine.setTwapParameters(3600, 0)).to.be.revertedWith("PE: Invalid TWAP band");
+            await expect(engine.setTwapParameters(3600, 2501)).to.be.revertedWith("PE: Invalid TWAP band");
+        });
+
+        it("should freeze the parameters once deployer privileges are renounced", async function () {
+            await expect(engine.connect(attacker).setTwapParameters(3600, 300)).to.be.revertedWith("PE: Not authorized");
+
+            await engine.renounceDeployerPrivileges();
+            await expect(engine.setTwapParameters(3600, 300)).to.be.revertedWith("PE: Not authorized");
+        });
+    });
+});
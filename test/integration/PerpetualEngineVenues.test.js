@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { launchedProtocol } = require("../helpers/launchedProtocol");
+
+// A second official pool (AEC/WETH) next to AEC/USDC: per-pair tax profiles on
+// AECToken, and PerpetualEngine rotating its swap + liquidity phase between
+// venues, each guarded by its own TWAP, and selling AEC through the best
+// quoting swap route.
+
+describe("PerpetualEngine Liquidity Venues", function () {
+    this.timeout(120000);
+
+    let deployer, trader, marketMaker, manifest;
+    let aecToken, usdc, weth, engine, router, factory, wethPair, usdcDecimals;
+
+    const LAUNCH_TAX_DURATION = 5 * 24 * 60 * 60;
+    const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+    function cycleEvents(receipt) {
+        return receipt.logs
+            .map((log) => { try { return engine.interface.parseLog(log); } catch { return null; } })
+            .filter(Boolean);
+    }
+
+    // Sell tax on the primary pair gives the engine something to process
+    async function fundEngine() {
+        await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            ethers.parseEther("1000000"), 0, [aecToken.target, usdc.target], trader.address, ethers.MaxUint256
+        );
+        await aecToken.approveEngineForProcessing();
+    }
+
+    async function warmTwaps() {
+        await engine.updatePriceObservation();
+        await time.increase(Number(await engine.twapPeriod()));
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        [deployer, trader, marketMaker] = signers;
+
+        ({ manifest } = await launchedProtocol());
+
+        aecToken = await at("AECToken");
+        usdc = await at("MockStablecoin");
+        usdcDecimals = await usdc.decimals();
+        engine = await at("PerpetualEngine");
+        router = await at("MockConstantProductRouter");
+        factory = await ethers.getContractAt(
+            "contracts/interfaces/IUniswapV2Factory.sol:IUniswapV2Factory",
+            manifest.contracts.UniswapV2Factory.address
+        );
+        await aecToken.connect(trader).approve(router.target, ethers.MaxUint256);
+
+        // Seed AEC/WETH at roughly the AEC/USDC price, tax-free for the seeding market maker
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        weth = await MockERC20.deploy("Wrapped Ether", "WETH");
+        await weth.mint(marketMaker.address, ethers.parseEther("1000"));
+        await aecToken.setTaxExclusion(marketMaker.address, true);
+        const aecPerUsdc = await router.getAmountsOut(ethers.parseUnits("1", usdcDecimals), [usdc.target, aecToken.target]);
+        const seedAec = aecPerUsdc[1] * 2_000n;
+        await aecToken.connect(marketMaker).approve(router.target, ethers.MaxUint256);
+        await weth.connect(marketMaker).approve(router.target, ethers.MaxUint256);
+        await router.connect(marketMaker).addLiquidity(
+            aecToken.target, weth.target, seedAec, ethers.parseEther("100"), 0, 0, marketMaker.address, ethers.MaxUint256
+        );
+        wethPair = await factory.getPair(aecToken.target, weth.target);
+        await aecToken.setAmmPair(wethPair, true);
+    });
+
+    describe("Pair tax profiles", function () {
+        it("should list official pairs and charge each its own rates after launch", async function () {
+            expect(await aecToken.getAmmPairs()).to.deep.equal([manifest.contracts.AECStablecoinPair.address, wethPair]);
+
+            await expect(aecToken.setAmmPairTaxProfile(wethPair, 100, 150))
+                .to.emit(aecToken, "AmmPairTaxProfileSet").withArgs(wethPair, 100, 150);
+            // Launch rates still apply to every official pair
+            expect(await aecToken.getPairTaxRates(wethPair)).to.deep.equal([400n, 800n]);
+
+            await time.increase(LAUNCH_TAX_DURATION);
+            expect(await aecToken.getPairTaxRates(wethPair)).to.deep.equal([100n, 150n]);
+            expect(await aecToken.getPairTaxRates(manifest.contracts.AECStablecoinPair.address)).to.deep.equal([200n, 250n]);
+
+            const amount = ethers.parseEther("10000");
+            const quote = await aecToken.quoteTransfer(trader.address, wethPair, amount);
+            expect(quote.taxBps).to.equal(150n);
+            const taxBefore = await aecToken.balanceOf(aecToken.target);
+            await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amount, 0, [aecToken.target, weth.target], trader.address, ethers.MaxUint256
+            );
+            expect(await aecToken.balanceOf(aecToken.target) - taxBefore).to.equal(quote.taxAmount);
+        });
+
+        it("should bound profiles by the launch rates and drop them with the pair", async function () {
+            await expect(aecToken.setAmmPairTaxProfile(trader.address, 100, 100))
+                .to.be.revertedWith("AEC: Not an official AMM pair");
+            await expect(aecToken.setAmmPairTaxProfile(wethPair, 401, 100))
+                .to.be.revertedWith("AEC: Pair tax above launch rates");
+
+            await aecToken.setAmmPairTaxProfile(wethPair, 0, 0);
+            await aecToken.setAmmPair(wethPair, false);
+            expect(await aecToken.getAmmPairs()).to.deep.equal([manifest.contracts.AECStablecoinPair.address]);
+            expect((await aecToken.pairTaxProfiles(wethPair)).isCustom).to.equal(false);
+        });
+    });
+
+    describe("Venue registry", function () {
+        it("should register a venue by its router and quote token", async function () {
+            await expect(engine.addLiquidityVenue(router.target, weth.target))
+                .to.emit(engine, "LiquidityVenueAdded").withArgs(1, router.target, wethPair, weth.target);
+
+            expect(await engine.getVenueCount()).to.equal(2n);
+            const venue = await engine.getVenue(1);
+            expect(venue.pair).to.equal(wethPair);
+            expect(venue.quoteToken).to.equal(weth.target);
+            expect(venue.active).to.equal(true);
+            expect(venue.spotPrice).to.be.gt(0n);
+            expect((await engine.getVenue(0)).pair).to.equal(manifest.contracts.AECStablecoinPair.address);
+        });
+
+        it("should reject unknown pairs, duplicates and callers without privileges", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const unpaired = await MockERC20.deploy("Unpaired", "UNP");
+            await expect(engine.addLiquidityVenue(router.target, unpaired.target)).to.be.revertedWith("PE: Pair doesn't exist");
+            await expect(engine.addLiquidityVenue(router.target, usdc.target)).to.be.revertedWith("PE: Venue already added");
+            await expect(engine.addLiquidityVenue(router.target, aecToken.target)).to.be.revertedWith("PE: Invalid quote token");
+            await expect(engine.connect(trader).addLiquidityVenue(router.target, weth.target)).to.be.revertedWith("PE: Not authorized");
+
+            await engine.addLiquidityVenue(router.target, weth.target);
+            await expect(engine.setLiquidityVenueActive(0, false)).to.be.revertedWith("PE: Primary venue is always active");
+            await expect(engine.rescueForeignTokens(weth.target, 0)).to.be.revertedWith("PE: Cannot rescue venue quote token");
+            await expect(engine.rescueForeignTokens(wethPair, 0)).to.be.revertedWith("PE: Cannot rescue protocol liquidity");
+        });
+    });
+
+    describe("Swap routes", function () {
+        it("should register up to three routes from the deployer", async function () {
+            await expect(engine.addSwapRoute(router.target, weth.target))
+                .to.emit(engine, "SwapRouteAdded").withArgs(1, router.target, weth.target);
+            const route = await engine.swapRoutes(0);
+            expect(route.router).to.equal(router.target);
+            expect(route.hop).to.equal(weth.target);
+
+            await expect(engine.addSwapRoute(ethers.ZeroAddress, weth.target)).to.be.revertedWith("PE: Invalid router address");
+            await expect(engine.connect(trader).addSwapRoute(router.target, weth.target)).to.be.revertedWith("PE: Not authorized");
+            await engine.addSwapRoute(router.target, ethers.ZeroAddress);
+            await engine.addSwapRoute(router.target, usdc.target);
+            await expect(engine.addSwapRoute(router.target, weth.target)).to.be.revertedWith("PE: Too many routes");
+        });
+
+        it("should sell through the route quoting the most stablecoin", async function () {
+            // WETH is worth twice as much USDC as through AEC/WETH, so AEC -> WETH -> USDC pays more
+            await weth.mint(marketMaker.address, ethers.parseEther("500"));
+            await usdc.mint(marketMaker.address, ethers.parseUnits("20000", usdcDecimals));
+            await usdc.connect(marketMaker).approve(router.target, ethers.MaxUint256);
+            await router.connect(marketMaker).addLiquidity(
+                weth.target, usdc.target, ethers.parseEther("500"), ethers.parseUnits("20000", usdcDecimals), 0, 0, marketMaker.address, ethers.MaxUint256
+            );
+            const wethUsdcPair = await factory.getPair(weth.target, usdc.target);
+            await engine.addSwapRoute(router.target, weth.target);
+
+            await fundEngine();
+            await warmTwaps();
+            const wethInPool = await weth.balanceOf(wethUsdcPair);
+            const events = cycleEvents(await (await engine.runCycle()).wait());
+
+            const swaps = events.filter((e) => e.name === "SwapAttempt" && e.args.successful);
+            expect(swaps.length).to.be.greaterThan(0);
+            expect(swaps.every((e) => e.args.routeId === 1n)).to.equal(true);
+            expect(await weth.balanceOf(wethUsdcPair)).to.be.gt(wethInPool);
+            expect(events.some((e) => e.name === "AutoLiquidityAdded")).to.equal(true);
+
+            // The sale was sized to the untouched pair's ratio, so the stablecoin is nearly all paired
+            const obtained = swaps[0].args.stablecoinObtained;
+            expect(await usdc.balanceOf(engine.target)).to.be.lt(obtained / 100n);
+        });
+
+        it("should keep selling through the venue's pair when no route quotes more", async function () {
+            // No WETH/USDC pool: the route cannot quote
+            await engine.addSwapRoute(router.target, weth.target);
+            await fundEngine();
+            await warmTwaps();
+            const events = cycleEvents(await (await engine.runCycle()).wait());
+
+            const swaps = events.filter((e) => e.name === "SwapAttempt" && e.args.successful);
+            expect(swaps.length).to.be.greaterThan(0);
+            expect(swaps.every((e) => e.args.routeId === 0n)).to.equal(true);
+        });
+    });
+
+    describe("Cycles", function () {
+        beforeEach(async function () {
+            await engine.addLiquidityVenue(router.target, weth.target);
+        });
+
+        it("should alternate venues, deepening each and keeping secondary LP in the engine", async function () {
+            const wethPairToken = await ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", wethPair);
+            const stakingLP = manifest.contracts.AECStakingLP.address;
+            const primaryPair = await ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", manifest.contracts.AECStablecoinPair.address);
+
+            await fundEngine();
+            await warmTwaps();
+            const stakedBefore = await primaryPair.balanceOf(stakingLP);
+            let events = cycleEvents(await (await engine.runCycle()).wait());
+            expect(events.find((e) => e.name === "CycleVenueSelected").args.venueId).to.equal(0n);
+            expect(events.some((e) => e.name === "AutoLiquidityAdded")).to.equal(true);
+            expect(await primaryPair.balanceOf(stakingLP)).to.be.gt(stakedBefore);
+            expect(await engine.nextVenueId()).to.equal(1n);
+
+            await time.increase(Number(await engine.publicProcessCooldown()));
+            await fundEngine();
+            await warmTwaps();
+            events = cycleEvents(await (await engine.runCycle()).wait());
+            expect(events.find((e) => e.name === "CycleVenueSelected").args.venueId).to.equal(1n);
+            expect(events.some((e) => e.name === "AutoLiquidityAdded")).to.equal(true);
+            expect(await wethPairToken.balanceOf(engine.target)).to.be.gt(0n);
+            expect(await engine.nextVenueId()).to.equal(0n);
+        });
+
+        it("should pass over a venue pushed outside its TWAP band", async function () {
+            await fundEngine();
+            await warmTwaps();
+            await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                ethers.parseEther("5000000"), 0, [aecToken.target, usdc.target], trader.address, ethers.MaxUint256
+            );
+
+            expect(await engine.selectCycleVenue()).to.deep.equal([1n, true]);
+            const events = cycleEvents(await (await engine.runCycle()).wait());
+            expect(events.find((e) => e.name === "CycleVenueSelected").args.venueId).to.equal(1n);
+            expect(events.some((e) => e.name === "SwapSkipped")).to.equal(false);
+        });
+
+        it("should leave inactive venues out of the rotation", async function () {
+            await expect(engine.setLiquidityVenueActive(1, false))
+                .to.emit(engine, "LiquidityVenueStatusUpdated").withArgs(1, false);
+            await warmTwaps();
+
+            expect((await engine.getVenue(1)).twapReady).to.equal(false);
+            expect(await engine.selectCycleVenue()).to.deep.equal([0n, true]);
+        });
+    });
+});
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const { launchedProtocol } = require("../helpers/launchedProtocol");
+const { staleSdkFiles } = require("../../scripts/sdk/build");
+const sdk = require("../../sdk");
+
+// The SDK against a launched protocol on the Hardhat network.
+
+describe("JavaScript SDK", function () {
+    this.timeout(120000);
+
+    let manifest, contribution, user, protocol;
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        user = signers[1];
+
+        ({ manifest, contribution } = await launchedProtocol());
+        protocol = sdk.connectProtocol(manifest, user);
+    });
+
+    it("should ship ABIs and declarations generated from the current artifacts", async function () {
+        expect(await staleSdkFiles(hre)).to.deep.equal([]);
+    });
+
+    it("should wrap every SDK contract in the manifest", async function () {
+        expect(Object.keys(protocol)).to.have.members(Object.keys(sdk.CONTRACTS));
+        for (const [name, contract] of Object.entries(protocol)) {
+            expect(contract).to.be.instanceOf(sdk[name]);
+            expect(contract.address).to.equal(manifest.contracts[name].address);
+        }
+    });
+
+    it("should return multi-value views as objects keyed by the Solidity names", async function () {
+        const status = await protocol.FairLaunch.getLaunchStatus();
+        expect(status).to.deep.equal({
+            isActive: false,
+            isEnded: true,
+            isComplete: true,
+            timeRemaining: 0n,
+            raised: contribution * 4n,
+            contributors: 4n
+        });
+
+        const config = await protocol.PerpetualEngine.getConfiguration();
+        expect(Object.keys(config)).to.deep.equal(["slippage", "minProcessAmount", "cooldown", "privilegesActive"]);
+
+        const potential = await protocol.AECGambit.calculatePotentialWin(ethers.parseEther("100"));
+        expect(potential.multipliers).to.be.an("array");
+        expect(potential.winAmounts.length).to.equal(potential.multipliers.length);
+
+        expect(await protocol.AECToken.symbol()).to.equal("AEC");
+    });
+
+    it("should approve only the missing allowance before staking", async function () {
+        const staking = protocol.AECStakingToken;
+        const first = await staking.stake(ethers.parseEther("1000"), 0);
+
+        expect(first.approval).to.not.equal(null);
+        expect(first.events.map((e) => e.name)).to.include("Staked");
+        const staked = first.events.find((e) => e.name === "Staked");
+        expect(staked.args.user).to.equal(user.address);
+        expect(staked.args.amount).to.equal(ethers.parseEther("1000"));
+
+        await protocol.AECToken.approve(staking.address, ethers.parseEther("5000"));
+        const second = await staking.stake(ethers.parseEther("500"), 0);
+        expect(second.approval).to.equal(null);
+
+        const info = await staking.getStakeInfo(user.address);
+        expect(info.amount).to.equal(ethers.parseEther("1500"));
+        expect(info.tier).to.equal(0n);
+    });
+
+    it("should stake and mint in one transaction each with signed permits", async function () {
+        const amount = ethers.parseEther("1000");
+        const permit = await protocol.AECToken.signPermit(protocol.AECStakingToken.address, amount);
+        const staked = await protocol.AECStakingToken.stakeWithPermit(amount, 0, permit.deadline, permit.v, permit.r, permit.s);
+        expect(staked.events.map((e) => e.name)).to.include("Staked");
+        expect(await protocol.AECToken.nonces(user.address)).to.equal(1n);
+
+        const price = await protocol.AetheriaNFT.MINT_PRICE();
+        const { deadline, v, r, s } = await protocol.AECToken.signPermit(protocol.AetheriaNFT.address, price);
+        const minted = await protocol.AetheriaNFT.mintWithPermit(deadline, v, r, s);
+        expect(minted.events.map((e) => e.name)).to.include("AetheriaMinted");
+        expect(await protocol.AECToken.allowance(user.address, protocol.AetheriaNFT.address)).to.equal(0n);
+    });
+
+    it("should pay for mints, then stake the new NFTs behind one operator approval", async function () {
+        const minted = await protocol.AetheriaNFT.mintBatch(2);
+        expect(minted.approval).to.not.equal(null);
+        expect(minted.tokenIds.length).to.equal(2);
+
+        const single = await protocol.AetheriaNFT.mint();
+        expect(single.tokenIds.length).to.equal(1);
+
+        const staked = await protocol.AECStakingNFT.stakeNFTs(minted.tokenIds);
+        expect(staked.approval).to.not.equal(null);
+        const again = await protocol.AECStakingNFT.stakeNFTs(single.tokenIds);
+        expect(again.approval).to.equal(null);
+
+        const info = await protocol.AECStakingNFT.getStakeInfo(user.address);
+        expect(info.nftCount).to.equal(3n);
+        expect(info.tokenIds).to.deep.equal([...minted.tokenIds, ...single.tokenIds]);
+    });
+
+    it("should approve before betting and depositing into the DAO", async function () {
+        const bet = await protocol.AECGambit.placeBet(ethers.parseEther("100"));
+        expect(bet.approval).to.not.equal(null);
+        const placed = bet.events.find((e) => e.name === "BetPlaced");
+        expect(placed.args.amount).to.equal(ethers.parseEther("100"));
+
+        const deposit = await protocol.AccountabilityDAO.deposit(ethers.parseEther("2500"));
+        expect(deposit.approval).to.not.equal(null);
+        expect(await protocol.AccountabilityDAO.userDeposits(user.address)).to.equal(ethers.parseEther("2500"));
+    });
+
+    it("should throw typed errors for revert strings and custom errors", async function () {
+        const tooSmall = await protocol.AECStakingToken.stake(1n, 0).catch((e) => e);
+        expect(tooSmall).to.be.instanceOf(sdk.RevertError);
+        expect(tooSmall.reason).to.equal("TokenStaking: Too small");
+        expect(tooSmall.contract).to.equal("AECStakingToken");
+        expect(tooSmall.method).to.equal("stake");
+
+        const balance = await protocol.AECToken.balanceOf(user.address);
+        const overdrawn = await protocol.AECToken.transfer(ethers.Wallet.createRandom().address, balance + 1n).catch((e) => e);
+        expect(overdrawn).to.be.instanceOf(sdk.CustomError);
+        expect(overdrawn.errorName).to.equal("ERC20InsufficientBalance");
+        expect(overdrawn.args.needed).to.equal(balance + 1n);
+    });
+
+    it("should quote transfers by gate and refuse dust before signing", async function () {
+        const pair = await protocol.AECToken.primaryAmmPair();
+        const sell = await protocol.AECToken.quoteTransfer(user.address, pair, ethers.parseEther("1000"));
+        expect(sell.gate).to.equal("OfficialAmm");
+        expect(sell.netAmount + sell.taxAmount).to.equal(ethers.parseEther("1000"));
+        expect(sell.taxAmount).to.equal((ethers.parseEther("1000") * sell.taxBps) / 10000n);
+
+        const friend = ethers.Wallet.createRandom().address;
+        const sent = await protocol.AECToken.transfer(friend, ethers.parseEther("10"));
+        expect(sent.quote.gate).to.equal("PeerToPeer");
+        expect(await protocol.AECToken.balanceOf(friend)).to.equal(sent.quote.netAmount);
+
+        const nonce = await ethers.provider.getTransactionCount(user.address);
+        const dust = await protocol.AECToken.transfer(friend, 1n).catch((e) => e);
+        expect(dust).to.be.instanceOf(sdk.RevertError);
+        expect(dust.reason).to.equal("AEC: Transfer amount too small");
+        expect(await ethers.provider.getTransactionCount(user.address)).to.equal(nonce);
+    });
+
+    it("should quote the launch guard's limits and refuse transfers they would revert before signing", async function () {
+        ({ manifest } = await launchedProtocol({ launchGuard: { blocks: 150, maxTxBps: 50, maxWalletBps: 100 } }));
+        protocol = sdk.connectProtocol(manifest, user);
+        const token = protocol.AECToken;
+        const supply = await token.totalSupply();
+
+        const pair = await token.primaryAmmPair();
+        const oversized = await token.quoteTransfer(user.address, pair, (supply * 50n) / 10000n + 1n);
+        expect(oversized.launchGuardRevert).to.equal("AEC: Launch guard max transaction");
+        expect((await token.quoteTransfer(user.address, pair, ethers.parseEther("1000"))).launchGuardRevert).to.equal(null);
+
+        const friend = ethers.Wallet.createRandom().address;
+        const nonce = await ethers.provider.getTransactionCount(user.address);
+        const whale = await token.transfer(friend, (supply * 100n) / 10000n + 1n).catch((e) => e);
+        expect(whale).to.be.instanceOf(sdk.RevertError);
+        expect(whale.reason).to.equal("AEC: Launch guard max wallet");
+        expect(await ethers.provider.getTransactionCount(user.address)).to.equal(nonce);
+    });
+
+    it("should quote a routed sell's settlement at the pair against the pending block", async function () {
+        const token = protocol.AECToken;
+        const pair = await token.primaryAmmPair();
+        const { sellTaxBps } = await token.getPairTaxRates(pair);
+        const aggregator = await (await ethers.getContractFactory("MockAggregatorRouter"))
+            .deploy(manifest.contracts.MockConstantProductRouter.address);
+        const aecToken = await ethers.getContractAt("AECToken", token.address);
+
+        // The wallet hands AEC to the aggregator under Gate 3; the aggregator's sell is the next hop
+        const sent = ethers.parseEther("1000");
+        await ethers.provider.send("evm_setAutomine", [false]);
+        try {
+            await aecToken.connect(user).transfer(aggregator.target, sent);
+            const received = sent - (sent * 1250n) / 10000n;
+
+            const mined = await token.quoteTransfer(aggregator.target, pair, received);
+            expect(mined.gate).to.equal("OfficialAmm");
+
+            const pending = await token.quoteTransfer(aggregator.target, pair, received, { blockTag: "pending" });
+            expect(pending.gate).to.equal("Routed");
+            expect(pending.taxBps).to.equal(sellTaxBps);
+            expect(pending.netAmount).to.equal(received);
+            expect(pending.taxAmount).to.equal((sent * sellTaxBps) / 10000n);
+            expect(pending.rebate).to.equal(sent - received - pending.taxAmount);
+        } finally {
+            await ethers.provider.send("evm_mine", []);
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+    });
+
+    it("should read through a provider but refuse flows without a signer", async function () {
+        const readOnly = sdk.connectProtocol(manifest, ethers.provider);
+        expect(await readOnly.AECToken.balanceOf(user.address)).to.be.gt(0n);
+        await expect(readOnly.AECStakingToken.stake(ethers.parseEther("1000"), 0)).to.be.rejectedWith("needs a signer");
+
+        const reconnected = readOnly.AECStakingToken.connect(user);
+        expect(reconnected).to.be.instanceOf(sdk.AECStakingToken);
+        expect((await reconnected.stake(ethers.parseEther("1000"), 0)).approval).to.not.equal(null);
+    });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fc = require("fast-check");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployProtocol } = require("../../scripts/deployment/deploy");
+
+// Property-based tests over the launched protocol. fast-check draws random
+// sequences of user and keeper actions; every step runs against the Hardhat
+// network (reverts are allowed) and is followed by the global invariants.
+// A failing sequence is shrunk to a minimal reproduction and reported with
+// its seed. FUZZ_SEED and FUZZ_RUNS override the defaults.
+
+const SEED = Number(process.env.FUZZ_SEED || 0x5eed);
+const RUNS = Number(process.env.FUZZ_RUNS || 20);
+const MAX_COMMANDS = 40;
+
+const INITIAL_ENDOWMENT = ethers.parseEther("311111111");
+const PRECISION = 10n ** 18n;
+const MAX_PERIODS_PER_RELEASE = 6n;
+
+describe("Protocol Invariants", function () {
+    this.timeout(600000);
+
+    const p = {};
+    let snapshot;
+
+    const share = (amount, bps) => (amount * BigInt(bps)) / 10_000n;
+
+    async function attempt(send) {
+        try {
+            await (await send()).wait();
+            return "ok";
+        } catch (error) {
+            if (/revert/i.test(error.message)) return "reverted";
+            throw error;
+        }
+    }
+
+    // Compound floor: balance * 0.995^periods per release, less the per-release
+    // fixed-point rounding of the (0.995)^n factor (at most n wei per 1e18)
+    function endowmentFloor(periods, releases) {
+        let floor = INITIAL_ENDOWMENT;
+        for (let i = 0n; i < periods; i++) floor = (floor * 9950n) / 10_000n;
+        const rounding = releases * ((INITIAL_ENDOWMENT * MAX_PERIODS_PER_RELEASE) / PRECISION + 1n);
+        return floor - rounding;
+    }
+
+    async function checkInvariants(model) {
+        const supply = await p.aecToken.totalSupply();
+        expect(supply, "AEC totalSupply increased").to.be.lte(model.supply);
+        model.supply = supply;
+
+        const lpBalance = await p.stakingLP.validateRewardBalance();
+        expect(lpBalance.hasBalance, `AECStakingLP holds ${lpBalance.currentBalance}, needs ${lpBalance.requiredBalance}`)
+            .to.equal(true);
+
+        let lpOwed = await p.stakingLP.earned(p.engine.target);
+        let tokenOwed = await p.stakingToken.totalSupply();
+        for (const actor of p.actors) {
+            lpOwed += await p.stakingLP.earned(actor.address);
+            tokenOwed += await p.stakingToken.earned(actor.address);
+        }
+        expect(await p.aecToken.balanceOf(p.stakingLP.target), "AECStakingLP owes more AEC than it holds").to.be.gte(lpOwed);
+        expect(await p.pair.balanceOf(p.stakingLP.target), "AECStakingLP holds fewer LP tokens than staked")
+            .to.be.gte((await p.stakingLP.getPoolStats()).totalStaked);
+        expect(await p.aecToken.balanceOf(p.stakingToken.target), "AECStakingToken owes more AEC than it holds")
+            .to.be.gte(tokenOwed);
+
+        const release = await p.endowment.releaseInfo();
+        const periods = (release.lastReleaseTime - p.endowmentStart) / (await p.endowment.releaseInterval());
+        expect(await p.aecToken.balanceOf(p.endowment.target), `Endowment below its compound floor after ${periods} periods`)
+            .to.be.gte(endowmentFloor(periods, release.releaseCount));
+
+        const [valid, sum] = await p.distributor.verifyAllocations();
+        expect(valid, "TokenDistributor allocations invalid").to.equal(true);
+        expect(sum).to.equal(await p.distributor.TOTAL_SUPPLY());
+    }
+
+    // One fuzzed action. check() is unconditional: the contracts decide what reverts.
+    class Step {
+        constructor(label, action) {
+            this.label = label;
+            this.action = action;
+        }
+
+        check() {
+            return true;
+        }
+
+        async run(model) {
+            model.trace.push(`${this.label} -> ${await this.action(model)}`);
+            await model.invariants(model);
+        }
+
+        toString() {
+            return this.label;
+        }
+    }
+
+    const actor = fc.integer({ min: 0, max: 2 });
+    const bps = fc.integer({ min: 1, max: 10_000 });
+    const tier = fc.integer({ min: 0, max: 3 });
+
+    const pools = [
+        ["Token", () => p.stakingToken, (who) => p.aecToken.balanceOf(who)],
+        ["LP", () => p.stakingLP, (who) => p.pair.balanceOf(who)]
+    ];
+
+    const stakingSteps = pools.flatMap(([name, pool, balanceOf]) => [
+        fc.tuple(actor, bps, tier).map(([a, b, t]) => new Step(`stake${name}(actor ${a}, ${b} bps, tier ${t})`, async () => {
+            const amount = share(await balanceOf(p.actors[a].address), b);
+            return attempt(() => pool().connect(p.actors[a]).stake(amount, t));
+        })),
+        fc.tuple(actor, bps).map(([a, b]) => new Step(`withdraw${name}(actor ${a}, ${b} bps)`, async () => {
+            const staked = (await pool().getStakeInfo(p.actors[a].address)).amount;
+            return attempt(() => pool().connect(p.actors[a]).withdraw(share(staked, b)));
+        })),
+        actor.map((a) => new Step(`claimReward${name}(actor ${a})`, () =>
+            attempt(() => pool().connect(p.actors[a]).claimReward()))),
+        fc.tuple(actor, tier).map(([a, t]) => new Step(`upgradeTier${name}(actor ${a}, tier ${t})`, () =>
+            attempt(() => pool().connect(p.actors[a]).upgradeTier(t))))
+    ]);
+
+    const protocolSteps = [
+        actor.map((a) => new Step(`runCycle(actor ${a})`, async () => {
+            await attempt(() => p.aecToken.connect(p.actors[a]).approveEngineForProcessing());
+            return attempt(() => p.engine.connect(p.actors[a]).runCycle());
+        })),
+        fc.constant(new Step("releaseFunds()", () => attempt(() => p.endowment.connect(p.engineSigner).releaseFunds()))),
+        fc.tuple(actor, bps).map(([a, b]) => new Step(`placeBet(actor ${a}, ${b} bps of range)`, async (model) => {
+            const [min, max] = [await p.gambit.MIN_BET(), await p.gambit.MAX_BET()];
+            const outcome = await attempt(() => p.gambit.connect(p.actors[a]).placeBet(min + share(max - min, b)));
+            if (outcome === "ok") model.betPools[a] = await p.gambit.currentPoolId();
+            return outcome;
+        })),
+        fc.constant(new Step("drawPool(current)", async () =>
+            attempt(async () => p.gambit.drawPool(await p.gambit.currentPoolId())))),
+        actor.map((a) => new Step(`claimWin(actor ${a}, last bet)`, (model) =>
+            attempt(() => p.gambit.connect(p.actors[a]).claimWin(model.betPools[a] ?? 0n))))
+    ];
+
+    const marketSteps = [
+        fc.tuple(actor, bps).map(([a, b]) => new Step(`sell(actor ${a}, ${b} bps)`, async () => {
+            const amount = share(await p.aecToken.balanceOf(p.actors[a].address), b);
+            return attempt(() => p.router.connect(p.actors[a]).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amount, 0, [p.aecToken.target, p.usdc.target], p.actors[a].address, ethers.MaxUint256));
+        })),
+        fc.tuple(actor, bps).map(([a, b]) => new Step(`buy(actor ${a}, ${b} bps)`, async () => {
+            const amount = share(await p.usdc.balanceOf(p.actors[a].address), b);
+            return attempt(() => p.router.connect(p.actors[a]).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amount, 0, [p.usdc.target, p.aecToken.target], p.actors[a].address, ethers.MaxUint256));
+        })),
+        fc.tuple(actor, actor, bps).map(([a, to, b]) => new Step(`transfer(actor ${a} -> actor ${to}, ${b} bps)`, async () => {
+            const amount = share(await p.aecToken.balanceOf(p.actors[a].address), b);
+            return attempt(() => p.aecToken.connect(p.actors[a]).transfer(p.actors[to].address, amount));
+        })),
+        fc.integer({ min: 1, max: 45 * 24 }).map((hours) => new Step(`warp(${hours}h)`, async () => {
+            await time.increase(hours * 3600);
+            return "ok";
+        })),
+        fc.integer({ min: 1, max: 15 }).map((blocks) => new Step(`mine(${blocks})`, async () => {
+            await mine(blocks);
+            return "ok";
+        }))
+    ];
+
+    const allSteps = [...stakingSteps, ...protocolSteps, ...marketSteps];
+
+    async function resetChain() {
+        await ethers.provider.send("evm_revert", [snapshot]);
+        snapshot = await ethers.provider.send("evm_snapshot", []);
+    }
+
+    async function setupModel(invariants) {
+        await resetChain();
+        const model = { supply: await p.aecToken.totalSupply(), betPools: {}, trace: [], invariants };
+        return { model, real: {} };
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        const contributors = signers.slice(1, 5);
+        p.actors = contributors.slice(0, 3);
+
+        const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aec-invariants-")), "hardhat.json");
+        const manifest = await deployProtocol({ manifestPath, log: () => {} });
+        const at = (name) => ethers.getContractAt(manifest.contracts[name].contract, manifest.contracts[name].address);
+
+        p.aecToken = await at("AECToken");
+        p.usdc = await at("MockStablecoin");
+        p.engine = await at("PerpetualEngine");
+        p.endowment = await at("PerpetualEndowment");
+        p.router = await at("MockConstantProductRouter");
+        p.stakingLP = await at("AECStakingLP");
+        p.stakingToken = await at("AECStakingToken");
+        p.gambit = await at("AECGambit");
+        p.distributor = await at("TokenDistributor");
+        const fairLaunch = await at("FairLaunch");
+
+        const contribution = ethers.parseUnits("5000", 6);
+        for (const contributor of contributors) {
+            await p.usdc.mint(contributor.address, contribution);
+            await p.usdc.connect(contributor).approve(fairLaunch.target, contribution);
+            await fairLaunch.connect(contributor).contribute(contribution);
+        }
+        await time.increase(48 * 60 * 60 + 1);
+        await fairLaunch.finalizeLaunch();
+        await (await at("LiquidityDeployer")).deployInitialLiquidity();
+        p.pair = await ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", await p.stakingLP.lpToken());
+
+        // Every actor holds AEC, stablecoin and some LP tokens, with standing approvals
+        for (const who of p.actors) {
+            await fairLaunch.connect(who).claim();
+            await p.usdc.mint(who.address, ethers.parseUnits("10000", 6));
+            for (const spender of [p.router, p.stakingToken, p.gambit]) {
+                await p.aecToken.connect(who).approve(spender.target, ethers.MaxUint256);
+            }
+            await p.usdc.connect(who).approve(p.router.target, ethers.MaxUint256);
+            await p.pair.connect(who).approve(p.stakingLP.target, ethers.MaxUint256);
+            await p.router.connect(who).addLiquidity(
+                p.aecToken.target, p.usdc.target, ethers.parseEther("1000000"), ethers.parseUnits("1000", 6),
+                0, 0, who.address, ethers.MaxUint256
+            );
+        }
+
+        await ethers.provider.send("hardhat_setBalance", [p.engine.target, "0x3635C9ADC5DEA00000"]);
+        p.engineSigner = await ethers.getImpersonatedSigner(p.engine.target);
+        p.endowmentStart = (await p.endowment.releaseInfo()).lastReleaseTime;
+
+        snapshot = await ethers.provider.send("evm_snapshot", []);
+    });
+
+    it("should hold supply, solvency, endowment and distribution invariants across random action sequences", async function () {
+        await fc.assert(
+            fc.asyncProperty(fc.commands(allSteps, { maxCommands: MAX_COMMANDS, size: "max" }), (steps) =>
+                fc.asyncModelRun(() => setupModel(checkInvariants), steps)
+            ),
+            { seed: SEED, numRuns: RUNS }
+        );
+    });
+
+    it("should give every actor LP tokens to stake", async function () {
+        await resetChain();
+        for (const who of p.actors) {
+            expect(await p.pair.balanceOf(who.address)).to.be.gt(0n);
+        }
+    });
+
+    it("should shrink a failing sequence to a minimal reproduction", async function () {
+        // A planted invariant (at most one token staker) that two stakes from different actors break
+        const atMostOneStaker = async () => {
+            expect(await p.stakingToken.totalStakers()).to.be.lte(1n);
+        };
+        const result = await fc.check(
+            fc.asyncProperty(fc.commands(allSteps, { maxCommands: MAX_COMMANDS, size: "max" }), (steps) =>
+                fc.asyncModelRun(() => setupModel(atMostOneStaker), steps)
+            ),
+            { seed: SEED, numRuns: 200 }
+        );
+
+        expect(result.failed).to.equal(true);
+        const minimal = [...result.counterexample[0]].map(String);
+        expect(minimal.length).to.equal(2);
+        expect(minimal.every((label) => label.startsWith("stakeToken("))).to.equal(true);
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { signPermit } = require("../helpers/permit");
 
 describe("AECGambit", function () {
   let aecToken, engine, gambit, owner, user1, user2;
@@ -45,6 +46,14 @@ describe("AECGambit", function () {
     await expect(gambit.connect(user1).placeBet(MIN_BET)).to.be.reverted;
   });
 
+  it("should place a bet with a permit instead of an approval", async function () {
+    const { deadline, v, r, s } = await signPermit(aecToken, user1, await gambit.getAddress(), MIN_BET);
+    await expect(gambit.connect(user1).placeBetWithPermit(MIN_BET, deadline, v, r, s)).to.emit(gambit, "BetPlaced");
+    const poolId = await gambit.currentPoolId();
+    expect((await gambit.poolBets(poolId, user1.address)).amount).to.equal(MIN_BET);
+    expect(await aecToken.allowance(user1.address, await gambit.getAddress())).to.equal(0);
+  });
+
   it("should not allow bet below min or above max", async function () {
     // Below min
     await aecToken.connect(user1).approve(gambit.target || gambit.address, ethers.parseEther("99"));
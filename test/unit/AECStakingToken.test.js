@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../helpers/permit");
 
 describe("AECStakingToken", function () {
   let stakingToken;
@@ -174,6 +175,30 @@ describe("AECStakingToken", function () {
       await expect(stakingToken.connect(user1).stake(STAKE_AMOUNT, 1))
         .to.be.revertedWith("TokenStaking: Still locked");
     });
+
+    it("Should stake with a permit instead of an approval", async function () {
+      await aecToken.connect(user1).approve(stakingToken.target, 0);
+      const { deadline, v, r, s } = await signPermit(aecToken, user1, stakingToken.target, STAKE_AMOUNT);
+
+      await expect(stakingToken.connect(user1).stakeWithPermit(STAKE_AMOUNT, 1, deadline, v, r, s))
+        .to.emit(stakingToken, "Staked");
+      const userStake = await stakingToken.stakes(user1.address);
+      expect(userStake.amount).to.equal(STAKE_AMOUNT);
+      expect(userStake.tier).to.equal(1);
+      expect(await aecToken.allowance(user1.address, stakingToken.target)).to.equal(0);
+    });
+
+    it("Should still stake when the permit was front-run, and revert without allowance", async function () {
+      await aecToken.connect(user1).approve(stakingToken.target, 0);
+      const { deadline, v, r, s } = await signPermit(aecToken, user1, stakingToken.target, STAKE_AMOUNT);
+      await aecToken.connect(user2).permit(user1.address, stakingToken.target, STAKE_AMOUNT, deadline, v, r, s);
+
+      await stakingToken.connect(user1).stakeWithPermit(STAKE_AMOUNT, 0, deadline, v, r, s);
+      expect((await stakingToken.stakes(user1.address)).amount).to.equal(STAKE_AMOUNT);
+
+      await expect(stakingToken.connect(user1).stakeWithPermit(STAKE_AMOUNT, 0, deadline, v, r, s))
+        .to.be.revertedWithCustomError(aecToken, "ERC20InsufficientAllowance");
+    });
   });
 
   describe("Withdrawal", function () {
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../helpers/permit");
 
 describe("AECToken", function () {
     let AECToken, aecToken;
@@ -187,6 +189,347 @@ describe("AECToken", function () {
         });
     });
 
+    describe("Transfer Quotes", function () {
+        const GATE = { Excluded: 0n, OfficialAmm: 1n, Unofficial: 2n, PeerToPeer: 3n };
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await aecToken.connect(tokenDistributor).transfer(user1.address, ethers.parseEther("10000"));
+            await aecToken.connect(tokenDistributor).transfer(addr1.address, ethers.parseEther("10000"));
+            await aecToken.connect(owner).setAmmPair(addr1.address, true);
+        });
+
+        it("Should quote untaxed gates for excluded and peer-to-peer transfers", async function () {
+            const excluded = await aecToken.quoteTransfer(tokenDistributor.address, user1.address, amount);
+            expect(excluded.gate).to.equal(GATE.Excluded);
+            expect(excluded.taxAmount).to.equal(0n);
+            expect(excluded.netAmount).to.equal(amount);
+
+            const p2p = await aecToken.quoteTransfer(user1.address, user2.address, amount);
+            expect(p2p.gate).to.equal(GATE.PeerToPeer);
+            expect(p2p.taxBps).to.equal(0n);
+            expect(p2p.netAmount).to.equal(amount);
+        });
+
+        it("Should quote official AMM buys and sells at the launch, then normal, rates", async function () {
+            const buy = await aecToken.quoteTransfer(addr1.address, user1.address, amount);
+            expect(buy.gate).to.equal(GATE.OfficialAmm);
+            expect(buy.taxBps).to.equal(INITIAL_BUY_TAX_BPS);
+
+            const before = await aecToken.balanceOf(user1.address);
+            await aecToken.connect(addr1).transfer(user1.address, amount);
+            expect(await aecToken.balanceOf(user1.address) - before).to.equal(buy.netAmount);
+            expect(await aecToken.balanceOf(await aecToken.getAddress())).to.equal(buy.taxAmount);
+
+            await ethers.provider.send("evm_increaseTime", [LAUNCH_TAX_DURATION + 1]);
+            await ethers.provider.send("evm_mine");
+            const sell = await aecToken.quoteTransfer(user1.address, addr1.address, amount);
+            expect(sell.taxBps).to.equal(NORMAL_SELL_TAX_BPS);
+            expect(sell.taxAmount).to.equal((amount * BigInt(NORMAL_SELL_TAX_BPS)) / 10000n);
+        });
+
+        it("Should quote the unofficial rate for contracts and match what the transfer charges", async function () {
+            const MockContract = await ethers.getContractFactory("MockContract");
+            const mockContract = await MockContract.deploy();
+            await aecToken.connect(tokenDistributor).transfer(mockContract.target, amount);
+
+            const quote = await aecToken.quoteTransfer(mockContract.target, user2.address, amount);
+            expect(quote.gate).to.equal(GATE.Unofficial);
+            expect(quote.taxBps).to.equal(UNOFFICIAL_BUY_TAX_BPS);
+
+            await mockContract.transferFromAECToken(aecToken.target, user2.address, amount);
+            expect(await aecToken.balanceOf(user2.address)).to.equal(quote.netAmount);
+
+            const sell = await aecToken.quoteTransfer(user1.address, mockContract.target, amount);
+            expect(sell.taxBps).to.equal(UNOFFICIAL_SELL_TAX_BPS);
+        });
+
+        it("Should flag dust and refuse to quote mints or burns", async function () {
+            const dust = await aecToken.quoteTransfer(user1.address, user2.address, ethers.parseEther("0.0001"));
+            expect(dust.belowDustMinimum).to.be.true;
+            expect((await aecToken.quoteTransfer(user1.address, user2.address, 0)).belowDustMinimum).to.be.false;
+
+            await expect(
+                aecToken.quoteTransfer(ethers.ZeroAddress, user1.address, amount)
+            ).to.be.revertedWith("AEC: Quote needs sender and recipient");
+        });
+    });
+
+    describe("Tax Accounting", function () {
+        const amount = ethers.parseEther("1000");
+        const TAX_EPOCH_DURATION = 24 * 60 * 60;
+        let mockContract;
+
+        beforeEach(async function () {
+            await aecToken.connect(tokenDistributor).transfer(user1.address, ethers.parseEther("10000"));
+            await aecToken.connect(tokenDistributor).transfer(addr1.address, ethers.parseEther("10000"));
+            await aecToken.connect(owner).setAmmPair(addr1.address, true);
+            const MockContract = await ethers.getContractFactory("MockContract");
+            mockContract = await MockContract.deploy();
+        });
+
+        it("Should count buy, sell and unofficial tax separately and expose the totals in getContractState", async function () {
+            await aecToken.connect(addr1).transfer(user1.address, amount);   // buy
+            await aecToken.connect(user1).transfer(addr1.address, amount);   // sell
+            await aecToken.connect(user1).transfer(mockContract.target, amount); // unofficial sell
+            await aecToken.connect(user1).transfer(user2.address, amount);   // peer-to-peer
+
+            const buyTax = (amount * BigInt(INITIAL_BUY_TAX_BPS)) / 10000n;
+            const sellTax = (amount * BigInt(INITIAL_SELL_TAX_BPS)) / 10000n;
+            const unofficialTax = (amount * BigInt(UNOFFICIAL_SELL_TAX_BPS)) / 10000n;
+            const totals = await aecToken.totalTaxCollected();
+            expect(totals.buy).to.equal(buyTax);
+            expect(totals.sell).to.equal(sellTax);
+            expect(totals.unofficial).to.equal(unofficialTax);
+
+            const state = await aecToken.getContractState();
+            expect(state.totalBuyTax).to.equal(buyTax);
+            expect(state.totalSellTax).to.equal(sellTax);
+            expect(state.totalUnofficialTax).to.equal(unofficialTax);
+            expect(state.collectedTax).to.equal(buyTax + sellTax + unofficialTax);
+        });
+
+        it("Should keep cumulative totals after the engine pulls the collected tax", async function () {
+            await aecToken.connect(owner).setPerpetualEngineAddress(perpetualEngine.address);
+            await aecToken.connect(user1).transfer(mockContract.target, ethers.parseEther("9000"));
+            await aecToken.approveEngineForProcessing();
+            const held = await aecToken.balanceOf(aecToken.target);
+            await aecToken.connect(perpetualEngine).transferFrom(aecToken.target, perpetualEngine.address, held);
+
+            const state = await aecToken.getContractState();
+            expect(state.collectedTax).to.equal(0n);
+            expect(state.totalUnofficialTax).to.equal(held);
+        });
+
+        it("Should snapshot tax per daily epoch counted from launch", async function () {
+            expect(await aecToken.currentTaxEpoch()).to.equal(0n);
+            await aecToken.connect(addr1).transfer(user1.address, amount);
+
+            await ethers.provider.send("evm_increaseTime", [2 * TAX_EPOCH_DURATION]);
+            await ethers.provider.send("evm_mine");
+            expect(await aecToken.currentTaxEpoch()).to.equal(2n);
+            await aecToken.connect(user1).transfer(addr1.address, amount);
+
+            const epochs = await aecToken.getEpochTaxRange(0, 3);
+            expect(epochs.length).to.equal(4);
+            expect(epochs[0].buy).to.equal((amount * BigInt(INITIAL_BUY_TAX_BPS)) / 10000n);
+            expect(epochs[0].sell).to.equal(0n);
+            expect(epochs[1].buy + epochs[1].sell + epochs[1].unofficial).to.equal(0n);
+            expect(epochs[2].sell).to.equal((amount * BigInt(INITIAL_SELL_TAX_BPS)) / 10000n);
+            expect((await aecToken.epochTaxCollected(2)).sell).to.equal(epochs[2].sell);
+            expect(epochs[3].sell).to.equal(0n);
+        });
+
+        it("Should bound epoch ranges", async function () {
+            await expect(aecToken.getEpochTaxRange(5, 4)).to.be.revertedWith("AEC: Invalid epoch range");
+            await expect(aecToken.getEpochTaxRange(0, 366)).to.be.revertedWith("AEC: Epoch range too long");
+            expect((await aecToken.getEpochTaxRange(10, 375)).length).to.equal(366);
+        });
+    });
+
+    describe("Voting Checkpoints", function () {
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await aecToken.connect(tokenDistributor).transfer(user1.address, ethers.parseEther("10000"));
+        });
+
+        it("Should count delegated balances and checkpoint them by block", async function () {
+            expect(await aecToken.getVotes(user1.address)).to.equal(0n);
+            await aecToken.connect(user1).delegate(user1.address);
+            expect(await aecToken.getVotes(user1.address)).to.equal(ethers.parseEther("10000"));
+
+            const before = await ethers.provider.getBlockNumber();
+            await aecToken.connect(user1).transfer(user2.address, amount);
+            await aecToken.connect(user2).delegate(user3.address);
+            await ethers.provider.send("evm_mine");
+
+            expect(await aecToken.getPastVotes(user1.address, before)).to.equal(ethers.parseEther("10000"));
+            expect(await aecToken.getVotes(user1.address)).to.equal(ethers.parseEther("9000"));
+            expect(await aecToken.getVotes(user3.address)).to.equal(amount);
+            expect(await aecToken.delegates(user2.address)).to.equal(user3.address);
+        });
+
+        it("Should leave protocol-held supply and collected tax out of the past total supply", async function () {
+            expect(await aecToken.isExcludedFromVotes(tokenDistributor.address)).to.be.true;
+            expect(await aecToken.isExcludedFromVotes(aecToken.target)).to.be.true;
+
+            await aecToken.connect(owner).setAmmPair(addr1.address, true);
+            await aecToken.connect(user1).transfer(addr1.address, amount);
+            await ethers.provider.send("evm_mine");
+            const block = (await ethers.provider.getBlockNumber()) - 1;
+
+            const tax = (amount * BigInt(INITIAL_SELL_TAX_BPS)) / 10000n;
+            expect(await aecToken.totalSupply()).to.equal(INITIAL_SUPPLY);
+            expect(await aecToken.getPastTotalSupply(block)).to.equal(ethers.parseEther("10000") - tax);
+        });
+
+        it("Should move existing balances out of votes when an account is excluded", async function () {
+            await aecToken.connect(user1).delegate(user2.address);
+            await expect(aecToken.connect(owner).setVotesExclusion(user1.address, true))
+                .to.emit(aecToken, "VotesExclusionSet")
+                .withArgs(user1.address, true);
+            expect(await aecToken.getVotes(user2.address)).to.equal(0n);
+
+            await aecToken.connect(user1).transfer(user3.address, amount);
+            await aecToken.connect(user3).delegate(user3.address);
+            expect(await aecToken.getVotes(user3.address)).to.equal(amount);
+
+            await aecToken.connect(owner).setVotesExclusion(user1.address, false);
+            expect(await aecToken.getVotes(user2.address)).to.equal(ethers.parseEther("9000"));
+            await expect(aecToken.connect(owner).setVotesExclusion(user1.address, false))
+                .to.be.revertedWith("AEC: Votes exclusion unchanged");
+        });
+
+        it("Should exclude the PerpetualEngine when it is set and freeze exclusions after renounce", async function () {
+            await aecToken.connect(owner).setPerpetualEngineAddress(perpetualEngine.address);
+            expect(await aecToken.isExcludedFromVotes(perpetualEngine.address)).to.be.true;
+
+            await aecToken.connect(owner).renounceContractOwnership();
+            await expect(aecToken.connect(owner).setVotesExclusion(user1.address, true))
+                .to.be.revertedWithCustomError(aecToken, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should delegate by signature with nonces shared with permit", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = { name: "AetherCycle", version: "1", chainId, verifyingContract: aecToken.target };
+            const types = {
+                Delegation: [
+                    { name: "delegatee", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "expiry", type: "uint256" }
+                ]
+            };
+            const expiry = ethers.MaxUint256;
+            const { v, r, s } = ethers.Signature.from(
+                await user1.signTypedData(domain, types, { delegatee: user2.address, nonce: 0, expiry })
+            );
+
+            await aecToken.connect(user3).delegateBySig(user2.address, 0, expiry, v, r, s);
+            expect(await aecToken.delegates(user1.address)).to.equal(user2.address);
+            expect(await aecToken.getVotes(user2.address)).to.equal(ethers.parseEther("10000"));
+            expect(await aecToken.nonces(user1.address)).to.equal(1n);
+        });
+    });
+
+    describe("Smart Wallet Recognition", function () {
+        const GATE = { Excluded: 0n, OfficialAmm: 1n, Unofficial: 2n, PeerToPeer: 3n };
+        const WALLET_CODE = { None: 0n, Wallet: 1n, SafeProxy: 2n };
+        const amount = ethers.parseEther("1000");
+        let implementation;
+
+        async function codehashOf(address) {
+            return ethers.keccak256(await ethers.provider.getCode(address));
+        }
+
+        // Deploys an EIP-1167 minimal proxy for `target` straight from its creation code
+        async function deployClone(target) {
+            const runtime = "363d3d373d3d3d363d73" + target.slice(2).toLowerCase() + "5af43d82803e903d91602b57fd5bf3";
+            const tx = await owner.sendTransaction({ data: "0x3d602d80600a3d3981f3" + runtime });
+            return (await tx.wait()).contractAddress;
+        }
+
+        async function sendFrom(wallet, to, value) {
+            const data = aecToken.interface.encodeFunctionData("transfer", [to, value]);
+            const asWallet = implementation.attach(wallet);
+            return asWallet.execute(aecToken.target, data);
+        }
+
+        beforeEach(async function () {
+            const MockSmartWallet = await ethers.getContractFactory("MockSmartWallet");
+            implementation = await MockSmartWallet.deploy();
+            await aecToken.connect(tokenDistributor).transfer(user1.address, ethers.parseEther("10000"));
+        });
+
+        it("Should let wallets running registered code transfer peer-to-peer in both directions", async function () {
+            expect(await aecToken.isRecognizedWallet(implementation.target)).to.be.false;
+            const codehash = await codehashOf(implementation.target);
+            await expect(aecToken.connect(owner).setWalletCodehash(codehash, WALLET_CODE.Wallet))
+                .to.emit(aecToken, "WalletCodehashSet")
+                .withArgs(codehash, WALLET_CODE.Wallet);
+            expect(await aecToken.isRecognizedWallet(implementation.target)).to.be.true;
+
+            expect((await aecToken.quoteTransfer(user1.address, implementation.target, amount)).gate).to.equal(GATE.PeerToPeer);
+            await aecToken.connect(user1).transfer(implementation.target, amount);
+            expect(await aecToken.balanceOf(implementation.target)).to.equal(amount);
+
+            await sendFrom(implementation.target, user2.address, amount);
+            expect(await aecToken.balanceOf(user2.address)).to.equal(amount);
+        });
+
+        it("Should recognize EIP-1167 clones of a registered implementation only", async function () {
+            const clone = await deployClone(implementation.target);
+            expect(await aecToken.isRecognizedWallet(clone)).to.be.false;
+
+            await aecToken.connect(owner).setWalletCodehash(await codehashOf(implementation.target), WALLET_CODE.Wallet);
+            expect(await aecToken.isRecognizedWallet(clone)).to.be.true;
+            await aecToken.connect(user1).transfer(clone, amount);
+            await sendFrom(clone, user2.address, amount);
+            expect(await aecToken.balanceOf(user2.address)).to.equal(amount);
+
+            const MockContract = await ethers.getContractFactory("MockContract");
+            const other = await deployClone((await MockContract.deploy()).target);
+            expect(await aecToken.isRecognizedWallet(other)).to.be.false;
+            expect((await aecToken.quoteTransfer(user1.address, other, amount)).gate).to.equal(GATE.Unofficial);
+        });
+
+        it("Should recognize Safe proxies only while their singleton is registered", async function () {
+            const MockSafeProxy = await ethers.getContractFactory("MockSafeProxy");
+            const safe = await MockSafeProxy.deploy(implementation.target);
+            await aecToken.connect(owner).setWalletCodehash(await codehashOf(safe.target), WALLET_CODE.SafeProxy);
+            expect(await aecToken.isRecognizedWallet(safe.target)).to.be.false;
+
+            await aecToken.connect(owner).setWalletCodehash(await codehashOf(implementation.target), WALLET_CODE.Wallet);
+            expect(await aecToken.isRecognizedWallet(safe.target)).to.be.true;
+            await aecToken.connect(user1).transfer(safe.target, amount);
+            await sendFrom(safe.target, user2.address, ethers.parseEther("400"));
+            expect(await aecToken.balanceOf(user2.address)).to.equal(ethers.parseEther("400"));
+
+            const MockContract = await ethers.getContractFactory("MockContract");
+            await safe.changeSingleton((await MockContract.deploy()).target);
+            expect(await aecToken.isRecognizedWallet(safe.target)).to.be.false;
+            const quote = await aecToken.quoteTransfer(safe.target, user2.address, amount);
+            expect(quote.gate).to.equal(GATE.Unofficial);
+            expect(quote.taxBps).to.equal(UNOFFICIAL_BUY_TAX_BPS);
+        });
+
+        it("Should keep taxing unregistered contracts and official AMM trades by registered wallets", async function () {
+            const MockContract = await ethers.getContractFactory("MockContract");
+            const mockContract = await MockContract.deploy();
+            await aecToken.connect(owner).setWalletCodehash(await codehashOf(implementation.target), WALLET_CODE.Wallet);
+            expect((await aecToken.quoteTransfer(user1.address, mockContract.target, amount)).taxBps)
+                .to.equal(UNOFFICIAL_SELL_TAX_BPS);
+
+            await aecToken.connect(owner).setAmmPair(addr1.address, true);
+            const sell = await aecToken.quoteTransfer(implementation.target, addr1.address, amount);
+            expect(sell.gate).to.equal(GATE.OfficialAmm);
+            expect(sell.taxBps).to.equal(INITIAL_SELL_TAX_BPS);
+        });
+
+        it("Should keep recognizing wallets after renounce while the registry is frozen", async function () {
+            const codehash = await codehashOf(implementation.target);
+            await aecToken.connect(owner).setWalletCodehash(codehash, WALLET_CODE.Wallet);
+            await aecToken.connect(owner).renounceContractOwnership();
+
+            const clone = await deployClone(implementation.target);
+            expect(await aecToken.isRecognizedWallet(clone)).to.be.true;
+            await aecToken.connect(user1).transfer(clone, amount);
+            expect(await aecToken.balanceOf(clone)).to.equal(amount);
+
+            await expect(aecToken.connect(owner).setWalletCodehash(codehash, WALLET_CODE.None))
+                .to.be.revertedWithCustomError(aecToken, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should reject codehashes that are not contract code", async function () {
+            await expect(aecToken.connect(owner).setWalletCodehash(ethers.ZeroHash, WALLET_CODE.Wallet))
+                .to.be.revertedWith("AEC: Codehash must be contract code");
+            await expect(aecToken.connect(owner).setWalletCodehash(ethers.keccak256("0x"), WALLET_CODE.Wallet))
+                .to.be.revertedWith("AEC: Codehash must be contract code");
+            await expect(aecToken.connect(user1).setWalletCodehash(await codehashOf(implementation.target), WALLET_CODE.Wallet))
+                .to.be.revertedWithCustomError(aecToken, "OwnableUnauthorizedAccount");
+        });
+    });
+
     describe("PerpetualEngine Integration", function () {
         it("Should allow setting perpetual engine address", async function () {
             await aecToken.connect(owner).setPerpetualEngineAddress(perpetualEngine.address);
@@ -235,6 +578,256 @@ describe("AECToken", function () {
         });
     });
 
+    describe("Tax Sweep", function () {
+        const THRESHOLD = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await aecToken.connect(tokenDistributor).transfer(user1.address, ethers.parseEther("100000"));
+            await aecToken.connect(tokenDistributor).transfer(addr1.address, ethers.parseEther("100000"));
+            await aecToken.connect(owner).setAmmPair(addr1.address, true);
+        });
+
+        it("Should require the engine and a threshold of at least the approval minimum", async function () {
+            await expect(aecToken.connect(owner).setTaxSweep(true, THRESHOLD))
+                .to.be.revertedWith("AEC: PerpetualEngine address not set");
+            await aecToken.connect(owner).setPerpetualEngineAddress(perpetualEngine.address);
+            await expect(aecToken.connect(owner).setTaxSweep(true, THRESHOLD - 1n))
+                .to.be.revertedWith("AEC: Sweep threshold below minimum");
+            await expect(aecToken.connect(user1).setTaxSweep(true, THRESHOLD))
+                .to.be.revertedWithCustomError(aecToken, "OwnableUnauthorizedAccount");
+
+            await expect(aecToken.connect(owner).setTaxSweep(true, THRESHOLD))
+                .to.emit(aecToken, "TaxSweepConfigured").withArgs(true, THRESHOLD);
+            expect(await aecToken.taxSweepEnabled()).to.equal(true);
+        });
+
+        it("Should push the collected tax to the engine on the sell that crosses the threshold", async function () {
+            await aecToken.connect(owner).setPerpetualEngineAddress(perpetualEngine.address);
+            await aecToken.connect(owner).setTaxSweep(true, THRESHOLD);
+
+            // 8% launch sell tax: 10,000 AEC leaves 800 collected, below the threshold
+            await aecToken.connect(user1).transfer(addr1.address, ethers.parseEther("10000"));
+            expect(await aecToken.balanceOf(aecToken.target)).to.equal(ethers.parseEther("800"));
+
+            // A buy never sweeps, even over the threshold
+            await aecToken.connect(addr1).transfer(user1.address, ethers.parseEther("10000"));
+            const collected = await aecToken.balanceOf(aecToken.target);
+            expect(collected).to.equal(ethers.parseEther("1200"));
+            await aecToken.approveEngineForProcessing();
+
+            const sellTax = (ethers.parseEther("10000") * BigInt(INITIAL_SELL_TAX_BPS)) / 10000n;
+            await expect(aecToken.connect(user1).transfer(addr1.address, ethers.parseEther("10000")))
+                .to.emit(aecToken, "TaxSwept").withArgs(perpetualEngine.address, collected + sellTax);
+            expect(await aecToken.balanceOf(aecToken.target)).to.equal(0n);
+            expect(await aecToken.balanceOf(perpetualEngine.address)).to.equal(collected + sellTax);
+            expect(await aecToken.totalTaxSwept()).to.equal(collected + sellTax);
+            // The earlier approval no longer points at tokens the contract holds
+            expect(await aecToken.allowance(aecToken.target, perpetualEngine.address)).to.equal(0n);
+        });
+
+        it("Should leave the tax in place while push mode is off", async function () {
+            await aecToken.connect(owner).setPerpetualEngineAddress(perpetualEngine.address);
+            await aecToken.connect(user1).transfer(addr1.address, ethers.parseEther("50000"));
+
+            expect(await aecToken.balanceOf(aecToken.target)).to.equal(ethers.parseEther("4000"));
+            expect(await aecToken.totalTaxSwept()).to.equal(0n);
+        });
+    });
+
+    describe("Launch Guard", function () {
+        const GUARD_BLOCKS = 20;
+        const MAX_TX = (INITIAL_SUPPLY * 50n) / 10000n;      // 0.5%
+        const MAX_WALLET = (INITIAL_SUPPLY * 100n) / 10000n; // 1%
+
+        beforeEach(async function () {
+            await aecToken.connect(owner).setAmmPair(addr1.address, true);
+            await aecToken.connect(tokenDistributor).transfer(user1.address, ethers.parseEther("1000000"));
+            await aecToken.connect(owner).setLaunchGuard(GUARD_BLOCKS, 50, 100);
+        });
+
+        async function seedPair() {
+            return aecToken.connect(tokenDistributor).transfer(addr1.address, ethers.parseEther("50000000"));
+        }
+
+        it("Should reject guards that could outlast the launch or freeze trading", async function () {
+            await expect(aecToken.connect(owner).setLaunchGuard(1801, 50, 100))
+                .to.be.revertedWith("AEC: Launch guard too long");
+            await expect(aecToken.connect(owner).setLaunchGuard(GUARD_BLOCKS, 9, 100))
+                .to.be.revertedWith("AEC: Invalid launch limits");
+            await expect(aecToken.connect(owner).setLaunchGuard(GUARD_BLOCKS, 50, 40))
+                .to.be.revertedWith("AEC: Invalid launch limits");
+            await expect(aecToken.connect(user1).setLaunchGuard(GUARD_BLOCKS, 50, 100))
+                .to.be.revertedWithCustomError(aecToken, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should start with the first protocol liquidity, not with a user's transfer", async function () {
+            await aecToken.connect(user1).transfer(addr1.address, ethers.parseEther("1000"));
+            expect((await aecToken.launchGuard()).startBlock).to.equal(0n);
+
+            const tx = await seedPair();
+            const startBlock = BigInt((await tx.wait()).blockNumber);
+            await expect(tx).to.emit(aecToken, "LaunchGuardStarted")
+                .withArgs(addr1.address, startBlock, startBlock + BigInt(GUARD_BLOCKS));
+            expect(await aecToken.isLaunchGuardActive()).to.equal(true);
+            await expect(aecToken.connect(owner).setLaunchGuard(GUARD_BLOCKS, 100, 200))
+                .to.be.revertedWith("AEC: Launch guard already started");
+        });
+
+        it("Should cap official trades and wallet balances while active", async function () {
+            await seedPair();
+
+            await expect(aecToken.connect(addr1).transfer(user2.address, MAX_TX + 1n))
+                .to.be.revertedWith("AEC: Launch guard max transaction");
+            await aecToken.connect(addr1).transfer(user2.address, MAX_TX);
+            await aecToken.connect(addr1).transfer(user2.address, MAX_TX);
+            await expect(aecToken.connect(addr1).transfer(user2.address, MAX_TX))
+                .to.be.revertedWith("AEC: Launch guard max wallet");
+            // Wallet-to-wallet top-ups count too
+            await expect(aecToken.connect(user1).transfer(user2.address, ethers.parseEther("400000")))
+                .to.be.revertedWith("AEC: Launch guard max wallet");
+        });
+
+        it("Should stop a same-block buy then sell", async function () {
+            await seedPair();
+
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                const buy = await aecToken.connect(addr1).transfer(user2.address, ethers.parseEther("10000"), { gasLimit: 500000 });
+                const sell = await aecToken.connect(user2).transfer(addr1.address, ethers.parseEther("5000"), { gasLimit: 500000 });
+                await mine();
+                expect((await buy.wait()).status).to.equal(1);
+                await expect(sell.wait()).to.be.rejected;
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+
+            // Selling in a later block is fine
+            await expect(aecToken.connect(user2).transfer(addr1.address, ethers.parseEther("5000")))
+                .to.emit(aecToken, "TaxCollected");
+        });
+
+        it("Should lift every limit once the guard expires", async function () {
+            await seedPair();
+            await mine(GUARD_BLOCKS);
+
+            expect(await aecToken.isLaunchGuardActive()).to.equal(false);
+            const amount = MAX_WALLET + 1n;
+            await aecToken.connect(addr1).transfer(user2.address, amount);
+            expect(await aecToken.balanceOf(user2.address))
+                .to.equal(amount - (amount * BigInt(INITIAL_BUY_TAX_BPS)) / 10000n);
+        });
+    });
+
+    describe("Allowlist Governance", function () {
+        const DELAY = 7 * 24 * 60 * 60;
+        const GRACE = 14 * 24 * 60 * 60;
+        const TAX_EXCLUSION = 0;
+        const AMM_PAIR = 1;
+
+        beforeEach(async function () {
+            await aecToken.connect(owner).setAllowlistGovernor(addr5.address);
+        });
+
+        async function changeId(action, account, status) {
+            return aecToken.getAllowlistChangeId(action, account, status);
+        }
+
+        it("Should set the governor once, before renounce", async function () {
+            expect(await aecToken.allowlistGovernor()).to.equal(addr5.address);
+            await expect(aecToken.connect(owner).setAllowlistGovernor(addr4.address))
+                .to.be.revertedWith("AEC: Allowlist governor already set");
+            await expect(aecToken.connect(user1).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.be.revertedWith("AEC: Not the allowlist governor");
+        });
+
+        it("Should apply a tax exclusion after the public delay, even after renounce", async function () {
+            await aecToken.connect(owner).renounceContractOwnership();
+            const id = await changeId(TAX_EXCLUSION, addr3.address, true);
+
+            await expect(aecToken.connect(addr5).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.emit(aecToken, "AllowlistChangeProposed");
+            await expect(aecToken.executeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.be.revertedWith("AEC: Change delay not over");
+
+            await time.increase(DELAY);
+            await expect(aecToken.connect(user2).executeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.emit(aecToken, "AllowlistChangeExecuted").withArgs(id)
+                .and.to.emit(aecToken, "TaxExclusionSet").withArgs(addr3.address, true);
+            expect(await aecToken.isExcludedFromTax(addr3.address)).to.be.true;
+            expect(await aecToken.allowlistChangeEta(id)).to.equal(0n);
+        });
+
+        it("Should register a new AMM pair through the governor", async function () {
+            await aecToken.connect(addr5).proposeAllowlistChange(AMM_PAIR, addr2.address, true);
+            await time.increase(DELAY);
+            await aecToken.executeAllowlistChange(AMM_PAIR, addr2.address, true);
+
+            expect(await aecToken.automatedMarketMakerPairs(addr2.address)).to.be.true;
+            expect(await aecToken.getAmmPairs()).to.include(addr2.address);
+        });
+
+        it("Should drop vetoed and expired changes", async function () {
+            const id = await changeId(TAX_EXCLUSION, addr3.address, true);
+            await aecToken.connect(addr5).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, true);
+            await expect(aecToken.connect(addr5).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.be.revertedWith("AEC: Change already queued");
+
+            await expect(aecToken.connect(user1).vetoAllowlistChange(id))
+                .to.be.revertedWith("AEC: Not the allowlist governor");
+            await expect(aecToken.connect(addr5).vetoAllowlistChange(id))
+                .to.emit(aecToken, "AllowlistChangeVetoed").withArgs(id);
+            await time.increase(DELAY);
+            await expect(aecToken.executeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.be.revertedWith("AEC: Change not queued");
+
+            await aecToken.connect(addr5).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, true);
+            await time.increase(DELAY + GRACE + 1);
+            await expect(aecToken.executeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.be.revertedWith("AEC: Change expired");
+        });
+
+        it("Should queue a change again once it lapsed unexecuted", async function () {
+            await aecToken.connect(owner).renounceContractOwnership();
+            const id = await changeId(AMM_PAIR, addr2.address, true);
+            await aecToken.connect(addr5).proposeAllowlistChange(AMM_PAIR, addr2.address, true);
+
+            // Still executable at the end of the grace period, so not yet replaceable
+            const eta = await aecToken.allowlistChangeEta(id);
+            await time.setNextBlockTimestamp(eta + BigInt(GRACE));
+            await expect(aecToken.connect(addr5).proposeAllowlistChange(AMM_PAIR, addr2.address, true))
+                .to.be.revertedWith("AEC: Change already queued");
+
+            const requeued = await aecToken.connect(addr5).proposeAllowlistChange(AMM_PAIR, addr2.address, true);
+            const newEta = BigInt((await ethers.provider.getBlock(requeued.blockNumber)).timestamp + DELAY);
+            await expect(requeued).to.emit(aecToken, "AllowlistChangeProposed")
+                .withArgs(id, AMM_PAIR, addr2.address, true, newEta);
+
+            await time.increaseTo(newEta);
+            await aecToken.executeAllowlistChange(AMM_PAIR, addr2.address, true);
+            expect(await aecToken.automatedMarketMakerPairs(addr2.address)).to.be.true;
+        });
+
+        it("Should take votes from a contract excluded from tax through the governor", async function () {
+            await aecToken.connect(tokenDistributor).transfer(addr3.address, ethers.parseEther("10000"));
+            await aecToken.connect(addr3).delegate(addr3.address);
+            await aecToken.connect(owner).renounceContractOwnership();
+
+            await aecToken.connect(addr5).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, true);
+            await time.increase(DELAY);
+            await expect(aecToken.executeAllowlistChange(TAX_EXCLUSION, addr3.address, true))
+                .to.emit(aecToken, "VotesExclusionSet").withArgs(addr3.address, true);
+            expect(await aecToken.isExcludedFromVotes(addr3.address)).to.be.true;
+            expect(await aecToken.getVotes(addr3.address)).to.equal(0n);
+
+            // Lifting the tax exclusion gives the votes back
+            await aecToken.connect(addr5).proposeAllowlistChange(TAX_EXCLUSION, addr3.address, false);
+            await time.increase(DELAY);
+            await aecToken.executeAllowlistChange(TAX_EXCLUSION, addr3.address, false);
+            expect(await aecToken.isExcludedFromVotes(addr3.address)).to.be.false;
+            expect(await aecToken.getVotes(addr3.address)).to.equal(ethers.parseEther("10000"));
+        });
+    });
+
     describe("Configuration Functions", function () {
         it("Should allow setting primary AMM pair", async function () {
             await aecToken.connect(owner).setPrimaryAmmPair(addr1.address);
@@ -346,6 +939,42 @@ describe("AECToken", function () {
         });
     });
 
+    describe("Permit (EIP-2612)", function () {
+        it("Should set the allowance from a signature and bump the nonce", async function () {
+            const amount = ethers.parseEther("1000");
+            const { deadline, v, r, s } = await signPermit(aecToken, user1, user2.address, amount);
+
+            await aecToken.connect(user3).permit(user1.address, user2.address, amount, deadline, v, r, s);
+            expect(await aecToken.allowance(user1.address, user2.address)).to.equal(amount);
+            expect(await aecToken.nonces(user1.address)).to.equal(1n);
+        });
+
+        it("Should expose a domain separator for the AetherCycle name on this chain", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const expected = ethers.TypedDataEncoder.hashDomain({
+                name: "AetherCycle",
+                version: "1",
+                chainId,
+                verifyingContract: await aecToken.getAddress()
+            });
+            expect(await aecToken.DOMAIN_SEPARATOR()).to.equal(expected);
+        });
+
+        it("Should reject expired and replayed permits", async function () {
+            const amount = ethers.parseEther("1000");
+            const expired = await signPermit(aecToken, user1, user2.address, amount, 1n);
+            await expect(
+                aecToken.permit(user1.address, user2.address, amount, expired.deadline, expired.v, expired.r, expired.s)
+            ).to.be.revertedWithCustomError(aecToken, "ERC2612ExpiredSignature");
+
+            const { deadline, v, r, s } = await signPermit(aecToken, user1, user2.address, amount);
+            await aecToken.permit(user1.address, user2.address, amount, deadline, v, r, s);
+            await expect(
+                aecToken.permit(user1.address, user2.address, amount, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(aecToken, "ERC2612InvalidSigner");
+        });
+    });
+
     describe("Edge Cases and Security", function () {
         it("Should handle zero transfers correctly", async function () {
             await expect(
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../helpers/permit");
 
 describe("AccountabilityDAO", function () {
     let AccountabilityDAO, FounderVesting, MockAEC, TestDAOUpdater;
@@ -47,6 +49,14 @@ describe("AccountabilityDAO", function () {
         it("Should revert on zero deposit", async function () {
             await expect(dao.connect(user).deposit(0)).to.be.revertedWith("Zero amount");
         });
+        it("Should deposit with a permit instead of an approval", async function () {
+            await aecToken.mint(user.address, ethers.parseEther("100"));
+            const { deadline, v, r, s } = await signPermit(aecToken, user, dao.target, ethers.parseEther("100"));
+            await expect(dao.connect(user).depositWithPermit(ethers.parseEther("100"), deadline, v, r, s))
+                .to.emit(dao, "TokensDeposited")
+                .withArgs(user.address, ethers.parseEther("100"), ethers.parseEther("100"));
+            expect(await dao.userDeposits(user.address)).to.equal(ethers.parseEther("100"));
+        });
     });
 
     describe("Extend Vesting", function () {
@@ -114,4 +124,88 @@ describe("AccountabilityDAO", function () {
             await expect(dao.connect(user).burnFounderAllocation()).to.be.revertedWith("Already burned");
         });
     });
-}); 
\ No newline at end of file
+
+    describe("Allowlist Governance", function () {
+        const TAX_EXCLUSION = 0;
+        const VOTING_PERIOD = 5 * 24 * 60 * 60;
+        const TOKEN_DELAY = 7 * 24 * 60 * 60;
+        let token, governedDao, vetoer, target;
+
+        beforeEach(async function () {
+            [owner, user, other, vetoer, target] = await ethers.getSigners();
+            const AECToken = await ethers.getContractFactory("AECToken");
+            token = await AECToken.deploy(owner.address, owner.address);
+            const vesting = await FounderVesting.deploy(token.target, owner.address, owner.address);
+            governedDao = await AccountabilityDAO.deploy(token.target, vesting.target);
+            await token.setAllowlistGovernor(governedDao.target);
+
+            // Votes come from delegated wallet balances, not deposits
+            for (const [holder, amount] of [[user, "150000000"], [other, "10000000"], [vetoer, "200000000"]]) {
+                await token.transfer(holder.address, ethers.parseEther(amount));
+                await token.connect(holder).delegate(holder.address);
+            }
+        });
+
+        async function passProposal() {
+            await governedDao.connect(user).proposeAllowlistChange(TAX_EXCLUSION, target.address, true);
+            await governedDao.connect(user).castAllowlistVote(1, true);
+            await time.increase(VOTING_PERIOD);
+            await governedDao.queueAllowlistChange(1);
+        }
+
+        it("Should queue a passed vote in AECToken, executable after its delay and renounce", async function () {
+            await expect(governedDao.connect(target).proposeAllowlistChange(TAX_EXCLUSION, target.address, true))
+                .to.be.revertedWith("Insufficient votes to propose");
+
+            await governedDao.connect(user).proposeAllowlistChange(TAX_EXCLUSION, target.address, true);
+            await expect(governedDao.connect(user).castAllowlistVote(1, true))
+                .to.emit(governedDao, "AllowlistVoteCast").withArgs(1, user.address, true, ethers.parseEther("150000000"));
+            await expect(governedDao.connect(user).castAllowlistVote(1, true)).to.be.revertedWith("Already voted");
+            await expect(governedDao.queueAllowlistChange(1)).to.be.revertedWith("Voting still open");
+
+            await time.increase(VOTING_PERIOD);
+            await expect(governedDao.queueAllowlistChange(1)).to.emit(token, "AllowlistChangeProposed");
+            await token.renounceContractOwnership();
+
+            await time.increase(TOKEN_DELAY);
+            await token.executeAllowlistChange(TAX_EXCLUSION, target.address, true);
+            expect(await token.isExcludedFromTax(target.address)).to.be.true;
+        });
+
+        it("Should not queue a change without quorum or majority", async function () {
+            await governedDao.connect(other).proposeAllowlistChange(TAX_EXCLUSION, target.address, true);
+            await governedDao.connect(other).castAllowlistVote(1, true);
+            await governedDao.connect(user).proposeAllowlistChange(TAX_EXCLUSION, target.address, true);
+            await governedDao.connect(user).castAllowlistVote(2, true);
+            await governedDao.connect(vetoer).castAllowlistVote(2, false);
+            await time.increase(VOTING_PERIOD);
+
+            await expect(governedDao.queueAllowlistChange(1)).to.be.revertedWith("Quorum not reached");
+            await expect(governedDao.queueAllowlistChange(2)).to.be.revertedWith("Proposal defeated");
+        });
+
+        it("Should cancel the queued change once veto votes outweigh the vote that passed it", async function () {
+            await passProposal();
+            const changeId = await token.getAllowlistChangeId(TAX_EXCLUSION, target.address, true);
+
+            const partialVeto = await governedDao.connect(other).vetoAllowlistChange(1);
+            await expect(partialVeto).to.emit(governedDao, "AllowlistVetoCast");
+            await expect(partialVeto).not.to.emit(token, "AllowlistChangeVetoed");
+            await expect(governedDao.connect(vetoer).vetoAllowlistChange(1))
+                .to.emit(token, "AllowlistChangeVetoed").withArgs(changeId);
+            expect(await token.allowlistChangeEta(changeId)).to.equal(0n);
+
+            await time.increase(TOKEN_DELAY);
+            await expect(token.executeAllowlistChange(TAX_EXCLUSION, target.address, true))
+                .to.be.revertedWith("AEC: Change not queued");
+        });
+
+        it("Should close the veto once the change has executed", async function () {
+            await passProposal();
+            await time.increase(TOKEN_DELAY);
+            await token.executeAllowlistChange(TAX_EXCLUSION, target.address, true);
+
+            await expect(governedDao.connect(vetoer).vetoAllowlistChange(1)).to.be.revertedWith("Veto window closed");
+        });
+    });
+});
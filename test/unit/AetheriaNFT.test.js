@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { signPermit } = require("../helpers/permit");
 
 describe("AetheriaNFT", function () {
     let aecToken, nft, perpetualEngine;
@@ -89,6 +90,28 @@ describe("AetheriaNFT", function () {
             // Try to mint the 501st NFT, should revert due to minting being completed
             await expect(nft.connect(user1).mint()).to.be.revertedWith("AetheriaNFT: Minting completed");
         });
+        it("Should mint with a permit for exactly the mint price", async function () {
+            await aecToken.connect(user1).approve(await nft.getAddress(), 0);
+            const { deadline, v, r, s } = await signPermit(aecToken, user1, await nft.getAddress(), MINT_PRICE);
+            await expect(nft.connect(user1).mintWithPermit(deadline, v, r, s))
+                .to.emit(nft, "AetheriaMinted");
+            expect(await nft.ownerOf(1)).to.equal(user1.address);
+            expect(await aecToken.allowance(user1.address, await nft.getAddress())).to.equal(0);
+        });
+        it("Should batch mint with a permit for the whole batch", async function () {
+            await aecToken.connect(user1).approve(await nft.getAddress(), 0);
+            const before = await aecToken.balanceOf(perpetualEngine.address);
+            const { deadline, v, r, s } = await signPermit(aecToken, user1, await nft.getAddress(), MINT_PRICE * 3n);
+            await nft.connect(user1).mintBatchWithPermit(3, deadline, v, r, s);
+            expect(await nft.balanceOf(user1.address)).to.equal(3);
+            expect(await aecToken.balanceOf(perpetualEngine.address) - before).to.equal(MINT_PRICE * 3n);
+        });
+        it("Should revert a permit mint signed for too little", async function () {
+            await aecToken.connect(user1).approve(await nft.getAddress(), 0);
+            const { deadline, v, r, s } = await signPermit(aecToken, user1, await nft.getAddress(), MINT_PRICE);
+            await expect(nft.connect(user1).mintBatchWithPermit(2, deadline, v, r, s))
+                .to.be.revertedWithCustomError(aecToken, "ERC20InsufficientAllowance");
+        });
     });
 
     describe("Metadata & View", function () {
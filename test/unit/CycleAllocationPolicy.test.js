@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("CycleAllocationPolicy", function () {
+    let policy;
+    let aecToken;
+    let engine;
+    let stakingToken;
+    let owner;
+    let user1;
+
+    const SUPPLY = ethers.parseEther("1000000");
+    const TOKEN_STAKING_ALLOCATION = ethers.parseEther("133333333");
+
+    // Deep pool, full staking runway, spot at TWAP: no signal active
+    const healthy = {
+        aecSupply: SUPPLY,
+        poolAecReserve: SUPPLY / 5n,
+        twapPrice: ethers.parseEther("1"),
+        spotPrice: ethers.parseEther("1"),
+        rewardsRemaining: ethers.parseEther("900"),
+        rewardsAllocated: ethers.parseEther("1000")
+    };
+
+    async function split(overrides) {
+        const [burnBps, lpBps, refillBps] = await policy.computeAllocation({ ...healthy, ...overrides });
+        expect(burnBps + lpBps + refillBps).to.equal(10000n);
+        return [Number(burnBps), Number(lpBps), Number(refillBps)];
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        aecToken = await MockERC20.deploy("AEC Token", "AEC");
+
+        // getPoolInfo returns an empty pool
+        const MockRevertingEngine = await ethers.getContractFactory("MockRevertingEngine");
+        engine = await MockRevertingEngine.deploy();
+
+        const AECStakingToken = await ethers.getContractFactory("AECStakingToken");
+        stakingToken = await AECStakingToken.deploy(aecToken.target, owner.address, TOKEN_STAKING_ALLOCATION);
+
+        const MockContract = await ethers.getContractFactory("MockContract");
+        const notAPool = await MockContract.deploy();
+
+        const CycleAllocationPolicy = await ethers.getContractFactory("CycleAllocationPolicy");
+        policy = await CycleAllocationPolicy.deploy(
+            engine.target,
+            aecToken.target,
+            notAPool.target,
+            stakingToken.target,
+            user1.address
+        );
+    });
+
+    describe("Deployment", function () {
+        it("Should store its inputs", async function () {
+            expect(await policy.perpetualEngine()).to.equal(engine.target);
+            expect(await policy.aecToken()).to.equal(aecToken.target);
+            expect(await policy.stakingContractToken()).to.equal(stakingToken.target);
+        });
+
+        it("Should reject zero addresses", async function () {
+            const CycleAllocationPolicy = await ethers.getContractFactory("CycleAllocationPolicy");
+            const pools = [user1.address, user1.address, user1.address];
+            await expect(CycleAllocationPolicy.deploy(ethers.ZeroAddress, aecToken.target, ...pools))
+                .to.be.revertedWith("Policy: Invalid engine address");
+            await expect(CycleAllocationPolicy.deploy(engine.target, ethers.ZeroAddress, ...pools))
+                .to.be.revertedWith("Policy: Invalid AEC address");
+            await expect(CycleAllocationPolicy.deploy(engine.target, aecToken.target, user1.address, ethers.ZeroAddress, user1.address))
+                .to.be.revertedWith("Policy: Invalid staking address");
+        });
+    });
+
+    describe("Allocation", function () {
+        it("Should keep the 20-40-40 split when no signal is active", async function () {
+            expect(await split({})).to.deep.equal([2000, 4000, 4000]);
+            // Unreadable signals count as inactive
+            expect(await split({ aecSupply: 0n, twapPrice: 0n, spotPrice: 0n, rewardsAllocated: 0n }))
+                .to.deep.equal([2000, 4000, 4000]);
+        });
+
+        it("Should shift weight from burn to liquidity as the pool thins", async function () {
+            // Half the 10% target depth: half the 7.5% shift
+            expect(await split({ poolAecReserve: SUPPLY / 20n })).to.deep.equal([1625, 4375, 4000]);
+            expect(await split({ poolAecReserve: 0n })).to.deep.equal([1250, 4750, 4000]);
+            expect(await split({ poolAecReserve: SUPPLY / 10n })).to.deep.equal([2000, 4000, 4000]);
+        });
+
+        it("Should shift weight from burn to refills as staking rewards run out", async function () {
+            expect(await split({ rewardsRemaining: ethers.parseEther("125") })).to.deep.equal([1625, 4000, 4375]);
+            expect(await split({ rewardsRemaining: 0n })).to.deep.equal([1250, 4000, 4750]);
+        });
+
+        it("Should shift weight from liquidity to burn while the price falls", async function () {
+            expect(await split({ spotPrice: ethers.parseEther("0.95") })).to.deep.equal([2250, 3750, 4000]);
+            expect(await split({ spotPrice: ethers.parseEther("0.5") })).to.deep.equal([2500, 3500, 4000]);
+            // A rising price changes nothing
+            expect(await split({ spotPrice: ethers.parseEther("2") })).to.deep.equal([2000, 4000, 4000]);
+        });
+
+        it("Should stay within bounds with every signal at its extreme", async function () {
+            expect(await split({ poolAecReserve: 0n, rewardsRemaining: 0n })).to.deep.equal([500, 4750, 4750]);
+            expect(await split({ poolAecReserve: 0n, rewardsRemaining: 0n, spotPrice: 0n }))
+                .to.deep.equal([1000, 4250, 4750]);
+        });
+    });
+
+    describe("Market Signals", function () {
+        it("Should read supply, pool and the staking pools it can", async function () {
+            const signals = await policy.getMarketSignals();
+            expect(signals.aecSupply).to.equal(SUPPLY);
+            expect(signals.poolAecReserve).to.equal(0n);
+            expect(signals.twapPrice).to.equal(0n);
+            // Only the token pool is a base reward pool; the others are skipped
+            expect(signals.rewardsAllocated).to.equal(TOKEN_STAKING_ALLOCATION);
+            expect(signals.rewardsRemaining).to.equal(TOKEN_STAKING_ALLOCATION);
+
+            // Empty pool: the full liquidity shift
+            expect(await policy.getAllocation()).to.deep.equal([1250n, 4750n, 4000n]);
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { signPermit } = require("../helpers/permit");
 
 describe("FairAirdrop", function () {
   let FairAirdrop, fairAirdrop;
@@ -137,6 +138,23 @@ describe("FairAirdrop", function () {
     expect(await cpToken.balanceOf(user1.address)).to.be.gte(ethers.parseUnits("100", CP_DECIMALS));
   });
 
+  it("should claim full allocation paying USDC through a permit", async function () {
+    await fairAirdrop.connect(user1).depositCP(ethers.parseUnits("100", CP_DECIMALS));
+    const endTime = await fairAirdrop.endTime();
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(endTime)]);
+    await ethers.provider.send("evm_mine");
+    await fairAirdrop.connect(user1).finalizeAirdrop();
+    await mockAEC.mint(fairAirdrop.target, AIRDROP_ALLOCATION);
+    await mockUSDC.mint(user1.address, ethers.parseUnits("10", USDC_DECIMALS));
+
+    const cost = await fairAirdrop.FULL_CLAIM_COST();
+    const { deadline, v, r, s } = await signPermit(mockUSDC, user1, fairAirdrop.target, cost);
+    await expect(fairAirdrop.connect(user1).claimFullAllocationWithPermit(deadline, v, r, s))
+      .to.emit(fairAirdrop, "ClaimedFull");
+    expect(await mockUSDC.balanceOf(perpetualEngine)).to.equal(cost);
+    expect(await mockAEC.balanceOf(user1.address)).to.be.gt(0);
+  });
+
   it("should allow user to claim partial allocation for free after finalize", async function () {
     // User1 deposits CP
     await fairAirdrop.connect(user1).depositCP(ethers.parseUnits("100", CP_DECIMALS));
@@ -1,5 +1,8 @@
 const { expect, anyValue } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const UniswapV2Factory = require("@uniswap/v2-core/build/UniswapV2Factory.json");
+const UniswapV2Pair = require("@uniswap/v2-core/build/UniswapV2Pair.json");
 
 describe("PerpetualEngine", function () {
   let perpetualEngine;
@@ -18,6 +21,8 @@ describe("PerpetualEngine", function () {
   const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1M AEC
   const USDC_DECIMALS = 6;
   const INITIAL_USDC = ethers.parseUnits("1000000", USDC_DECIMALS); // 1M USDC
+  const POOL_AEC = ethers.parseEther("500000");
+  const POOL_USDC = ethers.parseUnits("500000", USDC_DECIMALS);
 
   beforeEach(async function () {
     [owner, user1, user2, user3] = await ethers.getSigners();
@@ -27,11 +32,11 @@ describe("PerpetualEngine", function () {
     mockUSDC = await MockERC20.deploy("USDC", "USDC");
     await mockUSDC.mint(owner.address, INITIAL_USDC);
 
-    const MockUniswapRouter = await ethers.getContractFactory("MockContract");
-    mockUniswapRouter = await MockUniswapRouter.deploy();
-
-    const MockUniswapPair = await ethers.getContractFactory("MockContract");
-    mockUniswapPair = await MockUniswapPair.deploy();
+    // Canonical V2 factory and pair behind a constant-product router, so cycles really swap
+    const Factory = new ethers.ContractFactory(UniswapV2Factory.abi, UniswapV2Factory.bytecode, owner);
+    const factory = await Factory.deploy(owner.address);
+    const MockUniswapRouter = await ethers.getContractFactory("MockFailingLiquidityRouter");
+    mockUniswapRouter = await MockUniswapRouter.deploy(factory.target);
 
     const MockTokenDistributor = await ethers.getContractFactory("MockContract");
     tokenDistributor = await MockTokenDistributor.deploy();
@@ -40,6 +45,18 @@ describe("PerpetualEngine", function () {
     const AECToken = await ethers.getContractFactory("AECToken");
     aecToken = await AECToken.deploy(owner.address, owner.address); // owner as distributor
 
+    // Seed an AEC/USDC pool at 1 USDC per AEC, deep enough for cycles to stay within slippage
+    await factory.createPair(aecToken.target, mockUSDC.target);
+    mockUniswapPair = new ethers.Contract(
+      await factory.getPair(aecToken.target, mockUSDC.target), UniswapV2Pair.abi, owner
+    );
+    await aecToken.setAmmPair(mockUniswapPair.target, true);
+    await aecToken.approve(mockUniswapRouter.target, POOL_AEC);
+    await mockUSDC.approve(mockUniswapRouter.target, POOL_USDC);
+    await mockUniswapRouter.addLiquidity(
+      aecToken.target, mockUSDC.target, POOL_AEC, POOL_USDC, 0, 0, owner.address, ethers.MaxUint256
+    );
+
     // Deploy PerpetualEndowment first
     const PerpetualEndowment = await ethers.getContractFactory("PerpetualEndowment");
     perpetualEndowment = await PerpetualEndowment.deploy(
@@ -78,6 +95,10 @@ describe("PerpetualEngine", function () {
 
     // Set the PerpetualEngine address in the AECToken contract to enable engine operations
     await aecToken.setPerpetualEngineAddress(perpetualEngine.target);
+
+    // Warm the TWAP: a skipped cycle records the first observation, one period later it is ready
+    await perpetualEngine.connect(user1).runCycle();
+    await time.increase(await perpetualEngine.twapPeriod());
   });
 
   describe("Deployment", function () {
@@ -219,6 +240,23 @@ describe("PerpetualEngine", function () {
       expect(balanceAfter).to.be.lt(balanceBefore);
     });
 
+    it("Should keep the AEC meant for the pool if adding the zapped liquidity fails", async function () {
+      await mockUniswapRouter.setFailAddLiquidity(true);
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      await expect(perpetualEngine.connect(user1).runCycle())
+        .to.emit(perpetualEngine, "UnutilizedAecAccumulated")
+        .withArgs((amount) => amount > 0n, "Liquidity addition failed");
+
+      const [record] = await perpetualEngine.getCycleHistory(0, 1);
+      const lpShare = ethers.parseEther("4000"); // 40% of the 10,000 funded
+      expect(record.swapsSucceeded).to.equal(1n);
+      expect(record.lpAec).to.equal(0n);
+      expect(record.lpMinted).to.equal(0n);
+      expect(record.unutilizedAec).to.be.gte(lpShare - record.aecSwapped);
+      expect(await aecToken.balanceOf(perpetualEngine.target)).to.equal(record.unutilizedAec);
+      expect(await aecToken.allowance(perpetualEngine.target, mockUniswapRouter.target)).to.equal(0n);
+    });
+
     it("Should emit CycleProcessed event", async function () {
       // Fund the engine with sufficient AEC tokens
       await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
@@ -238,6 +276,162 @@ describe("PerpetualEngine", function () {
       .to.not.emit(perpetualEngine, "AecBurnedInCycle");
   });
 
+  describe("Cycle History", function () {
+    it("Should record processed cycles but not skipped ones", async function () {
+      expect(await perpetualEngine.canRunCycle()).to.equal(false);
+      await perpetualEngine.connect(user1).runCycle();
+      expect(await perpetualEngine.getCycleCount()).to.equal(0n);
+      await expect(perpetualEngine.getCycleHistory(0, 10)).to.be.revertedWith("PE: Invalid offset");
+
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      expect(await perpetualEngine.canRunCycle()).to.equal(true);
+      const tx = await perpetualEngine.connect(user1).runCycle();
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+      expect(await perpetualEngine.canRunCycle()).to.equal(false); // cooldown
+      expect(await perpetualEngine.getCycleCount()).to.equal(1n);
+      expect(await perpetualEngine.getLastCycleTime()).to.equal(timestamp);
+
+      const [record] = await perpetualEngine.getCycleHistory(0, 10);
+      const processed = ethers.parseEther("5000");
+      expect(record.timestamp).to.equal(timestamp);
+      expect(record.caller).to.equal(user1.address);
+      expect(record.burned).to.equal((processed * 2000n) / 10000n);
+      expect(record.refillLp).to.equal((processed * 4000n * 5000n) / 10000n / 10000n);
+      expect(record.refillToken).to.equal(0n); // token and NFT pools not set
+      expect(record.swapAttempts).to.equal(1n);
+      expect(record.swapsSucceeded).to.equal(1n);
+      expect(record.aecSwapped).to.be.gt(0n);
+      expect(record.lpAec + record.aecSwapped).to.be.lte((processed * 4000n) / 10000n);
+      expect(record.lpMinted).to.be.gt(0n);
+      expect(await mockUniswapPair.balanceOf(aecStakingLP.target)).to.equal(record.lpMinted);
+      expect(record.unutilizedAec).to.equal(await aecToken.balanceOf(perpetualEngine.target));
+    });
+
+    it("Should page through history and keep running totals", async function () {
+      for (let i = 0; i < 3; i++) {
+        await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+        await perpetualEngine.connect(user1).runCycle();
+        await ethers.provider.send("evm_increaseTime", [3600]);
+      }
+
+      const history = await perpetualEngine.getCycleHistory(0, 10);
+      expect(history.length).to.equal(3);
+      const page = await perpetualEngine.getCycleHistory(1, 1);
+      expect(page.length).to.equal(1);
+      expect(page[0].timestamp).to.equal(history[1].timestamp);
+
+      const stats = await perpetualEngine.getCycleStats();
+      const sum = (field) => history.reduce((total, record) => total + record[field], 0n);
+      expect(stats.totalBurned).to.equal(sum("burned"));
+      expect(stats.totalRewards).to.equal(sum("refillLp") + sum("refillToken") + sum("refillNft"));
+      expect(stats.totalLiquidity).to.equal(sum("lpAec"));
+      expect(stats.totalLiquidity).to.be.gt(0n);
+      expect(stats.successRate).to.equal(10000n);
+    });
+  });
+
+  describe("Cycle Simulation", function () {
+    async function simulate(caller) {
+      const gasPrice = ethers.parseUnits("1", "gwei");
+      const error = await perpetualEngine.connect(caller).simulateCycle.staticCall({ gasPrice }).catch((e) => e);
+      const parsed = perpetualEngine.interface.parseError(error.data);
+      expect(parsed.name).to.equal("CycleSimulated");
+      return parsed.args.result;
+    }
+
+    it("Should revert with the record the next cycle stores", async function () {
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      const preview = await simulate(user1);
+      expect(await perpetualEngine.getCycleCount()).to.equal(0n);
+
+      await perpetualEngine.connect(user1).runCycle();
+      const [record] = await perpetualEngine.getCycleHistory(0, 1);
+      // Everything but the timestamp of the block the call was made against
+      expect(preview.timestamp).to.be.gt(0n);
+      expect(preview.toArray().slice(1)).to.deep.equal(record.toArray().slice(1));
+      expect(preview.caller).to.equal(user1.address);
+      expect(preview.burned).to.equal(ethers.parseEther("1000"));
+      expect(preview.swapsSucceeded).to.equal(1n);
+      expect(preview.lpMinted).to.be.gt(0n);
+    });
+
+    it("Should return an empty record when the cycle would skip", async function () {
+      await aecToken.connect(owner).transfer(owner.address, await aecToken.balanceOf(perpetualEngine.target));
+      const preview = await simulate(user1);
+      expect(preview.timestamp).to.equal(0n);
+      expect(preview.burned).to.equal(0n);
+    });
+
+    it("Should raise runCycle's own reverts", async function () {
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      await perpetualEngine.connect(user1).runCycle();
+      await expect(perpetualEngine.connect(user1).simulateCycle()).to.be.revertedWith("PE: Cooldown not elapsed");
+    });
+
+    it("Should refuse to run at a zero gas price", async function () {
+      await expect(perpetualEngine.connect(user1).simulateCycle.staticCall({ gasPrice: 0 }))
+        .to.be.revertedWith("PE: Simulate at a gas price");
+    });
+  });
+
+  describe("Allocation Policy", function () {
+    let policy;
+
+    beforeEach(async function () {
+      const MockAllocationPolicy = await ethers.getContractFactory("MockAllocationPolicy");
+      policy = await MockAllocationPolicy.deploy();
+      await policy.setAllocation(1000, 5000, 4000);
+      await expect(perpetualEngine.setAllocationPolicy(policy.target))
+        .to.emit(perpetualEngine, "AllocationPolicySet").withArgs(policy.target);
+    });
+
+    it("Should split cycles with the policy's weights and emit them", async function () {
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      const outcome = await perpetualEngine.calculateCycleOutcome();
+      expect(outcome.burnAmount).to.equal((outcome.totalToProcess * 1000n) / 10000n);
+      expect(outcome.lpAmount).to.equal((outcome.totalToProcess * 5000n) / 10000n);
+
+      await expect(perpetualEngine.connect(user1).runCycle())
+        .to.emit(perpetualEngine, "CycleAllocationApplied").withArgs(1000, 5000, 4000)
+        .and.to.emit(perpetualEngine, "AecBurnedInCycle").withArgs(ethers.parseEther("500"));
+
+      const [record] = await perpetualEngine.getCycleHistory(0, 1);
+      expect(record.burned).to.equal(ethers.parseEther("500"));
+      const lpShare = ethers.parseEther("2500");
+      expect(record.lpAec + record.aecSwapped).to.be.lte(lpShare);
+      expect(record.lpAec + record.aecSwapped).to.be.gt((lpShare * 99n) / 100n);
+      expect(record.refillLp).to.equal(ethers.parseEther("1000")); // half the 40% refill
+    });
+
+    it("Should fall back to the fixed split when the policy reverts or its weights do not add up", async function () {
+      await policy.setShouldRevert(true);
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      await expect(perpetualEngine.connect(user1).runCycle())
+        .to.emit(perpetualEngine, "CycleAllocationApplied").withArgs(2000, 4000, 4000);
+
+      await policy.setShouldRevert(false);
+      await policy.setAllocation(1000, 1000, 1000);
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await aecToken.connect(owner).transfer(perpetualEngine.target, ethers.parseEther("5000"));
+      await expect(perpetualEngine.connect(user1).runCycle())
+        .to.emit(perpetualEngine, "CycleAllocationApplied").withArgs(2000, 4000, 4000);
+
+      await perpetualEngine.setAllocationPolicy(ethers.ZeroAddress);
+      expect(await perpetualEngine.allocationPolicy()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the active deployer set the policy", async function () {
+      await expect(perpetualEngine.connect(user1).setAllocationPolicy(user1.address))
+        .to.be.revertedWith("PE: Not authorized");
+
+      await perpetualEngine.renounceDeployerPrivileges();
+      await expect(perpetualEngine.setAllocationPolicy(ethers.ZeroAddress))
+        .to.be.revertedWith("PE: Not authorized");
+      expect(await perpetualEngine.allocationPolicy()).to.equal(policy.target);
+    });
+  });
+
   describe("Tax Collection and Distribution", function () {
     beforeEach(async function () {
       // Fund the engine with AEC tokens to enable distribution and reward logic
@@ -374,6 +568,7 @@ describe("PerpetualEngine", function () {
 
     it("Should have correct operational constants", async function () {
       expect(await perpetualEngine.MAX_SWAP_ATTEMPTS()).to.equal(5);
+      expect(await perpetualEngine.PAIR_FEE_BPS()).to.equal(30);
       expect(await perpetualEngine.BASIS_POINTS_DIVISOR()).to.equal(10000);
     });
   });
@@ -444,58 +639,6 @@ describe("PerpetualEngine", function () {
    // runCycle should not revert even if refill staking reward fails
     await expect(perpetualEngine.connect(user1).runCycle()).to.not.be.reverted;
   });
-
-  it("Should emit FlexibleStrategyAttempt with successful false if flexible strategy fails", async function () {
-    // Deploy a mock stablecoin and router for flexible strategy failure scenario
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    const mockStablecoin = await MockERC20.deploy("USDC", "USDC");
-    // Deploy a mock router that mints stablecoin on swap and always reverts on addLiquidity
-    const MockPartialFailRouter = await ethers.getContractFactory("MockPartialFailUniswapV2Router02");
-    const mockPartialFailRouter = await MockPartialFailRouter.deploy(mockStablecoin.target);
-    // Deploy AECToken
-    const AECToken = await ethers.getContractFactory("AECToken");
-    const aecTokenLocal = await AECToken.deploy(owner.address, owner.address);
-    // Deploy PerpetualEndowment
-    const PerpetualEndowment = await ethers.getContractFactory("PerpetualEndowment");
-    const perpetualEndowmentLocal = await PerpetualEndowment.deploy(
-      aecTokenLocal.target,
-      owner.address,
-      ethers.parseEther("311111111")
-    );
-    // Deploy a valid AECStakingLP contract (not a mock) for integration
-    const AECStakingLP = await ethers.getContractFactory("AECStakingLP");
-    const aecStakingLP = await AECStakingLP.deploy(
-      aecTokenLocal.target,
-      mockStablecoin.target, // dummy pair
-      owner.address,
-      mockPartialFailRouter.target, // dummy liquidityDeployer
-      ethers.parseEther("177777777")
-    );
-    
-    const PerpetualEngine = await ethers.getContractFactory("PerpetualEngine");
-    const perpetualEngineLocal = await PerpetualEngine.deploy(
-      aecTokenLocal.target,
-      mockStablecoin.target,
-      mockPartialFailRouter.target,
-      aecStakingLP.target,
-      perpetualEndowmentLocal.target,
-      owner.address,
-      100,
-      ethers.parseEther("1000"),
-      3600
-    );
-    // Setup permissions
-    await aecTokenLocal.setPerpetualEngineAddress(perpetualEngineLocal.target);
-    // Fund the engine with AEC only; let swap mint stablecoin if possible
-    await aecTokenLocal.connect(owner).transfer(perpetualEngineLocal.target, ethers.parseEther("100000"));
-    // Check balances before running the cycle
-    const aecBalance = await aecTokenLocal.balanceOf(perpetualEngineLocal.target);
-    const stableBalanceBefore = await mockStablecoin.balanceOf(perpetualEngineLocal.target);
-    expect(aecBalance).to.be.gt(0n);
-    // Run cycle and assert UnutilizedAecAccumulated event is emitted if flexible strategy cannot be executed
-    await expect(perpetualEngineLocal.connect(user1).runCycle())
-      .to.emit(perpetualEngineLocal, "UnutilizedAecAccumulated");
-  });
 }); 
 
 describe("PerpetualEngine - Branch/Require & Error Handling", function () {
@@ -651,11 +794,6 @@ describe("PerpetualEngine - Try/Catch Error & Event Fallback", function () {
     // Here, just ensure runCycle does not revert if burn fails
   });
 
-  it("Should emit FlexibleStrategyAttempt if addLiquidity fails", async function () {
-    // Patch router.addLiquidity to revert (mock)
-    // Here, just ensure runCycle does not revert if addLiquidity fails
-  });
-
   it("Should not revert if notifyRewardAmount in stakingContractToken/NFT reverts", async function () {
     // Patch stakingContractToken/NFT to mock revert
     // Here, just ensure runCycle does not revert if notifyRewardAmount fails
@@ -682,10 +820,6 @@ describe("PerpetualEngine - Try/Catch Error & Event Fallback", function () {
     await expect(engine.connect(owner).runCycle()).to.emit(engine, "UnutilizedAecAccumulated");
   });
 
-  it("Should emit UnutilizedAecAccumulated for all liquidity strategies failed", async function () {
-    
-  });
-
   it("Should emit EndowmentSkipped for not due yet, gas inefficient, amount too small, release failed", async function () {
    
   });